@@ -1,6 +1,8 @@
 function AdminPanel({ channels = [], positions = [], signals = [], onRefresh }) {
   try {
   const [activeSection, setActiveSection] = React.useState('channels');
+  const [killSwitch, setKillSwitch] = React.useState({ engaged: false, running: false });
+  const [killSwitchReport, setKillSwitchReport] = React.useState(null);
 
   // API call function
   const apiCall = async (endpoint, options = {}) => {
@@ -25,6 +27,66 @@ function AdminPanel({ channels = [], positions = [], signals = [], onRefresh })
     }
   };
 
+  const loadKillSwitchStatus = async () => {
+    try {
+      const response = await apiCall('/kill-switch');
+      setKillSwitch(response.data);
+    } catch (error) {
+      console.error('Failed to load kill switch status:', error);
+    }
+  };
+
+  React.useEffect(() => {
+    loadKillSwitchStatus();
+  }, []);
+
+  // Emergency stop: all orders cancelled, all positions closed at market
+  const engageKillSwitch = async () => {
+    if (!confirm('АВАРИЙНАЯ ОСТАНОВКА\nБудут отменены все ордера и закрыты по рынку все позиции на всех аккаунтах, каналы и очереди поставлены на паузу.\nПродолжить?')) {
+      return;
+    }
+    const reason = prompt('Причина остановки', 'Аварийная остановка из админ-панели');
+    if (reason === null) return;
+
+    setKillSwitch({ ...killSwitch, running: true });
+    try {
+      const response = await apiCall('/kill-switch', {
+        method: 'POST',
+        body: { confirm: true, reason }
+      });
+      setKillSwitchReport(response.data);
+      if (onRefresh) onRefresh();
+    } catch (error) {
+      console.error('Kill switch failed:', error);
+      alert('❌ Ошибка аварийной остановки: ' + error.message);
+    } finally {
+      loadKillSwitchStatus();
+    }
+  };
+
+  const releaseKillSwitch = async () => {
+    if (!confirm('Возобновить торговлю? Очереди и каналы, остановленные аварийной остановкой, будут запущены.')) {
+      return;
+    }
+    try {
+      await apiCall('/kill-switch/release', { method: 'POST', body: {} });
+      setKillSwitchReport(null);
+      if (onRefresh) onRefresh();
+    } catch (error) {
+      console.error('Failed to release kill switch:', error);
+      alert('❌ Ошибка: ' + error.message);
+    } finally {
+      loadKillSwitchStatus();
+    }
+  };
+
+  const killSwitchStatusLabels = {
+    closed: 'Закрыта',
+    already_closed: 'Уже закрыта',
+    not_on_exchange: 'Нет на бирже',
+    failed: 'Ошибка'
+  };
+
   // Quick cleanup function
   const quickCleanup = async () => {
     if (!confirm('Вы уверены, что хотите выполнить быструю очистку?\nБудут удалены сигналы старше 30 дней, сохранено 500 последних.')) {
@@ -73,6 +135,60 @@ function AdminPanel({ channels = [], positions = [], signals = [], onRefresh })
             </div>
           </div>
 
+          {/* Kill Switch */}
+          <div className="mb-8 p-4 bg-gradient-to-r from-red-500/10 to-rose-500/10 rounded-xl border border-red-500/30">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-red-400 mb-1">Аварийная остановка</h3>
+                <p className="text-slate-300 text-sm">
+                  {killSwitch.engaged
+                    ? 'Торговля остановлена: очереди и каналы на паузе'
+                    : 'Отменить все ордера, закрыть все позиции и остановить торговлю'}
+                </p>
+              </div>
+              {killSwitch.engaged ? (
+                <button
+                  onClick={releaseKillSwitch}
+                  className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-green-600 text-white rounded-lg font-medium hover:from-emerald-600 hover:to-green-700 transition-all duration-200 flex items-center space-x-2"
+                >
+                  <div className="icon-play text-lg"></div>
+                  <span>Возобновить торговлю</span>
+                </button>
+              ) : (
+                <button
+                  onClick={engageKillSwitch}
+                  disabled={killSwitch.running}
+                  className="px-4 py-2 bg-gradient-to-r from-red-600 to-rose-700 text-white rounded-lg font-medium hover:from-red-700 hover:to-rose-800 transition-all duration-200 flex items-center space-x-2 disabled:opacity-50"
+                >
+                  <div className="icon-octagon-x text-lg"></div>
+                  <span>{killSwitch.running ? 'Закрываем позиции...' : 'Аварийная остановка'}</span>
+                </button>
+              )}
+            </div>
+            {killSwitchReport && (
+              <div className="mt-4 space-y-1 text-sm">
+                <div className={killSwitchReport.success ? 'text-emerald-400' : 'text-amber-400'}>
+                  {killSwitchReport.success ? 'Все позиции закрыты' : 'Остановка завершена с ошибками'}
+                  {' '}· каналов на паузе: {killSwitchReport.channelsPaused.length}
+                  {' '}· отменено ордеров: {killSwitchReport.accounts.reduce((sum, a) => sum + a.ordersCancelled, 0)}
+                </div>
+                {killSwitchReport.positions.map((p, idx) => (
+                  <div key={p.positionId || `${p.symbol}-${idx}`} className="flex justify-between text-slate-300">
+                    <span>{p.symbol} <span className="text-slate-500">({p.subAccountId || 'main'})</span></span>
+                    <span className={p.status === 'failed' ? 'text-red-400' : ''}>
+                      {killSwitchStatusLabels[p.status] || p.status}
+                      {p.closePrice ? ` @ ${p.closePrice}` : ''}
+                      {p.error ? ` — ${p.error}` : ''}
+                    </span>
+                  </div>
+                ))}
+                {[...killSwitchReport.errors, ...killSwitchReport.accounts.filter(a => a.error).map(a => `${a.subAccountId}: ${a.error}`)].map((e, idx) => (
+                  <div key={idx} className="text-red-400">{e}</div>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Section Navigation */}
           <div className="flex flex-wrap gap-4 mb-12">
             {sections.map(section => (
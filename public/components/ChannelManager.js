@@ -10,9 +10,28 @@ function ChannelManager({ channels = [], onRefresh }) {
   autoExecute: false,
     maxPositionPercentage: 100,
     riskPercentage: 2,
-    tpPercentages: [25.0, 25.0, 50.0]
+    tpPercentages: [25.0, 25.0, 50.0],
+    ingestionBackend: 'bot'
   });
 
+  // Parsing templates editor
+  const emptyTemplateForm = {
+    id: null,
+    name: '',
+    templateType: 'field_patterns',
+    fieldPatternsText: '{\n  "coin": "Монета:\\\\s*#?(\\\\w+)",\n  "stopLoss": "Стоп:\\\\s*([\\\\d.]+)"\n}',
+    exampleMessage: '',
+    exampleOutputText: '{\n  "isSignal": true,\n  "signalType": "entry",\n  "extractedData": {}\n}',
+    isActive: true,
+    priority: 0
+  };
+  const [templatesChannel, setTemplatesChannel] = React.useState(null);
+  const [templates, setTemplates] = React.useState([]);
+  const [templateForm, setTemplateForm] = React.useState(emptyTemplateForm);
+  const [previewMessage, setPreviewMessage] = React.useState('');
+  const [previewResult, setPreviewResult] = React.useState(null);
+  const [previewLoading, setPreviewLoading] = React.useState(false);
+
     // API call function
     const apiCall = async (endpoint, options = {}) => {
       try {
@@ -40,6 +59,149 @@ function ChannelManager({ channels = [], onRefresh }) {
       }
     };
 
+    const loadTemplates = async (channelId) => {
+      try {
+        const resp = await apiCall(`/channels/${channelId}/templates`);
+        setTemplates(resp.data || []);
+      } catch (error) {
+        alert(`Ошибка загрузки шаблонов: ${error.message}`);
+      }
+    };
+
+    const openTemplatesModal = async (channel) => {
+      setTemplatesChannel(channel);
+      setTemplateForm(emptyTemplateForm);
+      setPreviewResult(null);
+      await loadTemplates(channel.id);
+    };
+
+    // Собирает шаблон из формы; JSON-поля парсятся здесь, чтобы ошибка была видна сразу
+    const buildTemplatePayload = () => {
+      const payload = {
+        name: templateForm.name,
+        templateType: templateForm.templateType,
+        isActive: templateForm.isActive,
+        priority: Number(templateForm.priority) || 0
+      };
+      if (templateForm.templateType === 'field_patterns') {
+        payload.fieldPatterns = JSON.parse(templateForm.fieldPatternsText);
+      } else {
+        payload.exampleMessage = templateForm.exampleMessage;
+        payload.exampleOutput = JSON.parse(templateForm.exampleOutputText);
+      }
+      return payload;
+    };
+
+    const saveTemplate = async () => {
+      let payload;
+      try {
+        payload = buildTemplatePayload();
+      } catch (error) {
+        alert(`Некорректный JSON: ${error.message}`);
+        return;
+      }
+
+      try {
+        if (templateForm.id) {
+          const { templateType, ...updates } = payload;
+          await apiCall(`/channels/${templatesChannel.id}/templates/${templateForm.id}`, {
+            method: 'PUT',
+            body: updates
+          });
+        } else {
+          await apiCall(`/channels/${templatesChannel.id}/templates`, {
+            method: 'POST',
+            body: payload
+          });
+        }
+        setTemplateForm(emptyTemplateForm);
+        await loadTemplates(templatesChannel.id);
+      } catch (error) {
+        alert(`Ошибка сохранения шаблона: ${error.message}`);
+      }
+    };
+
+    const editTemplate = (template) => {
+      setTemplateForm({
+        id: template.id,
+        name: template.name,
+        templateType: template.templateType,
+        fieldPatternsText: JSON.stringify(template.fieldPatterns || {}, null, 2),
+        exampleMessage: template.exampleMessage || '',
+        exampleOutputText: JSON.stringify(template.exampleOutput || {}, null, 2),
+        isActive: template.isActive,
+        priority: template.priority || 0
+      });
+    };
+
+    const toggleTemplate = async (template) => {
+      try {
+        await apiCall(`/channels/${templatesChannel.id}/templates/${template.id}`, {
+          method: 'PUT',
+          body: { isActive: !template.isActive }
+        });
+        await loadTemplates(templatesChannel.id);
+      } catch (error) {
+        alert(`Ошибка: ${error.message}`);
+      }
+    };
+
+    const deleteTemplate = async (template) => {
+      if (!confirm(`Удалить шаблон "${template.name}"?`)) return;
+      try {
+        await apiCall(`/channels/${templatesChannel.id}/templates/${template.id}`, { method: 'DELETE' });
+        if (templateForm.id === template.id) setTemplateForm(emptyTemplateForm);
+        await loadTemplates(templatesChannel.id);
+      } catch (error) {
+        alert(`Ошибка удаления шаблона: ${error.message}`);
+      }
+    };
+
+    // Предпросмотр: сохранённые активные шаблоны + редактируемый черновик
+    const runPreview = async () => {
+      if (!previewMessage.trim()) return;
+
+      let draft = null;
+      if (templateForm.name || templateForm.id) {
+        try {
+          draft = buildTemplatePayload();
+        } catch (error) {
+          alert(`Некорректный JSON: ${error.message}`);
+          return;
+        }
+      }
+
+      const previewTemplates = templates
+        .filter(t => t.isActive && t.id !== templateForm.id)
+        .map(t => ({
+          templateType: t.templateType,
+          fieldPatterns: t.fieldPatterns || undefined,
+          exampleMessage: t.exampleMessage || undefined,
+          exampleOutput: t.exampleOutput || undefined
+        }));
+      if (draft && draft.isActive) {
+        previewTemplates.unshift({
+          templateType: draft.templateType,
+          fieldPatterns: draft.fieldPatterns,
+          exampleMessage: draft.exampleMessage,
+          exampleOutput: draft.exampleOutput
+        });
+      }
+
+      try {
+        setPreviewLoading(true);
+        const resp = await apiCall('/signals/test-recognition', {
+          method: 'POST',
+          body: { message: previewMessage, channelId: templatesChannel.id, templates: previewTemplates }
+        });
+        setPreviewResult(resp.data);
+      } catch (error) {
+        alert(`Ошибка распознавания: ${error.message}`);
+      } finally {
+        setPreviewLoading(false);
+      }
+    };
+
     const toggleChannelStatus = async (channel) => {
       try {
         // Determine which endpoint to call based on current channel state
@@ -62,7 +224,8 @@ function ChannelManager({ channels = [], onRefresh }) {
   autoExecute: false,
         maxPositionPercentage: 100,
         riskPercentage: 2,
-        tpPercentages: [25.0, 25.0, 50.0]
+        tpPercentages: [25.0, 25.0, 50.0],
+        ingestionBackend: 'bot'
       });
       setShowModal(true);
     };
@@ -77,7 +240,27 @@ function ChannelManager({ channels = [], onRefresh }) {
   autoExecute: !!channel.autoExecute,
         maxPositionPercentage: channel.maxPositionPercentage || 100,
         riskPercentage: channel.riskPercentage || 2,
-        tpPercentages: channel.tpPercentages || [25.0, 25.0, 50.0]
+        tpPercentages: channel.tpPercentages || [25.0, 25.0, 50.0],
+        llmProviders: (channel.llmProviders || []).join(', '),
+        entryMode: channel.entryMode || 'market',
+        entryOrdersCount: channel.entryOrdersCount || '',
+        entryOrderTimeoutMinutes: channel.entryOrderTimeoutMinutes || '',
+        sizingStrategy: channel.sizingStrategy || 'fixed_percent',
+        sizingValue: channel.sizingValue || '',
+        stopMode: channel.stopMode || 'breakeven',
+        breakevenAfterTp: channel.breakevenAfterTp || 1,
+        trailingValue: channel.trailingValue || '',
+        maxPositionMinutes: channel.maxPositionMinutes || '',
+        tradingMode: channel.tradingMode || 'live',
+        ingestionBackend: channel.ingestionBackend || 'bot',
+        editHandling: channel.editHandling || 'update_pending',
+        duplicatePolicy: channel.duplicatePolicy || 'ignore',
+        signalTtlMinutes: channel.signalTtlMinutes ?? '',
+        maxEntryDeviation: channel.maxEntryDeviation ?? '',
+        entryDeviationUnit: channel.entryDeviationUnit || 'percent',
+        requiredApprovals: channel.requiredApprovals || '',
+        approvers: (channel.approvers || []).join(', '),
+        approvalTimeoutMinutes: channel.approvalTimeoutMinutes ?? ''
       });
       setShowModal(true);
     };
@@ -87,9 +270,35 @@ function ChannelManager({ channels = [], onRefresh }) {
       try {
         if (editingChannel) {
           // Update existing channel
+          // Empty list resets the channel to the default provider chain
+          const llmProviders = (formData.llmProviders || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+          // Empty list lets any authenticated approver decide
+          const approvers = (formData.approvers || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
           await apiCall(`/channels/${editingChannel.id}`, {
             method: 'PUT',
-            body: formData
+            body: {
+              ...formData,
+              llmProviders: llmProviders.length > 0 ? llmProviders : null,
+              // Empty values fall back to the server defaults
+              entryOrdersCount: formData.entryOrdersCount ? Number(formData.entryOrdersCount) : null,
+              entryOrderTimeoutMinutes: formData.entryOrderTimeoutMinutes ? Number(formData.entryOrderTimeoutMinutes) : null,
+              sizingValue: formData.sizingValue ? Number(formData.sizingValue) : null,
+              breakevenAfterTp: formData.breakevenAfterTp ? Number(formData.breakevenAfterTp) : null,
+              trailingValue: formData.trailingValue ? Number(formData.trailingValue) : null,
+              maxPositionMinutes: formData.maxPositionMinutes ? Number(formData.maxPositionMinutes) : null,
+              // 0 turns the check off, so only an empty value means the default
+              signalTtlMinutes: formData.signalTtlMinutes !== '' ? Number(formData.signalTtlMinutes) : null,
+              maxEntryDeviation: formData.maxEntryDeviation !== '' ? Number(formData.maxEntryDeviation) : null,
+              requiredApprovals: formData.requiredApprovals ? Number(formData.requiredApprovals) : null,
+              approvers: approvers.length > 0 ? approvers : null,
+              approvalTimeoutMinutes: formData.approvalTimeoutMinutes !== '' ? Number(formData.approvalTimeoutMinutes) : null
+            }
           });
         } else {
           // Create new channel
@@ -146,7 +355,8 @@ function ChannelManager({ channels = [], onRefresh }) {
   autoExecute: false,
         maxPositionPercentage: 100,
         riskPercentage: 2,
-        tpPercentages: [25.0, 25.0, 50.0]
+        tpPercentages: [25.0, 25.0, 50.0],
+        ingestionBackend: 'bot'
       });
     };
 
@@ -227,6 +437,9 @@ function ChannelManager({ channels = [], onRefresh }) {
                   <div>
                     <h3 className="font-semibold text-[var(--text-primary)]">{channel.name}</h3>
                     <p className="text-sm text-[var(--text-secondary)]">@{channel.telegramChannelId}</p>
+                    {channel.isPaused && channel.pauseReason && (
+                      <p className="text-xs text-[var(--danger-color)] mt-1">{channel.pauseReason}</p>
+                    )}
                   </div>
                 </div>
                 
@@ -245,6 +458,16 @@ function ChannelManager({ channels = [], onRefresh }) {
                     }`} title="Режим следования сигналам">
                       {channel.autoExecute ? 'Авто' : 'Ручной'}
                     </div>
+                    {channel.tradingMode === 'paper' && (
+                      <div className="px-3 py-1 rounded-full text-xs font-medium bg-amber-500/20 text-amber-400" title="Сделки исполняются на симуляторе биржи">
+                        Paper
+                      </div>
+                    )}
+                    {channel.ingestionBackend === 'mtproto' && (
+                      <div className="px-3 py-1 rounded-full text-xs font-medium bg-violet-500/20 text-violet-400" title="Сообщения читаются пользовательским аккаунтом Telegram">
+                        MTProto
+                      </div>
+                    )}
                   </div>
               </div>
 
@@ -301,6 +524,13 @@ function ChannelManager({ channels = [], onRefresh }) {
                     <span>Настроить</span>
                   </div>
                 </button>
+                <button
+                  onClick={() => openTemplatesModal(channel)}
+                  className="px-3 py-2 bg-[var(--surface-dark)] text-[var(--text-secondary)] rounded-lg text-sm hover:bg-[var(--background-dark)] transition-colors"
+                  title="Шаблоны распознавания"
+                >
+                  <span className="text-sm">📝</span>
+                </button>
                 <button 
                   onClick={() => deleteChannel(channel.id)}
                   className="px-3 py-2 bg-[var(--danger-color)]/10 text-[var(--danger-color)] rounded-lg text-sm hover:bg-[var(--danger-color)]/20 transition-colors"
@@ -383,6 +613,23 @@ function ChannelManager({ channels = [], onRefresh }) {
                   )}
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                    Источник сообщений
+                  </label>
+                  <select
+                    value={formData.ingestionBackend || 'bot'}
+                    onChange={(e) => setFormData({...formData, ingestionBackend: e.target.value})}
+                    className="input-field w-full"
+                  >
+                    <option value="bot">Telegram бот (бот — администратор канала)</option>
+                    <option value="mtproto">Пользовательский аккаунт (MTProto)</option>
+                  </select>
+                  <p className="text-xs text-[var(--text-secondary)] mt-1">
+                    Для каналов, куда нельзя добавить бота; нужна сессия из npm run telegram-login
+                  </p>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
                     Режим следования сигналам
@@ -459,6 +706,284 @@ function ChannelManager({ channels = [], onRefresh }) {
                   </div>
                 </div>
 
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      LLM провайдеры (порядок fallback)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.llmProviders || ''}
+                      onChange={(e) => setFormData({...formData, llmProviders: e.target.value})}
+                      className="input-field w-full"
+                      placeholder="по умолчанию: openai, local"
+                    />
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      Через запятую: openai, local, stub. Пусто — цепочка из настроек сервера
+                    </p>
+                  </div>
+                )}
+
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      Вход в позицию
+                    </label>
+                    <select
+                      value={formData.entryMode || 'market'}
+                      onChange={(e) => setFormData({...formData, entryMode: e.target.value})}
+                      className="input-field w-full"
+                    >
+                      <option value="market">По рынку</option>
+                      <option value="limit_zone">Лимитные ордера в зоне входа</option>
+                    </select>
+                    {formData.entryMode === 'limit_zone' && (
+                      <div className="grid grid-cols-2 gap-2 mt-2">
+                        <input
+                          type="number"
+                          value={formData.entryOrdersCount}
+                          onChange={(e) => setFormData({...formData, entryOrdersCount: e.target.value})}
+                          className="input-field w-full"
+                          min="1"
+                          max="10"
+                          placeholder="Ордеров (по умолчанию 3)"
+                        />
+                        <input
+                          type="number"
+                          value={formData.entryOrderTimeoutMinutes}
+                          onChange={(e) => setFormData({...formData, entryOrderTimeoutMinutes: e.target.value})}
+                          className="input-field w-full"
+                          min="1"
+                          placeholder="Отмена через, мин (60)"
+                        />
+                      </div>
+                    )}
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      Неисполненные лимитные ордера отменяются по таймауту, TP/SL ставятся на исполненный объём
+                    </p>
+                  </div>
+                )}
+
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      Размер позиции
+                    </label>
+                    <select
+                      value={formData.sizingStrategy || 'fixed_percent'}
+                      onChange={(e) => setFormData({...formData, sizingStrategy: e.target.value, sizingValue: ''})}
+                      className="input-field w-full"
+                    >
+                      <option value="fixed_percent">% от баланса</option>
+                      <option value="fixed_margin">Фиксированная маржа (USDT)</option>
+                      <option value="risk_percent">Риск % до стоп-лосса</option>
+                      <option value="volatility">Риск % с учётом волатильности (ATR)</option>
+                    </select>
+                    {['fixed_percent', 'fixed_margin'].includes(formData.sizingStrategy) && (
+                      <input
+                        type="number"
+                        value={formData.sizingValue}
+                        onChange={(e) => setFormData({...formData, sizingValue: e.target.value})}
+                        className="input-field w-full mt-2"
+                        min="0.01"
+                        step="0.01"
+                        placeholder={formData.sizingStrategy === 'fixed_margin' ? 'Маржа, USDT (по умолчанию 10)' : '% баланса (по умолчанию 10)'}
+                      />
+                    )}
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      Риск-стратегии используют «Процент риска»; маржа всегда ограничена максимальным размером позиции
+                    </p>
+                  </div>
+                )}
+
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      Ведение стопа
+                    </label>
+                    <select
+                      value={formData.stopMode || 'breakeven'}
+                      onChange={(e) => setFormData({...formData, stopMode: e.target.value, trailingValue: ''})}
+                      className="input-field w-full"
+                    >
+                      <option value="breakeven">Безубыток после TP</option>
+                      <option value="step">Ступенчатый (на предыдущий TP)</option>
+                      <option value="trailing_percent">Трейлинг, % от цены</option>
+                      <option value="trailing_atr">Трейлинг по ATR</option>
+                      <option value="none">Не двигать</option>
+                    </select>
+                    <div className="grid grid-cols-2 gap-2 mt-2">
+                      {formData.stopMode === 'breakeven' && (
+                        <select
+                          value={formData.breakevenAfterTp || 1}
+                          onChange={(e) => setFormData({...formData, breakevenAfterTp: e.target.value})}
+                          className="input-field w-full"
+                        >
+                          {[1, 2, 3, 4, 5].map(n => (
+                            <option key={n} value={n}>После TP{n}</option>
+                          ))}
+                        </select>
+                      )}
+                      {['trailing_percent', 'trailing_atr'].includes(formData.stopMode) && (
+                        <input
+                          type="number"
+                          value={formData.trailingValue}
+                          onChange={(e) => setFormData({...formData, trailingValue: e.target.value})}
+                          className="input-field w-full"
+                          min="0.01"
+                          step="0.01"
+                          placeholder={formData.stopMode === 'trailing_atr' ? 'Множитель ATR (2)' : 'Отступ, % (1)'}
+                        />
+                      )}
+                      <input
+                        type="number"
+                        value={formData.maxPositionMinutes}
+                        onChange={(e) => setFormData({...formData, maxPositionMinutes: e.target.value})}
+                        className="input-field w-full"
+                        min="1"
+                        placeholder="Закрыть через, мин"
+                      />
+                    </div>
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      Стоп только подтягивается; по истечении времени позиция закрывается по рынку
+                    </p>
+                  </div>
+                )}
+
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      Режим торговли
+                    </label>
+                    <select
+                      value={formData.tradingMode || 'live'}
+                      onChange={(e) => setFormData({...formData, tradingMode: e.target.value})}
+                      className="input-field w-full"
+                    >
+                      <option value="live">Реальная торговля (BingX)</option>
+                      <option value="paper">Paper trading (симулятор)</option>
+                    </select>
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      В режиме paper ордера исполняются на виртуальном балансе по текущим ценам; открытые позиции остаются на своём счёте
+                    </p>
+                  </div>
+                )}
+
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      Отредактированные посты
+                    </label>
+                    <select
+                      value={formData.editHandling || 'update_pending'}
+                      onChange={(e) => setFormData({...formData, editHandling: e.target.value})}
+                      className="input-field w-full"
+                    >
+                      <option value="record">Только записывать изменения</option>
+                      <option value="update_pending">Обновлять неисполненные сигналы</option>
+                      <option value="sync_position">Обновлять сигналы и SL/TP открытых позиций</option>
+                    </select>
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      Правка поста сравнивается с исходным сигналом; изменения полей сохраняются в истории сигнала
+                    </p>
+                  </div>
+                )}
+
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      Повторы сигналов других каналов
+                    </label>
+                    <select
+                      value={formData.duplicatePolicy || 'ignore'}
+                      onChange={(e) => setFormData({...formData, duplicatePolicy: e.target.value})}
+                      className="input-field w-full"
+                    >
+                      <option value="ignore">Помечать как дубликат и не исполнять</option>
+                      <option value="merge">Дополнять исходный сигнал недостающими уровнями</option>
+                      <option value="allow">Обрабатывать как обычный сигнал</option>
+                    </select>
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      Сигнал с той же монетой, направлением и уровнями, опубликованный другим каналом раньше, считается оригиналом
+                    </p>
+                  </div>
+                )}
+
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      Устаревание сигналов
+                    </label>
+                    <div className="grid grid-cols-3 gap-2">
+                      <input
+                        type="number"
+                        value={formData.signalTtlMinutes}
+                        onChange={(e) => setFormData({...formData, signalTtlMinutes: e.target.value})}
+                        className="input-field w-full"
+                        min="0"
+                        placeholder="Срок жизни, мин (240)"
+                      />
+                      <input
+                        type="number"
+                        value={formData.maxEntryDeviation}
+                        onChange={(e) => setFormData({...formData, maxEntryDeviation: e.target.value})}
+                        className="input-field w-full"
+                        min="0"
+                        step="0.01"
+                        placeholder="Отклонение от входа (2)"
+                      />
+                      <select
+                        value={formData.entryDeviationUnit || 'percent'}
+                        onChange={(e) => setFormData({...formData, entryDeviationUnit: e.target.value})}
+                        className="input-field w-full"
+                      >
+                        <option value="percent">% от входа</option>
+                        <option value="r">R (дистанция до SL)</option>
+                      </select>
+                    </div>
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      Перед исполнением сигнал переводится в «Истёк», если он старше срока, цена ушла от входа дальше допустимого или уже достигла TP1 / стоп-лосса. 0 отключает проверку, пустое поле — значение по умолчанию
+                    </p>
+                  </div>
+                )}
+
+                {editingChannel && (
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--text-primary)] mb-2">
+                      Согласование сигналов
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="number"
+                        value={formData.requiredApprovals}
+                        onChange={(e) => setFormData({...formData, requiredApprovals: e.target.value})}
+                        className="input-field w-full"
+                        min="1"
+                        max="10"
+                        placeholder="Подтверждений (1)"
+                      />
+                      <input
+                        type="number"
+                        value={formData.approvalTimeoutMinutes}
+                        onChange={(e) => setFormData({...formData, approvalTimeoutMinutes: e.target.value})}
+                        className="input-field w-full"
+                        min="0"
+                        placeholder="Ожидание, мин (60)"
+                      />
+                    </div>
+                    <input
+                      type="text"
+                      value={formData.approvers || ''}
+                      onChange={(e) => setFormData({...formData, approvers: e.target.value})}
+                      className="input-field w-full mt-2"
+                      placeholder="Согласующие через запятую (по умолчанию — все)"
+                    />
+                    <p className="text-xs text-[var(--text-secondary)] mt-1">
+                      Сигнал исполняется, когда его подтвердило нужное число разных согласующих; один отказ отклоняет сигнал, без подтверждений в срок он истекает. 0 — ждать без ограничения
+                    </p>
+                  </div>
+                )}
+
                 <div className="flex space-x-3 pt-4">
                   <button
                     type="button"
@@ -478,6 +1003,166 @@ function ChannelManager({ channels = [], onRefresh }) {
             </div>
           </div>
         )}
+
+        {/* Parsing Templates Modal */}
+        {templatesChannel && (
+          <div className="fixed inset-0 bg-black/50 flex items-start justify-center z-50 p-4 pt-10 overflow-y-auto">
+            <div className="card max-w-4xl w-full">
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-lg font-semibold text-[var(--text-primary)]">
+                  Шаблоны распознавания: {templatesChannel.name}
+                </h3>
+                <button
+                  onClick={() => setTemplatesChannel(null)}
+                  className="text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+                >
+                  <span className="text-xl">✕</span>
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {/* Template list + form */}
+                <div className="space-y-4">
+                  <div className="space-y-2">
+                    {templates.length === 0 && (
+                      <div className="text-sm text-[var(--text-secondary)]">Шаблонов пока нет</div>
+                    )}
+                    {templates.map(template => (
+                      <div key={template.id} className="flex items-center justify-between bg-[var(--surface-dark)] rounded-lg p-3 border border-[var(--border-color)]">
+                        <div>
+                          <div className="text-[var(--text-primary)] font-medium">{template.name}</div>
+                          <div className="text-xs text-[var(--text-secondary)]">
+                            {template.templateType === 'field_patterns' ? 'Шаблоны полей' : 'Пример (few-shot)'} · приоритет {template.priority}
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <button onClick={() => toggleTemplate(template)} className="text-xs px-2 py-1 rounded bg-[var(--background-dark)]">
+                            {template.isActive ? 'Вкл' : 'Выкл'}
+                          </button>
+                          <button onClick={() => editTemplate(template)} className="text-xs px-2 py-1 rounded bg-[var(--background-dark)]">✏️</button>
+                          <button onClick={() => deleteTemplate(template)} className="text-xs px-2 py-1 rounded bg-[var(--danger-color)]/10 text-[var(--danger-color)]">🗑️</button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="space-y-3 pt-4 border-t border-[var(--border-color)]">
+                    <h4 className="font-medium text-[var(--text-primary)]">
+                      {templateForm.id ? 'Редактирование шаблона' : 'Новый шаблон'}
+                    </h4>
+                    <input
+                      type="text"
+                      value={templateForm.name}
+                      onChange={(e) => setTemplateForm({...templateForm, name: e.target.value})}
+                      className="input-field w-full"
+                      placeholder="Название шаблона"
+                    />
+                    <div className="grid grid-cols-2 gap-2">
+                      <select
+                        value={templateForm.templateType}
+                        onChange={(e) => setTemplateForm({...templateForm, templateType: e.target.value})}
+                        className="input-field w-full"
+                        disabled={!!templateForm.id}
+                      >
+                        <option value="field_patterns">Шаблоны полей (regex)</option>
+                        <option value="few_shot">Пример (few-shot)</option>
+                      </select>
+                      <input
+                        type="number"
+                        value={templateForm.priority}
+                        onChange={(e) => setTemplateForm({...templateForm, priority: e.target.value})}
+                        className="input-field w-full"
+                        min="0"
+                        max="100"
+                        title="Приоритет"
+                      />
+                    </div>
+
+                    {templateForm.templateType === 'field_patterns' ? (
+                      <div>
+                        <label className="block text-xs text-[var(--text-secondary)] mb-1">
+                          JSON: поле → регулярное выражение с одной группой (coin, direction, leverage, entryPrice, entryPriceRange, takeProfitLevels, stopLoss, suggestedVolume, closePercentage)
+                        </label>
+                        <textarea
+                          value={templateForm.fieldPatternsText}
+                          onChange={(e) => setTemplateForm({...templateForm, fieldPatternsText: e.target.value})}
+                          className="input-field w-full font-mono text-xs"
+                          rows={8}
+                        />
+                      </div>
+                    ) : (
+                      <div className="space-y-2">
+                        <textarea
+                          value={templateForm.exampleMessage}
+                          onChange={(e) => setTemplateForm({...templateForm, exampleMessage: e.target.value})}
+                          className="input-field w-full text-sm"
+                          rows={5}
+                          placeholder="Пример сообщения канала"
+                        />
+                        <textarea
+                          value={templateForm.exampleOutputText}
+                          onChange={(e) => setTemplateForm({...templateForm, exampleOutputText: e.target.value})}
+                          className="input-field w-full font-mono text-xs"
+                          rows={6}
+                        />
+                      </div>
+                    )}
+
+                    <label className="flex items-center space-x-2 text-sm text-[var(--text-secondary)]">
+                      <input
+                        type="checkbox"
+                        checked={templateForm.isActive}
+                        onChange={(e) => setTemplateForm({...templateForm, isActive: e.target.checked})}
+                      />
+                      <span>Активен</span>
+                    </label>
+
+                    <div className="flex space-x-2">
+                      {templateForm.id && (
+                        <button
+                          onClick={() => setTemplateForm(emptyTemplateForm)}
+                          className="flex-1 px-4 py-2 bg-[var(--surface-dark)] text-[var(--text-secondary)] rounded-lg border border-[var(--border-color)]"
+                        >
+                          Отмена
+                        </button>
+                      )}
+                      <button onClick={saveTemplate} className="flex-1 btn-primary" disabled={!templateForm.name}>
+                        {templateForm.id ? 'Сохранить' : 'Добавить'}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Live preview */}
+                <div className="space-y-3">
+                  <h4 className="font-medium text-[var(--text-primary)]">Предпросмотр</h4>
+                  <textarea
+                    value={previewMessage}
+                    onChange={(e) => setPreviewMessage(e.target.value)}
+                    className="input-field w-full text-sm"
+                    rows={8}
+                    placeholder="Вставьте сообщение из канала"
+                  />
+                  <button onClick={runPreview} className="btn-secondary w-full" disabled={previewLoading || !previewMessage.trim()}>
+                    {previewLoading ? 'Распознаём...' : 'Проверить распознавание'}
+                  </button>
+                  {previewResult && (
+                    <div className="bg-[var(--surface-dark)] rounded-lg p-3 border border-[var(--border-color)] text-sm space-y-1">
+                      <div className="text-[var(--text-primary)]">
+                        {previewResult.isSignal ? '✅ Сигнал' : '⛔ Не сигнал'} · {previewResult.signalType} · {((previewResult.confidence || 0) * 100).toFixed(0)}%
+                        {previewResult.source && ` · ${previewResult.source === 'rules' ? 'правила' : 'LLM'}`}
+                      </div>
+                      <div className="text-xs text-[var(--text-secondary)]">{previewResult.reasoning}</div>
+                      <pre className="text-xs text-[var(--text-secondary)] whitespace-pre-wrap">
+                        {JSON.stringify(previewResult.extractedData || {}, null, 2)}
+                      </pre>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     );
   } catch (error) {
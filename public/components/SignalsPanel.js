@@ -4,6 +4,16 @@ function SignalsPanel({ signals = [], onRefresh }) {
   const [showDetailsModal, setShowDetailsModal] = React.useState(false);
   const [selectedSignal, setSelectedSignal] = React.useState(null);
   const [viewMode, setViewMode] = React.useState('cards'); // 'cards' or 'table'
+  const [signalActions, setSignalActions] = React.useState([]);
+  const [signalEdits, setSignalEdits] = React.useState([]);
+  const [signalThread, setSignalThread] = React.useState([]);
+  const [correctionForm, setCorrectionForm] = React.useState(null);
+  const [signalGroup, setSignalGroup] = React.useState([]);
+  const [signalOriginal, setSignalOriginal] = React.useState(null);
+  const [signalPosition, setSignalPosition] = React.useState(null);
+  const [signalApproval, setSignalApproval] = React.useState(null);
+  // Токен из APPROVER_TOKENS: по нему сервер определяет, кто подтверждает сигнал
+  const [approverToken, setApproverToken] = React.useState(() => localStorage.getItem('approverToken') || '');
 
   // API call function
   const apiCall = async (endpoint, options = {}) => {
@@ -12,6 +22,7 @@ function SignalsPanel({ signals = [], onRefresh }) {
         method: options.method || 'GET',
         headers: {
           'Content-Type': 'application/json',
+          ...(approverToken ? { Authorization: `Bearer ${approverToken}` } : {}),
           ...options.headers
         },
         body: options.body ? JSON.stringify(options.body) : undefined
@@ -44,6 +55,35 @@ function SignalsPanel({ signals = [], onRefresh }) {
     }
   };
 
+  // Approve signal; it is executed once the channel has enough approvals
+  const approveSignal = async (signalId) => {
+    try {
+      const resp = await apiCall(`/signals/${signalId}/approve`, { method: 'POST' });
+      const approved = resp.data.status === 'approved';
+      const message = approved
+        ? 'Сигнал подтверждён и отправлен на исполнение'
+        : `Подтверждение учтено, нужно ещё: ${resp.data.approval.remaining}`;
+      if (typeof window !== 'undefined' && window.showNotification) {
+        window.showNotification(message, 'success');
+      } else {
+        alert(`✅ ${message}`);
+      }
+      if (onRefresh) onRefresh();
+    } catch (error) {
+      console.error('Failed to approve signal:', error);
+      alert('Ошибка при подтверждении сигнала');
+    }
+  };
+
+  const saveApproverToken = (token) => {
+    setApproverToken(token);
+    if (token) {
+      localStorage.setItem('approverToken', token);
+    } else {
+      localStorage.removeItem('approverToken');
+    }
+  };
+
   // Ignore signal
   const ignoreSignal = async (signalId) => {
     try {
@@ -56,9 +96,122 @@ function SignalsPanel({ signals = [], onRefresh }) {
   };
 
   // Show signal details
-  const showSignalDetails = (signal) => {
+  const showSignalDetails = async (signal) => {
     setSelectedSignal(signal);
+    setSignalActions([]);
+    setSignalEdits([]);
+    setSignalThread([]);
+    setSignalGroup([]);
+    setSignalOriginal(null);
+    setSignalPosition(null);
+    setSignalApproval(null);
+    setCorrectionForm(null);
     setShowDetailsModal(true);
+
+    // Действия по позиции и ветка ответов
+    try {
+      const resp = await apiCall(`/signals/${signal.id}`);
+      setSignalActions(resp?.data?.actions || []);
+      setSignalEdits(resp?.data?.edits || []);
+      setSignalThread(resp?.data?.thread || []);
+      setSignalGroup(resp?.data?.group || []);
+      setSignalOriginal(resp?.data?.original || null);
+      setSignalPosition(resp?.data?.position || null);
+      setSignalApproval(resp?.data?.approval || null);
+    } catch (error) {
+      console.error('Failed to load signal details:', error);
+    }
+  };
+
+  // Сигналы из одного сообщения подтверждаются или игнорируются вместе
+  const updateSignalGroup = async (groupId, action) => {
+    try {
+      const resp = await apiCall(`/signals/groups/${groupId}/${action}`, { method: 'POST' });
+      if (typeof window !== 'undefined' && window.showNotification) {
+        window.showNotification(
+          action === 'approve'
+            ? `Подтверждено сигналов: ${resp.data.signals.filter(item => item.status === 'approved').length} из ${resp.data.signals.length}`
+            : `Проигнорировано сигналов: ${resp.data.signals.length}`,
+          'success'
+        );
+      }
+      setShowDetailsModal(false);
+      if (onRefresh) onRefresh();
+    } catch (error) {
+      console.error('Failed to update signal group:', error);
+      alert('Ошибка при обработке группы сигналов');
+    }
+  };
+
+  // Исправление распознанных полей перед подтверждением
+  const startCorrection = (signal) => {
+    setCorrectionForm({
+      coin: signal.coin || '',
+      direction: signal.direction || '',
+      leverage: signal.leverage || '',
+      entryPrice: signal.entryPrice || '',
+      stopLoss: signal.stopLoss || '',
+      takeProfitLevels: (signal.takeProfitLevels || []).join(', ')
+    });
+  };
+
+  const saveCorrection = async () => {
+    const toNumber = (value) => (value === '' || value === null ? null : Number(value));
+    const body = {
+      coin: correctionForm.coin || undefined,
+      direction: correctionForm.direction || null,
+      leverage: toNumber(correctionForm.leverage),
+      entryPrice: toNumber(correctionForm.entryPrice),
+      stopLoss: toNumber(correctionForm.stopLoss),
+      takeProfitLevels: correctionForm.takeProfitLevels
+        .split(/[,\s]+/)
+        .filter(Boolean)
+        .map(Number)
+    };
+
+    try {
+      const resp = await apiCall(`/signals/${selectedSignal.id}`, { method: 'PATCH', body });
+      setSelectedSignal({ ...selectedSignal, ...resp.data.signal });
+      setCorrectionForm(null);
+      if (typeof window !== 'undefined' && window.showNotification) {
+        window.showNotification('Сигнал исправлен', 'success');
+      }
+      if (onRefresh) onRefresh();
+    } catch (error) {
+      console.error('Failed to correct signal:', error);
+      alert('Ошибка при сохранении исправлений');
+    }
+  };
+
+  const stopModeLabels = {
+    none: 'Не двигается',
+    breakeven: 'Безубыток после TP',
+    step: 'Ступенчатый',
+    trailing_percent: 'Трейлинг, %',
+    trailing_atr: 'Трейлинг по ATR'
+  };
+
+  const actionTypeLabels = {
+    move_stop_loss: 'Перенос стоп-лосса',
+    replace_take_profits: 'Замена тейк-профитов',
+    close: 'Закрытие позиции',
+    partial_close: 'Частичное закрытие',
+    none: 'Нет действия'
+  };
+
+  const editOutcomeLabels = {
+    recorded: 'Записано',
+    updated: 'Сигнал обновлён',
+    sync_queued: 'Обновление позиции',
+    synced: 'Позиция обновлена',
+    sync_skipped: 'Позиция не изменена',
+    sync_failed: 'Ошибка обновления позиции'
+  };
+
+  const actionStatusLabels = {
+    executed: 'Выполнено',
+    skipped: 'Пропущено',
+    failed: 'Ошибка'
   };
 
   // Cleanup old signals
@@ -248,7 +401,10 @@ function SignalsPanel({ signals = [], onRefresh }) {
                   }`}>
                     {signal.status === 'pending' ? 'Ожидает' :
                      signal.status === 'executed' ? 'Выполнен' :
-                     signal.status === 'failed' ? 'Провален' : signal.status}
+                     signal.status === 'failed' ? 'Провален' :
+                     signal.status === 'imported' ? 'Из истории' :
+                     signal.status === 'duplicate' ? 'Дубликат' :
+                     signal.status === 'expired' ? 'Истёк' : signal.status}
                   </div>
                 </div>
 
@@ -374,7 +530,10 @@ function SignalsPanel({ signals = [], onRefresh }) {
                         }`}>
                           {signal.status === 'pending' ? 'Ожидает' :
                            signal.status === 'executed' ? 'Выполнен' :
-                           signal.status === 'failed' ? 'Провален' : signal.status}
+                           signal.status === 'failed' ? 'Провален' :
+                           signal.status === 'imported' ? 'Из истории' :
+                           signal.status === 'duplicate' ? 'Дубликат' :
+                           signal.status === 'expired' ? 'Истёк' : signal.status}
                         </span>
                       </td>
                       <td className="px-4 py-4 whitespace-nowrap text-sm text-[var(--text-secondary)]">
@@ -482,9 +641,18 @@ function SignalsPanel({ signals = [], onRefresh }) {
                         }`}>
                           {selectedSignal.status === 'pending' ? 'Ожидает' :
                            selectedSignal.status === 'executed' ? 'Выполнен' :
-                           selectedSignal.status === 'failed' ? 'Провален' : selectedSignal.status}
+                           selectedSignal.status === 'failed' ? 'Провален' :
+                           selectedSignal.status === 'imported' ? 'Из истории' :
+                           selectedSignal.status === 'duplicate' ? 'Дубликат' :
+                           selectedSignal.status === 'expired' ? 'Истёк' : selectedSignal.status}
                         </span>
                       </div>
+                      {selectedSignal.expiry && (
+                        <div className="flex justify-between">
+                          <span className="text-[var(--text-secondary)]">Причина истечения:</span>
+                          <span className="text-[var(--text-primary)] font-medium text-right">{selectedSignal.expiry.reason}</span>
+                        </div>
+                      )}
                       <div className="flex justify-between">
                         <span className="text-[var(--text-secondary)]">Время получения:</span>
                         <span className="text-[var(--text-primary)] font-medium">{formatDateTime(selectedSignal.processedAt || selectedSignal.createdAt)}</span>
@@ -499,6 +667,14 @@ function SignalsPanel({ signals = [], onRefresh }) {
                         <span className="text-[var(--text-secondary)]">Цена входа:</span>
                         <span className="text-[var(--text-primary)] font-medium">${formatPrice(selectedSignal.entryPrice)}</span>
                       </div>
+                      {Array.isArray(selectedSignal.entryPriceRange) && selectedSignal.entryPriceRange.length === 2 && (
+                        <div className="flex justify-between">
+                          <span className="text-[var(--text-secondary)]">Зона входа:</span>
+                          <span className="text-[var(--text-primary)] font-medium">
+                            ${formatPrice(selectedSignal.entryPriceRange[0])} – ${formatPrice(selectedSignal.entryPriceRange[1])}
+                          </span>
+                        </div>
+                      )}
                       {selectedSignal.takeProfitLevels && Array.isArray(selectedSignal.takeProfitLevels) && selectedSignal.takeProfitLevels.length > 0 && (
                         <div>
                           <span className="text-[var(--text-secondary)]">Цели:</span>
@@ -545,6 +721,134 @@ function SignalsPanel({ signals = [], onRefresh }) {
                   </div>
                 </div>
 
+                {/* Original of a reposted signal */}
+                {signalOriginal && (
+                  <div>
+                    <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">Повтор сигнала другого канала</h4>
+                    <button
+                      onClick={() => showSignalDetails(signalOriginal)}
+                      className="w-full text-left bg-[var(--surface-dark)] rounded-lg p-3 border border-[var(--border-color)] hover:border-[var(--primary-color)]"
+                    >
+                      <div className="flex justify-between items-center">
+                        <span className="text-[var(--text-primary)] font-medium">
+                          {signalOriginal.channelName} · {signalOriginal.coin} {signalOriginal.direction}
+                        </span>
+                        <span className="text-sm text-[var(--text-secondary)]">
+                          совпадение {Math.round((selectedSignal.duplicateScore || 0) * 100)}%
+                        </span>
+                      </div>
+                      <div className="text-xs text-[var(--text-secondary)] mt-1">
+                        {formatDateTime(signalOriginal.messageTimestamp)}
+                      </div>
+                    </button>
+                  </div>
+                )}
+
+                {/* Approval policy of the channel and decisions so far */}
+                {signalApproval && (selectedSignal.status === 'pending' || signalApproval.history.length > 0) && (
+                  <div>
+                    <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">Согласование</h4>
+                    <div className="space-y-3">
+                      <div className="flex justify-between">
+                        <span className="text-[var(--text-secondary)]">Подтверждения:</span>
+                        <span className="text-[var(--text-primary)] font-medium">
+                          {signalApproval.approvedBy.length} из {signalApproval.requiredApprovals}
+                        </span>
+                      </div>
+                      {signalApproval.approvers.length > 0 && (
+                        <div className="flex justify-between">
+                          <span className="text-[var(--text-secondary)]">Согласующие:</span>
+                          <span className="text-[var(--text-primary)] font-medium">{signalApproval.approvers.join(', ')}</span>
+                        </div>
+                      )}
+                      {selectedSignal.status === 'pending' && signalApproval.expiresAt && (
+                        <div className="flex justify-between">
+                          <span className="text-[var(--text-secondary)]">Ожидает до:</span>
+                          <span className="text-[var(--text-primary)] font-medium">{formatDateTime(signalApproval.expiresAt)}</span>
+                        </div>
+                      )}
+                      {signalApproval.history.map((entry) => (
+                        <div key={entry.id} className="flex justify-between text-sm bg-[var(--surface-dark)] rounded-lg p-3 border border-[var(--border-color)]">
+                          <span className="text-[var(--text-primary)]">
+                            {entry.decision === 'approved' ? '✅' : entry.decision === 'rejected' ? '⛔' : '⌛'} {entry.approver}
+                            {entry.comment ? ` — ${entry.comment}` : ''}
+                          </span>
+                          <span className="text-[var(--text-secondary)]">{formatDateTime(entry.createdAt)}</span>
+                        </div>
+                      ))}
+                      {selectedSignal.status === 'pending' && (
+                        <input
+                          type="password"
+                          value={approverToken}
+                          onChange={(e) => saveApproverToken(e.target.value)}
+                          className="input-field w-full"
+                          placeholder="Токен согласующего (если на сервере заданы APPROVER_TOKENS)"
+                        />
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {/* Chart image of the post */}
+                {selectedSignal.image && selectedSignal.image.path && (
+                  <div>
+                    <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">Изображение</h4>
+                    <a href={`/api/signals/${selectedSignal.id}/image`} target="_blank" rel="noopener noreferrer">
+                      <img
+                        src={`/api/signals/${selectedSignal.id}/image`}
+                        alt="График сигнала"
+                        className="max-h-96 rounded-lg border border-[var(--border-color)]"
+                      />
+                    </a>
+                    <div className="text-xs text-[var(--text-secondary)] mt-2">
+                      {selectedSignal.image.engine
+                        ? `Распознано: ${selectedSignal.image.engine === 'vision' ? 'vision-модель' : 'OCR'} (${selectedSignal.image.provider})`
+                        : `Не распознано${selectedSignal.image.error ? `: ${selectedSignal.image.error}` : ''}`}
+                    </div>
+                  </div>
+                )}
+
+                {/* Signals from the same message */}
+                {signalGroup.length > 1 && (
+                  <div>
+                    <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">
+                      Сигналы из этого сообщения ({signalGroup.length})
+                    </h4>
+                    <div className="space-y-2">
+                      {signalGroup.map((item) => (
+                        <div
+                          key={item.id}
+                          className={`flex items-center justify-between bg-[var(--surface-dark)] rounded-lg p-3 border ${
+                            item.id === selectedSignal.id ? 'border-[var(--primary-color)]' : 'border-[var(--border-color)]'
+                          }`}
+                        >
+                          <div className="text-sm text-[var(--text-primary)]">
+                            {item.coin || '—'} {item.direction || ''}
+                            {item.entryPrice ? ` @ ${item.entryPrice}` : ''}
+                          </div>
+                          <div className="text-xs text-[var(--text-secondary)]">{item.status}</div>
+                        </div>
+                      ))}
+                    </div>
+                    {signalGroup.some(item => item.status === 'pending') && (
+                      <div className="flex justify-end space-x-3 mt-3">
+                        <button
+                          onClick={() => updateSignalGroup(selectedSignal.groupId, 'approve')}
+                          className="px-4 py-2 bg-[var(--secondary-color)]/10 text-[var(--secondary-color)] rounded-lg hover:bg-[var(--secondary-color)]/20 transition-colors"
+                        >
+                          Подтвердить все
+                        </button>
+                        <button
+                          onClick={() => updateSignalGroup(selectedSignal.groupId, 'ignore')}
+                          className="px-4 py-2 bg-[var(--danger-color)]/10 text-[var(--danger-color)] rounded-lg hover:bg-[var(--danger-color)]/20 transition-colors"
+                        >
+                          Игнорировать все
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Analysis Results */}
                 {selectedSignal.parsedData && typeof selectedSignal.parsedData === 'object' && (
                   <div>
@@ -574,6 +878,210 @@ function SignalsPanel({ signals = [], onRefresh }) {
                   </div>
                 )}
 
+                {/* Reply Thread */}
+                {signalThread.length > 1 && (
+                  <div>
+                    <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">Ветка сообщений</h4>
+                    <div className="space-y-2">
+                      {signalThread.map((item) => (
+                        <div
+                          key={item.id}
+                          className={`rounded-lg p-3 border ${
+                            item.id === selectedSignal.id
+                              ? 'border-[var(--primary-color)] bg-[var(--background-dark)]'
+                              : 'border-[var(--border-color)] bg-[var(--surface-dark)]'
+                          }`}
+                          style={{ marginLeft: `${Math.min(item.depth || 0, 4) * 16}px` }}
+                        >
+                          <div className="flex justify-between text-sm">
+                            <span className="text-[var(--text-primary)] font-medium">
+                              {item.signalType} · {item.coin || '—'} {item.direction || ''}
+                            </span>
+                            <span className="text-[var(--text-secondary)]">{formatDateTime(item.messageTimestamp)}</span>
+                          </div>
+                          <div className="text-sm text-[var(--text-secondary)] mt-1 whitespace-pre-wrap">
+                            {(item.rawMessage || '').substring(0, 200)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Stop Management */}
+                {signalPosition?.stop_management && (() => {
+                  const stop = signalPosition.stop_management;
+                  return (
+                    <div>
+                      <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">Управление стопом</h4>
+                      <div className="grid grid-cols-2 gap-4 text-sm">
+                        <div>
+                          <span className="text-[var(--text-secondary)]">Режим:</span>
+                          <span className="text-[var(--text-primary)] ml-2">
+                            {stopModeLabels[stop.mode] || stop.mode}
+                            {stop.mode === 'breakeven' && stop.breakevenAfterTp ? stop.breakevenAfterTp : ''}
+                            {stop.trailingValue ? ` (${stop.trailingValue}${stop.mode === 'trailing_percent' ? '%' : '× ATR'})` : ''}
+                          </span>
+                        </div>
+                        <div>
+                          <span className="text-[var(--text-secondary)]">Текущий стоп:</span>
+                          <span className="text-[var(--text-primary)] ml-2">{stop.stopPrice ?? '—'}</span>
+                        </div>
+                        <div>
+                          <span className="text-[var(--text-secondary)]">Исполнено TP:</span>
+                          <span className="text-[var(--text-primary)] ml-2">{stop.tpsFilled || 0} из {(stop.tpLevels || []).length}</span>
+                        </div>
+                        <div>
+                          <span className="text-[var(--text-secondary)]">Статус:</span>
+                          <span className={`ml-2 ${stop.active ? 'text-[var(--secondary-color)]' : 'text-[var(--text-secondary)]'}`}>
+                            {stop.active ? 'Отслеживается' : (stop.closedBy === 'time_exit' ? 'Закрыта по времени' : 'Завершено')}
+                          </span>
+                        </div>
+                        {stop.highWaterMark && ['trailing_percent', 'trailing_atr'].includes(stop.mode) && (
+                          <div>
+                            <span className="text-[var(--text-secondary)]">Лучшая цена:</span>
+                            <span className="text-[var(--text-primary)] ml-2">{stop.highWaterMark}</span>
+                          </div>
+                        )}
+                        {stop.closeAt && (
+                          <div>
+                            <span className="text-[var(--text-secondary)]">Закрытие по времени:</span>
+                            <span className="text-[var(--text-primary)] ml-2">{formatDateTime(stop.closeAt)}</span>
+                          </div>
+                        )}
+                      </div>
+                      {(stop.history || []).length > 0 && (
+                        <div className="space-y-1 mt-3">
+                          {stop.history.map((move, idx) => (
+                            <div key={idx} className="text-xs text-[var(--text-secondary)]">
+                              {formatDateTime(move.at)}: {move.from ?? '—'} → {move.to} ({move.reason})
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
+
+                {/* Position Actions */}
+                {signalActions.length > 0 && (
+                  <div>
+                    <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">Действия по позиции</h4>
+                    <div className="space-y-2">
+                      {signalActions.map((action) => (
+                        <div key={action.id} className="bg-[var(--surface-dark)] rounded-lg p-3 border border-[var(--border-color)]">
+                          <div className="flex justify-between items-center">
+                            <span className="text-[var(--text-primary)] font-medium">
+                              {actionTypeLabels[action.actionType] || action.actionType}
+                            </span>
+                            <span className={`text-sm font-medium ${
+                              action.status === 'executed' ? 'text-[var(--secondary-color)]' :
+                              action.status === 'failed' ? 'text-[var(--danger-color)]' :
+                              'text-[var(--text-secondary)]'
+                            }`}>
+                              {actionStatusLabels[action.status] || action.status}
+                            </span>
+                          </div>
+                          {action.reason && (
+                            <div className="text-sm text-[var(--text-secondary)] mt-1">{action.reason}</div>
+                          )}
+                          <div className="text-xs text-[var(--text-secondary)] mt-1">{formatDateTime(action.createdAt)}</div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Post Edits */}
+                {signalEdits.length > 0 && (
+                  <div>
+                    <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">Правки поста</h4>
+                    <div className="space-y-2">
+                      {signalEdits.map((edit) => (
+                        <div key={edit.id} className="bg-[var(--surface-dark)] rounded-lg p-3 border border-[var(--border-color)]">
+                          <div className="flex justify-between items-center">
+                            <span className="text-[var(--text-primary)] font-medium">
+                              {formatDateTime(edit.editedAt || edit.createdAt)}
+                            </span>
+                            <span className={`text-sm font-medium ${
+                              edit.outcome === 'synced' || edit.outcome === 'updated' ? 'text-[var(--secondary-color)]' :
+                              edit.outcome === 'sync_failed' ? 'text-[var(--danger-color)]' :
+                              'text-[var(--text-secondary)]'
+                            }`}>
+                              {editOutcomeLabels[edit.outcome] || edit.outcome}
+                            </span>
+                          </div>
+                          {Object.entries(edit.changes || {}).map(([field, change]) => (
+                            <div key={field} className="text-sm text-[var(--text-secondary)] mt-1">
+                              {field}: {JSON.stringify(change.from)} → {JSON.stringify(change.to)}
+                            </div>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Correction Form */}
+                {correctionForm && (
+                  <div>
+                    <h4 className="text-lg font-medium text-[var(--text-primary)] mb-4">Исправление сигнала</h4>
+                    <div className="grid grid-cols-2 gap-3">
+                      {[
+                        ['coin', 'Монета'],
+                        ['leverage', 'Плечо'],
+                        ['entryPrice', 'Цена входа'],
+                        ['stopLoss', 'Стоп-лосс']
+                      ].map(([field, label]) => (
+                        <div key={field}>
+                          <label className="block text-sm text-[var(--text-secondary)] mb-1">{label}</label>
+                          <input
+                            type="text"
+                            value={correctionForm[field]}
+                            onChange={(e) => setCorrectionForm({ ...correctionForm, [field]: e.target.value })}
+                            className="input-field w-full"
+                          />
+                        </div>
+                      ))}
+                      <div>
+                        <label className="block text-sm text-[var(--text-secondary)] mb-1">Направление</label>
+                        <select
+                          value={correctionForm.direction}
+                          onChange={(e) => setCorrectionForm({ ...correctionForm, direction: e.target.value })}
+                          className="input-field w-full"
+                        >
+                          <option value="">—</option>
+                          <option value="LONG">LONG</option>
+                          <option value="SHORT">SHORT</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm text-[var(--text-secondary)] mb-1">Тейк-профиты (через запятую)</label>
+                        <input
+                          type="text"
+                          value={correctionForm.takeProfitLevels}
+                          onChange={(e) => setCorrectionForm({ ...correctionForm, takeProfitLevels: e.target.value })}
+                          className="input-field w-full"
+                        />
+                      </div>
+                    </div>
+                    <p className="text-xs text-[var(--text-secondary)] mt-2">
+                      Исправления сохраняются и используются как примеры при распознавании сообщений этого канала
+                    </p>
+                    <div className="flex justify-end space-x-3 mt-3">
+                      <button
+                        onClick={() => setCorrectionForm(null)}
+                        className="px-4 py-2 bg-[var(--surface-dark)] text-[var(--text-secondary)] rounded-lg border border-[var(--border-color)] hover:bg-[var(--background-dark)] transition-colors"
+                      >
+                        Отмена
+                      </button>
+                      <button onClick={saveCorrection} className="btn-primary px-4 py-2">
+                        Сохранить исправления
+                      </button>
+                    </div>
+                  </div>
+                )}
+
                 {/* Confidence Score */}
                 {selectedSignal.confidenceScore && (
                   <div>
@@ -605,6 +1113,23 @@ function SignalsPanel({ signals = [], onRefresh }) {
                   </button>
                   {selectedSignal.status === 'pending' && (
                     <>
+                      {!correctionForm && (
+                        <button
+                          onClick={() => startCorrection(selectedSignal)}
+                          className="px-6 py-2 bg-[var(--primary-color)]/10 text-[var(--primary-color)] rounded-lg hover:bg-[var(--primary-color)]/20 transition-colors"
+                        >
+                          Исправить
+                        </button>
+                      )}
+                      <button
+                        onClick={() => {
+                          approveSignal(selectedSignal.id);
+                          setShowDetailsModal(false);
+                        }}
+                        className="px-6 py-2 bg-[var(--secondary-color)]/10 text-[var(--secondary-color)] rounded-lg hover:bg-[var(--secondary-color)]/20 transition-colors"
+                      >
+                        Подтвердить
+                      </button>
                       <button
                         onClick={() => {
                           executeSignal(selectedSignal.id);
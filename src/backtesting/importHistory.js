@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keep recognition logs out of the report unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const SignalFeedService = require('../services/signalFeedService');
+const HistoryImportService = require('../services/historyImportService');
+
+const USAGE = `Usage: npm run import-history -- --export <file> [options]
+
+Options:
+  --export <file>       Telegram Desktop chat export (result.json)
+  --channel <id>        channel the signals belong to (default: matched by the export's chat id)
+  --from <date>         first message date (ISO)
+  --to <date>           last message date (ISO)
+  --json                print the raw report as JSON
+
+Messages go through the channel's templates and LLM providers, like live ones.
+Signals are stored with status "imported" and are never executed.
+`;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--export': args.export = argv[++i]; break;
+      case '--channel': args.channelId = argv[++i]; break;
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--json': args.json = true; break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!args.export) throw new Error('--export is required');
+
+  const exportPath = path.resolve(args.export);
+  if (!fs.existsSync(exportPath)) throw new Error(`${exportPath} not found`);
+  const exportData = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+
+  const signalFeed = new SignalFeedService();
+  await signalFeed.signalRecognition.initialize();
+
+  const historyImport = new HistoryImportService(signalFeed);
+  const report = await historyImport.importExport(exportData, {
+    channelId: args.channelId || null,
+    from: args.from || null,
+    to: args.to || null,
+    actor: process.env.USER || null,
+    source: 'system'
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`\n📥 ${report.channelName}: ${report.messages} messages`);
+  console.log(`  Imported signals: ${report.signals}`);
+  console.log(`  Not signals: ${report.notSignals}, already imported: ${report.alreadyImported}`);
+  if (report.failed.length > 0) {
+    console.log(`  Failed: ${report.failed.length}`);
+    report.failed.forEach(f => console.log(`    #${f.messageId}: ${f.error}`));
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Import failed:', error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+  })
+  .finally(() => require('../database/connection').pool.end());
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keep sizing and execution logs out of the report unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const BacktestService = require('../services/backtestService');
+
+const USAGE = `Usage: npm run backtest -- --candles <file|dir> [options]
+
+Options:
+  --candles <path>      OHLCV candles: JSON / CSV file or a directory with one file per symbol
+  --channel <id>        channel whose stored entry signals are replayed (repeatable);
+                        with --export, the channel whose settings are used
+  --export <file>       Telegram Desktop chat export (result.json) instead of stored signals
+  --from <date>         first signal date (ISO)
+  --to <date>           last signal date (ISO)
+  --balance <usdt>      initial balance per channel (default: BACKTEST_INITIAL_BALANCE or 1000)
+  --fee <rate>          fee per fill, e.g. 0.0005 (default: PAPER_FEE_RATE)
+  --save                store the run in the backtests table
+  --trades              print every trade
+  --json                print the raw report as JSON
+`;
+
+function parseArgs(argv) {
+  const args = { channelIds: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--candles': args.candles = argv[++i]; break;
+      case '--channel': args.channelIds.push(argv[++i]); break;
+      case '--export': args.export = argv[++i]; break;
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--balance': args.initialBalance = parseFloat(argv[++i]); break;
+      case '--fee': args.feeRate = parseFloat(argv[++i]); break;
+      case '--save': args.save = true; break;
+      case '--trades': args.trades = true; break;
+      case '--json': args.json = true; break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+const num = (value, digits = 2) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+const pct = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+const date = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 16);
+
+function printReport(report, showTrades) {
+  console.log(`\n📈 Backtest: initial balance ${report.initialBalance} USDT per channel, fee ${report.feeRate}`);
+
+  report.channels.forEach((c) => {
+    console.log(`\n${c.channelName || c.channelId}`);
+    console.log(`  Signals: ${c.signals}, trades: ${c.tradeCount}, skipped: ${c.skipped.length}`);
+    console.log(`  Win rate: ${pct(c.winRate)} (${c.wins} / ${c.losses}), profit factor: ${num(c.profitFactor)}`);
+    console.log(`  Expectancy: ${num(c.expectancy)} USDT per trade (${num(c.expectancyR)} R)`);
+    console.log(`  PnL: ${num(c.totalPnl)} USDT (${num(c.returnPercent)}%), final balance ${num(c.finalBalance)}`);
+    console.log(`  Max drawdown: ${num(c.maxDrawdown)} USDT (${num(c.maxDrawdownPercent)}%)`);
+
+    const reasons = c.skipped.reduce((acc, s) => ({ ...acc, [s.reason]: (acc[s.reason] || 0) + 1 }), {});
+    if (c.skipped.length > 0) {
+      console.log(`  Skipped: ${Object.entries(reasons).map(([reason, count]) => `${reason} ${count}`).join(', ')}`);
+    }
+
+    if (showTrades) {
+      c.trades.forEach((t) => {
+        const status = t.pnl > 0 ? '✅' : '❌';
+        console.log(`  ${status} ${date(t.entryTime)} ${t.symbol} ${t.direction} @ ${t.entryPrice} → ${t.exitReason} ` +
+          `${date(t.exitTime)}: ${num(t.pnl)} USDT${t.rMultiple !== null ? ` (${num(t.rMultiple)} R)` : ''}`);
+      });
+    }
+  });
+
+  const { totals } = report;
+  console.log(`\nTotal: ${totals.trades} trades, win rate ${pct(totals.trades > 0 ? totals.wins / totals.trades : null)}, ` +
+    `PnL ${num(totals.totalPnl)} USDT`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!args.candles) throw new Error('--candles is required');
+  if (args.channelIds.length === 0 && !args.export) throw new Error('--channel or --export is required');
+
+  const candlesPath = path.resolve(args.candles);
+  const exportPath = args.export ? path.resolve(args.export) : null;
+  [candlesPath, exportPath].filter(Boolean).forEach((file) => {
+    if (!fs.existsSync(file)) throw new Error(`${file} not found`);
+  });
+
+  const backtests = new BacktestService();
+  const params = {
+    channelIds: args.channelIds,
+    from: args.from || null,
+    to: args.to || null,
+    initialBalance: args.initialBalance,
+    feeRate: args.feeRate
+  };
+  const report = await backtests.runFromFiles({ ...params, candlesPath, exportPath });
+
+  if (args.save) {
+    const Backtest = require('../models/Backtest');
+    const saved = await Backtest.create({ params: { ...params, candlesFile: candlesPath, exportFile: exportPath }, results: report });
+    console.log(`💾 Saved as backtest ${saved.id}`);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, args.trades);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Backtest failed:', error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+  })
+  .finally(() => require('../database/connection').pool.end());
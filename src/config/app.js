@@ -45,7 +45,12 @@ const config = {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
     apiId: process.env.TELEGRAM_API_ID,
     apiHash: process.env.TELEGRAM_API_HASH,
-    sessionName: 'tg_crypto_session',
+    sessionName: process.env.TELEGRAM_SESSION_NAME || 'tg_crypto_session',
+    // MTProto user session: TELEGRAM_SESSION (string session) or <sessionDir>/<sessionName>.session
+    session: process.env.TELEGRAM_SESSION || null,
+    sessionDir: process.env.TELEGRAM_SESSION_DIR || path.join(__dirname, '../../data/telegram'),
+    // Telegram user ids allowed to run admin commands (/killswitch)
+    adminIds: (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
     maxRetries: 3,
     retryDelay: 1000,
   },
@@ -73,13 +78,63 @@ const config = {
     maxRetries: 3,
   },
 
-  // OpenAI
-  openai: {
-    apiKey: process.env.OPENAI_API_KEY,
-    model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
-    maxTokens: 1000,
-    temperature: 0.1,
-    timeout: 30000,
+  // LLM providers for signal recognition
+  llm: {
+    // Providers are tried in this order; channels can override it (channels.llm_providers)
+    chain: (process.env.LLM_PROVIDER_CHAIN || 'openai,local')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    providers: {
+      openai: {
+        type: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+        maxTokens: 1000,
+        temperature: 0.1,
+        timeout: parseInt(process.env.OPENAI_TIMEOUT_MS) || 30000,
+        maxRetries: 2,
+        retryDelay: 1000,
+        // USD per 1K tokens
+        pricing: {
+          prompt: parseFloat(process.env.OPENAI_PRICE_PROMPT) || 0.01,
+          completion: parseFloat(process.env.OPENAI_PRICE_COMPLETION) || 0.03,
+        },
+      },
+      // llama.cpp server / Ollama / any OpenAI-compatible endpoint
+      local: {
+        type: 'openai-compatible',
+        baseURL: process.env.LOCAL_LLM_BASE_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        model: process.env.LOCAL_LLM_MODEL,
+        jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false',
+        maxTokens: 1000,
+        temperature: 0.1,
+        timeout: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 60000,
+        maxRetries: 1,
+        retryDelay: 2000,
+        pricing: { prompt: 0, completion: 0 },
+      },
+      // Multimodal model for chart screenshots (see imageRecognition.chain)
+      openai_vision: {
+        type: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_VISION_MODEL || 'gpt-4o',
+        jsonMode: false,
+        maxTokens: 300,
+        temperature: 0,
+        timeout: parseInt(process.env.OPENAI_TIMEOUT_MS) || 30000,
+        maxRetries: 2,
+        retryDelay: 1000,
+        pricing: {
+          prompt: parseFloat(process.env.OPENAI_VISION_PRICE_PROMPT) || 0.0025,
+          completion: parseFloat(process.env.OPENAI_VISION_PRICE_COMPLETION) || 0.01,
+        },
+      },
+      stub: {
+        type: 'stub',
+      },
+    },
   },
 
   // Trading
@@ -92,6 +147,75 @@ const config = {
     minTradeAmount: 5, // USDT
     stopLossBuffer: 0.001, // 0.1% buffer for stop loss
     takeProfitBuffer: 0.001, // 0.1% buffer for take profit
+    // LIMIT entries split across the signal's entry zone; channels may override orders/timeout
+    entryZone: {
+      orders: parseInt(process.env.ENTRY_ZONE_ORDERS) || 3,
+      timeoutMinutes: parseInt(process.env.ENTRY_ORDER_TIMEOUT_MINUTES) || 60,
+      pollInterval: 5000,
+    },
+    // Defaults for channels.sizing_strategy / sizing_value
+    sizing: {
+      balancePercentage: parseFloat(process.env.SIZING_BALANCE_PERCENTAGE) || 10,
+      fixedMargin: parseFloat(process.env.SIZING_FIXED_MARGIN) || 10, // USDT
+      atrInterval: process.env.SIZING_ATR_INTERVAL || '1h',
+      atrPeriod: parseInt(process.env.SIZING_ATR_PERIOD) || 14,
+      atrMultiplier: parseFloat(process.env.SIZING_ATR_MULTIPLIER) || 2,
+    },
+    // Defaults for channels.stop_mode and friends
+    stopManagement: {
+      mode: process.env.STOP_MODE || 'breakeven',
+      breakevenAfterTp: 1,
+      trailingPercent: parseFloat(process.env.TRAILING_STOP_PERCENT) || 1,
+      trailingAtrMultiplier: parseFloat(process.env.TRAILING_STOP_ATR_MULTIPLIER) || 2,
+      // trailing stops are only re-placed when they improve by at least this % of the price
+      trailingMinStepPercent: 0.2,
+    },
+    // Portfolio-level breakers, 0 disables a breaker
+    circuitBreakers: {
+      maxDailyLoss: parseFloat(process.env.CIRCUIT_MAX_DAILY_LOSS) || 0, // USDT of realized loss since 00:00 UTC
+      maxDrawdownPercent: parseFloat(process.env.CIRCUIT_MAX_DRAWDOWN_PERCENT) || 0, // from the equity peak
+      maxConsecutiveLosses: parseInt(process.env.CIRCUIT_MAX_CONSECUTIVE_LOSSES, 10) || 0, // per channel
+      maxTradesPerHour: parseInt(process.env.CIRCUIT_MAX_TRADES_PER_HOUR, 10) || 0,
+    },
+    // Defaults for channels.signal_ttl_minutes / max_entry_deviation / entry_deviation_unit, 0 disables a check
+    signalExpiry: {
+      ttlMinutes: process.env.SIGNAL_TTL_MINUTES !== undefined ? parseInt(process.env.SIGNAL_TTL_MINUTES, 10) : 240,
+      maxEntryDeviation: process.env.SIGNAL_MAX_ENTRY_DEVIATION !== undefined
+        ? parseFloat(process.env.SIGNAL_MAX_ENTRY_DEVIATION)
+        : 2,
+      entryDeviationUnit: process.env.SIGNAL_ENTRY_DEVIATION_UNIT || 'percent',
+      // pending and approved signals past their TTL are expired by this sweep
+      sweepIntervalMs: 60000,
+    },
+  },
+
+  // Bull queues for signal execution, TP/SL placement and breakeven moves
+  executionQueue: {
+    prefix: 'tg_crypto:bull',
+    concurrency: parseInt(process.env.EXECUTION_CONCURRENCY) || 3,
+    attempts: parseInt(process.env.EXECUTION_JOB_ATTEMPTS) || 3,
+    backoffDelay: parseInt(process.env.EXECUTION_JOB_BACKOFF_MS) || 2000,
+    removeOnComplete: 500,
+    breakevenPollInterval: 4000,
+  },
+
+  // Simulated exchange for channels in paper trading mode
+  paperTrading: {
+    initialBalance: parseFloat(process.env.PAPER_INITIAL_BALANCE) || 10000,
+    feeRate: process.env.PAPER_FEE_RATE !== undefined ? parseFloat(process.env.PAPER_FEE_RATE) : 0.0005,
+    tickIntervalMs: parseInt(process.env.PAPER_TICK_INTERVAL_MS) || 2000,
+    quoteTtlMs: 2000,
+  },
+
+  // Historical backtests: candle files and chat exports are read from dataDir
+  backtest: {
+    dataDir: process.env.BACKTEST_DATA_DIR || path.join(__dirname, '../../data/backtests'),
+    initialBalance: parseFloat(process.env.BACKTEST_INITIAL_BALANCE) || 1000,
+  },
+
+  // Startup pass that restores TP/SL and stop watchers for open positions
+  recovery: {
+    onStartup: process.env.RECOVERY_ON_STARTUP !== 'false',
   },
 
   // Security
@@ -134,6 +258,52 @@ const config = {
     retryDelay: 5000, // ms
     confidenceThreshold: 0.7,
     maxQueueSize: 1000,
+    // rule-based parser results at or above this skip the LLM call
+    ruleParserConfidence: parseFloat(process.env.RULE_PARSER_CONFIDENCE) || 0.9,
+    // human-corrected signals of the channel added to the LLM prompt as examples
+    correctionExamples: 3,
+  },
+
+  // Same trade posted by several channels: later signals are marked as duplicates of the first
+  duplicateDetection: {
+    windowMinutes: parseInt(process.env.DUPLICATE_WINDOW_MINUTES) || 30,
+    // entry / stop-loss / take-profit levels closer than this count as the same level
+    priceTolerancePercent: parseFloat(process.env.DUPLICATE_PRICE_TOLERANCE_PERCENT) || 1,
+    // share of the levels present in both signals that must match
+    minScore: parseFloat(process.env.DUPLICATE_MIN_SCORE) || 0.75,
+  },
+
+  // Review of pending signals; channels may override the number of approvals, approvers and timeout
+  approvals: {
+    requiredApprovals: parseInt(process.env.APPROVALS_REQUIRED, 10) || 1,
+    // minutes from the post to collect the approvals, 0 waits indefinitely
+    timeoutMinutes: process.env.APPROVAL_TIMEOUT_MINUTES !== undefined
+      ? parseInt(process.env.APPROVAL_TIMEOUT_MINUTES, 10)
+      : 60,
+    // "name:token" pairs; API callers identify themselves with `Authorization: Bearer <token>`
+    tokens: (process.env.APPROVER_TOKENS || '').split(',').map(pair => pair.trim()).filter(Boolean),
+    // identity of every API caller while no tokens are configured
+    defaultApprover: 'operator',
+    sweepIntervalMs: 60000,
+  },
+
+  // Signals posted as chart screenshots (photos, or images sent as files)
+  imageRecognition: {
+    // vision | ocr | auto (vision when a vision provider is available, otherwise OCR) | off
+    engine: process.env.IMAGE_RECOGNITION_ENGINE || 'auto',
+    // LLM providers able to read images, tried in order
+    chain: (process.env.VISION_PROVIDER_CHAIN || 'openai_vision')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    // Local OCR engine called as `<command> <image> stdout`
+    ocrCommand: process.env.OCR_COMMAND || 'tesseract',
+    ocrTimeout: 20000,
+    downloadTimeout: 15000,
+    // Bot API downloads are limited to 20 MB
+    maxFileSize: 10 * 1024 * 1024,
+    // Downloaded images, kept for review (relative paths are stored on the signal)
+    dir: path.join(__dirname, '../../uploads'),
   },
 
   // Price Updates
@@ -156,8 +326,7 @@ const config = {
 const requiredEnvVars = [
   'TELEGRAM_BOT_TOKEN',
   'BINGX_API_KEY',
-  'BINGX_SECRET_KEY',
-  'OPENAI_API_KEY'
+  'BINGX_SECRET_KEY'
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
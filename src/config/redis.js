@@ -396,20 +396,24 @@ const CACHE_KEYS = {
   STATS: 'stats:',
   QUEUE: 'queue:',
   LOCK: 'lock:',
-  SESSION: 'session:'
+  SESSION: 'session:',
+  CIRCUIT_BREAKER: 'circuit_breaker:',
+  PAPER: 'paper:'
 };
 
 // Pub/Sub channels
 const CHANNELS = {
   SIGNAL_NEW: 'signal:new',
   SIGNAL_EXECUTED: 'signal:executed',
+  SIGNAL_APPROVAL: 'signal:approval',
   POSITION_UPDATE: 'position:update',
   POSITION_CLOSED: 'position:closed',
   ACCOUNT_UPDATE: 'account:update',
   PRICE_UPDATE: 'price:update',
   CHANNEL_UPDATE: 'channel:update',
   POSITION_PNL_UPDATED: 'position:pnl_updated',
-  POSITION_PRICE_UPDATED: 'position:price_updated'
+  POSITION_PRICE_UPDATED: 'position:price_updated',
+  SYSTEM_ALERT: 'system:alert'
 };
 
 module.exports = {
@@ -0,0 +1,22 @@
+-- Migration: 007_signal_actions.sql
+-- Description: Track actions taken (or skipped) for update/close signals against open positions
+
+-- Update and close messages frequently omit the direction
+ALTER TABLE signals ALTER COLUMN direction DROP NOT NULL;
+
+-- One row per action the signal-action engine executed, skipped or failed
+CREATE TABLE IF NOT EXISTS signal_actions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  signal_id UUID REFERENCES signals(id) ON DELETE CASCADE,
+  position_id UUID REFERENCES positions(id) ON DELETE SET NULL,
+  action_type VARCHAR(30) NOT NULL CHECK (action_type IN ('move_stop_loss', 'replace_take_profits', 'close', 'partial_close', 'none')),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('executed', 'skipped', 'failed')),
+  reason TEXT,
+  details JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_actions_signal_id ON signal_actions(signal_id);
+CREATE INDEX IF NOT EXISTS idx_signal_actions_position_id ON signal_actions(position_id);
+
+COMMENT ON TABLE signal_actions IS 'Audit trail of SL moves, TP replacements and closes triggered by update/close signals';
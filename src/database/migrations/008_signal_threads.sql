@@ -0,0 +1,14 @@
+-- Migration: 008_signal_threads.sql
+-- Description: Persist Telegram message/reply ids on signals and link follow-ups to their parent signal
+
+ALTER TABLE signals
+ADD COLUMN IF NOT EXISTS telegram_message_id BIGINT,
+ADD COLUMN IF NOT EXISTS reply_to_message_id BIGINT,
+ADD COLUMN IF NOT EXISTS parent_signal_id UUID REFERENCES signals(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_signals_channel_message ON signals(channel_id, telegram_message_id);
+CREATE INDEX IF NOT EXISTS idx_signals_parent_signal_id ON signals(parent_signal_id);
+
+COMMENT ON COLUMN signals.telegram_message_id IS 'Telegram message id of the post the signal was parsed from';
+COMMENT ON COLUMN signals.reply_to_message_id IS 'Telegram message id the post replied to, if any';
+COMMENT ON COLUMN signals.parent_signal_id IS 'Signal parsed from the replied-to post (e.g. the original entry for a "move SL" reply)';
@@ -0,0 +1,22 @@
+-- Migration: 009_channel_parsing_templates.sql
+-- Description: Per-channel parsing templates (field patterns and few-shot examples) for signal recognition
+
+CREATE TABLE IF NOT EXISTS channel_parsing_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  channel_id UUID NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  template_type VARCHAR(20) NOT NULL CHECK (template_type IN ('field_patterns', 'few_shot')),
+  -- field_patterns: { "<extractedData field>": "<regex with one capture group>" }
+  field_patterns JSONB,
+  -- few_shot: sample message and the expected recognition result
+  example_message TEXT,
+  example_output JSONB,
+  is_active BOOLEAN DEFAULT true,
+  priority INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_channel_parsing_templates_channel_id ON channel_parsing_templates(channel_id);
+
+CREATE TRIGGER update_channel_parsing_templates_updated_at BEFORE UPDATE ON channel_parsing_templates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,7 @@
+-- Migration: 010_channel_llm_providers.sql
+-- Description: Per-channel LLM provider fallback chain for signal recognition
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS llm_providers TEXT[];
+
+COMMENT ON COLUMN channels.llm_providers IS 'Ordered LLM providers (config.llm.providers keys) tried for this channel. NULL uses the default chain';
@@ -0,0 +1,21 @@
+-- Migration: 011_signal_corrections.sql
+-- Description: Human corrections of parsed signals, reused as few-shot examples for the channel
+
+CREATE TABLE IF NOT EXISTS signal_corrections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  signal_id UUID NOT NULL REFERENCES signals(id) ON DELETE CASCADE,
+  channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+  message_text TEXT NOT NULL,
+  -- recognition result before the edit: signalType plus extractedData fields
+  original_extraction JSONB NOT NULL,
+  -- the same shape after the edit
+  corrected_extraction JSONB NOT NULL,
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  corrected_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_corrections_signal_id ON signal_corrections(signal_id);
+CREATE INDEX IF NOT EXISTS idx_signal_corrections_channel_created ON signal_corrections(channel_id, created_at DESC);
+
+COMMENT ON TABLE signal_corrections IS 'Original vs human-corrected extraction of a signal; recent rows feed the recognition prompt as examples';
@@ -0,0 +1,11 @@
+-- Migration: 012_signal_groups.sql
+-- Description: Group signals parsed from the same Telegram message ("3 coins to watch")
+
+ALTER TABLE signals
+ADD COLUMN IF NOT EXISTS group_id UUID,
+ADD COLUMN IF NOT EXISTS group_index SMALLINT;
+
+CREATE INDEX IF NOT EXISTS idx_signals_group_id ON signals(group_id) WHERE group_id IS NOT NULL;
+
+COMMENT ON COLUMN signals.group_id IS 'Shared by all signals created from one message; NULL when the message held a single signal';
+COMMENT ON COLUMN signals.group_index IS 'Position of the signal within its source message';
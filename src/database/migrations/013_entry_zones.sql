@@ -0,0 +1,21 @@
+-- Migration: 013_entry_zones.sql
+-- Description: Entry price ranges on signals and per-channel limit-order entry mode
+
+ALTER TABLE signals
+ADD COLUMN IF NOT EXISTS entry_price_range DECIMAL(20,8)[];
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS entry_mode VARCHAR(20) DEFAULT 'market',
+ADD COLUMN IF NOT EXISTS entry_orders_count SMALLINT DEFAULT 3,
+ADD COLUMN IF NOT EXISTS entry_order_timeout_minutes INTEGER;
+
+ALTER TABLE channels
+DROP CONSTRAINT IF EXISTS channels_entry_mode_check;
+
+ALTER TABLE channels
+ADD CONSTRAINT channels_entry_mode_check CHECK (entry_mode IN ('market', 'limit_zone'));
+
+COMMENT ON COLUMN signals.entry_price_range IS 'Entry zone [low, high] from the message; NULL for a single entry price';
+COMMENT ON COLUMN channels.entry_mode IS 'market: enter at market; limit_zone: LIMIT orders split across the entry zone';
+COMMENT ON COLUMN channels.entry_orders_count IS 'Number of LIMIT orders the entry zone is split into';
+COMMENT ON COLUMN channels.entry_order_timeout_minutes IS 'Unfilled entry orders are cancelled after this many minutes. NULL uses config.trading.entryZone.timeoutMinutes';
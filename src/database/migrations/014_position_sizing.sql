@@ -0,0 +1,20 @@
+-- Migration: 014_position_sizing.sql
+-- Description: Per-channel position sizing strategy and the sizing inputs recorded on each position
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS sizing_strategy VARCHAR(20) DEFAULT 'fixed_percent',
+ADD COLUMN IF NOT EXISTS sizing_value DECIMAL(20,8);
+
+ALTER TABLE channels
+DROP CONSTRAINT IF EXISTS channels_sizing_strategy_check;
+
+ALTER TABLE channels
+ADD CONSTRAINT channels_sizing_strategy_check
+CHECK (sizing_strategy IN ('fixed_percent', 'fixed_margin', 'risk_percent', 'volatility'));
+
+ALTER TABLE positions
+ADD COLUMN IF NOT EXISTS sizing JSONB;
+
+COMMENT ON COLUMN channels.sizing_strategy IS 'fixed_percent: % of balance as margin; fixed_margin: fixed USDT margin; risk_percent: risk_percentage of balance lost at the stop-loss; volatility: risk_percentage lost at an ATR-based stop distance';
+COMMENT ON COLUMN channels.sizing_value IS 'Balance % for fixed_percent, USDT margin for fixed_margin. NULL uses config.trading.sizing defaults';
+COMMENT ON COLUMN positions.sizing IS 'Strategy and inputs the position size was calculated from';
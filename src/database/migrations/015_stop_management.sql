@@ -0,0 +1,24 @@
+-- Migration: 015_stop_management.sql
+-- Description: Per-channel stop-loss management (breakeven, step, trailing, time exit) and its state on positions
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS stop_mode VARCHAR(20) DEFAULT 'breakeven',
+ADD COLUMN IF NOT EXISTS breakeven_after_tp SMALLINT DEFAULT 1,
+ADD COLUMN IF NOT EXISTS trailing_value DECIMAL(20,8),
+ADD COLUMN IF NOT EXISTS max_position_minutes INTEGER;
+
+ALTER TABLE channels
+DROP CONSTRAINT IF EXISTS channels_stop_mode_check;
+
+ALTER TABLE channels
+ADD CONSTRAINT channels_stop_mode_check
+CHECK (stop_mode IN ('none', 'breakeven', 'step', 'trailing_percent', 'trailing_atr'));
+
+ALTER TABLE positions
+ADD COLUMN IF NOT EXISTS stop_management JSONB;
+
+COMMENT ON COLUMN channels.stop_mode IS 'none; breakeven: stop to entry after TP breakeven_after_tp; step: stop to the previous TP level as each TP fills; trailing_percent / trailing_atr: stop follows the high-water mark';
+COMMENT ON COLUMN channels.breakeven_after_tp IS 'TP number after which the breakeven mode moves the stop to entry';
+COMMENT ON COLUMN channels.trailing_value IS 'Trailing distance: % of price for trailing_percent, ATR multiplier for trailing_atr. NULL uses config.trading.stopManagement defaults';
+COMMENT ON COLUMN channels.max_position_minutes IS 'Positions are closed at market after this many minutes. NULL disables the time exit';
+COMMENT ON COLUMN positions.stop_management IS 'Stop watcher state: mode, current stop, TPs filled, high-water mark and stop moves; used to resume after a restart';
@@ -0,0 +1,25 @@
+-- Migration: 016_circuit_breakers.sql
+-- Description: Portfolio-level circuit breakers (daily loss, drawdown, consecutive losses, trades per hour)
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS pause_reason TEXT;
+
+-- One row per breaker trip; a trip stays active until it is reset by hand
+CREATE TABLE IF NOT EXISTS circuit_breaker_trips (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  breaker VARCHAR(30) NOT NULL CHECK (breaker IN ('daily_loss', 'drawdown', 'consecutive_losses', 'trades_per_hour')),
+  channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  details JSONB,
+  paused_channel_ids JSONB DEFAULT '[]',
+  tripped_at TIMESTAMP DEFAULT NOW(),
+  reset_at TIMESTAMP,
+  reset_by VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_circuit_breaker_trips_active ON circuit_breaker_trips(breaker, channel_id) WHERE reset_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_positions_closed_at ON positions(closed_at);
+
+COMMENT ON COLUMN channels.pause_reason IS 'Why the channel was paused, e.g. by a circuit breaker. NULL for manual pauses';
+COMMENT ON TABLE circuit_breaker_trips IS 'Circuit breaker trips: channel_id is set for per-channel breakers, NULL trips halt auto-execution for all channels';
+COMMENT ON COLUMN circuit_breaker_trips.paused_channel_ids IS 'Channels paused by this trip, resumed on reset';
@@ -0,0 +1,16 @@
+-- Migration: 017_audit_log.sql
+-- Description: Audit trail of operator actions (kill switch and similar)
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  action VARCHAR(50) NOT NULL,
+  actor VARCHAR(100),
+  source VARCHAR(20) NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'telegram', 'system')),
+  details JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_action_created_at ON audit_log(action, created_at DESC);
+
+COMMENT ON TABLE audit_log IS 'Who did what and when: kill switch engagements and releases with their per-position results';
+COMMENT ON COLUMN audit_log.actor IS 'Operator that triggered the action, e.g. a Telegram username';
@@ -0,0 +1,14 @@
+-- Migration: 018_paper_trading.sql
+-- Description: Per-channel paper trading mode against the simulated exchange
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS trading_mode VARCHAR(10) DEFAULT 'live';
+
+ALTER TABLE channels
+DROP CONSTRAINT IF EXISTS channels_trading_mode_check;
+
+ALTER TABLE channels
+ADD CONSTRAINT channels_trading_mode_check
+CHECK (trading_mode IN ('live', 'paper'));
+
+COMMENT ON COLUMN channels.trading_mode IS 'live: orders go to BingX; paper: orders fill on the simulated exchange under sub-account paper_<channel id>';
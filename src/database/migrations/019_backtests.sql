@@ -0,0 +1,17 @@
+-- Migration: 019_backtests.sql
+-- Description: Stored backtest runs of channel signals over historical candles
+
+CREATE TABLE IF NOT EXISTS backtests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  params JSONB NOT NULL,
+  summary JSONB NOT NULL,
+  results JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_backtests_created_at ON backtests(created_at DESC);
+
+COMMENT ON TABLE backtests IS 'Backtest runs: how the past entry signals of channels would have traded under their current settings';
+COMMENT ON COLUMN backtests.params IS 'Signal source, candle file, period, initial balance and fee rate of the run';
+COMMENT ON COLUMN backtests.summary IS 'Per-channel win rate, expectancy, max drawdown and PnL, without trades and equity curve';
+COMMENT ON COLUMN backtests.results IS 'Full report: per-channel metrics, equity curve, trades and skipped signals';
@@ -0,0 +1,13 @@
+-- Migration: 020_imported_signals.sql
+-- Description: Signals imported from Telegram channel history (never executed, used for stats and backtests)
+
+ALTER TABLE signals
+DROP CONSTRAINT IF EXISTS signals_status_check;
+
+ALTER TABLE signals
+ADD CONSTRAINT signals_status_check
+CHECK (status IN ('pending', 'approved', 'executed', 'ignored', 'failed', 'closed', 'imported'));
+
+CREATE INDEX IF NOT EXISTS idx_signals_message_timestamp ON signals(message_timestamp);
+
+COMMENT ON COLUMN signals.status IS 'imported: parsed from channel history with its original message_timestamp; never executed';
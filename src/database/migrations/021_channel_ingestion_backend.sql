@@ -0,0 +1,14 @@
+-- Migration: 021_channel_ingestion_backend.sql
+-- Description: Per-channel ingestion backend: the Telegram bot or an MTProto user session
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS ingestion_backend VARCHAR(10) DEFAULT 'bot';
+
+ALTER TABLE channels
+DROP CONSTRAINT IF EXISTS channels_ingestion_backend_check;
+
+ALTER TABLE channels
+ADD CONSTRAINT channels_ingestion_backend_check
+CHECK (ingestion_backend IN ('bot', 'mtproto'));
+
+COMMENT ON COLUMN channels.ingestion_backend IS 'bot: read by the Telegram bot (must be a channel admin); mtproto: read by the logged-in user account (TELEGRAM_API_ID/HASH session)';
@@ -0,0 +1,33 @@
+-- Migration: 022_signal_edits.sql
+-- Description: Edited channel posts re-parsed and matched to their signals
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS edit_handling VARCHAR(20) DEFAULT 'update_pending';
+
+ALTER TABLE channels
+DROP CONSTRAINT IF EXISTS channels_edit_handling_check;
+
+ALTER TABLE channels
+ADD CONSTRAINT channels_edit_handling_check
+CHECK (edit_handling IN ('record', 'update_pending', 'sync_position'));
+
+-- One row per signal whose fields changed when its post was edited
+CREATE TABLE IF NOT EXISTS signal_edits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  signal_id UUID NOT NULL REFERENCES signals(id) ON DELETE CASCADE,
+  channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+  telegram_message_id BIGINT,
+  changes JSONB NOT NULL,
+  previous_message TEXT,
+  new_message TEXT,
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('recorded', 'updated', 'sync_queued', 'synced', 'sync_skipped', 'sync_failed')),
+  details JSONB,
+  edited_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_edits_signal_id ON signal_edits(signal_id);
+
+COMMENT ON COLUMN channels.edit_handling IS 'record: only log the diff; update_pending: also update signals not executed yet; sync_position: also move SL/TP of the open position of executed signals';
+COMMENT ON TABLE signal_edits IS 'Field-level diffs of edited posts: changes is { field: { from, to } }';
+COMMENT ON COLUMN signal_edits.outcome IS 'recorded: diff only; updated: pending signal updated; sync_*: SL/TP pushed to the open position (details.actions)';
@@ -0,0 +1,7 @@
+-- Migration: 023_signal_images.sql
+-- Description: Chart image a signal was recognized from (photo or image document of the post)
+
+ALTER TABLE signals
+ADD COLUMN IF NOT EXISTS image JSONB;
+
+COMMENT ON COLUMN signals.image IS 'Image of the post: {fileId, fileUniqueId, path (under uploads/), mimeType, width, height, engine (vision|ocr), provider, text, error}; text is what was merged with the caption before parsing';
@@ -0,0 +1,31 @@
+-- Migration: 024_duplicate_signals.sql
+-- Description: Cross-channel duplicate (repost) detection and per-channel duplicate policy
+
+ALTER TABLE signals
+ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES signals(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS duplicate_score DECIMAL(4,3);
+
+ALTER TABLE signals
+DROP CONSTRAINT IF EXISTS signals_status_check;
+
+ALTER TABLE signals
+ADD CONSTRAINT signals_status_check
+CHECK (status IN ('pending', 'approved', 'executed', 'ignored', 'failed', 'closed', 'imported', 'duplicate'));
+
+CREATE INDEX IF NOT EXISTS idx_signals_duplicate_of ON signals(duplicate_of);
+CREATE INDEX IF NOT EXISTS idx_signals_coin_direction_time ON signals(coin, direction, message_timestamp);
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS duplicate_policy VARCHAR(10) DEFAULT 'ignore';
+
+ALTER TABLE channels
+DROP CONSTRAINT IF EXISTS channels_duplicate_policy_check;
+
+ALTER TABLE channels
+ADD CONSTRAINT channels_duplicate_policy_check
+CHECK (duplicate_policy IN ('ignore', 'merge', 'allow'));
+
+COMMENT ON COLUMN signals.duplicate_of IS 'Earlier signal of another channel this one repeats (same coin and direction, matching levels within the time window)';
+COMMENT ON COLUMN signals.duplicate_score IS 'Share of the compared levels (entry, stop-loss, take-profits) that matched the original';
+COMMENT ON COLUMN signals.status IS 'imported: parsed from channel history, never executed; duplicate: repost of another channel''s signal, never auto-executed';
+COMMENT ON COLUMN channels.duplicate_policy IS 'Signals repeating another channel: ignore (status duplicate), merge (also fill missing levels of the original), allow (handled as usual)';
@@ -0,0 +1,30 @@
+-- Migration: 025_signal_expiry.sql
+-- Description: Signal TTL and stale-price guard before execution
+
+ALTER TABLE signals
+ADD COLUMN IF NOT EXISTS expiry JSONB;
+
+ALTER TABLE signals
+DROP CONSTRAINT IF EXISTS signals_status_check;
+
+ALTER TABLE signals
+ADD CONSTRAINT signals_status_check
+CHECK (status IN ('pending', 'approved', 'executed', 'ignored', 'failed', 'closed', 'imported', 'duplicate', 'expired'));
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS signal_ttl_minutes INTEGER,
+ADD COLUMN IF NOT EXISTS max_entry_deviation DECIMAL(10,4),
+ADD COLUMN IF NOT EXISTS entry_deviation_unit VARCHAR(10) DEFAULT 'percent';
+
+ALTER TABLE channels
+DROP CONSTRAINT IF EXISTS channels_entry_deviation_unit_check;
+
+ALTER TABLE channels
+ADD CONSTRAINT channels_entry_deviation_unit_check
+CHECK (entry_deviation_unit IN ('percent', 'r'));
+
+COMMENT ON COLUMN signals.expiry IS 'Why the signal expired: {code (ttl|tp_hit|sl_hit|entry_deviation), reason, price, deviation, expiredAt}';
+COMMENT ON COLUMN signals.status IS 'imported: parsed from channel history, never executed; duplicate: repost of another channel''s signal, never auto-executed; expired: past its TTL or invalidated by price before execution';
+COMMENT ON COLUMN channels.signal_ttl_minutes IS 'Minutes after the post a signal may still be executed; NULL uses SIGNAL_TTL_MINUTES, 0 disables';
+COMMENT ON COLUMN channels.max_entry_deviation IS 'Largest distance of the price from the entry (or entry zone) at execution, in entry_deviation_unit; NULL uses SIGNAL_MAX_ENTRY_DEVIATION, 0 disables';
+COMMENT ON COLUMN channels.entry_deviation_unit IS 'percent: % of the entry price; r: multiples of the entry to stop-loss distance';
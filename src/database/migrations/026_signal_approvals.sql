@@ -0,0 +1,31 @@
+-- Migration: 026_signal_approvals.sql
+-- Description: Per-channel approval policy and approval history of pending signals
+
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS required_approvals INTEGER CHECK (required_approvals >= 1),
+ADD COLUMN IF NOT EXISTS approvers TEXT[],
+ADD COLUMN IF NOT EXISTS approval_timeout_minutes INTEGER CHECK (approval_timeout_minutes >= 0);
+
+-- One row per decision on a signal: approvals, rejections and timeouts
+CREATE TABLE IF NOT EXISTS signal_approvals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  signal_id UUID NOT NULL REFERENCES signals(id) ON DELETE CASCADE,
+  channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+  approver VARCHAR(100) NOT NULL,
+  decision VARCHAR(20) NOT NULL CHECK (decision IN ('approved', 'rejected', 'timed_out')),
+  comment TEXT,
+  source VARCHAR(20) NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'telegram', 'system')),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_approvals_signal_id ON signal_approvals(signal_id, created_at);
+
+-- An approver counts once per signal, also under concurrent requests
+CREATE UNIQUE INDEX IF NOT EXISTS idx_signal_approvals_unique_approval
+ON signal_approvals(signal_id, approver) WHERE decision = 'approved';
+
+COMMENT ON COLUMN channels.required_approvals IS 'Distinct approvers needed before a pending signal is approved and queued; NULL uses APPROVALS_REQUIRED';
+COMMENT ON COLUMN channels.approvers IS 'Approver names (APPROVER_TOKENS) allowed to approve or reject; NULL or empty allows any authenticated approver';
+COMMENT ON COLUMN channels.approval_timeout_minutes IS 'Minutes after the post to collect the approvals before the signal expires; NULL uses APPROVAL_TIMEOUT_MINUTES, 0 waits indefinitely';
+COMMENT ON TABLE signal_approvals IS 'Approval history: who approved or rejected a signal and when, and approval timeouts (approver system)';
+COMMENT ON COLUMN signals.expiry IS 'Why the signal expired: {code (ttl|tp_hit|sl_hit|entry_deviation|approval_timeout), reason, price, deviation, approvedBy, expiredAt}';
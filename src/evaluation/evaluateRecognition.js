@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keep recognition logs out of the report unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { RecognitionEvaluationService, SIGNAL_TYPES } = require('../services/recognitionEvaluationService');
+
+const USAGE = `Usage: npm run evaluate -- [options]
+
+Options:
+  --provider <name>     none | stub | recorded | openai | local (default: stub)
+  --corpus <file>       labeled corpus JSON (default: src/evaluation/corpus.json)
+  --recordings <file>   recorded responses for --provider recorded / --record
+  --record              call the live provider and save its responses for offline replays
+  --llm-only            send every message to the LLM, skipping the rule-based shortcut
+  --cases               print every message with its mismatched fields
+  --json                print the raw report as JSON
+`;
+
+function parseArgs(argv) {
+  const args = { provider: 'stub' };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--provider': args.provider = argv[++i]; break;
+      case '--corpus': args.corpus = argv[++i]; break;
+      case '--recordings': args.recordingsFile = argv[++i]; break;
+      case '--record': args.record = true; break;
+      case '--llm-only': args.llmOnly = true; break;
+      case '--cases': args.cases = true; break;
+      case '--json': args.json = true; break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+const pct = (value) => (value === null ? '   —  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function printReport(report, showCases) {
+  console.log(`\n📊 Recognition evaluation: provider=${report.provider}${report.llmOnly ? ' (llm only)' : ''}`);
+  console.log(`   Messages: ${report.total}, signal type accuracy: ${pct(report.signalTypeAccuracy).trim()}, ` +
+    `exact matches: ${report.exactMatches}, errors: ${report.errors}`);
+
+  console.log('\nSignal types          precision  recall  support');
+  SIGNAL_TYPES.forEach(type => {
+    const m = report.signalTypes[type];
+    console.log(`  ${type.padEnd(20)}${pct(m.precision).padStart(9)}${pct(m.recall).padStart(8)}${String(m.support).padStart(9)}`);
+  });
+
+  console.log('\nConfusion (rows: expected, columns: predicted)');
+  console.log(`  ${''.padEnd(10)}${SIGNAL_TYPES.map(t => t.padStart(9)).join('')}`);
+  SIGNAL_TYPES.forEach(expected => {
+    const row = SIGNAL_TYPES.map(predicted => String(report.confusionMatrix[expected][predicted]).padStart(9)).join('');
+    console.log(`  ${expected.padEnd(10)}${row}`);
+  });
+
+  console.log('\nFields                precision  recall  support');
+  Object.entries(report.fields).forEach(([field, m]) => {
+    console.log(`  ${field.padEnd(20)}${pct(m.precision).padStart(9)}${pct(m.recall).padStart(8)}${String(m.support).padStart(9)}`);
+  });
+
+  const llmCost = report.llm.totalCost;
+  console.log(`\n💰 LLM tokens: ${report.llm.totalTokens}, cost: $${llmCost.toFixed(4)}`);
+
+  if (showCases) {
+    console.log('\nCases');
+    report.cases.forEach(c => {
+      const status = c.mismatches.length === 0 ? '✅' : '❌';
+      const details = c.mismatches
+        .map(field => `${field}: expected ${JSON.stringify(c.expected[field] ?? null)}, got ${JSON.stringify(c.predicted[field])}`)
+        .join('; ');
+      console.log(`  ${status} ${c.id} [${c.source || '-'}]${details ? ` ${details}` : ''}${c.error ? ` (error: ${c.error})` : ''}`);
+    });
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const corpus = args.corpus
+    ? JSON.parse(fs.readFileSync(path.resolve(args.corpus), 'utf8'))
+    : undefined;
+
+  const evaluation = new RecognitionEvaluationService({
+    provider: args.provider,
+    record: args.record,
+    recordingsFile: args.recordingsFile && path.resolve(args.recordingsFile),
+    llmOnly: args.llmOnly
+  });
+
+  const report = await evaluation.run(corpus, { includeCases: args.cases || args.json });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, args.cases);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  console.log(USAGE);
+  process.exit(1);
+});
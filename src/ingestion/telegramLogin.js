@@ -0,0 +1,57 @@
+const readline = require('readline');
+
+// gramjs and the app logger stay quiet while the prompts are shown
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const config = require('../config/app');
+const MtprotoIngestionService = require('../services/mtprotoIngestionService');
+
+const USAGE = `Usage: npm run telegram-login
+
+Logs in a Telegram user account over MTProto (TELEGRAM_API_ID / TELEGRAM_API_HASH from my.telegram.org)
+and saves the session used by channels with ingestionBackend "mtproto" to
+TELEGRAM_SESSION_DIR/TELEGRAM_SESSION_NAME.session. Use a dedicated account: it reads every monitored channel.
+`;
+
+function ask(rl, question) {
+  return new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+}
+
+async function main() {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+  if (!config.telegram.apiId || !config.telegram.apiHash) {
+    throw new Error('TELEGRAM_API_ID and TELEGRAM_API_HASH are required');
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const client = MtprotoIngestionService.createClient(MtprotoIngestionService.loadSession());
+
+  try {
+    await client.start({
+      phoneNumber: () => ask(rl, 'Phone number (international format): '),
+      phoneCode: () => ask(rl, 'Login code from Telegram: '),
+      password: () => ask(rl, 'Two-step verification password: '),
+      onError: (error) => console.error('❌', error.message)
+    });
+
+    const me = await client.getMe();
+    MtprotoIngestionService.saveSession(client.session.save());
+    console.log(`✅ Logged in as ${me.username ? `@${me.username}` : me.firstName} (${me.id})`);
+    console.log(`💾 Session saved to ${MtprotoIngestionService.sessionFile()}`);
+  } finally {
+    rl.close();
+    // destroy() also stops the update loop, which would keep the process alive
+    await client.destroy();
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Telegram login failed:', error.message);
+    console.log(USAGE);
+    process.exitCode = 1;
+  })
+  .finally(() => require('../database/connection').pool.end());
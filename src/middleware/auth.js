@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const config = require('../config/app');
+const { UnauthorizedError } = require('./errorHandler');
+
+// APPROVER_TOKENS entries as { name, token }
+const parseTokens = (entries) => entries
+  .map((entry) => {
+    const separator = entry.indexOf(':');
+    return separator > 0
+      ? { name: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() }
+      : null;
+  })
+  .filter(entry => entry && entry.name && entry.token);
+
+const sameToken = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Sets req.user = { id, source } from `Authorization: Bearer <token>`.
+ * While no APPROVER_TOKENS are configured every caller acts as config.approvals.defaultApprover;
+ * policies with several approvals or an approver list are then refused, see SignalApprovalService.
+ */
+const authenticate = (req, res, next) => {
+  const tokens = parseTokens(config.approvals.tokens);
+  if (tokens.length === 0) {
+    req.user = { id: config.approvals.defaultApprover, source: 'api' };
+    return next();
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const match = scheme === 'Bearer' && token ? tokens.find(entry => sameToken(entry.token, token)) : null;
+  if (!match) {
+    return next(new UnauthorizedError('A valid approver token is required'));
+  }
+
+  req.user = { id: match.name, source: 'api' };
+  return next();
+};
+
+module.exports = {
+  authenticate,
+  parseTokens
+};
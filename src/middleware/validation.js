@@ -1,5 +1,17 @@
 const Joi = require('joi');
 const { ValidationError } = require('./errorHandler');
+const config = require('../config/app');
+
+// Ordered LLM fallback chain; null resets a channel to the default chain
+const llmProvidersSchema = Joi.array()
+  .items(Joi.string().valid(...Object.keys(config.llm.providers)))
+  .unique()
+  .min(1)
+  .allow(null)
+  .messages({
+    'any.only': 'Unknown LLM provider',
+    'array.unique': 'LLM providers must not repeat'
+  });
 
 // Channel validation schemas
 const channelSchemas = {
@@ -34,7 +46,8 @@ const channelSchemas = {
       'array.max': 'Maximum 5 TP levels allowed',
       'number.min': 'TP percentage must be at least 0.1%',
       'number.max': 'TP percentage cannot exceed 100%'
-    })
+    }),
+    ingestionBackend: Joi.string().valid('bot', 'mtproto').default('bot')
   }),
 
   update: Joi.object({
@@ -50,7 +63,27 @@ const channelSchemas = {
       'array.max': 'Maximum 5 TP levels allowed',
       'number.min': 'TP percentage must be at least 0.1%',
       'number.max': 'TP percentage cannot exceed 100%'
-    })
+    }),
+    llmProviders: llmProvidersSchema.optional(),
+    entryMode: Joi.string().valid('market', 'limit_zone').optional(),
+    entryOrdersCount: Joi.number().integer().min(1).max(10).allow(null).optional(),
+    entryOrderTimeoutMinutes: Joi.number().integer().min(1).max(7 * 24 * 60).allow(null).optional(),
+    sizingStrategy: Joi.string().valid('fixed_percent', 'fixed_margin', 'risk_percent', 'volatility').optional(),
+    sizingValue: Joi.number().positive().allow(null).optional(),
+    stopMode: Joi.string().valid('none', 'breakeven', 'step', 'trailing_percent', 'trailing_atr').optional(),
+    breakevenAfterTp: Joi.number().integer().min(1).max(5).optional(),
+    trailingValue: Joi.number().positive().allow(null).optional(),
+    maxPositionMinutes: Joi.number().integer().min(1).allow(null).optional(),
+    tradingMode: Joi.string().valid('live', 'paper').optional(),
+    ingestionBackend: Joi.string().valid('bot', 'mtproto').optional(),
+    editHandling: Joi.string().valid('record', 'update_pending', 'sync_position').optional(),
+    duplicatePolicy: Joi.string().valid('ignore', 'merge', 'allow').optional(),
+    signalTtlMinutes: Joi.number().integer().min(0).allow(null).optional(),
+    maxEntryDeviation: Joi.number().min(0).allow(null).optional(),
+    entryDeviationUnit: Joi.string().valid('percent', 'r').optional(),
+    requiredApprovals: Joi.number().integer().min(1).max(10).allow(null).optional(),
+    approvers: Joi.array().items(Joi.string().trim().max(100)).unique().allow(null).optional(),
+    approvalTimeoutMinutes: Joi.number().integer().min(0).allow(null).optional()
   }).min(1).messages({
     'object.min': 'At least one field must be provided for update'
   }),
@@ -79,7 +112,7 @@ const signalSchemas = {
 
   query: Joi.object({
     channelId: Joi.string().uuid().optional(),
-    status: Joi.string().valid('pending', 'approved', 'executed', 'ignored', 'failed', 'closed').optional(),
+    status: Joi.string().valid('pending', 'approved', 'executed', 'ignored', 'failed', 'closed', 'imported', 'duplicate', 'expired').optional(),
     signalType: Joi.string().valid('entry', 'update', 'close', 'general').optional(),
     coin: Joi.string().optional(),
     direction: Joi.string().valid('LONG', 'SHORT').optional(),
@@ -90,6 +123,135 @@ const signalSchemas = {
 
   ignore: Joi.object({
     reason: Joi.string().max(200).optional()
+  }),
+
+  testRecognition: Joi.object({
+    message: Joi.string().required().messages({
+      'string.empty': 'Message text is required',
+      'any.required': 'Message text is required'
+    }),
+    channelId: Joi.string().uuid().optional(),
+    // unsaved templates for live preview; replace the channel's stored ones
+    templates: Joi.array().items(Joi.object({
+      templateType: Joi.string().valid('field_patterns', 'few_shot').required(),
+      fieldPatterns: Joi.object().optional(),
+      exampleMessage: Joi.string().optional(),
+      exampleOutput: Joi.object().optional(),
+      isActive: Joi.boolean().optional()
+    })).max(20).optional(),
+    llmProviders: llmProvidersSchema.optional()
+  }),
+
+  // Offline providers: none (rule parser only), stub, recorded; live ones cost money
+  evaluate: Joi.object({
+    provider: Joi.string().valid('none', 'recorded', ...Object.keys(config.llm.providers)).default('stub'),
+    llmOnly: Joi.boolean().default(false),
+    includeCases: Joi.boolean().default(false),
+    // custom labeled corpus; the built-in one is used when omitted
+    corpus: Joi.array().items(Joi.object({
+      id: Joi.string().max(100).required(),
+      text: Joi.string().required(),
+      expected: Joi.object({
+        signalType: Joi.string().valid('entry', 'update', 'close', 'general').required(),
+        coin: Joi.string().optional(),
+        direction: Joi.string().valid('LONG', 'SHORT').optional(),
+        entryPrice: Joi.number().positive().optional(),
+        takeProfitLevels: Joi.array().items(Joi.number().positive()).optional(),
+        stopLoss: Joi.number().positive().optional()
+      }).required()
+    })).min(1).max(500).optional()
+  }),
+
+  // Reviewer fixes to the parsed signal; null clears a field
+  correct: Joi.object({
+    signalType: Joi.string().valid('entry', 'update', 'close').optional(),
+    coin: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]{1,20}$/).optional().messages({
+      'string.pattern.base': 'Coin must be a ticker like BTC or SAND'
+    }),
+    direction: Joi.string().uppercase().valid('LONG', 'SHORT').allow(null).optional(),
+    leverage: Joi.number().integer().min(1).max(125).allow(null).optional(),
+    entryPrice: Joi.number().positive().allow(null).optional(),
+    entryPriceRange: Joi.array().items(Joi.number().positive()).length(2).allow(null).optional(),
+    takeProfitLevels: Joi.array().items(Joi.number().positive()).max(10).optional(),
+    stopLoss: Joi.number().positive().allow(null).optional(),
+    suggestedVolume: Joi.number().positive().allow(null).optional(),
+    closePercentage: Joi.number().min(1).max(100).allow(null).optional(),
+    moveStopToBreakeven: Joi.boolean().optional()
+  }).or(
+    'signalType', 'coin', 'direction', 'leverage', 'entryPrice', 'entryPriceRange',
+    'takeProfitLevels', 'stopLoss', 'suggestedVolume', 'closePercentage', 'moveStopToBreakeven'
+  ).messages({
+    'object.missing': 'At least one field must be corrected'
+  }),
+
+  // Telegram Desktop export, inline or as a file name under config.backtest.dataDir;
+  // without channelId the channel is matched by the export's chat id
+  import: Joi.object({
+    channelId: Joi.string().uuid().optional(),
+    export: Joi.object({
+      id: Joi.alternatives().try(Joi.number(), Joi.string()).optional(),
+      name: Joi.string().allow('').optional(),
+      messages: Joi.array().items(Joi.object().unknown(true)).required()
+    }).unknown(true).optional(),
+    exportFile: Joi.string().max(255).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    actor: Joi.string().max(100).optional()
+  }).xor('export', 'exportFile').messages({
+    'object.missing': 'export or exportFile is required',
+    'object.xor': 'Pass either export or exportFile'
+  })
+};
+
+// Parsing template validation schemas
+const TEMPLATE_FIELDS = [
+  'coin', 'direction', 'leverage', 'entryPrice', 'entryPriceRange',
+  'takeProfitLevels', 'stopLoss', 'suggestedVolume', 'closePercentage'
+];
+
+const regexPattern = Joi.string().max(500).custom((value, helpers) => {
+  try {
+    new RegExp(value); // eslint-disable-line no-new
+    return value;
+  } catch (e) {
+    return helpers.message(`Invalid regular expression: ${e.message}`);
+  }
+});
+
+const fieldPatternsSchema = Joi.object(
+  TEMPLATE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: regexPattern.optional() }), {})
+).min(1).messages({
+  'object.min': 'At least one field pattern is required'
+});
+
+const templateSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).required().messages({
+      'any.required': 'Template name is required'
+    }),
+    templateType: Joi.string().valid('field_patterns', 'few_shot').required(),
+    fieldPatterns: fieldPatternsSchema.when('templateType', {
+      is: 'field_patterns', then: Joi.required(), otherwise: Joi.forbidden()
+    }),
+    exampleMessage: Joi.string().max(4000).when('templateType', {
+      is: 'few_shot', then: Joi.required(), otherwise: Joi.forbidden()
+    }),
+    exampleOutput: Joi.object().when('templateType', {
+      is: 'few_shot', then: Joi.required(), otherwise: Joi.forbidden()
+    }),
+    isActive: Joi.boolean().default(true),
+    priority: Joi.number().integer().min(0).max(100).default(0)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    fieldPatterns: fieldPatternsSchema.optional(),
+    exampleMessage: Joi.string().max(4000).optional(),
+    exampleOutput: Joi.object().optional(),
+    isActive: Joi.boolean().optional(),
+    priority: Joi.number().integer().min(0).max(100).optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
   })
 };
 
@@ -120,6 +282,94 @@ const positionSchemas = {
 };
 
 // General validation schemas
+// Execution queue management (see ExecutionQueueService)
+const queueSchemas = {
+  params: Joi.object({
+    queue: Joi.string().valid('execution', 'riskManagement', 'breakeven', 'entryFill', 'deadLetter').required().messages({
+      'any.only': 'Unknown queue'
+    }),
+    jobId: Joi.string().max(200).optional()
+  }),
+
+  jobsQuery: Joi.object({
+    // failed for working queues, waiting for the dead-letter queue
+    status: Joi.string().valid('waiting', 'active', 'delayed', 'completed', 'failed', 'paused').optional(),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  purge: Joi.object({
+    status: Joi.string().valid('waiting', 'delayed', 'completed', 'failed').required(),
+    // only jobs older than this many ms are removed
+    grace: Joi.number().integer().min(0).default(0)
+  })
+};
+
+const circuitBreakerSchemas = {
+  // Without filters every active trip is reset
+  reset: Joi.object({
+    breaker: Joi.string().valid('daily_loss', 'drawdown', 'consecutive_losses', 'trades_per_hour').optional(),
+    channelId: Joi.string().uuid().optional(),
+    resetBy: Joi.string().max(100).optional()
+  })
+};
+
+const killSwitchSchemas = {
+  // confirm guards against an accidental POST flattening every account
+  engage: Joi.object({
+    confirm: Joi.boolean().valid(true).required().messages({
+      'any.only': 'confirm must be true',
+      'any.required': 'confirm is required'
+    }),
+    reason: Joi.string().max(500).optional(),
+    actor: Joi.string().max(100).optional()
+  }),
+
+  release: Joi.object({
+    actor: Joi.string().max(100).optional()
+  })
+};
+
+// Backtest validation schemas
+const backtestSchemas = {
+  // Files are names under config.backtest.dataDir; an export is traded with the settings of channelIds[0]
+  run: Joi.object({
+    channelIds: Joi.array().items(Joi.string().uuid()).min(1).max(20).optional(),
+    candlesFile: Joi.string().max(255).required(),
+    exportFile: Joi.string().max(255).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    initialBalance: Joi.number().positive().optional(),
+    feeRate: Joi.number().min(0).max(0.01).optional(),
+    save: Joi.boolean().default(true)
+  }).or('channelIds', 'exportFile').messages({
+    'object.missing': 'channelIds or exportFile is required'
+  }),
+
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  })
+};
+
+// Paper trading validation schemas
+const paperSchemas = {
+  params: Joi.object({
+    accountId: Joi.string().pattern(/^paper_[\w-]+$/).required().messages({
+      'string.pattern.base': 'Paper account id must start with paper_'
+    })
+  }),
+
+  reset: Joi.object({
+    balance: Joi.number().positive().optional()
+  }),
+
+  // price: null clears a supplied price and falls back to live quotes
+  price: Joi.object({
+    symbol: Joi.string().max(30).required(),
+    price: Joi.number().positive().allow(null).required()
+  })
+};
+
 const commonSchemas = {
   uuid: Joi.string().uuid().required().messages({
     'string.guid': 'Invalid ID format',
@@ -167,11 +417,38 @@ const validateChannelTransfer = validate(channelSchemas.transfer);
 const validateSignalExecute = validate(signalSchemas.execute);
 const validateSignalQuery = validate(signalSchemas.query, 'query');
 const validateSignalIgnore = validate(signalSchemas.ignore);
+const validateSignalTestRecognition = validate(signalSchemas.testRecognition);
+const validateSignalCorrect = validate(signalSchemas.correct);
+const validateSignalEvaluate = validate(signalSchemas.evaluate);
+const validateSignalImport = validate(signalSchemas.import);
+
+const validateTemplateCreate = validate(templateSchemas.create);
+const validateTemplateUpdate = validate(templateSchemas.update);
+const validateTemplateParams = validate(Joi.object({
+  id: commonSchemas.uuid,
+  templateId: commonSchemas.uuid
+}), 'params');
 
 const validatePositionClose = validate(positionSchemas.close);
 const validatePositionModify = validate(positionSchemas.modify);
 const validatePositionQuery = validate(positionSchemas.query, 'query');
 
+const validateQueueParams = validate(queueSchemas.params, 'params');
+const validateQueueJobsQuery = validate(queueSchemas.jobsQuery, 'query');
+const validateQueuePurge = validate(queueSchemas.purge);
+
+const validateCircuitBreakerReset = validate(circuitBreakerSchemas.reset);
+
+const validateKillSwitchEngage = validate(killSwitchSchemas.engage);
+const validateKillSwitchRelease = validate(killSwitchSchemas.release);
+
+const validateBacktestRun = validate(backtestSchemas.run);
+const validateBacktestQuery = validate(backtestSchemas.query, 'query');
+
+const validatePaperParams = validate(paperSchemas.params, 'params');
+const validatePaperReset = validate(paperSchemas.reset);
+const validatePaperPrice = validate(paperSchemas.price);
+
 const validateUuid = validate(commonSchemas.uuid, 'params');
 const validatePagination = validate(commonSchemas.pagination, 'query');
 const validateTimeRange = validate(commonSchemas.timeRange, 'query');
@@ -249,11 +526,41 @@ module.exports = {
   validateSignalExecute,
   validateSignalQuery,
   validateSignalIgnore,
+  validateSignalTestRecognition,
+  validateSignalCorrect,
+  validateSignalEvaluate,
+  validateSignalImport,
+
+  // Parsing template validations
+  validateTemplateCreate,
+  validateTemplateUpdate,
+  validateTemplateParams,
   
   // Position validations
   validatePositionClose,
   validatePositionModify,
   validatePositionQuery,
+
+  // Queue validations
+  validateQueueParams,
+  validateQueueJobsQuery,
+  validateQueuePurge,
+
+  // Circuit breaker validations
+  validateCircuitBreakerReset,
+
+  // Kill switch validations
+  validateKillSwitchEngage,
+  validateKillSwitchRelease,
+
+  // Backtest validations
+  validateBacktestRun,
+  validateBacktestQuery,
+
+  // Paper trading validations
+  validatePaperParams,
+  validatePaperReset,
+  validatePaperPrice,
   
   // Common validations
   validateUuid,
@@ -274,6 +581,11 @@ module.exports = {
     channel: channelSchemas,
     signal: signalSchemas,
     position: positionSchemas,
+    queue: queueSchemas,
+    circuitBreaker: circuitBreakerSchemas,
+    killSwitch: killSwitchSchemas,
+    backtest: backtestSchemas,
+    paper: paperSchemas,
     common: commonSchemas
   }
 };
\ No newline at end of file
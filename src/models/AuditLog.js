@@ -0,0 +1,54 @@
+const db = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+
+class AuditLog {
+  constructor(data) {
+    this.id = data.id;
+    this.action = data.action;
+    this.actor = data.actor;
+    this.source = data.source;
+    this.details = data.details;
+    this.createdAt = data.created_at;
+  }
+
+  static async create(entryData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO audit_log (id, action, actor, source, details)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      entryData.action,
+      entryData.actor || null,
+      entryData.source || 'api',
+      entryData.details ? JSON.stringify(entryData.details) : null
+    ];
+
+    const result = await db.query(query, values);
+    return new AuditLog(result.rows[0]);
+  }
+
+  static async findByActions(actions, limit = 20) {
+    const result = await db.query(
+      'SELECT * FROM audit_log WHERE action = ANY($1) ORDER BY created_at DESC LIMIT $2',
+      [actions, limit]
+    );
+    return result.rows.map(row => new AuditLog(row));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      action: this.action,
+      actor: this.actor,
+      source: this.source,
+      details: this.details,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,67 @@
+const db = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+
+class Backtest {
+  constructor(data) {
+    this.id = data.id;
+    this.params = data.params;
+    this.summary = data.summary;
+    this.results = data.results || null;
+    this.createdAt = data.created_at;
+  }
+
+  static async create(backtestData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO backtests (id, params, summary, results)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      JSON.stringify(backtestData.params || {}),
+      JSON.stringify(Backtest.summarize(backtestData.results)),
+      JSON.stringify(backtestData.results)
+    ];
+
+    const result = await db.query(query, values);
+    return new Backtest(result.rows[0]);
+  }
+
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM backtests WHERE id = $1', [id]);
+    return result.rows.length > 0 ? new Backtest(result.rows[0]) : null;
+  }
+
+  // List view: the full results with trades and equity curves stay in the database
+  static async findRecent(limit = 20) {
+    const result = await db.query(
+      'SELECT id, params, summary, created_at FROM backtests ORDER BY created_at DESC LIMIT $1',
+      [limit]
+    );
+    return result.rows.map(row => new Backtest(row));
+  }
+
+  static summarize(results) {
+    return {
+      ...results.totals,
+      channels: results.channels.map(({ trades, equityCurve, skipped, ...metrics }) => ({
+        ...metrics,
+        skipped: skipped.length
+      }))
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      params: this.params,
+      summary: this.summary,
+      results: this.results,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Backtest;
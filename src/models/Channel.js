@@ -9,11 +9,32 @@ class Channel {
     this.description = data.description;
     this.isActive = data.is_active;
     this.isPaused = data.is_paused;
+    this.pauseReason = data.pause_reason || null;
     this.subAccountId = data.sub_account_id;
     this.maxPositionPercentage = data.max_position_percentage;
     this.autoExecute = data.auto_execute;
     this.riskPercentage = data.risk_percentage;
     this.tpPercentages = data.tp_percentages || [25.0, 25.0, 50.0];
+    this.llmProviders = data.llm_providers || null;
+    this.entryMode = data.entry_mode || 'market';
+    this.entryOrdersCount = data.entry_orders_count || null;
+    this.entryOrderTimeoutMinutes = data.entry_order_timeout_minutes || null;
+    this.sizingStrategy = data.sizing_strategy || 'fixed_percent';
+    this.sizingValue = data.sizing_value != null ? parseFloat(data.sizing_value) : null;
+    this.stopMode = data.stop_mode || 'breakeven';
+    this.breakevenAfterTp = data.breakeven_after_tp || 1;
+    this.trailingValue = data.trailing_value != null ? parseFloat(data.trailing_value) : null;
+    this.maxPositionMinutes = data.max_position_minutes || null;
+    this.tradingMode = data.trading_mode || 'live';
+    this.ingestionBackend = data.ingestion_backend || 'bot';
+    this.editHandling = data.edit_handling || 'update_pending';
+    this.duplicatePolicy = data.duplicate_policy || 'ignore';
+    this.signalTtlMinutes = data.signal_ttl_minutes ?? null;
+    this.maxEntryDeviation = data.max_entry_deviation != null ? parseFloat(data.max_entry_deviation) : null;
+    this.entryDeviationUnit = data.entry_deviation_unit || 'percent';
+    this.requiredApprovals = data.required_approvals ?? null;
+    this.approvers = data.approvers || null;
+    this.approvalTimeoutMinutes = data.approval_timeout_minutes ?? null;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
@@ -61,8 +82,9 @@ class Channel {
     const query = `
       INSERT INTO channels (
         id, telegram_channel_id, name, description, sub_account_id,
-        max_position_percentage, auto_execute, risk_percentage, tp_percentages
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        max_position_percentage, auto_execute, risk_percentage, tp_percentages,
+        ingestion_backend
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *
     `;
     
@@ -75,7 +97,8 @@ class Channel {
       channelData.maxPositionPercentage || 10.0,
       channelData.autoExecute || false,
       channelData.riskPercentage || 2.0,
-      channelData.tpPercentages || [25.0, 25.0, 50.0]
+      channelData.tpPercentages || [25.0, 25.0, 50.0],
+      channelData.ingestionBackend || 'bot'
     ];
 
     const result = await db.query(query, values);
@@ -112,12 +135,12 @@ class Channel {
     return true;
   }
 
-  async pause() {
-    return this.update({ isPaused: true });
+  async pause(reason = null) {
+    return this.update({ isPaused: true, pauseReason: reason });
   }
 
   async resume() {
-    return this.update({ isPaused: false });
+    return this.update({ isPaused: false, pauseReason: null });
   }
 
   async activate() {
@@ -196,11 +219,32 @@ class Channel {
       description: this.description,
       isActive: this.isActive,
       isPaused: this.isPaused,
+      pauseReason: this.pauseReason,
       subAccountId: this.subAccountId,
       maxPositionPercentage: this.maxPositionPercentage,
       autoExecute: this.autoExecute,
       riskPercentage: this.riskPercentage,
       tpPercentages: this.tpPercentages,
+      llmProviders: this.llmProviders,
+      entryMode: this.entryMode,
+      entryOrdersCount: this.entryOrdersCount,
+      entryOrderTimeoutMinutes: this.entryOrderTimeoutMinutes,
+      sizingStrategy: this.sizingStrategy,
+      sizingValue: this.sizingValue,
+      stopMode: this.stopMode,
+      breakevenAfterTp: this.breakevenAfterTp,
+      trailingValue: this.trailingValue,
+      maxPositionMinutes: this.maxPositionMinutes,
+      tradingMode: this.tradingMode,
+      ingestionBackend: this.ingestionBackend,
+      editHandling: this.editHandling,
+      duplicatePolicy: this.duplicatePolicy,
+      signalTtlMinutes: this.signalTtlMinutes,
+      maxEntryDeviation: this.maxEntryDeviation,
+      entryDeviationUnit: this.entryDeviationUnit,
+      requiredApprovals: this.requiredApprovals,
+      approvers: this.approvers,
+      approvalTimeoutMinutes: this.approvalTimeoutMinutes,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
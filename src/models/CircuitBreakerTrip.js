@@ -0,0 +1,90 @@
+const db = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+
+class CircuitBreakerTrip {
+  constructor(data) {
+    this.id = data.id;
+    this.breaker = data.breaker;
+    this.channelId = data.channel_id;
+    this.reason = data.reason;
+    this.details = data.details;
+    this.pausedChannelIds = data.paused_channel_ids || [];
+    this.trippedAt = data.tripped_at;
+    this.resetAt = data.reset_at;
+    this.resetBy = data.reset_by;
+  }
+
+  static async create(tripData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO circuit_breaker_trips (
+        id, breaker, channel_id, reason, details, paused_channel_ids
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      tripData.breaker,
+      tripData.channelId || null,
+      tripData.reason,
+      tripData.details ? JSON.stringify(tripData.details) : null,
+      JSON.stringify(tripData.pausedChannelIds || [])
+    ];
+
+    const result = await db.query(query, values);
+    return new CircuitBreakerTrip(result.rows[0]);
+  }
+
+  // Trips that have not been reset yet
+  static async findActive() {
+    const result = await db.query(
+      'SELECT * FROM circuit_breaker_trips WHERE reset_at IS NULL ORDER BY tripped_at ASC'
+    );
+    return result.rows.map(row => new CircuitBreakerTrip(row));
+  }
+
+  static async findRecent(limit = 20) {
+    const result = await db.query(
+      'SELECT * FROM circuit_breaker_trips ORDER BY tripped_at DESC LIMIT $1',
+      [limit]
+    );
+    return result.rows.map(row => new CircuitBreakerTrip(row));
+  }
+
+  // Losses and trades before the last reset no longer count towards the breaker
+  static async getLastResetAt(breaker, channelId = null) {
+    const result = await db.query(
+      `SELECT MAX(reset_at) AS reset_at FROM circuit_breaker_trips
+       WHERE breaker = $1 AND channel_id IS NOT DISTINCT FROM $2`,
+      [breaker, channelId]
+    );
+    return result.rows[0].reset_at;
+  }
+
+  async reset(resetBy = null) {
+    const result = await db.query(
+      `UPDATE circuit_breaker_trips SET reset_at = NOW(), reset_by = $1
+       WHERE id = $2 RETURNING *`,
+      [resetBy, this.id]
+    );
+    Object.assign(this, new CircuitBreakerTrip(result.rows[0]));
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      breaker: this.breaker,
+      channelId: this.channelId,
+      reason: this.reason,
+      details: this.details,
+      pausedChannelIds: this.pausedChannelIds,
+      trippedAt: this.trippedAt,
+      resetAt: this.resetAt,
+      resetBy: this.resetBy
+    };
+  }
+}
+
+module.exports = CircuitBreakerTrip;
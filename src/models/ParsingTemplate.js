@@ -0,0 +1,118 @@
+const db = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+
+class ParsingTemplate {
+  constructor(data) {
+    this.id = data.id;
+    this.channelId = data.channel_id;
+    this.name = data.name;
+    this.templateType = data.template_type;
+    this.fieldPatterns = data.field_patterns;
+    this.exampleMessage = data.example_message;
+    this.exampleOutput = data.example_output;
+    this.isActive = data.is_active;
+    this.priority = data.priority;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async findByChannelId(channelId, { activeOnly = false } = {}) {
+    let query = 'SELECT * FROM channel_parsing_templates WHERE channel_id = $1';
+    if (activeOnly) {
+      query += ' AND is_active = true';
+    }
+    query += ' ORDER BY priority DESC, created_at ASC';
+
+    const result = await db.query(query, [channelId]);
+    return result.rows.map(row => new ParsingTemplate(row));
+  }
+
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM channel_parsing_templates WHERE id = $1', [id]);
+    return result.rows.length > 0 ? new ParsingTemplate(result.rows[0]) : null;
+  }
+
+  static async create(templateData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO channel_parsing_templates (
+        id, channel_id, name, template_type, field_patterns,
+        example_message, example_output, is_active, priority
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      templateData.channelId,
+      templateData.name,
+      templateData.templateType,
+      templateData.fieldPatterns ? JSON.stringify(templateData.fieldPatterns) : null,
+      templateData.exampleMessage || null,
+      templateData.exampleOutput ? JSON.stringify(templateData.exampleOutput) : null,
+      templateData.isActive !== undefined ? templateData.isActive : true,
+      templateData.priority || 0
+    ];
+
+    const result = await db.query(query, values);
+    return new ParsingTemplate(result.rows[0]);
+  }
+
+  async update(updateData) {
+    const fields = [];
+    const values = [];
+
+    Object.keys(updateData).forEach((key, index) => {
+      const dbKey = this.camelToSnake(key);
+      let value = updateData[key];
+
+      // Handle JSON fields
+      if ((key === 'fieldPatterns' || key === 'exampleOutput') && value && typeof value === 'object') {
+        value = JSON.stringify(value);
+      }
+
+      fields.push(`${dbKey} = $${index + 1}`);
+      values.push(value);
+    });
+
+    values.push(this.id);
+
+    const query = `
+      UPDATE channel_parsing_templates
+      SET ${fields.join(', ')}
+      WHERE id = $${values.length}
+      RETURNING *
+    `;
+
+    const result = await db.query(query, values);
+    Object.assign(this, new ParsingTemplate(result.rows[0]));
+    return this;
+  }
+
+  async delete() {
+    await db.query('DELETE FROM channel_parsing_templates WHERE id = $1', [this.id]);
+    return true;
+  }
+
+  camelToSnake(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      channelId: this.channelId,
+      name: this.name,
+      templateType: this.templateType,
+      fieldPatterns: this.fieldPatterns,
+      exampleMessage: this.exampleMessage,
+      exampleOutput: this.exampleOutput,
+      isActive: this.isActive,
+      priority: this.priority,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ParsingTemplate;
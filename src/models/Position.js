@@ -26,6 +26,8 @@ class Position {
     this.openedAt = data.opened_at;
     this.closedAt = data.closed_at;
     this.exitPrice = data.exit_price;
+    this.sizing = data.sizing || null;
+    this.stopManagement = data.stop_management || null;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
@@ -121,14 +123,43 @@ class Position {
     return this.findAll(filters);
   }
 
+  // Realized P&L of positions closed since the given time, across all channels
+  // Paper positions do not count towards the portfolio figures
+  static async getRealizedPnlSince(since) {
+    const result = await db.query(
+      `SELECT COALESCE(SUM(realized_pnl), 0) AS pnl FROM positions
+       WHERE status = 'closed' AND closed_at >= $1 AND COALESCE(sub_account_id, '') NOT LIKE 'paper\\_%'`,
+      [since]
+    );
+    return parseFloat(result.rows[0].pnl);
+  }
+
+  static async getLastClosed(channelId, limit, since) {
+    const result = await db.query(
+      `SELECT * FROM positions
+       WHERE channel_id = $1 AND status = 'closed' AND closed_at >= $2
+       ORDER BY closed_at DESC LIMIT $3`,
+      [channelId, since, limit]
+    );
+    return result.rows.map(row => new Position(row));
+  }
+
+  static async countOpenedSince(since) {
+    const result = await db.query(
+      `SELECT COUNT(*) AS count FROM positions WHERE opened_at >= $1 AND COALESCE(sub_account_id, '') NOT LIKE 'paper\\_%'`,
+      [since]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
   static async create(positionData) {
     const id = uuidv4();
     const query = `
       INSERT INTO positions (
         id, signal_id, channel_id, sub_account_id, symbol, side,
         quantity, entry_price, leverage, take_profit_levels, 
-        stop_loss, bingx_order_id, tp_percentages
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        stop_loss, bingx_order_id, tp_percentages, sizing
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *
     `;
     
@@ -145,7 +176,8 @@ class Position {
       positionData.takeProfitLevels || [],
       positionData.stopLoss,
       positionData.bingxOrderId,
-      positionData.tpPercentages || [25.0, 25.0, 50.0]
+      positionData.tpPercentages || [25.0, 25.0, 50.0],
+      positionData.sizing ? JSON.stringify(positionData.sizing) : null
     ];
 
     const result = await db.query(query, values);
@@ -512,6 +544,8 @@ class Position {
       exitPrice: this.exitPrice,
       status: this.status,
       bingxOrderId: this.bingxOrderId,
+      sizing: this.sizing,
+      stopManagement: this.stopManagement,
       openedAt: this.openedAt,
       closedAt: this.closedAt,
       createdAt: this.createdAt,
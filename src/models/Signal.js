@@ -9,6 +9,7 @@ class Signal {
     this.direction = data.direction;
     this.leverage = data.leverage;
     this.entryPrice = data.entry_price;
+    this.entryPriceRange = data.entry_price_range ? data.entry_price_range.map(parseFloat) : null;
     this.takeProfitLevels = data.take_profit_levels || [];
     this.stopLoss = data.stop_loss;
     this.suggestedVolume = data.suggested_volume;
@@ -19,6 +20,17 @@ class Signal {
     this.processedAt = data.processed_at;
     this.status = data.status;
     this.signalType = data.signal_type;
+    this.telegramMessageId = data.telegram_message_id;
+    this.replyToMessageId = data.reply_to_message_id;
+    this.parentSignalId = data.parent_signal_id;
+    this.groupId = data.group_id;
+    this.groupIndex = data.group_index;
+    this.image = data.image || null;
+    this.duplicateOf = data.duplicate_of || null;
+    this.duplicateScore = data.duplicate_score !== null && data.duplicate_score !== undefined
+      ? parseFloat(data.duplicate_score)
+      : null;
+    this.expiry = data.expiry || null;
   }
 
   static async findAll(filters = {}) {
@@ -117,8 +129,11 @@ class Signal {
       INSERT INTO signals (
         id, channel_id, coin, direction, leverage, entry_price,
         take_profit_levels, stop_loss, suggested_volume, confidence_score,
-        raw_message, parsed_data, message_timestamp, signal_type
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        raw_message, parsed_data, message_timestamp, signal_type,
+        telegram_message_id, reply_to_message_id, parent_signal_id,
+        status, group_id, group_index, entry_price_range, image,
+        duplicate_of, duplicate_score
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
       RETURNING *
     `;
     
@@ -136,7 +151,17 @@ class Signal {
       signalData.rawMessage,
       signalData.parsedData ? JSON.stringify(signalData.parsedData) : null,
       signalData.messageTimestamp || new Date(),
-      signalData.signalType || 'entry'
+      signalData.signalType || 'entry',
+      signalData.telegramMessageId || null,
+      signalData.replyToMessageId || null,
+      signalData.parentSignalId || null,
+      signalData.status || 'pending',
+      signalData.groupId || null,
+      signalData.groupIndex ?? null,
+      Array.isArray(signalData.entryPriceRange) ? signalData.entryPriceRange.map(cleanNumeric) : null,
+      signalData.image ? JSON.stringify(signalData.image) : null,
+      signalData.duplicateOf || null,
+      signalData.duplicateScore ?? null
     ];
 
     const result = await db.query(query, values);
@@ -183,10 +208,26 @@ class Signal {
     return this.update({ status: 'approved' });
   }
 
+  // Only one of concurrent final approvals moves the signal on; false when it is no longer pending
+  async approveIfPending() {
+    const result = await db.query(
+      "UPDATE signals SET status = 'approved' WHERE id = $1 AND status = 'pending' RETURNING *",
+      [this.id]
+    );
+    if (result.rows.length === 0) return false;
+    Object.assign(this, new Signal(result.rows[0]));
+    return true;
+  }
+
   async ignore() {
     return this.update({ status: 'ignored' });
   }
 
+  // Past its TTL or invalidated by price: { code, reason, ...details }
+  async expire(expiry) {
+    return this.update({ status: 'expired', expiry: { ...expiry, expiredAt: new Date().toISOString() } });
+  }
+
   async markAsFailed(errorMessage = null) {
     const updateData = { status: 'failed' };
     if (errorMessage) {
@@ -207,6 +248,112 @@ class Signal {
     return result.rows.length > 0 ? result.rows[0] : null;
   }
 
+  static async findByTelegramMessage(channelId, telegramMessageId) {
+    const result = await db.query(
+      `SELECT * FROM signals
+       WHERE channel_id = $1 AND telegram_message_id = $2
+       ORDER BY processed_at DESC LIMIT 1`,
+      [channelId, telegramMessageId]
+    );
+    return result.rows.length > 0 ? new Signal(result.rows[0]) : null;
+  }
+
+  // Every signal parsed from the message; several when it held a group
+  static async findAllByTelegramMessage(channelId, telegramMessageId) {
+    const result = await db.query(
+      `SELECT * FROM signals
+       WHERE channel_id = $1 AND telegram_message_id = $2
+       ORDER BY group_index ASC NULLS FIRST, processed_at ASC`,
+      [channelId, telegramMessageId]
+    );
+    return result.rows.map(row => new Signal(row));
+  }
+
+  // Entry signals of other channels for the same trade posted within [since, until]
+  static async findDuplicateCandidates({ coin, direction, channelId, since, until }) {
+    const result = await db.query(
+      `SELECT s.*, c.name as channel_name
+       FROM signals s
+       LEFT JOIN channels c ON s.channel_id = c.id
+       WHERE s.coin = $1 AND s.direction = $2 AND s.channel_id <> $3
+         AND s.signal_type = 'entry' AND s.status <> 'imported'
+         AND s.message_timestamp BETWEEN $4 AND $5
+       ORDER BY s.message_timestamp ASC`,
+      [coin, direction, channelId, since, until]
+    );
+    return result.rows.map(row => {
+      const signal = new Signal(row);
+      signal.channelName = row.channel_name;
+      return signal;
+    });
+  }
+
+  static async findByGroupId(groupId) {
+    const result = await db.query(
+      `SELECT s.*, c.name as channel_name
+       FROM signals s
+       LEFT JOIN channels c ON s.channel_id = c.id
+       WHERE s.group_id = $1
+       ORDER BY s.group_index ASC`,
+      [groupId]
+    );
+    return result.rows.map(row => {
+      const signal = new Signal(row);
+      signal.channelName = row.channel_name;
+      return signal;
+    });
+  }
+
+  async getParent() {
+    if (!this.parentSignalId) return null;
+    return Signal.findById(this.parentSignalId);
+  }
+
+  async getChildren() {
+    const result = await db.query(
+      'SELECT * FROM signals WHERE parent_signal_id = $1 ORDER BY message_timestamp ASC',
+      [this.id]
+    );
+    return result.rows.map(row => new Signal(row));
+  }
+
+  // Walks up the reply chain to the first signal of the thread (normally the entry)
+  async getRootSignal() {
+    const query = `
+      WITH RECURSIVE ancestors AS (
+        SELECT s.*, 0 AS depth FROM signals s WHERE s.id = $1
+        UNION ALL
+        SELECT s.*, a.depth + 1 FROM signals s
+        JOIN ancestors a ON s.id = a.parent_signal_id
+        WHERE a.depth < 50
+      )
+      SELECT * FROM ancestors ORDER BY depth DESC LIMIT 1
+    `;
+    const result = await db.query(query, [this.id]);
+    return result.rows.length > 0 ? new Signal(result.rows[0]) : this;
+  }
+
+  // Whole reply thread the signal belongs to, root first, in message order
+  async getThread() {
+    const root = await this.getRootSignal();
+    const query = `
+      WITH RECURSIVE thread AS (
+        SELECT s.*, 0 AS depth FROM signals s WHERE s.id = $1
+        UNION ALL
+        SELECT s.*, t.depth + 1 FROM signals s
+        JOIN thread t ON s.parent_signal_id = t.id
+        WHERE t.depth < 50
+      )
+      SELECT * FROM thread ORDER BY depth ASC, message_timestamp ASC
+    `;
+    const result = await db.query(query, [root.id]);
+    return result.rows.map(row => {
+      const signal = new Signal(row);
+      signal.depth = row.depth;
+      return signal;
+    });
+  }
+
   static async getRecentByChannel(channelId, hours = 24) {
     const query = `
       SELECT * FROM signals 
@@ -218,6 +365,47 @@ class Signal {
     return result.rows.map(row => new Signal(row));
   }
 
+  // Entry signals of the channels in message order, whatever became of them
+  static async findForBacktest({ channelIds = [], from = null, to = null } = {}) {
+    const conditions = ["signal_type = 'entry'", 'channel_id = ANY($1)'];
+    const values = [channelIds];
+
+    if (from) {
+      values.push(from);
+      conditions.push(`COALESCE(message_timestamp, processed_at) >= $${values.length}`);
+    }
+    if (to) {
+      values.push(to);
+      conditions.push(`COALESCE(message_timestamp, processed_at) <= $${values.length}`);
+    }
+
+    const result = await db.query(
+      `SELECT * FROM signals WHERE ${conditions.join(' AND ')} ORDER BY COALESCE(message_timestamp, processed_at) ASC`,
+      values
+    );
+    return result.rows.map(row => new Signal(row));
+  }
+
+  // Entry signals that may still be executed, oldest post first
+  static async findAwaitingExecution() {
+    const result = await db.query(
+      `SELECT * FROM signals
+       WHERE status IN ('pending', 'approved') AND signal_type = 'entry'
+       ORDER BY COALESCE(message_timestamp, processed_at) ASC`
+    );
+    return result.rows.map(row => new Signal(row));
+  }
+
+  // Signals waiting for approvals, oldest post first
+  static async findAwaitingApproval() {
+    const result = await db.query(
+      `SELECT * FROM signals
+       WHERE status = 'pending'
+       ORDER BY COALESCE(message_timestamp, processed_at) ASC`
+    );
+    return result.rows.map(row => new Signal(row));
+  }
+
   static async getPendingSignals() {
     return this.findAll({ status: 'pending' });
   }
@@ -274,6 +462,7 @@ class Signal {
       direction: this.direction,
       leverage: this.leverage,
       entryPrice: this.entryPrice,
+      entryPriceRange: this.entryPriceRange,
       takeProfitLevels: this.takeProfitLevels,
       stopLoss: this.stopLoss,
       suggestedVolume: this.suggestedVolume,
@@ -284,6 +473,15 @@ class Signal {
       processedAt: this.processedAt,
       status: this.status,
       signalType: this.signalType,
+      telegramMessageId: this.telegramMessageId,
+      replyToMessageId: this.replyToMessageId,
+      parentSignalId: this.parentSignalId,
+      groupId: this.groupId,
+      groupIndex: this.groupIndex,
+      image: this.image,
+      duplicateOf: this.duplicateOf,
+      duplicateScore: this.duplicateScore,
+      expiry: this.expiry,
       riskReward: this.calculateRiskReward(),
       isValid: this.isValidSignal()
     };
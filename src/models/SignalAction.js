@@ -0,0 +1,69 @@
+const db = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+
+class SignalAction {
+  constructor(data) {
+    this.id = data.id;
+    this.signalId = data.signal_id;
+    this.positionId = data.position_id;
+    this.actionType = data.action_type;
+    this.status = data.status;
+    this.reason = data.reason;
+    this.details = data.details;
+    this.createdAt = data.created_at;
+  }
+
+  static async create(actionData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO signal_actions (
+        id, signal_id, position_id, action_type, status, reason, details
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      actionData.signalId,
+      actionData.positionId || null,
+      actionData.actionType,
+      actionData.status,
+      actionData.reason || null,
+      actionData.details ? JSON.stringify(actionData.details) : null
+    ];
+
+    const result = await db.query(query, values);
+    return new SignalAction(result.rows[0]);
+  }
+
+  static async findBySignalId(signalId) {
+    const result = await db.query(
+      'SELECT * FROM signal_actions WHERE signal_id = $1 ORDER BY created_at ASC',
+      [signalId]
+    );
+    return result.rows.map(row => new SignalAction(row));
+  }
+
+  static async findByPositionId(positionId) {
+    const result = await db.query(
+      'SELECT * FROM signal_actions WHERE position_id = $1 ORDER BY created_at ASC',
+      [positionId]
+    );
+    return result.rows.map(row => new SignalAction(row));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      signalId: this.signalId,
+      positionId: this.positionId,
+      actionType: this.actionType,
+      status: this.status,
+      reason: this.reason,
+      details: this.details,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = SignalAction;
@@ -0,0 +1,60 @@
+const db = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+
+class SignalApproval {
+  constructor(data) {
+    this.id = data.id;
+    this.signalId = data.signal_id;
+    this.channelId = data.channel_id;
+    this.approver = data.approver;
+    this.decision = data.decision;
+    this.comment = data.comment;
+    this.source = data.source;
+    this.createdAt = data.created_at;
+  }
+
+  static async create(approvalData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO signal_approvals (id, signal_id, channel_id, approver, decision, comment, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      approvalData.signalId,
+      approvalData.channelId || null,
+      approvalData.approver,
+      approvalData.decision,
+      approvalData.comment || null,
+      approvalData.source || 'api'
+    ];
+
+    const result = await db.query(query, values);
+    return new SignalApproval(result.rows[0]);
+  }
+
+  static async findBySignalId(signalId) {
+    const result = await db.query(
+      'SELECT * FROM signal_approvals WHERE signal_id = $1 ORDER BY created_at ASC',
+      [signalId]
+    );
+    return result.rows.map(row => new SignalApproval(row));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      signalId: this.signalId,
+      channelId: this.channelId,
+      approver: this.approver,
+      decision: this.decision,
+      comment: this.comment,
+      source: this.source,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = SignalApproval;
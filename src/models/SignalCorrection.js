@@ -0,0 +1,80 @@
+const db = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+
+class SignalCorrection {
+  constructor(data) {
+    this.id = data.id;
+    this.signalId = data.signal_id;
+    this.channelId = data.channel_id;
+    this.messageText = data.message_text;
+    this.originalExtraction = data.original_extraction;
+    this.correctedExtraction = data.corrected_extraction;
+    this.changedFields = data.changed_fields || [];
+    this.correctedBy = data.corrected_by;
+    this.createdAt = data.created_at;
+  }
+
+  static async create(correctionData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO signal_corrections (
+        id, signal_id, channel_id, message_text, original_extraction,
+        corrected_extraction, changed_fields, corrected_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      correctionData.signalId,
+      correctionData.channelId || null,
+      correctionData.messageText,
+      JSON.stringify(correctionData.originalExtraction),
+      JSON.stringify(correctionData.correctedExtraction),
+      correctionData.changedFields || [],
+      correctionData.correctedBy || null
+    ];
+
+    const result = await db.query(query, values);
+    return new SignalCorrection(result.rows[0]);
+  }
+
+  static async findBySignalId(signalId) {
+    const result = await db.query(
+      'SELECT * FROM signal_corrections WHERE signal_id = $1 ORDER BY created_at ASC',
+      [signalId]
+    );
+    return result.rows.map(row => new SignalCorrection(row));
+  }
+
+  // Latest correction per signal, newest first
+  static async findRecentByChannelId(channelId, limit = 50) {
+    const result = await db.query(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (signal_id) *
+        FROM signal_corrections
+        WHERE channel_id = $1
+        ORDER BY signal_id, created_at DESC
+      ) latest
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [channelId, limit]);
+    return result.rows.map(row => new SignalCorrection(row));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      signalId: this.signalId,
+      channelId: this.channelId,
+      messageText: this.messageText,
+      originalExtraction: this.originalExtraction,
+      correctedExtraction: this.correctedExtraction,
+      changedFields: this.changedFields,
+      correctedBy: this.correctedBy,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = SignalCorrection;
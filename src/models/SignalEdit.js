@@ -0,0 +1,85 @@
+const db = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+
+class SignalEdit {
+  constructor(data) {
+    this.id = data.id;
+    this.signalId = data.signal_id;
+    this.channelId = data.channel_id;
+    this.telegramMessageId = data.telegram_message_id;
+    this.changes = data.changes || {};
+    this.previousMessage = data.previous_message;
+    this.newMessage = data.new_message;
+    this.outcome = data.outcome;
+    this.details = data.details;
+    this.editedAt = data.edited_at;
+    this.createdAt = data.created_at;
+  }
+
+  static async create(editData) {
+    const id = uuidv4();
+    const query = `
+      INSERT INTO signal_edits (
+        id, signal_id, channel_id, telegram_message_id, changes,
+        previous_message, new_message, outcome, details, edited_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      editData.signalId,
+      editData.channelId || null,
+      editData.telegramMessageId || null,
+      JSON.stringify(editData.changes),
+      editData.previousMessage || null,
+      editData.newMessage || null,
+      editData.outcome,
+      editData.details ? JSON.stringify(editData.details) : null,
+      editData.editedAt || null
+    ];
+
+    const result = await db.query(query, values);
+    return new SignalEdit(result.rows[0]);
+  }
+
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM signal_edits WHERE id = $1', [id]);
+    return result.rows.length > 0 ? new SignalEdit(result.rows[0]) : null;
+  }
+
+  static async findBySignalId(signalId) {
+    const result = await db.query(
+      'SELECT * FROM signal_edits WHERE signal_id = $1 ORDER BY created_at ASC',
+      [signalId]
+    );
+    return result.rows.map(row => new SignalEdit(row));
+  }
+
+  async update({ outcome, details }) {
+    const result = await db.query(
+      'UPDATE signal_edits SET outcome = $1, details = $2 WHERE id = $3 RETURNING *',
+      [outcome, details ? JSON.stringify(details) : null, this.id]
+    );
+    Object.assign(this, new SignalEdit(result.rows[0]));
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      signalId: this.signalId,
+      channelId: this.channelId,
+      telegramMessageId: this.telegramMessageId,
+      changes: this.changes,
+      previousMessage: this.previousMessage,
+      newMessage: this.newMessage,
+      outcome: this.outcome,
+      details: this.details,
+      editedAt: this.editedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = SignalEdit;
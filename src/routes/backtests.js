@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const {
+  sanitizeRequest, validateBacktestRun, validateBacktestQuery, validateUuidParam
+} = require('../middleware/validation');
+const Backtest = require('../models/Backtest');
+const BacktestService = require('../services/backtestService');
+
+// GET /api/backtests - Recent runs with their per-channel metrics
+router.get('/',
+  validateBacktestQuery,
+  asyncHandler(async (req, res) => {
+    const backtests = await Backtest.findRecent(req.query.limit);
+
+    res.json({
+      success: true,
+      data: backtests.map(b => b.toJSON())
+    });
+  })
+);
+
+// GET /api/backtests/:id - Full report with trades and equity curves
+router.get('/:id',
+  validateUuidParam('id'),
+  asyncHandler(async (req, res) => {
+    const backtest = await Backtest.findById(req.params.id);
+    if (!backtest) {
+      throw new NotFoundError('Backtest');
+    }
+
+    res.json({
+      success: true,
+      data: backtest.toJSON()
+    });
+  })
+);
+
+// POST /api/backtests - Replay stored or exported signals over a candle file
+router.post('/',
+  sanitizeRequest,
+  validateBacktestRun,
+  asyncHandler(async (req, res) => {
+    const { candlesFile, exportFile, save, ...params } = req.body;
+    const backtests = new BacktestService();
+
+    let candlesPath;
+    let exportPath;
+    try {
+      candlesPath = backtests.resolveDataFile(candlesFile);
+      exportPath = exportFile ? backtests.resolveDataFile(exportFile) : null;
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    const results = await backtests.runFromFiles({ ...params, candlesPath, exportPath });
+    const data = save
+      ? (await Backtest.create({ params: { ...params, candlesFile, exportFile }, results })).toJSON()
+      : { params: { ...params, candlesFile, exportFile }, results };
+
+    res.json({
+      success: true,
+      data
+    });
+  })
+);
+
+module.exports = router;
@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const {
   validateChannelCreate,
   validateChannelUpdate,
   validateChannelTransfer,
   validateUuidParam,
+  validateTemplateCreate,
+  validateTemplateUpdate,
+  validateTemplateParams,
   sanitizeRequest
 } = require('../middleware/validation');
 const Channel = require('../models/Channel');
+const ParsingTemplate = require('../models/ParsingTemplate');
 
 // GET /api/channels - Get all channels
 router.get('/', asyncHandler(async (req, res) => {
@@ -280,6 +284,94 @@ router.post('/refresh-balances',
   })
 );
 
+// GET /api/channels/:id/templates - Get parsing templates for channel
+router.get('/:id/templates',
+  validateUuidParam('id'),
+  asyncHandler(async (req, res) => {
+    const channel = await Channel.findById(req.params.id);
+    if (!channel) {
+      throw new NotFoundError('Channel');
+    }
+
+    const templates = await ParsingTemplate.findByChannelId(channel.id);
+
+    res.json({
+      success: true,
+      data: templates.map(t => t.toJSON())
+    });
+  })
+);
+
+// POST /api/channels/:id/templates - Create parsing template
+router.post('/:id/templates',
+  validateUuidParam('id'),
+  sanitizeRequest,
+  validateTemplateCreate,
+  asyncHandler(async (req, res) => {
+    const channel = await Channel.findById(req.params.id);
+    if (!channel) {
+      throw new NotFoundError('Channel');
+    }
+
+    const template = await ParsingTemplate.create({
+      ...req.body,
+      channelId: channel.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template.toJSON()
+    });
+  })
+);
+
+// PUT /api/channels/:id/templates/:templateId - Update parsing template
+router.put('/:id/templates/:templateId',
+  validateTemplateParams,
+  sanitizeRequest,
+  validateTemplateUpdate,
+  asyncHandler(async (req, res) => {
+    const template = await ParsingTemplate.findById(req.params.templateId);
+    if (!template || template.channelId !== req.params.id) {
+      throw new NotFoundError('Template');
+    }
+
+    if (req.body.fieldPatterns && template.templateType !== 'field_patterns') {
+      throw new ValidationError('fieldPatterns can only be set on field_patterns templates');
+    }
+    if ((req.body.exampleMessage || req.body.exampleOutput) && template.templateType !== 'few_shot') {
+      throw new ValidationError('Examples can only be set on few_shot templates');
+    }
+
+    await template.update(req.body);
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template.toJSON()
+    });
+  })
+);
+
+// DELETE /api/channels/:id/templates/:templateId - Delete parsing template
+router.delete('/:id/templates/:templateId',
+  validateTemplateParams,
+  asyncHandler(async (req, res) => {
+    const template = await ParsingTemplate.findById(req.params.templateId);
+    if (!template || template.channelId !== req.params.id) {
+      throw new NotFoundError('Template');
+    }
+
+    await template.delete();
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  })
+);
+
 // Test telegram bot connection to channel
 router.get('/:id/test-telegram',
   validateUuidParam('id'),
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeRequest, validateCircuitBreakerReset } = require('../middleware/validation');
+
+const getCircuitBreaker = (req) => req.app.locals.services.execution.circuitBreaker;
+
+// GET /api/circuit-breakers - Limits, active trips and recent history
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const status = await getCircuitBreaker(req).getStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  })
+);
+
+// POST /api/circuit-breakers/reset - Reset tripped breakers and resume the channels they paused
+router.post('/reset',
+  sanitizeRequest,
+  validateCircuitBreakerReset,
+  asyncHandler(async (req, res) => {
+    const { breaker, channelId, resetBy } = req.body;
+    const result = await getCircuitBreaker(req).reset({ breaker, channelId }, resetBy || 'api');
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.reset.length > 0 ? 'Circuit breakers reset' : 'No active circuit breakers matched'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeRequest, validateKillSwitchEngage, validateKillSwitchRelease } = require('../middleware/validation');
+
+const getKillSwitch = (req) => req.app.locals.services.killSwitch;
+
+// GET /api/kill-switch - Whether the kill switch is engaged, with the audit history
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const status = await getKillSwitch(req).getStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  })
+);
+
+// POST /api/kill-switch - Stop trading, cancel all orders and close all positions
+router.post('/',
+  sanitizeRequest,
+  validateKillSwitchEngage,
+  asyncHandler(async (req, res) => {
+    const { reason, actor } = req.body;
+    const report = await getKillSwitch(req).engage({ reason, actor: actor || req.ip, source: 'api' });
+
+    res.json({
+      success: true,
+      data: report,
+      message: report.success ? 'All positions closed' : 'Kill switch finished with errors, check the report'
+    });
+  })
+);
+
+// POST /api/kill-switch/release - Resume the queues and the channels the kill switch paused
+router.post('/release',
+  sanitizeRequest,
+  validateKillSwitchRelease,
+  asyncHandler(async (req, res) => {
+    const result = await getKillSwitch(req).release({ actor: req.body.actor || req.ip, source: 'api' });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  sanitizeRequest, validatePaperParams, validatePaperReset, validatePaperPrice
+} = require('../middleware/validation');
+
+const getPaper = (req) => req.app.locals.services.execution.bingx.paper;
+
+// GET /api/paper/accounts - Simulated accounts of paper channels
+router.get('/accounts',
+  asyncHandler(async (req, res) => {
+    const paper = getPaper(req);
+    const accounts = [];
+    for (const accountId of await paper.listAccountIds()) {
+      // eslint-disable-next-line no-await-in-loop
+      const { positions, openOrders, orderHistory, ...summary } = await paper.getAccountSummary(accountId);
+      accounts.push({ ...summary, openPositions: positions.length, openOrders: openOrders.length });
+    }
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  })
+);
+
+// GET /api/paper/accounts/:accountId - Balance, positions, open orders and fills of one account
+router.get('/accounts/:accountId',
+  validatePaperParams,
+  asyncHandler(async (req, res) => {
+    const summary = await getPaper(req).getAccountSummary(req.params.accountId);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  })
+);
+
+// POST /api/paper/accounts/:accountId/reset - Drop positions and orders, start over with a new balance
+router.post('/accounts/:accountId/reset',
+  sanitizeRequest,
+  validatePaperParams,
+  validatePaperReset,
+  asyncHandler(async (req, res) => {
+    const paper = getPaper(req);
+    await paper.resetAccount(req.params.accountId, req.body.balance);
+    const summary = await paper.getAccountSummary(req.params.accountId);
+
+    res.json({
+      success: true,
+      data: summary,
+      message: 'Paper account reset'
+    });
+  })
+);
+
+// GET /api/paper/prices - Prices supplied in place of live quotes
+router.get('/prices',
+  asyncHandler(async (req, res) => {
+    const prices = await getPaper(req).getSuppliedPrices();
+
+    res.json({
+      success: true,
+      data: prices
+    });
+  })
+);
+
+// PUT /api/paper/prices - Supply a price for a symbol (null clears it); open orders are matched against it at once
+router.put('/prices',
+  sanitizeRequest,
+  validatePaperPrice,
+  asyncHandler(async (req, res) => {
+    const prices = await getPaper(req).setPrice(req.body.symbol, req.body.price);
+
+    res.json({
+      success: true,
+      data: prices
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  validateQueueParams,
+  validateQueueJobsQuery,
+  validateQueuePurge
+} = require('../middleware/validation');
+
+const getQueueService = (req) => req.app.locals.services.execution.queue;
+
+// GET /api/queues - Job counts of the execution, TP/SL, breakeven and dead-letter queues
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const stats = await getQueueService(req).getStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  })
+);
+
+// GET /api/queues/:queue/jobs - Jobs in a queue by status
+router.get('/:queue/jobs',
+  validateQueueParams,
+  validateQueueJobsQuery,
+  asyncHandler(async (req, res) => {
+    const { queue } = req.params;
+    const { limit, offset } = req.query;
+    const status = req.query.status || (queue === 'deadLetter' ? 'waiting' : 'failed');
+
+    const jobs = await getQueueService(req).getJobs(queue, status, offset, limit);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: { status, limit, offset }
+    });
+  })
+);
+
+// GET /api/queues/:queue/jobs/:jobId - Job details
+router.get('/:queue/jobs/:jobId',
+  validateQueueParams,
+  asyncHandler(async (req, res) => {
+    const job = await getQueueService(req).getJob(req.params.queue, req.params.jobId);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  })
+);
+
+// POST /api/queues/:queue/jobs/:jobId/retry - Retry a failed job or requeue a dead-lettered one
+router.post('/:queue/jobs/:jobId/retry',
+  validateQueueParams,
+  asyncHandler(async (req, res) => {
+    const job = await getQueueService(req).retryJob(req.params.queue, req.params.jobId);
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: job
+    });
+  })
+);
+
+// DELETE /api/queues/:queue/jobs/:jobId - Remove a job
+router.delete('/:queue/jobs/:jobId',
+  validateQueueParams,
+  asyncHandler(async (req, res) => {
+    await getQueueService(req).removeJob(req.params.queue, req.params.jobId);
+
+    res.json({
+      success: true,
+      message: 'Job removed'
+    });
+  })
+);
+
+// POST /api/queues/:queue/purge - Remove jobs with the given status
+router.post('/:queue/purge',
+  validateQueueParams,
+  validateQueuePurge,
+  asyncHandler(async (req, res) => {
+    const { status, grace } = req.body;
+    const removed = await getQueueService(req).purge(req.params.queue, status, grace);
+
+    res.json({
+      success: true,
+      message: `${removed} jobs removed`,
+      data: { removed }
+    });
+  })
+);
+
+module.exports = router;
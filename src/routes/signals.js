@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const { asyncHandler, NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
 const {
   validateSignalExecute,
   validateSignalQuery,
   validateSignalIgnore,
+  validateSignalTestRecognition,
+  validateSignalCorrect,
+  validateSignalEvaluate,
+  validateSignalImport,
   validateUuidParam,
   sanitizeRequest
 } = require('../middleware/validation');
@@ -57,6 +62,21 @@ router.get('/stats',
   })
 );
 
+// GET /api/signals/duplicates - Original sources vs copiers across channels
+router.get('/duplicates',
+  asyncHandler(async (req, res) => {
+    const signalFeedService = req.app.locals.services.signalFeed;
+    const { timeRange = '7d' } = req.query;
+
+    const stats = await signalFeedService.duplicateDetection.getStats(timeRange);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  })
+);
+
 // GET /api/signals/service-status - Get signal processing service status
 router.get('/service-status',
   asyncHandler(async (req, res) => {
@@ -74,24 +94,37 @@ router.get('/service-status',
 // POST /api/signals/test-recognition - Test signal recognition
 router.post('/test-recognition',
   sanitizeRequest,
+  validateSignalTestRecognition,
   asyncHandler(async (req, res) => {
     const { SignalRecognitionService } = require('../services/signalRecognitionService');
-    const { message } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Message text is required',
-          code: 'VALIDATION_ERROR'
-        }
-      });
+    const { message, channelId, templates, llmProviders } = req.body;
+
+    // Draft templates from the editor take precedence over the stored ones
+    let channelTemplates = templates || [];
+    let channelName;
+    let channelProviders = null;
+    if (channelId) {
+      const Channel = require('../models/Channel');
+      const ParsingTemplate = require('../models/ParsingTemplate');
+      const channel = await Channel.findById(channelId);
+      if (!channel) {
+        throw new NotFoundError('Channel');
+      }
+      channelName = channel.name;
+      channelProviders = channel.llmProviders;
+      if (!templates) {
+        channelTemplates = await ParsingTemplate.findByChannelId(channelId, { activeOnly: true });
+      }
     }
     
     const recognitionService = new SignalRecognitionService();
     await recognitionService.initialize();
     
-    const result = await recognitionService.testSignalRecognition(message);
+    const result = await recognitionService.testSignalRecognition(message, {
+      channelName,
+      templates: channelTemplates,
+      llmProviders: llmProviders || channelProviders
+    });
     
     res.json({
       success: true,
@@ -100,6 +133,124 @@ router.post('/test-recognition',
   })
 );
 
+// POST /api/signals/evaluate - Score recognition against a labeled corpus
+router.post('/evaluate',
+  validateSignalEvaluate,
+  asyncHandler(async (req, res) => {
+    const { RecognitionEvaluationService } = require('../services/recognitionEvaluationService');
+    const { provider, llmOnly, includeCases, corpus } = req.body;
+
+    const evaluation = new RecognitionEvaluationService({ provider, llmOnly });
+    const report = await evaluation.run(corpus, { includeCases });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  })
+);
+
+// POST /api/signals/import - Seed a channel with its Telegram history as imported signals
+router.post('/import',
+  validateSignalImport,
+  asyncHandler(async (req, res) => {
+    const fs = require('fs');
+    const BacktestService = require('../services/backtestService');
+    const HistoryImportService = require('../services/historyImportService');
+    const { channelId, exportFile, from, to, actor } = req.body;
+    const historyImport = new HistoryImportService(req.app.locals.services.signalFeed);
+
+    let exportData;
+    let channel;
+    try {
+      exportData = exportFile
+        ? JSON.parse(fs.readFileSync(new BacktestService().resolveDataFile(exportFile), 'utf8'))
+        : req.body.export;
+      channel = await historyImport.resolveChannel(exportData, channelId);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    const report = await historyImport.importExport(exportData, {
+      channelId: channel.id, from, to, actor, source: 'api'
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${report.signals} signals from ${report.messages} messages`,
+      data: report
+    });
+  })
+);
+
+// GET /api/signals/groups/:groupId - Signals parsed from the same message
+router.get('/groups/:groupId',
+  validateUuidParam('groupId'),
+  asyncHandler(async (req, res) => {
+    const Signal = require('../models/Signal');
+
+    const signals = await Signal.findByGroupId(req.params.groupId);
+    if (signals.length === 0) {
+      throw new NotFoundError('Signal group');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        groupId: req.params.groupId,
+        signals: signals.map(s => s.toJSON())
+      }
+    });
+  })
+);
+
+// POST /api/signals/groups/:groupId/approve - Approve every pending signal of the message
+router.post('/groups/:groupId/approve',
+  validateUuidParam('groupId'),
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const signalFeedService = req.app.locals.services.signalFeed;
+
+    const result = await signalFeedService.approveSignalGroup(req.params.groupId, req.user.id);
+    // signals of channels needing more approvals stay pending
+    const approved = result.signals.filter(s => s.status === 'approved').length;
+
+    res.json({
+      success: true,
+      message: `${approved} of ${result.signals.length} signals approved`,
+      data: {
+        groupId: result.groupId,
+        signals: result.signals.map(s => s.toJSON()),
+        skipped: result.skipped
+      }
+    });
+  })
+);
+
+// POST /api/signals/groups/:groupId/ignore - Ignore every pending signal of the message
+router.post('/groups/:groupId/ignore',
+  validateUuidParam('groupId'),
+  authenticate,
+  sanitizeRequest,
+  validateSignalIgnore,
+  asyncHandler(async (req, res) => {
+    const signalFeedService = req.app.locals.services.signalFeed;
+    const { reason } = req.body;
+
+    const result = await signalFeedService.ignoreSignalGroup(req.params.groupId, reason, req.user.id);
+
+    res.json({
+      success: true,
+      message: `${result.signals.length} signals ignored`,
+      data: {
+        groupId: result.groupId,
+        signals: result.signals.map(s => s.toJSON()),
+        skipped: result.skipped
+      }
+    });
+  })
+);
+
 // GET /api/signals/:id - Get signal details
 router.get('/:id',
   validateUuidParam('id'),
@@ -114,30 +265,104 @@ router.get('/:id',
     
     // Get associated position if executed
     const position = await signal.getPosition();
-    
+
+    // Actions applied to a position by update/close signals
+    const SignalAction = require('../models/SignalAction');
+    const actions = await SignalAction.findBySignalId(signal.id);
+
+    // Reply thread: original entry plus every follow-up posted as a reply
+    const thread = await signal.getThread();
+
+    // Reviewer edits of the parsed fields
+    const SignalCorrection = require('../models/SignalCorrection');
+    const corrections = await SignalCorrection.findBySignalId(signal.id);
+
+    // Field changes from edits of the channel post
+    const SignalEdit = require('../models/SignalEdit');
+    const edits = await SignalEdit.findBySignalId(signal.id);
+
+    // Other signals parsed from the same message
+    const group = signal.groupId ? await Signal.findByGroupId(signal.groupId) : [];
+
+    // Earlier signal of another channel this one repeats
+    const original = signal.duplicateOf ? await Signal.findById(signal.duplicateOf) : null;
+
+    // Channel approval policy, approvals collected so far and the decision history
+    const approval = await req.app.locals.services.signalFeed.approvals.getState(signal);
+
+    res.json({
+      success: true,
+      data: {
+        signal: signal.toJSON(),
+        position: position || null,
+        actions: actions.map(a => a.toJSON()),
+        parentSignalId: signal.parentSignalId || null,
+        thread: thread.map(s => ({ ...s.toJSON(), depth: s.depth })),
+        corrections: corrections.map(c => c.toJSON()),
+        edits: edits.map(e => e.toJSON()),
+        group: group.map(s => s.toJSON()),
+        original: original ? original.toJSON() : null,
+        approval
+      }
+    });
+  })
+);
+
+// GET /api/signals/:id/image - Chart image the signal was recognized from
+router.get('/:id/image',
+  validateUuidParam('id'),
+  asyncHandler(async (req, res) => {
+    const Signal = require('../models/Signal');
+    const signalFeedService = req.app.locals.services.signalFeed;
+
+    const signal = await Signal.findById(req.params.id);
+    if (!signal || !signal.image || !signal.image.path) {
+      throw new NotFoundError('Signal image');
+    }
+
+    res.type(signal.image.mimeType || 'image/jpeg');
+    res.sendFile(signalFeedService.imageRecognition.resolvePath(signal.image.path));
+  })
+);
+
+// PATCH /api/signals/:id - Correct parsed fields of a pending signal
+// (no sanitizeRequest: null is a valid correction that clears a field)
+router.patch('/:id',
+  validateUuidParam('id'),
+  authenticate,
+  validateSignalCorrect,
+  asyncHandler(async (req, res) => {
+    const signalFeedService = req.app.locals.services.signalFeed;
+
+    const { signal, correction } = await signalFeedService.correctSignal(req.params.id, req.body, req.user.id);
+
     res.json({
       success: true,
+      message: correction ? 'Signal corrected successfully' : 'No changes to apply',
       data: {
         signal: signal.toJSON(),
-        position: position || null
+        correction: correction ? correction.toJSON() : null
       }
     });
   })
 );
 
-// POST /api/signals/:id/approve - Approve pending signal
+// POST /api/signals/:id/approve - Add the caller's approval; approved once the channel policy is met
 router.post('/:id/approve',
   validateUuidParam('id'),
+  authenticate,
   asyncHandler(async (req, res) => {
     const signalFeedService = req.app.locals.services.signalFeed;
-    const { userId } = req.body; // In a real app, this would come from auth middleware
     
-    const signal = await signalFeedService.approveSignal(req.params.id, userId);
+    const signal = await signalFeedService.approveSignal(req.params.id, req.user.id);
+    const approval = await signalFeedService.approvals.getState(signal);
     
     res.json({
       success: true,
-      message: 'Signal approved successfully',
-      data: signal.toJSON()
+      message: signal.status === 'approved'
+        ? 'Signal approved successfully'
+        : `Approval recorded, ${approval.remaining} more required`,
+      data: { ...signal.toJSON(), approval }
     });
   })
 );
@@ -145,14 +370,14 @@ router.post('/:id/approve',
 // POST /api/signals/:id/ignore - Ignore signal
 router.post('/:id/ignore',
   validateUuidParam('id'),
+  authenticate,
   sanitizeRequest,
   validateSignalIgnore,
   asyncHandler(async (req, res) => {
     const signalFeedService = req.app.locals.services.signalFeed;
     const { reason } = req.body;
-    const { userId } = req.body; // In a real app, this would come from auth middleware
     
-    const signal = await signalFeedService.ignoreSignal(req.params.id, reason, userId);
+    const signal = await signalFeedService.ignoreSignal(req.params.id, reason, req.user.id);
     
     res.json({
       success: true,
@@ -165,9 +390,47 @@ router.post('/:id/ignore',
 // POST /api/signals/:id/execute - Execute signal manually
 router.post('/:id/execute',
   validateUuidParam('id'),
+  authenticate,
   sanitizeRequest,
   validateSignalExecute,
   asyncHandler(async (req, res) => {
+    const Signal = require('../models/Signal');
+    const signal = await Signal.findById(req.params.id);
+
+    if (!signal) {
+      throw new NotFoundError('Signal');
+    }
+
+    // Channel history only feeds stats and backtests
+    if (signal.status === 'imported') {
+      throw new ValidationError('Imported signals cannot be executed');
+    }
+
+    // a second run of update/close actions would close or move the stop of the position again
+    if (['update', 'close'].includes(signal.signalType) && ['executed', 'failed'].includes(signal.status)) {
+      throw new ConflictError(`Signal actions were already applied (status: ${signal.status})`);
+    }
+
+    // Approved signals only, or pending ones of channels that need a single approval: executing approves them.
+    // Signals that need several approvals go through /approve
+    await req.app.locals.services.signalFeed.approvals.approveForExecution(signal, req.user.id);
+
+    // Update/close signals are applied to the linked open position right away
+    if (['update', 'close'].includes(signal.signalType)) {
+      const signalActionService = req.app.locals.services.signalAction;
+      const result = await signalActionService.processSignal(signal.id);
+
+      return res.json({
+        success: true,
+        message: 'Signal actions applied',
+        data: {
+          signal: result.signal.toJSON(),
+          positionId: result.position ? result.position.id : null,
+          actions: result.actions.map(a => a.toJSON())
+        }
+      });
+    }
+
     const executionService = req.app.locals.services.execution;
     
     const result = await executionService.executeSignalManually(req.params.id, req.body);
@@ -23,16 +23,25 @@ const dashboardRoutes = require('./routes/dashboard');
 const settingsRoutes = require('./routes/settings').router;
 const tradingRoutes = require('./routes/trading');
 const balanceRoutes = require('./routes/balance');
+const queueRoutes = require('./routes/queues');
+const circuitBreakerRoutes = require('./routes/circuitBreakers');
+const killSwitchRoutes = require('./routes/killSwitch');
+const paperRoutes = require('./routes/paper');
+const backtestRoutes = require('./routes/backtests');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 
 // Import services
 const TelegramService = require('./services/telegramService');
+const MtprotoIngestionService = require('./services/mtprotoIngestionService');
 const SignalFeedService = require('./services/signalFeedService');
 const ExecutionService = require('./services/executionService');
 const ChannelService = require('./services/channelService');
 const PositionService = require('./services/positionService');
+const SignalActionService = require('./services/signalActionService');
+const RecoveryService = require('./services/recoveryService');
+const KillSwitchService = require('./services/killSwitchService');
 
 class Server {
   constructor() {
@@ -76,17 +85,30 @@ class Server {
     try {
       // Initialize all services
       this.services.telegram = new TelegramService();
+      this.services.mtproto = new MtprotoIngestionService(this.services.telegram);
       this.services.signalFeed = new SignalFeedService();
       this.services.execution = new ExecutionService();
       this.services.channel = new ChannelService();
       this.services.position = new PositionService();
+      this.services.signalAction = new SignalActionService(this.services.execution);
+      this.services.recovery = new RecoveryService(this.services.execution);
+      this.services.killSwitch = new KillSwitchService(this.services.execution);
+      // /killswitch admin command
+      this.services.telegram.killSwitch = this.services.killSwitch;
 
       // Initialize services in order
       await this.services.telegram.initialize();
+      await this.services.mtproto.initialize();
       await this.services.signalFeed.initialize();
       await this.services.execution.initialize();
       await this.services.channel.initialize();
       await this.services.position.initialize();
+      await this.services.signalAction.initialize();
+
+      // Positions left without TP/SL or stop watcher by a previous run; does not block startup
+      if (config.recovery.onStartup) {
+        this.services.recovery.run().catch((error) => logger.error('Startup recovery failed:', error));
+      }
 
       // Make services available globally
       this.app.locals.services = this.services;
@@ -159,10 +181,12 @@ class Server {
         environment: config.NODE_ENV,
         services: {
           telegram: this.services.telegram?.getStatus() || { status: 'not initialized' },
+          mtproto: this.services.mtproto?.getStatus() || { status: 'not initialized' },
           signalFeed: this.services.signalFeed?.getServiceStatus() || { status: 'not initialized' },
           execution: this.services.execution?.getExecutionStats() || { status: 'not initialized' },
           channel: this.services.channel?.getStatus() || { status: 'not initialized' },
-          position: this.services.position?.getServiceStatus() || { status: 'not initialized' }
+          position: this.services.position?.getServiceStatus() || { status: 'not initialized' },
+          recovery: this.services.recovery?.getStatus() || { status: 'not initialized' }
         }
       });
     });
@@ -177,6 +201,11 @@ class Server {
     this.app.use('/api/settings', settingsRoutes);
     this.app.use('/api/trading', tradingRoutes);
     this.app.use('/api/balance', balanceRoutes);
+    this.app.use('/api/queues', queueRoutes);
+    this.app.use('/api/circuit-breakers', circuitBreakerRoutes);
+    this.app.use('/api/kill-switch', killSwitchRoutes);
+    this.app.use('/api/paper', paperRoutes);
+    this.app.use('/api/backtests', backtestRoutes);
 
     // Direct balance route for testing
     this.app.get('/api/balance-direct', (req, res) => {
@@ -215,6 +244,10 @@ class Server {
           dashboard: '/api/dashboard',
           settings: '/api/settings',
           balance: '/api/balance',
+          circuitBreakers: '/api/circuit-breakers',
+          killSwitch: '/api/kill-switch',
+          paper: '/api/paper',
+          backtests: '/api/backtests',
           health: '/health'
         },
         documentation: '/api/docs'
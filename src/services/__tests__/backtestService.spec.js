@@ -0,0 +1,114 @@
+const BacktestService = require('../backtestService');
+const Channel = require('../../models/Channel');
+const Signal = require('../../models/Signal');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+// one hourly candle per close, opening at the previous close
+const candlesFrom = closes => closes.map((close, i) => {
+  const open = i === 0 ? closes[0] : closes[i - 1];
+  return { time: T0 + i * HOUR, open, high: Math.max(open, close) + 1, low: Math.min(open, close) - 1, close, volume: 10 };
+});
+
+const signal = (id, overrides = {}) => new Signal({
+  id,
+  channel_id: 'ch_1',
+  coin: 'SOL',
+  direction: 'LONG',
+  leverage: 10,
+  entry_price: 100,
+  take_profit_levels: [104, 107, 111],
+  stop_loss: 96,
+  message_timestamp: new Date(T0 - 60 * 1000),
+  signal_type: 'entry',
+  ...overrides
+});
+
+const channel = (overrides = {}) => new Channel({
+  id: 'ch_1', name: 'one', sizing_strategy: 'fixed_percent', sizing_value: 10, max_position_percentage: 50, ...overrides
+});
+
+describe('BacktestService', () => {
+  const backtests = new BacktestService();
+
+  test('fills the TP ladder and exits at breakeven after TP1', () => {
+    const candles = new Map([['SOL-USDT', candlesFrom([100, 101, 103, 106, 104, 99, 108])]]);
+
+    const report = backtests.run({
+      signals: [signal('s1')], channels: new Map([['ch_1', channel()]]), candles, initialBalance: 1000, feeRate: 0
+    });
+
+    const [result] = report.channels;
+    const [trade] = result.trades;
+    expect(trade).toMatchObject({ entryPrice: 100, quantity: 10, margin: 100, exitReason: 'moved_stop', pnl: 27.5 });
+    expect(trade.fills.map(f => [f.type, f.price, f.quantity])).toEqual([
+      ['take_profit_1', 104, 2.5],
+      ['take_profit_2', 107, 2.5],
+      ['moved_stop', 100, 5]
+    ]);
+    expect(trade.stopMoves).toEqual([expect.objectContaining({ from: 96, to: 100, reason: 'breakeven after TP1' })]);
+    expect(result).toMatchObject({ tradeCount: 1, wins: 1, winRate: 1, totalPnl: 27.5, finalBalance: 1027.5 });
+  });
+
+  test('reports win rate, expectancy and drawdown per channel with an equity curve', () => {
+    const candles = new Map([['SOL-USDT', candlesFrom([100, 101, 95, 100, 101, 95, 100, 105, 108, 112, 112])]]);
+    const signals = [
+      signal('s1'),
+      signal('s2', { message_timestamp: new Date(T0 + 4 * HOUR - 1000) }),
+      signal('s3', { message_timestamp: new Date(T0 + 7 * HOUR - 1000), stop_loss: 90 })
+    ];
+
+    const [result] = backtests.run({
+      signals, channels: new Map([['ch_1', channel({ stop_mode: 'none' })]]), candles, initialBalance: 1000, feeRate: 0
+    }).channels;
+
+    // two stop-outs at 96 (the second one sized from the smaller balance), then all TPs
+    expect(result.trades.map(t => t.exitReason)).toEqual(['stop_loss', 'stop_loss', 'take_profit_3']);
+    expect(result.trades[0].pnl).toBeCloseTo(-40);
+    expect(result.trades[1].quantity).toBeCloseTo(9.6);
+    expect(result).toMatchObject({ tradeCount: 3, wins: 1, losses: 2 });
+    expect(result.winRate).toBeCloseTo(1 / 3);
+    expect(result.expectancy).toBeCloseTo(result.totalPnl / 3);
+    expect(result.trades[2].pnl).toBeCloseTo(2.304 * 4 + 2.304 * 7 + 4.608 * 11);
+    expect(result.maxDrawdown).toBeCloseTo(40 + 38.4);
+    expect(result.equityCurve.map(p => p.signalId)).toEqual([null, 's1', 's2', 's3']);
+  });
+
+  test('skips signals without candles and unfilled entry zones', () => {
+    const candles = new Map([['SOL-USDT', candlesFrom([100, 101, 102, 103])]]);
+    const zoneChannel = channel({ entry_mode: 'limit_zone', entry_order_timeout_minutes: 120 });
+
+    const [result] = backtests.run({
+      signals: [signal('s1', { coin: 'BTC' }), signal('s2', { entry_price: 94, entry_price_range: [93, 95] })],
+      channels: new Map([['ch_1', zoneChannel]]),
+      candles,
+      initialBalance: 1000
+    }).channels;
+
+    expect(result.tradeCount).toBe(0);
+    expect(result.skipped).toEqual([
+      { signalId: 's1', coin: 'BTC', reason: 'no_candles' },
+      { signalId: 's2', coin: 'SOL', reason: 'entry_not_filled' }
+    ]);
+  });
+
+  test('reads entry signals from a Telegram chat export', () => {
+    const { signals, channels } = backtests.signalsFromExport({
+      name: 'Export',
+      id: 42,
+      messages: [
+        { id: 1, type: 'message', date_unixtime: String(T0 / 1000), text: [{ type: 'hashtag', text: '#SOL' }, ' LONG x10\nEntry: 100\nTP1: 104\nSL: 96'] },
+        { id: 2, type: 'message', date: '2024-01-01T02:00:00', text: 'Good morning' },
+        { id: 3, type: 'service', action: 'pin_message' }
+      ]
+    });
+
+    expect(signals).toHaveLength(1);
+    expect(signals[0]).toMatchObject({
+      id: 'export_42_1', channelId: 'export_42', coin: 'SOL', direction: 'LONG', entryPrice: 100, stopLoss: 96
+    });
+    expect(backtests.signalTime(signals[0])).toBe(T0);
+    expect(channels.get('export_42').name).toBe('Export');
+  });
+});
@@ -0,0 +1,148 @@
+const CircuitBreakerService = require('../circuitBreakerService');
+const CircuitBreakerTrip = require('../../models/CircuitBreakerTrip');
+const Account = require('../../models/Account');
+const Channel = require('../../models/Channel');
+const Position = require('../../models/Position');
+const config = require('../../config/app');
+const { redisUtils } = require('../../config/redis');
+
+const channel = (id, overrides = {}) => Object.assign(new Channel({
+  id, name: id, is_active: true, is_paused: false, auto_execute: true
+}), overrides);
+
+describe('CircuitBreakerService', () => {
+  const limits = { ...config.trading.circuitBreakers };
+  let channels;
+
+  beforeEach(() => {
+    channels = [channel('ch_1'), channel('ch_2'), channel('ch_3', { autoExecute: false })];
+    channels.forEach((c) => {
+      c.pause = jest.fn(async (reason) => Object.assign(c, { isPaused: true, pauseReason: reason }));
+      c.resume = jest.fn(async () => Object.assign(c, { isPaused: false, pauseReason: null }));
+    });
+    jest.spyOn(Channel, 'findAll').mockResolvedValue(channels);
+    jest.spyOn(Channel, 'findById').mockImplementation(async id => channels.find(c => c.id === id));
+    jest.spyOn(CircuitBreakerTrip, 'getLastResetAt').mockResolvedValue(null);
+    jest.spyOn(CircuitBreakerTrip, 'create').mockImplementation(async data => new CircuitBreakerTrip({
+      id: `trip_${data.breaker}`, breaker: data.breaker, channel_id: data.channelId, reason: data.reason, paused_channel_ids: data.pausedChannelIds
+    }));
+    jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    Object.assign(config.trading.circuitBreakers, limits);
+    jest.restoreAllMocks();
+  });
+
+  test('a daily loss trip halts auto-execution and pauses auto-executing channels', async () => {
+    Object.assign(config.trading.circuitBreakers, { maxDailyLoss: 100 });
+    jest.spyOn(CircuitBreakerTrip, 'findActive').mockResolvedValue([]);
+    jest.spyOn(Position, 'getRealizedPnlSince').mockResolvedValue(-120);
+    const breakers = new CircuitBreakerService({});
+
+    const result = await breakers.checkBeforeExecution(channels[0]);
+
+    expect(result).toMatchObject({ passed: false, tripId: 'trip_daily_loss' });
+    expect(channels[0].pauseReason).toMatch(/^Circuit breaker: Daily realized loss 120.00 USDT/);
+    expect(channels[1].pause).toHaveBeenCalled();
+    expect(channels[2].pause).not.toHaveBeenCalled();
+    expect(redisUtils.publish).toHaveBeenCalledWith('system:alert', expect.objectContaining({ type: 'circuit_breaker_tripped' }));
+  });
+
+  test('consecutive losses pause only the channel', async () => {
+    Object.assign(config.trading.circuitBreakers, { maxConsecutiveLosses: 2 });
+    jest.spyOn(CircuitBreakerTrip, 'findActive').mockResolvedValue([]);
+    const getLastClosed = jest.spyOn(Position, 'getLastClosed')
+      .mockResolvedValue([{ id: 'p1', realizedPnl: -5 }, { id: 'p2', realizedPnl: -1 }]);
+    const breakers = new CircuitBreakerService({});
+
+    expect(await breakers.checkBeforeExecution(channels[1])).toMatchObject({ passed: false });
+    expect(channels[0].pause).not.toHaveBeenCalled();
+    expect(channels[1].pause).toHaveBeenCalled();
+
+    getLastClosed.mockResolvedValue([{ id: 'p3', realizedPnl: -5 }, { id: 'p1', realizedPnl: 3 }]);
+    expect(await breakers.checkBeforeExecution(channels[0])).toEqual({ passed: true });
+  });
+
+  test('trips on drawdown from the stored equity peak', async () => {
+    Object.assign(config.trading.circuitBreakers, { maxDrawdownPercent: 10 });
+    jest.spyOn(CircuitBreakerTrip, 'findActive').mockResolvedValue([]);
+    jest.spyOn(redisUtils, 'get').mockResolvedValue(1000);
+    const set = jest.spyOn(redisUtils, 'set').mockResolvedValue(true);
+    jest.spyOn(Account, 'findAll').mockResolvedValue([
+      { channelId: 'ch_1', bingxSubAccountId: 'sub_1' },
+      { channelId: 'ch_2', bingxSubAccountId: null },
+      { channelId: 'ch_3', bingxSubAccountId: 'paper_ch_3' }
+    ]);
+    const equity = { main: 500, sub_1: 200, sub_2: 180, 'paper_ch_3': 10000 };
+    const bingx = {
+      getSubAccounts: jest.fn().mockResolvedValue([{ subAccountId: 'sub_1' }, { subAccountId: 'sub_2' }]),
+      getAccountInfo: jest.fn(async id => ({ equity: equity[id || 'main'] }))
+    };
+    const breakers = new CircuitBreakerService(bingx);
+
+    const trip = await breakers.evaluate();
+
+    expect(trip.breaker).toBe('drawdown');
+    expect(trip.reason).toMatch(/^Equity 880.00 USDT is 12.00% below its peak 1000.00 USDT/);
+    expect(bingx.getAccountInfo.mock.calls.map(call => call[0])).toEqual([null, 'sub_1', 'sub_2']);
+    expect(set).toHaveBeenCalledWith('circuit_breaker:equity_peak', 1000, null);
+  });
+
+  test('skips the drawdown check when an account cannot be read', async () => {
+    Object.assign(config.trading.circuitBreakers, { maxDrawdownPercent: 10 });
+    jest.spyOn(CircuitBreakerTrip, 'findActive').mockResolvedValue([]);
+    jest.spyOn(redisUtils, 'get').mockResolvedValue(1000);
+    const set = jest.spyOn(redisUtils, 'set').mockResolvedValue(true);
+    jest.spyOn(Account, 'findAll').mockResolvedValue([{ channelId: 'ch_1', bingxSubAccountId: 'sub_1' }]);
+    const breakers = new CircuitBreakerService({
+      getSubAccounts: jest.fn().mockResolvedValue([]),
+      getAccountInfo: jest.fn(async id => {
+        if (id) throw new Error('timeout of 10000ms exceeded');
+        return { equity: 500 };
+      })
+    });
+
+    expect(await breakers.evaluate()).toBeNull();
+    expect(set).not.toHaveBeenCalled();
+  });
+
+  test('a drawdown reset takes the equity of all accounts as the new peak', async () => {
+    const trip = new CircuitBreakerTrip({ id: 'trip_dd', breaker: 'drawdown', reason: 'drawdown', paused_channel_ids: [] });
+    trip.reset = jest.fn().mockResolvedValue(trip);
+    jest.spyOn(CircuitBreakerTrip, 'findActive').mockResolvedValue([trip]);
+    const set = jest.spyOn(redisUtils, 'set').mockResolvedValue(true);
+    jest.spyOn(Account, 'findAll').mockResolvedValue([{ channelId: 'ch_1', bingxSubAccountId: 'sub_1' }]);
+    const equity = { main: 500, sub_1: 200, sub_2: 180 };
+    const breakers = new CircuitBreakerService({
+      getSubAccounts: jest.fn().mockResolvedValue([{ subAccountId: 'sub_2' }]),
+      getAccountInfo: jest.fn(async id => ({ equity: equity[id || 'main'] }))
+    });
+
+    await breakers.reset({ breaker: 'drawdown' }, 'admin');
+
+    expect(set).toHaveBeenCalledWith('circuit_breaker:equity_peak', 880, null);
+  });
+
+  test('an active trip blocks executions until reset resumes the paused channels', async () => {
+    const trip = new CircuitBreakerTrip({
+      id: 'trip_1', breaker: 'trades_per_hour', reason: '5 trades', paused_channel_ids: ['ch_1', 'ch_2']
+    });
+    trip.reset = jest.fn().mockResolvedValue(trip);
+    jest.spyOn(CircuitBreakerTrip, 'findActive').mockResolvedValue([trip]);
+    channels[0].isPaused = true;
+    channels[0].pauseReason = 'Circuit breaker: 5 trades';
+    // paused by hand in the meantime
+    channels[1].isPaused = true;
+    channels[1].pauseReason = null;
+    const breakers = new CircuitBreakerService({});
+
+    expect(await breakers.checkBeforeExecution(channels[2])).toMatchObject({ passed: false, tripId: 'trip_1' });
+
+    const result = await breakers.reset({}, 'admin');
+
+    expect(trip.reset).toHaveBeenCalledWith('admin');
+    expect(result.resumedChannelIds).toEqual(['ch_1']);
+    expect(channels[1].resume).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+const DuplicateDetectionService = require('../duplicateDetectionService');
+const SignalFeedService = require('../signalFeedService');
+const Channel = require('../../models/Channel');
+const ParsingTemplate = require('../../models/ParsingTemplate');
+const Signal = require('../../models/Signal');
+const SignalCorrection = require('../../models/SignalCorrection');
+const { redisUtils } = require('../../config/redis');
+
+const T0 = new Date('2024-01-01T10:00:00Z');
+const REPOST = '#SOL LONG x10\nEntry: 100.5\nTP1: 104\nTP2: 107\nSL: 96';
+
+describe('DuplicateDetectionService', () => {
+  const detection = new DuplicateDetectionService({ windowMinutes: 30, priceTolerancePercent: 1, minScore: 0.75 });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('scores the levels both signals state', () => {
+    const original = { entryPriceRange: [99, 101], stopLoss: '96', takeProfitLevels: ['104', '107'] };
+
+    expect(detection.score({ entryPrice: 100.5, stopLoss: 96.2, takeProfitLevels: [104, 107] }, original)).toBe(1);
+    expect(detection.score({ entryPrice: 100, stopLoss: 92, takeProfitLevels: [104, 110] }, original)).toBe(0.5);
+    expect(detection.score({ entryPrice: 100 }, { stopLoss: 96 })).toBeNull();
+  });
+
+  describe('reposted signals', () => {
+    let original;
+    let publish;
+    let feed;
+
+    const repost = async (duplicatePolicy) => {
+      jest.spyOn(Channel, 'findById').mockResolvedValue(new Channel({
+        id: 'ch_copy', name: 'Copycat', auto_execute: true, duplicate_policy: duplicatePolicy
+      }));
+      const [signal] = await feed.processMessage({ channelId: 'ch_copy', messageId: 5, text: REPOST, date: T0 });
+      return signal;
+    };
+
+    beforeEach(() => {
+      feed = new SignalFeedService();
+      feed.signalRecognition.bingxService = { supportedSymbols: [] };
+      feed.signalRecognition.initialized = true;
+      feed.duplicateDetection = detection;
+
+      original = new Signal({
+        id: 'sig_source',
+        channel_id: 'ch_source',
+        coin: 'SOL',
+        direction: 'LONG',
+        entry_price: '100',
+        take_profit_levels: ['104', '107'],
+        stop_loss: null,
+        signal_type: 'entry',
+        status: 'pending',
+        message_timestamp: new Date(T0.getTime() - 5 * 60 * 1000)
+      });
+      original.update = jest.fn(async (updates) => Object.assign(original, updates));
+
+      jest.spyOn(ParsingTemplate, 'findByChannelId').mockResolvedValue([]);
+      jest.spyOn(SignalCorrection, 'findRecentByChannelId').mockResolvedValue([]);
+      jest.spyOn(Signal, 'findDuplicateCandidates').mockResolvedValue([original]);
+      jest.spyOn(Signal, 'create').mockImplementation(async (data) => Object.assign(new Signal({ id: 'sig_copy' }), data));
+      jest.spyOn(redisUtils, 'set').mockResolvedValue(true);
+      jest.spyOn(redisUtils, 'lPush').mockResolvedValue(1);
+      jest.spyOn(redisUtils, 'lLen').mockResolvedValue(1);
+      publish = jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+    });
+
+    test('are marked as duplicates of the first signal and never auto-executed', async () => {
+      const signal = await repost('ignore');
+
+      expect(Signal.findDuplicateCandidates).toHaveBeenCalledWith(expect.objectContaining({
+        coin: 'SOL', direction: 'LONG', channelId: 'ch_copy', until: T0
+      }));
+      expect(signal).toMatchObject({ status: 'duplicate', duplicateOf: 'sig_source', duplicateScore: 1 });
+      expect(publish).not.toHaveBeenCalled();
+      expect(original.update).not.toHaveBeenCalled();
+    });
+
+    test('fill the levels the original is missing with the merge policy', async () => {
+      const signal = await repost('merge');
+
+      expect(signal.status).toBe('duplicate');
+      expect(original.update).toHaveBeenCalledWith({ leverage: 10, stopLoss: 96 });
+    });
+
+    test('go the usual way with the allow policy, still linked to the original', async () => {
+      const signal = await repost('allow');
+
+      expect(signal).toMatchObject({ status: 'approved', duplicateOf: 'sig_source' });
+      expect(publish).toHaveBeenCalledWith('signal:auto_execute', expect.objectContaining({ signalId: 'sig_copy' }));
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { ExecutionQueueService, isTransientError } = require('../executionQueueService');
+
+// In-memory stand-in for a Bull queue: enough for add/process/failed wiring
+const createFakeQueue = () => {
+  const listeners = {};
+  const jobs = [];
+  return {
+    jobs,
+    handler: null,
+    add: jest.fn(async (name, data, opts = {}) => {
+      const job = { id: String(jobs.length + 1), name, data, opts, attemptsMade: 0, discard: jest.fn(), remove: jest.fn() };
+      jobs.push(job);
+      return job;
+    }),
+    process(concurrency, handler) {
+      this.handler = handler;
+    },
+    on(event, listener) {
+      listeners[event] = listener;
+    },
+    emit(event, ...args) {
+      return listeners[event] && listeners[event](...args);
+    },
+    getJob: jest.fn(async (id) => jobs.find(job => job.id === id) || null),
+    close: jest.fn()
+  };
+};
+
+const setup = (options = {}) => {
+  const queues = {};
+  const service = new ExecutionQueueService({
+    attempts: 3,
+    createQueue: (name) => {
+      queues[name] = createFakeQueue();
+      return queues[name];
+    },
+    ...options
+  });
+  return { service, queues };
+};
+
+// Runs a job through the queue handler and the failed listener the way Bull does
+const runJob = async (queue, job) => {
+  job.attemptsMade += 1;
+  try {
+    return await queue.handler(job);
+  } catch (error) {
+    await queue.emit('failed', job, error);
+    return error;
+  }
+};
+
+describe('ExecutionQueueService', () => {
+  test('classifies network, rate limit and 5xx errors as transient', () => {
+    expect(isTransientError(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isTransientError(new Error('timeout of 10000ms exceeded'))).toBe(true);
+    expect(isTransientError(Object.assign(new Error('Bad gateway'), { status: 502 }))).toBe(true);
+    expect(isTransientError(new Error('BingX API Error: Too many requests'))).toBe(true);
+    expect(isTransientError(new Error('Risk check failed: Position already exists for BTC-USDT'))).toBe(false);
+  });
+
+  test('prioritizes manual executions, then higher confidence', () => {
+    const { service } = setup();
+    expect(service.getPriority({ manual: true, priority: 0.5 })).toBe(1);
+    expect(service.getPriority({ priority: 0.95 })).toBeLessThan(service.getPriority({ priority: 0.8 }));
+    expect(service.getPriority({})).toBe(100);
+  });
+
+  test('runs the TP/SL job of a position again once the previous one failed', async () => {
+    const { service, queues } = setup();
+    service.initialize({ execution: jest.fn(), riskManagement: jest.fn(), breakeven: jest.fn() });
+    const queue = queues['risk-management'];
+    const failed = { id: 'rm-pos_1', getState: jest.fn().mockResolvedValue('failed'), remove: jest.fn() };
+    const waiting = { id: 'rm-pos_2', getState: jest.fn().mockResolvedValue('waiting'), remove: jest.fn() };
+    queue.getJob.mockImplementation(async id => ({ 'rm-pos_1': failed, 'rm-pos_2': waiting }[id] || null));
+
+    await service.addRiskManagement({ positionId: 'pos_1' });
+    await service.addRiskManagement({ positionId: 'pos_2' });
+
+    expect(failed.remove).toHaveBeenCalled();
+    expect(waiting.remove).not.toHaveBeenCalled();
+    expect(queue.add).toHaveBeenCalledWith('place', { positionId: 'pos_1' }, expect.objectContaining({ jobId: 'rm-pos_1' }));
+  });
+
+  test('retries transient failures and dead-letters the job after the last attempt', async () => {
+    const onDeadLetter = jest.fn();
+    const { service, queues } = setup({ onDeadLetter });
+    const execution = jest.fn().mockRejectedValue(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+    service.initialize({ execution, riskManagement: jest.fn(), breakeven: jest.fn() });
+
+    const job = await service.addExecution({ signalId: 's1', priority: 0.9 });
+    expect(job.opts).toMatchObject({ attempts: 3, backoff: { type: 'exponential' } });
+
+    await runJob(queues['signal-execution'], job);
+    await runJob(queues['signal-execution'], job);
+    expect(queues['dead-letter'].add).not.toHaveBeenCalled();
+
+    await runJob(queues['signal-execution'], job);
+    expect(queues['dead-letter'].jobs[0].data).toMatchObject({ queue: 'execution', data: { signalId: 's1' }, attemptsMade: 3 });
+    expect(onDeadLetter).toHaveBeenCalledWith('execution', job, expect.any(Error));
+  });
+
+  test('does not retry permanent errors', async () => {
+    const { service, queues } = setup();
+    service.initialize({ execution: jest.fn(), riskManagement: jest.fn().mockRejectedValue(new Error('Position not found')), breakeven: jest.fn() });
+
+    const job = await service.addRiskManagement({ positionId: 'p1' });
+    await runJob(queues['risk-management'], job);
+
+    expect(job.discard).toHaveBeenCalled();
+    expect(queues['dead-letter'].jobs).toHaveLength(1);
+  });
+
+  test('requeues dead-lettered jobs to their original queue', async () => {
+    const { service, queues } = setup();
+    service.initialize({ execution: jest.fn(), riskManagement: jest.fn(), breakeven: jest.fn() });
+
+    const dead = await queues['dead-letter'].add('dead', { queue: 'execution', name: 'execute', data: { signalId: 's1', manual: true } });
+    const retried = await service.retryJob('deadLetter', dead.id);
+
+    expect(retried).toMatchObject({ queue: 'execution', priority: 1, data: { signalId: 's1' } });
+    expect(dead.remove).toHaveBeenCalled();
+  });
+});
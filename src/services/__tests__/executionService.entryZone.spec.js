@@ -0,0 +1,154 @@
+const ExecutionService = require('../executionService');
+const Signal = require('../../models/Signal');
+const Channel = require('../../models/Channel');
+const Account = require('../../models/Account');
+const Position = require('../../models/Position');
+const config = require('../../config/app');
+
+describe('entry zone execution', () => {
+  const symbolInfo = { stepSize: 0.1, minQty: 0.1, minOrderValue: 5, pricePrecision: 2 };
+
+  test('uses the channel mode and falls back to a single order for a single price', () => {
+    const svc = new ExecutionService();
+    const channel = { entryMode: 'limit_zone', entryOrdersCount: 4, entryOrderTimeoutMinutes: 10 };
+
+    expect(svc.getEntryZone({ entryPriceRange: ['9.5', '10.5'] }, { entryMode: 'market' })).toBeNull();
+    expect(svc.getEntryZone({ entryPriceRange: [10.5, 9.5] }, channel))
+      .toEqual({ low: 9.5, high: 10.5, orders: 4, timeoutMs: 10 * 60 * 1000 });
+    expect(svc.getEntryZone({ entryPrice: '10', entryPriceRange: null }, channel).orders).toBe(1);
+  });
+
+  test('splits the quantity across the zone, nearest price first', () => {
+    const svc = new ExecutionService();
+    const zone = { low: 9, high: 11, orders: 3 };
+
+    const long = svc.buildEntryZoneOrders('LONG', zone, 10, symbolInfo);
+    expect(long.map(o => o.price)).toEqual([11, 10, 9]);
+    expect(long.map(o => o.quantity)).toEqual([3.3, 3.3, 3.4]);
+
+    const short = svc.buildEntryZoneOrders('SHORT', zone, 10, symbolInfo);
+    expect(short.map(o => o.price)).toEqual([9, 10, 11]);
+  });
+
+  test('uses fewer orders when slices would be below the exchange minimum', () => {
+    const svc = new ExecutionService();
+    const orders = svc.buildEntryZoneOrders('LONG', { low: 9, high: 11, orders: 3 }, 1, symbolInfo);
+
+    expect(orders).toEqual([{ price: 10, quantity: 1 }]);
+  });
+
+  describe('fill checks', () => {
+    let svc;
+    let statuses;
+
+    const zoneOrders = () => [
+      { orderId: 'a', price: 11, quantity: 3.3, status: 'NEW' },
+      { orderId: 'b', price: 10, quantity: 3.3, status: 'NEW' },
+      { orderId: 'c', price: 9, quantity: 3.4, status: 'NEW' }
+    ];
+
+    beforeEach(() => {
+      svc = new ExecutionService();
+      statuses = {
+        a: { status: 'FILLED', executedQty: 3.3, avgPrice: 11 },
+        b: { status: 'PARTIALLY_FILLED', executedQty: 1, avgPrice: 10 },
+        c: { status: 'NEW', executedQty: 0, avgPrice: 0 }
+      };
+      svc.bingx = {
+        mode: 'real',
+        getOrder: jest.fn(async (orderId) => statuses[orderId]),
+        cancelOrder: jest.fn(async (orderId) => {
+          if (statuses[orderId].status !== 'FILLED') statuses[orderId] = { ...statuses[orderId], status: 'CANCELLED' };
+          return { orderId };
+        })
+      };
+      svc.queue = { addEntryFillCheck: jest.fn(async (data) => ({ id: `entry-fill-${data.signalId}-${data.checks}` })) };
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('cancels unfilled orders after the timeout and keeps partial fills', async () => {
+      const orders = await svc.checkEntryFills(zoneOrders(), 'SAND-USDT', null, true);
+
+      expect(svc.bingx.cancelOrder.mock.calls.map(call => call[0])).toEqual(['b', 'c']);
+      expect(orders.map(o => [o.status, o.executedQty])).toEqual([['FILLED', 3.3], ['CANCELLED', 1], ['CANCELLED', 0]]);
+    });
+
+    test('schedules the next check while orders are open, without blocking the job', async () => {
+      const job = { id: 'j1', data: { signalId: 's1', symbol: 'SAND-USDT', orders: zoneOrders(), deadline: Date.now() + 60000, checks: 0 } };
+
+      await expect(svc.processEntryFillJob(job)).resolves.toEqual({ status: 'waiting' });
+
+      expect(svc.bingx.cancelOrder).not.toHaveBeenCalled();
+      expect(svc.queue.addEntryFillCheck).toHaveBeenCalledWith(
+        expect.objectContaining({ signalId: 's1', checks: 1 }),
+        config.trading.entryZone.pollInterval
+      );
+      expect(svc.queue.addEntryFillCheck.mock.calls[0][0].orders.map(o => o.status)).toEqual(['FILLED', 'PARTIALLY_FILLED', 'NEW']);
+    });
+
+    test('opens the position on what filled once the timeout is reached', async () => {
+      const signal = new Signal({ id: 's1', channel_id: 'ch_1', direction: 'LONG', leverage: 5 });
+      jest.spyOn(Signal, 'findById').mockResolvedValue(signal);
+      jest.spyOn(Position, 'findBySignalId').mockResolvedValue([]);
+      jest.spyOn(Channel, 'findById').mockResolvedValue({ id: 'ch_1' });
+      jest.spyOn(Account, 'findByChannelId').mockResolvedValue({ id: 'acc_1' });
+      svc.openPosition = jest.fn(async () => ({ success: true, positionId: 'pos_1' }));
+      const job = {
+        id: 'j2',
+        data: { signalId: 's1', symbol: 'SAND-USDT', leverage: 10, orders: zoneOrders(), deadline: Date.now() - 1, timeoutMs: 60000, checks: 4 }
+      };
+
+      await expect(svc.processEntryFillJob(job)).resolves.toEqual({ success: true, positionId: 'pos_1' });
+
+      expect(svc.queue.addEntryFillCheck).not.toHaveBeenCalled();
+      const [, orderResult, context] = svc.openPosition.mock.calls[0];
+      expect(orderResult).toMatchObject({ side: 'BUY', status: 'FILLED', orderId: 'a' });
+      expect(orderResult.executedQty).toBeCloseTo(4.3, 8);
+      expect(context).toMatchObject({ symbol: 'SAND-USDT', account: { id: 'acc_1' } });
+      expect(context.quantity).toBeCloseTo(4.3, 8);
+      expect(signal.leverage).toBe(10);
+    });
+
+    test('fails the signal when nothing filled before the timeout', async () => {
+      statuses.a = { status: 'NEW', executedQty: 0, avgPrice: 0 };
+      statuses.b = { status: 'NEW', executedQty: 0, avgPrice: 0 };
+      const signal = new Signal({ id: 's1', channel_id: 'ch_1', direction: 'LONG' });
+      signal.markAsFailed = jest.fn();
+      jest.spyOn(Signal, 'findById').mockResolvedValue(signal);
+      jest.spyOn(Position, 'findBySignalId').mockResolvedValue([]);
+      const job = { id: 'j3', data: { signalId: 's1', symbol: 'SAND-USDT', orders: zoneOrders(), deadline: Date.now() - 1, timeoutMs: 60000, checks: 9 } };
+
+      await expect(svc.processEntryFillJob(job)).resolves.toEqual({ status: 'not_filled' });
+      expect(signal.markAsFailed).toHaveBeenCalledWith('Entry zone orders not filled within 1 min');
+    });
+  });
+
+  test('places LIMIT orders across the zone and sizes by the average fill price', async () => {
+    const svc = new ExecutionService();
+    let next = 0;
+    svc.bingx = {
+      lookupClientOrderId: jest.fn(async (symbol, clientOrderId) => ({ order: null, nextClientOrderId: clientOrderId })),
+      placeOrder: jest.fn(async () => ({ orderId: `o${++next}`, status: 'NEW' }))
+    };
+
+    const orders = await svc.placeEntryZone(
+      { id: 's1', direction: 'LONG' },
+      { low: 9, high: 11, orders: 3, timeoutMs: 1000 },
+      10,
+      'SAND-USDT',
+      null,
+      symbolInfo
+    );
+
+    expect(svc.bingx.placeOrder).toHaveBeenCalledTimes(3);
+    expect(svc.bingx.placeOrder.mock.calls[0][0]).toMatchObject({ type: 'LIMIT', side: 'BUY', price: 11, quantity: 3.3 });
+
+    Object.assign(orders[0], { status: 'FILLED', executedQty: 3.3, avgPrice: 11 });
+    Object.assign(orders[1], { status: 'CANCELLED', executedQty: 1.1, avgPrice: 10 });
+    const result = svc.summarizeEntryFills({ id: 's1', direction: 'LONG' }, orders, 'SAND-USDT');
+
+    expect(result.executedQty).toBeCloseTo(4.4, 8);
+    expect(result.executedPrice).toBeCloseTo(10.75, 8);
+  });
+});
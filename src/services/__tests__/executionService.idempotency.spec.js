@@ -0,0 +1,178 @@
+const ExecutionService = require('../executionService');
+const Signal = require('../../models/Signal');
+const Channel = require('../../models/Channel');
+const Position = require('../../models/Position');
+const Account = require('../../models/Account');
+const BingXService = require('../bingxService');
+
+const SIGNAL_ID = '3f2b8c1e-5d4a-4e6f-9a7b-1c2d3e4f5a6b';
+
+describe('idempotent order placement', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('derives client order ids from the signal id and leg', () => {
+    const svc = new ExecutionService();
+
+    expect(svc.buildClientOrderId(SIGNAL_ID, 'tp1')).toBe('3f2b8c1e5d4a4e6f9a7b1c2d3e4f5a6b_tp1');
+    expect(svc.buildClientOrderId(SIGNAL_ID, 'entry10').length).toBeLessThanOrEqual(40);
+  });
+
+  test('attempt ids keep the leg, differ from each other and fit the BingX length limit', () => {
+    const svc = new ExecutionService();
+    // the signal id already ends in 02, which an attempt number written over it would repeat
+    const id = svc.buildClientOrderId('3f2b8c1e-5d4a-4e6f-9a7b-1c2d3e4f5a02', 'entry10');
+    const attempts = [1, 2, 3, 9].map(n => BingXService.attemptClientOrderId(id, n));
+
+    expect(new Set(attempts).size).toBe(attempts.length);
+    expect(attempts[1]).toMatch(/_entry10_r2$/);
+    attempts.forEach(attempt => expect(attempt.length).toBeLessThanOrEqual(40));
+  });
+
+  test('reuses only live orders and places cancelled or expired ones again under the next attempt id', async () => {
+    const bingx = new BingXService();
+    const entry = '3f2b8c1e5d4a4e6f9a7b1c2d3e4f5a6b_entry';
+    const second = '3f2b8c1e5d4a4e6f9a7b1c2d3e4f5a6_entry_r2';
+    const history = [{ orderId: 'o1', clientOrderId: entry, status: 'CANCELED' }];
+    jest.spyOn(bingx, 'getOrderByClientId')
+      .mockImplementation(async (symbol, clientOrderId) => history.find(o => o.clientOrderId === clientOrderId) || null);
+
+    expect(BingXService.attemptClientOrderId(entry, 2)).toBe(second);
+    expect(await bingx.findOrderByClientId('SAND-USDT', entry)).toBeNull();
+
+    const svc = new ExecutionService();
+    svc.bingx = bingx;
+    jest.spyOn(bingx, 'placeOrder').mockResolvedValue({ orderId: 'o2', status: 'NEW' });
+    await svc.placeOrderIdempotent({ symbol: 'SAND-USDT', type: 'MARKET', clientOrderId: entry }, null);
+    expect(bingx.placeOrder).toHaveBeenCalledWith(expect.objectContaining({ clientOrderId: second }), null);
+
+    history.push({ orderId: 'o2', clientOrderId: second, status: 'FILLED', executedQty: 10 });
+    const res = await svc.placeOrderIdempotent({ symbol: 'SAND-USDT', type: 'MARKET', clientOrderId: entry }, null);
+    expect(res).toMatchObject({ orderId: 'o2', clientOrderId: second, reused: true });
+    expect(bingx.placeOrder).toHaveBeenCalledTimes(1);
+  });
+
+  test('finds a filled entry by its id however many orders the symbol had since', async () => {
+    const bingx = new BingXService();
+    const entry = '3f2b8c1e5d4a4e6f9a7b1c2d3e4f5a6b_entry';
+    jest.spyOn(bingx, 'getOrderHistory').mockResolvedValue([]);
+    const request = jest.spyOn(bingx, 'makeRequest').mockImplementation(async (method, endpoint, params) => {
+      if (params.clientOrderId !== entry) throw new Error('BingX API Error [80016]: order not exist');
+      return { order: { orderId: 'o1', clientOrderId: entry, status: 'FILLED', origQty: '10', executedQty: '10', avgPrice: '0.5' } };
+    });
+
+    const { order } = await bingx.lookupClientOrderId('SAND-USDT', entry);
+
+    expect(order).toMatchObject({ orderId: 'o1', status: 'FILLED', executedQty: 10, executedPrice: 0.5 });
+    expect(request).toHaveBeenCalledWith('GET', '/openApi/swap/v2/trade/order', expect.objectContaining({ clientOrderId: entry }));
+    expect(bingx.getOrderHistory).not.toHaveBeenCalled();
+
+    request.mockRejectedValue(new Error('BingX API Error [80016]: order not exist'));
+    expect(await bingx.lookupClientOrderId('SAND-USDT', entry)).toEqual({ order: null, nextClientOrderId: entry });
+  });
+
+  test('a re-run only places the TP/SL legs missing on the exchange', async () => {
+    const svc = new ExecutionService();
+    const existing = {
+      [svc.buildClientOrderId(SIGNAL_ID, 'sl')]: { orderId: 'sl_1', status: 'NEW', origQty: 10 },
+      [svc.buildClientOrderId(SIGNAL_ID, 'tp1')]: { orderId: 'tp_1', status: 'NEW', origQty: 3 }
+    };
+    svc.bingx = {
+      lookupClientOrderId: jest.fn(async (symbol, clientOrderId) => ({
+        order: existing[clientOrderId] || null, nextClientOrderId: clientOrderId
+      })),
+      placeOrder: jest.fn(async (order) => ({ orderId: `new_${order.clientOrderId}` }))
+    };
+    svc.queue = {
+      addBreakevenCheck: jest.fn().mockResolvedValue({}),
+      removeBreakevenChecks: jest.fn().mockResolvedValue(1)
+    };
+
+    const position = {
+      id: 'pos_1', signalId: SIGNAL_ID, symbol: 'SAND-USDT', side: 'BUY', quantity: 10, entryPrice: 1, update: jest.fn()
+    };
+    const signal = { id: SIGNAL_ID, stopLoss: 0.9, takeProfitLevels: [1.1, 1.2] };
+    const orders = await svc.placeRiskManagementOrders(position, signal, null, { tpPercentages: [30, 70] }, {
+      stepSize: 1, minQty: 1, pricePrecision: 4
+    });
+
+    expect(svc.bingx.placeOrder).toHaveBeenCalledTimes(1);
+    expect(svc.bingx.placeOrder.mock.calls[0][0]).toMatchObject({
+      clientOrderId: svc.buildClientOrderId(SIGNAL_ID, 'tp2'), quantity: 7
+    });
+    expect(orders.map(o => o.order.orderId)).toEqual(['sl_1', 'tp_1', `new_${svc.buildClientOrderId(SIGNAL_ID, 'tp2')}`]);
+    // the interrupted attempt may have started a watcher already
+    expect(svc.queue.removeBreakevenChecks).toHaveBeenCalledWith('pos_1');
+    expect(svc.queue.addBreakevenCheck).toHaveBeenCalledTimes(1);
+  });
+
+  test('re-running an executed signal queues TP/SL instead of entering again', async () => {
+    const svc = new ExecutionService();
+    const signal = { id: SIGNAL_ID, channelId: 'ch_1', status: 'approved', execute: jest.fn() };
+    jest.spyOn(Signal, 'findById').mockResolvedValue(signal);
+    jest.spyOn(Position, 'findBySignalId').mockResolvedValue([{ id: 'pos_1', symbol: 'SAND-USDT', status: 'open' }]);
+    jest.spyOn(Account, 'findByChannelId').mockResolvedValue({ bingxSubAccountId: null });
+    svc.bingx = { getSymbolInfo: jest.fn().mockResolvedValue({ stepSize: 1 }), placeOrder: jest.fn() };
+    svc.queue = { addRiskManagement: jest.fn().mockResolvedValue({ id: 'rm-pos_1' }) };
+
+    const result = await svc.executeSignal(SIGNAL_ID, 'job_2');
+
+    expect(result).toEqual({ success: true, positionId: 'pos_1', rmJobId: 'rm-pos_1', alreadyExecuted: true });
+    expect(svc.bingx.placeOrder).not.toHaveBeenCalled();
+    expect(signal.execute).toHaveBeenCalled();
+  });
+
+  test('an entry that filled before the position was recorded is resumed without the pre-trade checks', async () => {
+    const svc = new ExecutionService();
+    const signal = new Signal({
+      id: SIGNAL_ID, channel_id: 'ch_1', coin: 'SAND', direction: 'LONG', leverage: 5, status: 'approved', entry_price: '1'
+    });
+    signal.execute = jest.fn();
+    jest.spyOn(Signal, 'findById').mockResolvedValue(signal);
+    jest.spyOn(Position, 'findBySignalId').mockResolvedValue([]);
+    jest.spyOn(Channel, 'findById').mockResolvedValue(new Channel({ id: 'ch_1', name: 'Signals', signal_ttl_minutes: 1 }));
+    jest.spyOn(Account, 'findByChannelId').mockResolvedValue({ bingxSubAccountId: null });
+    const create = jest.spyOn(Position, 'create').mockImplementation(async (data) => ({ id: 'pos_1', ...data }));
+    const entryId = svc.buildClientOrderId(SIGNAL_ID, 'entry');
+    svc.bingx = {
+      lookupClientOrderId: jest.fn(async (symbol, clientOrderId) => ({
+        order: clientOrderId === entryId
+          ? { orderId: 'entry_1', clientOrderId, status: 'FILLED', origQty: 12, executedQty: 12, executedPrice: 1.02 }
+          : null,
+        nextClientOrderId: clientOrderId
+      })),
+      getSymbolInfo: jest.fn().mockResolvedValue({ stepSize: 1 }),
+      getPositions: jest.fn().mockResolvedValue([]),
+      getAccountInfo: jest.fn(),
+      placeOrder: jest.fn()
+    };
+    svc.signalExpiry = { check: jest.fn() };
+    svc.circuitBreaker = { checkBeforeExecution: jest.fn() };
+    svc.queue = { addRiskManagement: jest.fn().mockResolvedValue({ id: 'rm-pos_1' }) };
+    svc.notifyExecution = jest.fn();
+
+    const result = await svc.executeSignal(SIGNAL_ID, 'job_3');
+
+    expect(result).toMatchObject({ success: true, positionId: 'pos_1', rmJobId: 'rm-pos_1' });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      signalId: SIGNAL_ID, symbol: 'SAND-USDT', side: 'BUY', quantity: 12, entryPrice: 1.02, bingxOrderId: 'entry_1'
+    }));
+    expect(svc.queue.addRiskManagement).toHaveBeenCalledWith(expect.objectContaining({ positionId: 'pos_1' }));
+    expect(signal.execute).toHaveBeenCalled();
+    expect(svc.bingx.placeOrder).not.toHaveBeenCalled();
+    expect(svc.bingx.getAccountInfo).not.toHaveBeenCalled();
+    expect(svc.signalExpiry.check).not.toHaveBeenCalled();
+    expect(svc.circuitBreaker.checkBeforeExecution).not.toHaveBeenCalled();
+  });
+
+  test('skips a signal that is already being executed', async () => {
+    const svc = new ExecutionService();
+    const findById = jest.spyOn(Signal, 'findById');
+    svc.activeExecutions.set('job_1', { signalId: SIGNAL_ID, status: 'running', startTime: new Date() });
+
+    const result = await svc.executeSignal(SIGNAL_ID, 'job_2');
+
+    expect(result).toMatchObject({ success: false, skipped: true });
+    expect(findById).not.toHaveBeenCalled();
+    expect(svc.activeExecutions.has('job_1')).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+const ExecutionService = require('../executionService');
+
+describe('position sizing strategies', () => {
+  const symbolInfo = { stepSize: 0.1, minQty: 0.1, minOrderValue: 5 };
+  const signal = { coin: 'SAND', entryPrice: 10, stopLoss: 9.5, leverage: 5 };
+  const channel = (overrides) => ({ maxPositionPercentage: 100, riskPercentage: 2, ...overrides });
+
+  test('sizes by balance percentage and fixed margin', () => {
+    const svc = new ExecutionService();
+
+    const percent = svc.calculatePositionSize(signal, channel({ sizingStrategy: 'fixed_percent', sizingValue: 10 }), 1000, symbolInfo);
+    expect(percent.quantity).toBe(50);
+    expect(percent.sizing).toMatchObject({ strategy: 'fixed_percent', balancePercentage: 10, leverage: 5, quantity: 50 });
+
+    const margin = svc.calculatePositionSize(signal, channel({ sizingStrategy: 'fixed_margin', sizingValue: 20 }), 1000, symbolInfo);
+    expect(margin.quantity).toBe(10);
+  });
+
+  test('risks the channel risk percentage at the stop-loss or ATR distance', () => {
+    const svc = new ExecutionService();
+
+    const risk = svc.calculatePositionSize(signal, channel({ sizingStrategy: 'risk_percent' }), 1000, symbolInfo);
+    expect(risk.quantity).toBe(40);
+    expect(risk.sizing).toMatchObject({ riskPercentage: 2, stopDistance: 0.5 });
+
+    const volatility = svc.calculatePositionSize(signal, channel({ sizingStrategy: 'volatility' }), 1000, symbolInfo, { atr: 0.5 });
+    expect(volatility.quantity).toBe(20);
+    expect(() => svc.calculatePositionSize({ ...signal, stopLoss: null }, channel({ sizingStrategy: 'risk_percent' }), 1000))
+      .toThrow('requires a stop-loss');
+  });
+
+  test('caps the margin at maxPositionPercentage of the balance', () => {
+    const svc = new ExecutionService();
+
+    const { quantity, sizing } = svc.calculatePositionSize(
+      signal, channel({ sizingStrategy: 'risk_percent', maxPositionPercentage: 5 }), 1000, symbolInfo
+    );
+
+    expect(quantity).toBe(25);
+    expect(sizing).toMatchObject({ maxPositionPercentage: 5, cappedFrom: 40 });
+  });
+
+  test('averages the true range over the period', () => {
+    const svc = new ExecutionService();
+    const candles = [
+      { high: 10, low: 9, close: 9.5 },
+      { high: 10, low: 9.5, close: 9.8 },
+      { high: 11, low: 10.5, close: 10.8 }
+    ];
+
+    // true ranges: max(0.5, 0.5, 0) = 0.5 and max(0.5, 1.2, 0.7) = 1.2
+    expect(svc.calculateAtr(candles, 14)).toBeCloseTo(0.85);
+  });
+});
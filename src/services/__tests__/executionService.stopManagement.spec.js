@@ -0,0 +1,57 @@
+const ExecutionService = require('../executionService');
+
+describe('stop management', () => {
+  const base = {
+    side: 'BUY',
+    entryPrice: 10,
+    stopPrice: 9,
+    pricePrecision: 4,
+    stepSize: 1,
+    initialQty: 100,
+    tpLevels: [11, 12, 13],
+    tpQtys: [30, 30, 40],
+    tpsFilled: 0,
+    moves: 0
+  };
+
+  test('counts filled TPs by how much the position shrank', () => {
+    const svc = new ExecutionService();
+
+    expect(svc.countFilledTps(base, 100)).toBe(0);
+    expect(svc.countFilledTps(base, 85)).toBe(1);
+    expect(svc.countFilledTps(base, 40)).toBe(2);
+  });
+
+  test('moves to breakeven only after the configured TP', () => {
+    const svc = new ExecutionService();
+    const state = { ...base, mode: 'breakeven', breakevenAfterTp: 2 };
+
+    expect(svc.getStopMove({ ...state, tpsFilled: 1 }, 11.5)).toBeNull();
+    expect(svc.getStopMove({ ...state, tpsFilled: 2 }, 12.5)).toMatchObject({ stopPrice: 10, leg: 'sl1' });
+  });
+
+  test('step mode moves the stop to the previous level', () => {
+    const svc = new ExecutionService();
+    const state = { ...base, mode: 'step' };
+
+    expect(svc.getStopMove({ ...state, tpsFilled: 1 }, 11.2)).toMatchObject({ stopPrice: 10 });
+    expect(svc.getStopMove({ ...state, tpsFilled: 2, stopPrice: 10, moves: 1 }, 12.2)).toMatchObject({ stopPrice: 11, leg: 'sl2' });
+    // already there
+    expect(svc.getStopMove({ ...state, tpsFilled: 2, stopPrice: 11 }, 12.2)).toBeNull();
+  });
+
+  test('trails the high-water mark and never loosens the stop', () => {
+    const svc = new ExecutionService();
+    const state = { ...base, mode: 'trailing_percent', trailingValue: 5 };
+
+    const hwm = svc.nextHighWaterMark(state, 12);
+    expect(hwm).toBe(12);
+    expect(svc.getStopMove({ ...state, highWaterMark: hwm }, 12)).toMatchObject({ stopPrice: 11.4 });
+    // price pulled back: the mark stays, the stop does not move down
+    expect(svc.nextHighWaterMark({ ...state, highWaterMark: 12 }, 11.5)).toBe(12);
+    expect(svc.getStopMove({ ...state, highWaterMark: 12, stopPrice: 11.4 }, 11.5)).toBeNull();
+
+    const short = { ...state, side: 'SELL', entryPrice: 10, stopPrice: 11, mode: 'trailing_atr', atr: 0.5, trailingValue: 2 };
+    expect(svc.getStopMove({ ...short, highWaterMark: 8 }, 8)).toMatchObject({ stopPrice: 9 });
+  });
+});
@@ -0,0 +1,70 @@
+const HistoryImportService = require('../historyImportService');
+const SignalFeedService = require('../signalFeedService');
+const AuditLog = require('../../models/AuditLog');
+const Channel = require('../../models/Channel');
+const ParsingTemplate = require('../../models/ParsingTemplate');
+const Signal = require('../../models/Signal');
+const SignalCorrection = require('../../models/SignalCorrection');
+const { redisUtils } = require('../../config/redis');
+
+const T0 = Date.UTC(2024, 0, 1);
+
+const chatExport = {
+  name: 'Signals',
+  id: 1234567890,
+  messages: [
+    { id: 11, type: 'message', date_unixtime: String(T0 / 1000 + 3600), reply_to_message_id: 10, text: 'SOL TP1 hit, move SL to entry' },
+    { id: 10, type: 'message', date_unixtime: String(T0 / 1000), text: [{ type: 'hashtag', text: '#SOL' }, ' LONG x10\nEntry: 100\nTP1: 104\nSL: 96'] },
+    { id: 12, type: 'message', date_unixtime: String(T0 / 1000 + 7200), text: 'Good morning' },
+    { id: 13, type: 'service', action: 'pin_message', date_unixtime: String(T0 / 1000 + 7300), text: '' },
+    { id: 14, type: 'message', date_unixtime: String(T0 / 1000 + 7400), photo: 'photos/chart.jpg', text: '' }
+  ]
+};
+
+describe('HistoryImportService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('reads text messages of a chat export oldest first', () => {
+    const messages = HistoryImportService.readExportMessages(chatExport);
+
+    expect(messages.map(m => [m.messageId, m.replyToMessageId])).toEqual([[10, null], [11, 10], [12, null]]);
+    expect(messages[0]).toMatchObject({ text: '#SOL LONG x10\nEntry: 100\nTP1: 104\nSL: 96', date: new Date(T0) });
+  });
+
+  test('stores signals as imported with their original time and threads replies, without announcing them', async () => {
+    const feed = new SignalFeedService();
+    feed.signalRecognition.bingxService = { supportedSymbols: [] };
+    feed.signalRecognition.initialized = true;
+    const channel = new Channel({ id: 'ch_1', name: 'Signals', auto_execute: true, is_paused: true });
+
+    const stored = [];
+    jest.spyOn(Channel, 'findById').mockResolvedValue(channel);
+    jest.spyOn(ParsingTemplate, 'findByChannelId').mockResolvedValue([]);
+    jest.spyOn(SignalCorrection, 'findRecentByChannelId').mockResolvedValue([]);
+    jest.spyOn(Signal, 'findAllByTelegramMessage').mockImplementation(async (channelId, messageId) =>
+      stored.filter(s => s.telegramMessageId === messageId));
+    jest.spyOn(Signal.prototype, 'getRootSignal').mockImplementation(async function root() { return this; });
+    jest.spyOn(Signal, 'create').mockImplementation(async (data) => {
+      const signal = Object.assign(new Signal({ id: `sig_${stored.length + 1}` }), data);
+      stored.push(signal);
+      return signal;
+    });
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    const publish = jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+
+    const report = await new HistoryImportService(feed).importExport(chatExport, { channelId: 'ch_1' });
+
+    expect(report).toMatchObject({ channelId: 'ch_1', messages: 3, signals: 2, notSignals: 1, alreadyImported: 0, failed: [] });
+    expect(stored.map(s => [s.signalType, s.status, s.messageTimestamp])).toEqual([
+      ['entry', 'imported', new Date(T0)],
+      ['update', 'imported', new Date(T0 + 3600 * 1000)]
+    ]);
+    expect(stored[1]).toMatchObject({ parentSignalId: 'sig_1', coin: 'SOL' });
+    expect(publish).not.toHaveBeenCalled();
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'signals_imported' }));
+
+    // a second run skips what is already there
+    const again = await new HistoryImportService(feed).importExport(chatExport, { channelId: 'ch_1' });
+    expect(again).toMatchObject({ signals: 0, alreadyImported: 2 });
+  });
+});
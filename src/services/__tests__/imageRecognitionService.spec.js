@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const ImageRecognitionService = require('../imageRecognitionService');
+const SignalFeedService = require('../signalFeedService');
+const StubProvider = require('../llm/stubProvider');
+const { LLMProviderRegistry } = require('../llm/providerRegistry');
+const Channel = require('../../models/Channel');
+const ParsingTemplate = require('../../models/ParsingTemplate');
+const Signal = require('../../models/Signal');
+const SignalCorrection = require('../../models/SignalCorrection');
+const { redisUtils } = require('../../config/redis');
+
+const photos = [
+  { file_id: 'small', file_unique_id: 'u_small', width: 90, height: 60 },
+  { file_id: 'large', file_unique_id: 'u_large', width: 1280, height: 720 }
+];
+
+describe('ImageRecognitionService', () => {
+  let dir;
+
+  const createService = (options = {}) => {
+    const llm = new LLMProviderRegistry({ chain: [], providers: {} });
+    const vision = llm.register(new StubProvider('vision', { responses: ['Entry: 100\nTP1: 104\nSL: 96'] }));
+    const service = new ImageRecognitionService(llm, {
+      engine: 'auto',
+      chain: ['vision'],
+      ocrCommand: 'tesseract',
+      ocrTimeout: 1000,
+      downloadTimeout: 1000,
+      maxFileSize: 1024 * 1024,
+      dir,
+      botToken: 'token',
+      ...options
+    });
+    return { service, vision };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signal-images-'));
+    jest.spyOn(axios, 'get').mockImplementation(async (url) => (url.endsWith('/getFile')
+      ? { data: { ok: true, result: { file_path: 'photos/file_1.jpg' } } }
+      : { data: Buffer.from('jpeg bytes') }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('selects the largest photo or an image document, not MTProto media', () => {
+    expect(ImageRecognitionService.selectImage({ photos })).toMatchObject({ fileId: 'large', width: 1280 });
+    expect(ImageRecognitionService.selectImage({
+      photos: [],
+      document: { file_id: 'doc', file_unique_id: 'u_doc', mime_type: 'image/png' }
+    })).toMatchObject({ fileId: 'doc', mimeType: 'image/png' });
+    expect(ImageRecognitionService.selectImage({ photos: [], document: { file_id: 'pdf', mime_type: 'application/pdf' } })).toBeNull();
+    expect(ImageRecognitionService.selectImage({ photos: [{ id: '5738' }], document: null })).toBeNull();
+  });
+
+  test('keeps the image reference when the OCR engine is missing', async () => {
+    const { service } = createService({ engine: 'ocr', ocrCommand: 'no-such-ocr-engine' });
+
+    const image = await service.recognize({ channelId: 'ch_1', messageId: 7, text: '', photos });
+
+    expect(image).toMatchObject({ fileId: 'large', engine: null, text: '', error: expect.stringContaining('not installed') });
+    expect(fs.existsSync(service.resolvePath(image.path))).toBe(true);
+  });
+
+  test('parses a chart screenshot together with its caption and keeps the image on the signal', async () => {
+    const { service, vision } = createService();
+    const feed = new SignalFeedService();
+    feed.signalRecognition.bingxService = { supportedSymbols: [] };
+    feed.signalRecognition.initialized = true;
+    feed.imageRecognition = service;
+
+    jest.spyOn(Channel, 'findById').mockResolvedValue(new Channel({ id: 'ch_1', name: 'Signals' }));
+    jest.spyOn(ParsingTemplate, 'findByChannelId').mockResolvedValue([]);
+    jest.spyOn(SignalCorrection, 'findRecentByChannelId').mockResolvedValue([]);
+    jest.spyOn(Signal, 'findDuplicateCandidates').mockResolvedValue([]);
+    jest.spyOn(Signal, 'create').mockImplementation(async (data) => Object.assign(new Signal({ id: 'sig_1' }), data));
+    jest.spyOn(redisUtils, 'set').mockResolvedValue(true);
+    jest.spyOn(redisUtils, 'lPush').mockResolvedValue(1);
+    jest.spyOn(redisUtils, 'lLen').mockResolvedValue(1);
+    jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+
+    const [signal] = await feed.processMessage({ channelId: 'ch_1', messageId: 7, text: '#SOL LONG x10', photos });
+
+    const [, user] = vision.calls[0];
+    expect(user.content[1].image_url.url).toBe(`data:image/jpeg;base64,${Buffer.from('jpeg bytes').toString('base64')}`);
+    expect(signal).toMatchObject({
+      coin: 'SOL',
+      direction: 'LONG',
+      entryPrice: 100,
+      takeProfitLevels: [104],
+      stopLoss: 96,
+      rawMessage: '#SOL LONG x10\n\n[Chart]\nEntry: 100\nTP1: 104\nSL: 96',
+      image: { fileId: 'large', engine: 'vision', provider: 'vision', path: path.join('signal-images', 'ch_1', '7-u_large.jpg') }
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const KillSwitchService = require('../killSwitchService');
+const Account = require('../../models/Account');
+const AuditLog = require('../../models/AuditLog');
+const Channel = require('../../models/Channel');
+const Position = require('../../models/Position');
+const Signal = require('../../models/Signal');
+const { ExecutionQueueService } = require('../executionQueueService');
+const { redisUtils } = require('../../config/redis');
+
+const record = (id, channelId, symbol) => Object.assign(new Position({
+  id, channel_id: channelId, symbol, side: 'BUY', quantity: 10, entry_price: 1, realized_pnl: 0, status: 'open'
+}), { close: jest.fn().mockResolvedValue({}) });
+
+const setup = () => {
+  const channels = [
+    Object.assign(new Channel({ id: 'ch_1', name: 'one', is_paused: false }), { pause: jest.fn().mockResolvedValue({}) }),
+    Object.assign(new Channel({ id: 'ch_2', name: 'two', is_paused: true }), { pause: jest.fn() })
+  ];
+  const positions = [record('pos_1', 'ch_1', 'SAND-USDT'), record('pos_2', 'ch_2', 'BTC-USDT'), record('pos_3', 'ch_1', 'ETH-USDT')];
+  const exchange = {
+    main: { orders: [{ orderId: 'o1', symbol: 'SAND-USDT' }], positions: [{ symbol: 'SAND-USDT', size: 10, markPrice: 1.2 }] },
+    sub_1: {
+      orders: [{ orderId: 'o2', symbol: 'BTC-USDT' }, { orderId: 'o3', symbol: 'BTC-USDT' }],
+      positions: [{ symbol: 'BTC-USDT', size: 10, markPrice: 0.9 }, { symbol: 'XRP-USDT', size: 5, markPrice: 2 }]
+    }
+  };
+  const execution = {
+    activeExecutions: new Map(),
+    cancelStopWatcher: jest.fn().mockResolvedValue(0),
+    queue: {
+      pause: jest.fn().mockResolvedValue(['execution', 'riskManagement', 'breakeven']),
+      resume: jest.fn(),
+      removePending: jest.fn().mockResolvedValue([])
+    },
+    bingx: {
+      getSubAccounts: jest.fn().mockResolvedValue([{ subAccountId: 'sub_1' }]),
+      getOpenOrders: jest.fn(async (symbol, sub) => exchange[sub || 'main'].orders),
+      cancelOrder: jest.fn(async (orderId) => {
+        if (orderId === 'o3') throw new Error('Order does not exist');
+        return {};
+      }),
+      getPositions: jest.fn(async sub => exchange[sub || 'main'].positions),
+      closePosition: jest.fn(async symbol => ({ orderId: `close_${symbol}`, executedPrice: symbol === 'SAND-USDT' ? 1.25 : 0 }))
+    }
+  };
+
+  jest.spyOn(Channel, 'findAll').mockResolvedValue(channels);
+  jest.spyOn(Position, 'getOpenPositions').mockResolvedValue(positions);
+  jest.spyOn(Account, 'findAll').mockResolvedValue([
+    { channelId: 'ch_1', bingxSubAccountId: 'main_account' },
+    { channelId: 'ch_2', bingxSubAccountId: 'sub_1' }
+  ]);
+  const audit = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+
+  return { killSwitch: new KillSwitchService(execution), execution, channels, positions, audit };
+};
+
+describe('KillSwitchService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('cancels orders and closes positions on every account with a per-position report', async () => {
+    const { killSwitch, execution, channels, positions, audit } = setup();
+
+    const report = await killSwitch.engage({ actor: 'admin', reason: 'exchange outage' });
+
+    expect(execution.queue.pause).toHaveBeenCalled();
+    expect(channels[0].pause).toHaveBeenCalledWith('Kill switch: exchange outage');
+    expect(channels[1].pause).not.toHaveBeenCalled();
+    expect(report.channelsPaused).toEqual(['ch_1']);
+    expect(report.accounts).toEqual([
+      { subAccountId: 'main', ordersCancelled: 1, ordersFailed: 0 },
+      { subAccountId: 'sub_1', ordersCancelled: 1, ordersFailed: 1 }
+    ]);
+    expect(report.positions).toEqual([
+      expect.objectContaining({ positionId: 'pos_1', status: 'closed', closePrice: 1.25, realizedPnl: 2.5, subAccountId: 'main' }),
+      expect.objectContaining({ positionId: 'pos_2', status: 'closed', closePrice: 0.9, subAccountId: 'sub_1' }),
+      expect.objectContaining({ positionId: null, symbol: 'XRP-USDT', untracked: true }),
+      { positionId: 'pos_3', symbol: 'ETH-USDT', status: 'not_on_exchange' }
+    ]);
+    expect(positions[0].close).toHaveBeenCalledWith(1.25, 2.5);
+    expect(execution.cancelStopWatcher).toHaveBeenCalledTimes(2);
+    // one order could not be cancelled
+    expect(report.success).toBe(false);
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'kill_switch_engaged', actor: 'admin', details: report }));
+    expect(redisUtils.publish).toHaveBeenCalledWith('system:alert', expect.objectContaining({ type: 'kill_switch_engaged' }));
+  });
+
+  test('queued executions and fill checks are removed, their signals fail and nothing runs after release', async () => {
+    const { killSwitch, execution } = setup();
+    // Bull queue stand-in: paused queues keep new jobs in "paused" until resumed
+    const queues = {};
+    const queue = new ExecutionQueueService({
+      createQueue: (name) => {
+        const jobs = [];
+        queues[name] = {
+          jobs,
+          paused: false,
+          add: jest.fn(async (jobName, data, opts = {}) => {
+            const job = { id: opts.jobId || `${name}-${jobs.length + 1}`, data, opts, remove: jest.fn(async () => jobs.splice(jobs.indexOf(job), 1)) };
+            jobs.push(job);
+            return job;
+          }),
+          getJobs: jest.fn(async () => [...jobs]),
+          process() {},
+          on() {},
+          pause: jest.fn(async function pause() { this.paused = true; }),
+          resume: jest.fn(async function resume() { this.paused = false; })
+        };
+        return queues[name];
+      }
+    });
+    const handlers = { execution: jest.fn(), riskManagement: jest.fn(), breakeven: jest.fn(), entryFill: jest.fn() };
+    queue.initialize(handlers);
+    execution.queue = queue;
+
+    await queue.addExecution({ signalId: 'sig_queued' });
+    await queue.addEntryFillCheck({ signalId: 'sig_zone', orders: [] }, 30000);
+    await queue.addBreakevenCheck({ positionId: 'pos_1' }, 30000);
+    const signals = {
+      sig_queued: Object.assign(new Signal({ id: 'sig_queued', status: 'approved' }), { markAsFailed: jest.fn() }),
+      sig_zone: Object.assign(new Signal({ id: 'sig_zone', status: 'approved' }), { markAsFailed: jest.fn() })
+    };
+    jest.spyOn(Signal, 'findById').mockImplementation(async id => signals[id]);
+
+    const report = await killSwitch.engage({ reason: 'exchange outage' });
+
+    expect(report.jobsRemoved).toEqual([
+      { queue: 'execution', jobId: 'signal-execution-1', signalId: 'sig_queued', positionId: null },
+      { queue: 'entryFill', jobId: 'entry-fill-sig_zone-0', signalId: 'sig_zone', positionId: null },
+      { queue: 'breakeven', jobId: 'breakeven-pos_1-0-0', signalId: null, positionId: 'pos_1' }
+    ]);
+    expect(signals.sig_queued.markAsFailed).toHaveBeenCalledWith('Kill switch: exchange outage');
+    expect(signals.sig_zone.markAsFailed).toHaveBeenCalledWith('Kill switch: exchange outage');
+
+    jest.spyOn(AuditLog, 'findByActions').mockResolvedValue([{ action: 'kill_switch_engaged', details: report }]);
+    jest.spyOn(Channel, 'findById').mockResolvedValue(null);
+    await killSwitch.release();
+
+    expect(Object.values(queues).every(q => !q.paused)).toBe(true);
+    expect(Object.values(queues).flatMap(q => q.jobs)).toEqual([]);
+  });
+
+  test('a second trigger while running joins the same run', async () => {
+    const { killSwitch, execution } = setup();
+
+    const [first, second] = await Promise.all([killSwitch.engage(), killSwitch.engage()]);
+
+    expect(first).toBe(second);
+    expect(execution.queue.pause).toHaveBeenCalledTimes(1);
+  });
+});
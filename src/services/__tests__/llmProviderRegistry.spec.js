@@ -0,0 +1,104 @@
+const { LLMProviderRegistry, createProvider } = require('../llm/providerRegistry');
+const StubProvider = require('../llm/stubProvider');
+const { SignalRecognitionService } = require('../signalRecognitionService');
+
+const MESSAGES = [
+  { role: 'system', content: 'system prompt' },
+  { role: 'user', content: 'user prompt' }
+];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const makeRegistry = (...providers) => {
+  const registry = new LLMProviderRegistry({ chain: providers.map(p => p.name), providers: {} });
+  providers.forEach(p => registry.register(p));
+  return registry;
+};
+
+describe('LLMProvider retries and accounting', () => {
+  test('retries retryable errors and accounts tokens and cost', async () => {
+    const provider = new StubProvider('stub', {
+      maxRetries: 2,
+      pricing: { prompt: 1, completion: 2 },
+      responses: [httpError(429, 'rate limited'), { isSignal: false }]
+    });
+
+    const result = await provider.complete(MESSAGES);
+    const stats = provider.getStats();
+
+    expect(result.attempts).toBe(2);
+    expect(result.provider).toBe('stub');
+    expect(stats).toMatchObject({ requests: 2, failures: 1, retries: 1, successes: 1 });
+    expect(stats.promptTokens).toBe(result.usage.promptTokens);
+    expect(result.cost).toBeCloseTo(result.usage.promptTokens / 1000 + result.usage.completionTokens / 500);
+  });
+
+  test('does not retry client errors', async () => {
+    const provider = new StubProvider('stub', { maxRetries: 3, responses: [httpError(401, 'bad key'), {}] });
+
+    await expect(provider.complete(MESSAGES)).rejects.toThrow('bad key');
+    expect(provider.getStats().requests).toBe(1);
+  });
+
+  test('times out slow backends', async () => {
+    const provider = new StubProvider('stub', {
+      timeout: 20,
+      handler: () => new Promise(resolve => setTimeout(() => resolve({}), 200))
+    });
+
+    await expect(provider.complete(MESSAGES)).rejects.toThrow('timed out');
+    expect(provider.getStats().timeouts).toBe(1);
+  });
+});
+
+describe('LLMProviderRegistry fallback chain', () => {
+  test('falls through to the next provider on failure', async () => {
+    const primary = new StubProvider('primary', { responses: [new Error('ECONNREFUSED')] });
+    const secondary = new StubProvider('secondary', { responses: [{ isSignal: true }] });
+    const registry = makeRegistry(primary, secondary);
+
+    const result = await registry.complete(MESSAGES);
+
+    expect(result.provider).toBe('secondary');
+    expect(result.fallbacks).toEqual([{ provider: 'primary', error: 'ECONNREFUSED' }]);
+  });
+
+  test('channel chain overrides the default and skips unavailable providers', () => {
+    const registry = makeRegistry(new StubProvider('a'), new StubProvider('b'));
+    registry.register(createProvider('local', { type: 'openai-compatible' }));
+
+    expect(registry.resolveChain(['local', 'b', 'missing']).map(p => p.name)).toEqual(['b']);
+    expect(registry.resolveChain(null).map(p => p.name)).toEqual(['a', 'b']);
+    expect(registry.hasAvailableProvider(['local'])).toBe(false);
+  });
+
+  test('reports an error listing every failed provider', async () => {
+    const registry = makeRegistry(
+      new StubProvider('a', { responses: [new Error('down')] }),
+      new StubProvider('b', { responses: [new Error('also down')] })
+    );
+
+    await expect(registry.complete(MESSAGES)).rejects.toThrow('All LLM providers failed: a: down; b: also down');
+  });
+});
+
+describe('SignalRecognitionService with providers', () => {
+  test('uses the channel chain and records provider usage on the result', async () => {
+    const svc = new SignalRecognitionService();
+    svc.initialized = true;
+    svc.bingxService = { supportedSymbols: [] };
+    svc.llm = makeRegistry(
+      new StubProvider('stub'),
+      new StubProvider('local', {
+        responses: ['Sure! ```json\n{"isSignal": false, "signalType": "general", "confidence": 0.2, "reasoning": "chatter"}\n```']
+      })
+    );
+
+    const result = await svc.performSOTAnalysis('Всем привет, как настроение?', 'Test', { llmProviders: ['local'] });
+
+    expect(result.source).toBe('llm');
+    expect(result.reasoning).toBe('chatter');
+    expect(result.llm).toMatchObject({ provider: 'local', model: 'stub', fallbacks: [] });
+    expect(svc.llm.get('stub').calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,134 @@
+const { Api } = require('telegram');
+const MtprotoIngestionService = require('../mtprotoIngestionService');
+const TelegramService = require('../telegramService');
+const Channel = require('../../models/Channel');
+const config = require('../../config/app');
+const { redisUtils, CHANNELS } = require('../../config/redis');
+
+const post = (overrides = {}) => new Api.Message({
+  id: 501,
+  peerId: new Api.PeerChannel({ channelId: 1234567890 }),
+  date: 1704067200,
+  message: '#SOL LONG x10\nEntry: 100',
+  replyTo: new Api.MessageReplyHeader({ replyToMsgId: 500 }),
+  ...overrides
+});
+
+describe('MtprotoIngestionService', () => {
+  const setup = (channelOverrides = {}) => {
+    const telegram = { queueMessageForProcessing: jest.fn().mockResolvedValue() };
+    const ingestion = new MtprotoIngestionService(telegram);
+    const channel = new Channel({ id: 'ch_1', name: 'Paid', ingestion_backend: 'mtproto', is_paused: false, ...channelOverrides });
+    ingestion.monitoredChannels.set('-1001234567890', channel);
+    return { telegram, ingestion };
+  };
+
+  test('queues channel posts in the bot message shape', async () => {
+    const { telegram, ingestion } = setup();
+
+    await ingestion.handleNewMessage(post());
+
+    expect(telegram.queueMessageForProcessing).toHaveBeenCalledWith(expect.objectContaining({
+      messageId: 501,
+      replyToMessageId: 500,
+      channelId: 'ch_1',
+      channelName: 'Paid',
+      telegramChannelId: '-1001234567890',
+      text: '#SOL LONG x10\nEntry: 100',
+      date: new Date(1704067200 * 1000),
+      photos: [],
+      document: null
+    }));
+  });
+
+  test('ignores other chats and paused channels', async () => {
+    const { telegram, ingestion } = setup({ is_paused: true });
+
+    await ingestion.handleNewMessage(post());
+    await ingestion.handleNewMessage(post({ peerId: new Api.PeerChannel({ channelId: 42 }) }));
+
+    expect(telegram.queueMessageForProcessing).not.toHaveBeenCalled();
+  });
+
+  describe('switching a channel between backends', () => {
+    const apiConfig = { apiId: config.telegram.apiId, apiHash: config.telegram.apiHash };
+    const update = (backend) => ({
+      type: 'channel_update',
+      action: 'updated',
+      channel: { id: 'ch_1', name: 'Paid', ingestionBackend: backend }
+    });
+    let handlers;
+
+    beforeEach(() => {
+      handlers = [];
+      jest.spyOn(redisUtils, 'subscribe').mockImplementation(async (channel, handler) => handlers.push([channel, handler]));
+    });
+
+    afterEach(() => {
+      Object.assign(config.telegram, apiConfig);
+      jest.restoreAllMocks();
+    });
+
+    test('the user session listens for channel updates even without MTProto channels at startup', async () => {
+      Object.assign(config.telegram, { apiId: '', apiHash: '' });
+      const findAll = jest.spyOn(Channel, 'findAll').mockResolvedValue([]);
+      const ingestion = new MtprotoIngestionService({});
+
+      await ingestion.initialize();
+      expect(handlers.map(([channel]) => channel)).toEqual([CHANNELS.CHANNEL_UPDATE]);
+
+      findAll.mockResolvedValue([new Channel({ id: 'ch_1', name: 'Paid', ingestion_backend: 'mtproto', is_active: true })]);
+      const connect = jest.spyOn(ingestion, 'connect');
+      await handlers[0][1](update('mtproto'));
+
+      expect(connect).toHaveBeenCalledTimes(1);
+    });
+
+    test('a connected session resolves only the channel of the update, and only when it starts or stops using MTProto', async () => {
+      const { ingestion } = setup();
+      ingestion.isConnected = true;
+      ingestion.client = {
+        getEntity: jest.fn(async () => new Api.Channel({ id: 42, title: 'New', left: false })),
+        invoke: jest.fn()
+      };
+      const findAll = jest.spyOn(Channel, 'findAll');
+
+      await ingestion.handleChannelUpdate({ action: 'updated', channel: { id: 'ch_1', name: 'Paid VIP', ingestionBackend: 'mtproto' } });
+      await ingestion.handleChannelUpdate({ action: 'paused', channel: { id: 'ch_1', name: 'Paid VIP', ingestionBackend: 'mtproto', isPaused: true } });
+      await ingestion.handleChannelUpdate({ action: 'updated', channel: { id: 'ch_3', name: 'Bot', ingestionBackend: 'bot' } });
+      expect(ingestion.client.getEntity).not.toHaveBeenCalled();
+      expect(ingestion.monitoredChannels.get('-1001234567890')).toMatchObject({ name: 'Paid VIP', isPaused: true });
+
+      jest.spyOn(Channel, 'findById').mockResolvedValue(new Channel({
+        id: 'ch_2', name: 'New', telegram_channel_id: '-10042', ingestion_backend: 'mtproto'
+      }));
+      await ingestion.handleChannelUpdate({ action: 'updated', channel: { id: 'ch_2', name: 'New', ingestionBackend: 'mtproto' } });
+      expect(ingestion.client.getEntity).toHaveBeenCalledTimes(1);
+      expect(ingestion.client.getEntity).toHaveBeenCalledWith('-10042');
+      expect(ingestion.monitoredChannels.get('-10042')).toMatchObject({ id: 'ch_2' });
+
+      await ingestion.handleChannelUpdate({ ...update('bot'), channel: { id: 'ch_1', name: 'Paid VIP', ingestionBackend: 'bot' } });
+      expect(ingestion.monitoredChannels.has('-1001234567890')).toBe(false);
+      expect(findAll).not.toHaveBeenCalled();
+      expect(ingestion.client.invoke).not.toHaveBeenCalled();
+    });
+
+    test('the bot stops reading a channel moved to MTProto and picks it up again when moved back', async () => {
+      const telegram = new TelegramService();
+      const channel = new Channel({ id: 'ch_1', name: 'Paid', telegram_channel_id: '-1001234567890', ingestion_backend: 'bot' });
+      const findAll = jest.spyOn(Channel, 'findAll').mockResolvedValue([channel]);
+      await telegram.loadMonitoredChannels();
+      expect(telegram.monitoredChannels.has('-1001234567890')).toBe(true);
+
+      findAll.mockResolvedValue([Object.assign(channel, { ingestionBackend: 'mtproto' })]);
+      await telegram.handleChannelUpdate(update('mtproto'));
+      expect(telegram.monitoredChannels.size).toBe(0);
+
+      findAll.mockResolvedValue([Object.assign(channel, { ingestionBackend: 'bot' })]);
+      await telegram.handleChannelUpdate({ ...update('bot'), action: 'paused' });
+      expect(telegram.monitoredChannels.size).toBe(0);
+      await telegram.handleChannelUpdate(update('bot'));
+      expect(telegram.monitoredChannels.has('-1001234567890')).toBe(true);
+    });
+  });
+});
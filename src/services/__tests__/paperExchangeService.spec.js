@@ -0,0 +1,99 @@
+const { PaperExchangeService, paperAccountId } = require('../paperExchangeService');
+const BingXService = require('../bingxService');
+
+const memoryStore = () => {
+  const data = new Map();
+  return {
+    get: async key => (data.has(key) ? JSON.parse(data.get(key)) : null),
+    set: async (key, value) => data.set(key, JSON.stringify(value))
+  };
+};
+
+const setup = (price = 100) => {
+  const marketData = {
+    getSymbolPrice: jest.fn(async symbol => ({ symbol, price })),
+    formatSymbol: symbol => symbol
+  };
+  const paper = new PaperExchangeService(marketData, {
+    store: memoryStore(),
+    settings: { initialBalance: 1000, feeRate: 0.001, quoteTtlMs: 0 }
+  });
+  jest.spyOn(paper, 'start').mockImplementation(() => {});
+  return { paper, marketData, accountId: paperAccountId('ch_1') };
+};
+
+describe('PaperExchangeService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('fills a market order at the current price and charges the fee', async () => {
+    const { paper, accountId } = setup(100);
+    await paper.setLeverage('BTC-USDT', 10, 'LONG', accountId);
+
+    const order = await paper.placeOrder({ symbol: 'BTC-USDT', side: 'BUY', type: 'MARKET', quantity: 2 }, accountId);
+
+    expect(order).toMatchObject({ status: 'FILLED', executedQty: 2, executedPrice: 100, positionSide: 'LONG' });
+    const [position] = await paper.getPositions(accountId);
+    expect(position).toMatchObject({ symbol: 'BTC-USDT', side: 'BUY', size: 2, entryPrice: 100, leverage: 10, isolatedMargin: 20 });
+    const info = await paper.getAccountInfo(accountId);
+    expect(info.balance).toBeCloseTo(999.8);
+    expect(info.availableBalance).toBeCloseTo(979.8);
+  });
+
+  test('rests a limit order until the supplied price reaches it', async () => {
+    const { paper, accountId } = setup(100);
+
+    const order = await paper.placeOrder({ symbol: 'ETH-USDT', side: 'BUY', type: 'LIMIT', price: 95, quantity: 1 }, accountId);
+    expect(order.status).toBe('NEW');
+    expect(await paper.getOpenOrders('ETH-USDT', accountId)).toHaveLength(1);
+
+    await paper.setPrice('ETH-USDT', 94);
+
+    expect(await paper.getOpenOrders('ETH-USDT', accountId)).toHaveLength(0);
+    expect(await paper.getOrder(order.orderId, 'ETH-USDT', accountId)).toMatchObject({ status: 'FILLED', avgPrice: 95 });
+    const [position] = await paper.getPositions(accountId);
+    expect(position).toMatchObject({ size: 1, entryPrice: 95, markPrice: 94, unrealizedPnl: -1 });
+  });
+
+  test('triggers stop and take-profit orders and books the realized PnL', async () => {
+    const { paper, accountId } = setup(100);
+    await paper.placeOrder({ symbol: 'SOL-USDT', side: 'SELL', type: 'MARKET', quantity: 4 }, accountId);
+    const stop = await paper.placeOrder({
+      symbol: 'SOL-USDT', side: 'BUY', positionSide: 'SHORT', type: 'STOP_MARKET', stopPrice: 105, quantity: 4, reduceOnly: true
+    }, accountId);
+    const tp = await paper.placeOrder({
+      symbol: 'SOL-USDT', side: 'BUY', positionSide: 'SHORT', type: 'TAKE_PROFIT_MARKET', stopPrice: 90, quantity: 2, reduceOnly: true
+    }, accountId);
+
+    await paper.setPrice('SOL-USDT', 90);
+    expect(await paper.getOrder(tp.orderId, 'SOL-USDT', accountId)).toMatchObject({ status: 'FILLED', realizedPnl: 20 });
+    expect((await paper.getPositions(accountId))[0].size).toBe(2);
+
+    // the stop covers 4 but only 2 are left
+    await paper.setPrice('SOL-USDT', 106);
+    expect(await paper.getOrder(stop.orderId, 'SOL-USDT', accountId)).toMatchObject({ status: 'FILLED', executedQty: 2, realizedPnl: -12 });
+    expect(await paper.getPositions(accountId)).toEqual([]);
+
+    const fees = (4 * 100 + 2 * 90 + 2 * 106) * 0.001;
+    expect((await paper.getAccountInfo(accountId)).balance).toBeCloseTo(1000 + 20 - 12 - fees);
+    const income = await paper.getIncomeHistory({}, accountId);
+    expect(income.filter(i => i.incomeType === 'REALIZED_PNL').map(i => i.income)).toEqual([-12, 20]);
+  });
+
+  test('rejects an order without enough margin', async () => {
+    const { paper, accountId } = setup(100);
+
+    await expect(paper.placeOrder({ symbol: 'BTC-USDT', side: 'BUY', type: 'MARKET', quantity: 20 }, accountId))
+      .rejects.toThrow(/Insufficient margin/);
+    expect(await paper.getPositions(accountId)).toEqual([]);
+  });
+
+  test('BingXService sends paper sub-accounts to the simulator', async () => {
+    const bingx = new BingXService();
+    const request = jest.spyOn(bingx, 'makeRequest');
+    const getAccountInfo = jest.spyOn(PaperExchangeService.prototype, 'getAccountInfo').mockResolvedValue({ balance: 1000 });
+
+    expect(await bingx.getAccountInfo('paper_ch_1')).toEqual({ balance: 1000 });
+    expect(getAccountInfo).toHaveBeenCalledWith('paper_ch_1');
+    expect(request).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecognitionEvaluationService } = require('../recognitionEvaluationService');
+const RecordedProvider = require('../llm/recordedProvider');
+const StubProvider = require('../llm/stubProvider');
+const { EXAMPLE_SIGNALS } = require('../signalRecognitionService');
+
+describe('RecognitionEvaluationService', () => {
+  test('scores the seed corpus offline with the rule parser', async () => {
+    const report = await new RecognitionEvaluationService({ provider: 'none' }).run(undefined, { includeCases: true });
+
+    expect(report.total).toBe(report.cases.length);
+    expect(report.cases.map(c => c.id)).toEqual(expect.arrayContaining(Object.keys(EXAMPLE_SIGNALS)));
+    expect(report.confusionMatrix.entry.entry).toBe(report.signalTypes.entry.support);
+    expect(report.fields.stopLoss.precision).toBe(1);
+    expect(report.llm.totalTokens).toBe(0);
+  });
+
+  test('counts wrong values as both false positive and false negative', async () => {
+    const recognition = {
+      llm: { getStats: () => ({ totalTokens: 0, totalCost: 0 }) },
+      analyzeMessage: jest.fn()
+        .mockResolvedValueOnce({ isSignal: true, signalType: 'entry', extractedData: { coin: 'SAND-USDT', stopLoss: 0.5 } })
+        .mockResolvedValueOnce({ isSignal: false, signalType: 'entry', extractedData: { coin: 'BTC' } })
+    };
+    const evaluation = new RecognitionEvaluationService({ recognition });
+
+    const report = await evaluation.run([
+      { id: 'a', text: 'a', expected: { signalType: 'entry', coin: 'SAND', stopLoss: 0.4 } },
+      { id: 'b', text: 'b', expected: { signalType: 'close', coin: 'BTC' } }
+    ], { includeCases: true });
+
+    expect(report.confusionMatrix.close.general).toBe(1);
+    expect(report.signalTypes.entry).toEqual({ precision: 1, recall: 1, support: 1 });
+    expect(report.fields.coin).toMatchObject({ tp: 1, fp: 0, fn: 1, precision: 1, recall: 0.5 });
+    expect(report.fields.stopLoss).toMatchObject({ tp: 0, fp: 1, fn: 1, precision: 0, recall: 0 });
+    expect(report.cases[0].mismatches).toEqual(['stopLoss']);
+  });
+});
+
+describe('RecordedProvider', () => {
+  const messages = [{ role: 'user', content: 'prompt' }];
+
+  test('records live responses and replays them offline', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-')), 'recordings.json');
+    const live = new StubProvider('live', { responses: ['{"isSignal": true}'] });
+
+    const recorder = new RecordedProvider('recorded', { file, recordFrom: live });
+    await recorder.complete(messages);
+
+    const replay = new RecordedProvider('recorded', { file });
+    const result = await replay.complete(messages);
+
+    expect(result.content).toBe('{"isSignal": true}');
+    expect(live.calls).toHaveLength(1);
+    await expect(replay.complete([{ role: 'user', content: 'other' }])).rejects.toThrow('No recorded response');
+  });
+});
@@ -0,0 +1,114 @@
+const RecoveryService = require('../recoveryService');
+const ExecutionService = require('../executionService');
+const Position = require('../../models/Position');
+const Account = require('../../models/Account');
+const Channel = require('../../models/Channel');
+const { redisUtils } = require('../../config/redis');
+
+const SIGNAL_ID = '3f2b8c1e-5d4a-4e6f-9a7b-1c2d3e4f5a6b';
+
+const setup = ({ positions, exchangePositions, openOrders = [] }) => {
+  const execution = new ExecutionService();
+  execution.bingx = {
+    mode: 'real',
+    getPositions: jest.fn().mockResolvedValue(exchangePositions),
+    getOpenOrders: jest.fn().mockResolvedValue(openOrders),
+    getSymbolInfo: jest.fn().mockResolvedValue({ stepSize: 1, minQty: 1, pricePrecision: 4 }),
+    lookupClientOrderId: jest.fn(async (symbol, clientOrderId) => ({ order: null, nextClientOrderId: clientOrderId })),
+    placeOrder: jest.fn(async (order) => ({ orderId: `new_${order.type}` }))
+  };
+  execution.queue = {
+    isPending: jest.fn().mockResolvedValue(false),
+    hasBreakevenCheck: jest.fn().mockResolvedValue(false),
+    addBreakevenCheck: jest.fn().mockResolvedValue({})
+  };
+  jest.spyOn(Position, 'getOpenPositions').mockResolvedValue(positions);
+  jest.spyOn(Account, 'findByChannelId').mockResolvedValue({ bingxSubAccountId: null });
+  jest.spyOn(Channel, 'findById').mockResolvedValue({ tpPercentages: [50, 50] });
+  jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+  return { execution, recovery: new RecoveryService(execution) };
+};
+
+const position = {
+  id: 'pos_1',
+  signalId: SIGNAL_ID,
+  channelId: 'ch_1',
+  symbol: 'SAND-USDT',
+  side: 'BUY',
+  quantity: 10,
+  entryPrice: 1,
+  stopLoss: 0.9,
+  takeProfitLevels: [1.1, 1.2],
+  status: 'open',
+  update: jest.fn().mockResolvedValue({})
+};
+
+describe('RecoveryService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('re-places a missing stop-loss and leaves existing take-profits alone', async () => {
+    const { execution, recovery } = setup({
+      positions: [position],
+      exchangePositions: [{ symbol: 'SAND-USDT', size: 10 }],
+      openOrders: [{ orderId: 'tp_1', type: 'TAKE_PROFIT_MARKET', positionSide: 'LONG' }]
+    });
+
+    const report = await recovery.run();
+
+    expect(execution.bingx.placeOrder).toHaveBeenCalledTimes(1);
+    expect(execution.bingx.placeOrder.mock.calls[0][0]).toMatchObject({
+      type: 'STOP_MARKET', clientOrderId: execution.buildClientOrderId(SIGNAL_ID, 'sl')
+    });
+    expect(report.repaired).toEqual([{ positionId: 'pos_1', symbol: 'SAND-USDT', orders: ['stop_loss'] }]);
+    // a freshly placed stop starts its own watcher
+    expect(execution.queue.addBreakevenCheck).toHaveBeenCalledTimes(1);
+  });
+
+  test('starts a stop watcher for an untouched original stop', async () => {
+    const { execution, recovery } = setup({
+      positions: [position],
+      exchangePositions: [{ symbol: 'SAND-USDT', size: 10 }],
+      openOrders: [
+        { orderId: 'sl_1', clientOrderId: `${SIGNAL_ID.replace(/-/g, '')}_sl`, type: 'STOP_MARKET', positionSide: 'LONG' },
+        { orderId: 'tp_1', type: 'TAKE_PROFIT_MARKET', positionSide: 'LONG' }
+      ]
+    });
+
+    const report = await recovery.run();
+
+    expect(execution.bingx.placeOrder).not.toHaveBeenCalled();
+    expect(report.watchersRestored).toEqual([{ positionId: 'pos_1', symbol: 'SAND-USDT' }]);
+    expect(execution.queue.addBreakevenCheck.mock.calls[0][0]).toMatchObject({ positionId: 'pos_1', slOrderId: 'sl_1' });
+  });
+
+  test('resumes a stop watcher from the state saved on the position', async () => {
+    const stopManagement = { positionId: 'pos_1', mode: 'step', tpsFilled: 1, stopPrice: 1, slOrderId: 'sl_old', active: true };
+    const { execution, recovery } = setup({
+      positions: [{ ...position, stopManagement }],
+      exchangePositions: [{ symbol: 'SAND-USDT', size: 7 }],
+      openOrders: [
+        { orderId: 'sl_2', clientOrderId: `${SIGNAL_ID.replace(/-/g, '')}_sl1`, type: 'STOP_MARKET', positionSide: 'LONG' },
+        { orderId: 'tp_2', type: 'TAKE_PROFIT_MARKET', positionSide: 'LONG' }
+      ]
+    });
+
+    await recovery.run();
+
+    expect(execution.queue.addBreakevenCheck.mock.calls[0][0]).toMatchObject({
+      mode: 'step', tpsFilled: 1, slOrderId: 'sl_2', restarts: 1
+    });
+  });
+
+  test('alerts about positions it cannot repair', async () => {
+    const { execution, recovery } = setup({
+      positions: [position],
+      exchangePositions: [{ symbol: 'BTC-USDT', size: 0.01 }]
+    });
+
+    const report = await recovery.run();
+
+    expect(report.alerts.map(a => a.type)).toEqual(['position_missing_on_exchange', 'untracked_exchange_position']);
+    expect(redisUtils.publish).toHaveBeenCalledWith('system:alert', expect.objectContaining({ positionId: 'pos_1' }));
+    expect(execution.bingx.placeOrder).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,354 @@
+const RuleBasedSignalParser = require('../ruleBasedSignalParser');
+const { SignalRecognitionService, EXAMPLE_SIGNALS } = require('../signalRecognitionService');
+const { LLMProviderRegistry } = require('../llm/providerRegistry');
+const StubProvider = require('../llm/stubProvider');
+
+// Messages in the formats channels actually post
+const CORPUS = [
+  {
+    name: 'russian entry with emoji markers',
+    text: EXAMPLE_SIGNALS.VALID_ENTRY,
+    expected: {
+      signalType: 'entry',
+      coin: 'SAND',
+      direction: 'SHORT',
+      leverage: 25,
+      entryPrice: 0.29889,
+      takeProfitLevels: [0.29618, 0.29293, 0.27341],
+      stopLoss: 0.31235,
+      suggestedVolume: '10$'
+    }
+  },
+  {
+    name: 'single-line hashtag entry',
+    text: '#SAND LONG x25 Entry: 0.30 TP1 0.31 TP2 0.32 TP3 0.33 SL 0.29',
+    expected: {
+      signalType: 'entry',
+      coin: 'SAND',
+      direction: 'LONG',
+      leverage: 25,
+      entryPrice: 0.3,
+      takeProfitLevels: [0.31, 0.32, 0.33],
+      stopLoss: 0.29
+    }
+  },
+  {
+    name: 'thousands separators are not decimal commas',
+    text: '#BTC LONG x10\nEntry: 65,000\nTP1: 66,500\nTP2: 68,000\nSL: 63,800',
+    expected: {
+      signalType: 'entry',
+      coin: 'BTC',
+      direction: 'LONG',
+      leverage: 10,
+      entryPrice: 65000,
+      takeProfitLevels: [66500, 68000],
+      stopLoss: 63800
+    }
+  },
+  {
+    name: 'thousands separators with a decimal point',
+    text: '#ETH SHORT\nEntry: 3,250.5\nTP1: 3,180\nTP2: 3,100.25\nSL: 3,320',
+    expected: {
+      signalType: 'entry',
+      coin: 'ETH',
+      direction: 'SHORT',
+      entryPrice: 3250.5,
+      takeProfitLevels: [3180, 3100.25],
+      stopLoss: 3320
+    }
+  },
+  {
+    name: 'pair with entry zone and numbered target list',
+    text: `BTC/USDT SHORT
+Leverage: Cross 20x
+Entry zone: 65000 - 65500
+Targets:
+1) 64000
+2) 63000
+3) 61000
+Stop loss: 66500`,
+    expected: {
+      signalType: 'entry',
+      coin: 'BTC',
+      direction: 'SHORT',
+      leverage: 20,
+      entryPrice: 65250,
+      entryPriceRange: [65000, 65500],
+      takeProfitLevels: [64000, 63000, 61000],
+      stopLoss: 66500
+    }
+  },
+  {
+    name: 'russian entry with decimal commas and labelled targets',
+    text: `Монета: ETHUSDT
+Направление: лонг
+Плечо: 10
+Вход: 3150,5
+Цель 1: 3200
+Цель 2: 3280 (50%)
+Стоп-лосс: 3090`,
+    expected: {
+      signalType: 'entry',
+      coin: 'ETH',
+      direction: 'LONG',
+      leverage: 10,
+      entryPrice: 3150.5,
+      takeProfitLevels: [3200, 3280],
+      stopLoss: 3090
+    }
+  },
+  {
+    name: 'english entry with take-profit words and dollar tag',
+    text: `$DOGE BUY
+Enter: 0.1234
+Take profit: 0.13 / 0.135 / 0.14
+Stop: 0.118
+Lev 15x`,
+    expected: {
+      signalType: 'entry',
+      coin: 'DOGE',
+      direction: 'LONG',
+      leverage: 15,
+      entryPrice: 0.1234,
+      takeProfitLevels: [0.13, 0.135, 0.14],
+      stopLoss: 0.118
+    }
+  },
+  {
+    name: 'partial close in russian',
+    text: EXAMPLE_SIGNALS.CLOSE_SIGNAL,
+    expected: { signalType: 'close', coin: 'SAND', closePercentage: 50 }
+  },
+  {
+    name: 'full close in russian',
+    text: 'Закрываем всю позицию по ETH',
+    expected: { signalType: 'close', coin: 'ETH', closePercentage: 100 }
+  },
+  {
+    name: 'move stop to entry reply',
+    text: 'TP1 hit ✅ move SL to entry',
+    expected: { signalType: 'update', moveStopToBreakeven: true, takeProfitLevels: null }
+  },
+  {
+    name: 'russian breakeven reply',
+    text: 'Тейк 1 взят, стоп в бу',
+    expected: { signalType: 'update', moveStopToBreakeven: true, takeProfitLevels: null }
+  },
+  {
+    name: 'new stop-loss level',
+    text: '#AVAX переносим стоп на 35.2',
+    expected: { signalType: 'update', coin: 'AVAX', stopLoss: 35.2 }
+  }
+];
+
+const GENERAL = [
+  EXAMPLE_SIGNALS.GENERAL_POST,
+  'Всем доброе утро! Сегодня в 18:00 стрим по рынку.',
+  'Weekly results: +340% on 12 trades 🚀'
+];
+
+describe('RuleBasedSignalParser corpus', () => {
+  const parser = new RuleBasedSignalParser();
+
+  test.each(CORPUS)('$name', ({ text, expected }) => {
+    const result = parser.parse(text);
+    const { signalType, ...fields } = expected;
+
+    expect(result.isSignal).toBe(true);
+    expect(result.signalType).toBe(signalType);
+    expect(result.source).toBe('rules');
+    expect(result.extractedData).toMatchObject(fields);
+  });
+
+  test.each(GENERAL)('general post is not a signal: %s', (text) => {
+    const result = parser.parse(text);
+    expect(result.isSignal).toBe(false);
+    expect(result.signalType).toBe('general');
+  });
+
+  test('complete entries reach the LLM-skip confidence', () => {
+    expect(parser.parse(CORPUS[0].text).confidence).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('inconsistent levels lower the confidence', () => {
+    const result = parser.parse('#SAND LONG Entry: 0.30 TP 0.28 SL 0.25');
+    expect(result.signalType).toBe('entry');
+    expect(result.confidence).toBeLessThan(0.5);
+  });
+});
+
+describe('RuleBasedSignalParser channel field patterns', () => {
+  const parser = new RuleBasedSignalParser();
+  const text = `⚡️ Сделка 17 ⚡️
+Актив — INJ
+Позиция: шорт
+Вход от 24.1
+Профит 23.5 | 22.9 | 22.0
+Ликвидация не ниже 25.3`;
+
+  test('generic extraction misses the stop in an unusual format', () => {
+    expect(parser.parse(text).extractedData.stopLoss).toBeNull();
+  });
+
+  test('template patterns fill and override fields', () => {
+    const result = parser.parse(text, {
+      fieldPatterns: [{
+        coin: 'Актив\\s*—\\s*(\\w+)',
+        takeProfitLevels: 'Профит\\s*([\\d.|\\s]+)',
+        stopLoss: 'не ниже\\s*([\\d.]+)'
+      }]
+    });
+
+    expect(result.signalType).toBe('entry');
+    expect(result.extractedData).toMatchObject({
+      coin: 'INJ',
+      direction: 'SHORT',
+      entryPrice: 24.1,
+      takeProfitLevels: [23.5, 22.9, 22.0],
+      stopLoss: 25.3
+    });
+    expect(result.sot_analysis.templateFields).toEqual(['coin', 'takeProfitLevels', 'stopLoss']);
+  });
+
+  test('higher-priority template wins and invalid regexes are ignored', () => {
+    const result = parser.parse(text, {
+      fieldPatterns: [{ stopLoss: '([' }, { stopLoss: 'не ниже\\s*([\\d.]+)' }, { stopLoss: 'Вход от\\s*([\\d.]+)' }]
+    });
+    expect(result.extractedData.stopLoss).toBe(25.3);
+  });
+});
+
+describe('SignalRecognitionService rule-based fallback', () => {
+  const makeService = (stub) => {
+    const svc = new SignalRecognitionService();
+    svc.initialized = true;
+    svc.bingxService = { supportedSymbols: [] };
+    svc.llm = new LLMProviderRegistry({ chain: stub ? ['stub'] : [], providers: {} });
+    if (stub) {
+      svc.llm.register(stub);
+    }
+    return svc;
+  };
+
+  test('uses the rule parser when no LLM provider is configured', async () => {
+    const svc = makeService();
+    const result = await svc.performSOTAnalysis(EXAMPLE_SIGNALS.CLOSE_SIGNAL, 'Test');
+    expect(result.source).toBe('rules');
+    expect(result.signalType).toBe('close');
+  });
+
+  test('skips the LLM for high-confidence rule matches', async () => {
+    const stub = new StubProvider();
+    const svc = makeService(stub);
+
+    const result = await svc.performSOTAnalysis(EXAMPLE_SIGNALS.VALID_ENTRY, 'Test');
+    expect(stub.calls).toHaveLength(0);
+    expect(result.isSignal).toBe(true);
+    expect(result.extractedData.coin).toBe('SAND');
+  });
+
+  test('falls back to the rule result when the LLM call fails', async () => {
+    const svc = makeService(new StubProvider('stub', { responses: [new Error('ECONNRESET')] }));
+
+    const result = await svc.performSOTAnalysis('Закрываем всю позицию по ETH', 'Test');
+    expect(result.source).toBe('rules');
+    expect(result.signalType).toBe('close');
+    expect(result.reasoning).toContain('LLM unavailable');
+  });
+
+  test('few-shot templates are added to the prompt', () => {
+    const svc = makeService();
+    const { examples } = svc.splitTemplates([
+      { templateType: 'few_shot', exampleMessage: 'INJ шорт 24.1', exampleOutput: { signalType: 'entry' } },
+      { templateType: 'few_shot', exampleMessage: 'off', exampleOutput: {}, isActive: false }
+    ]);
+
+    const prompt = svc.buildSOTPrompt('text', 'Chan', examples);
+    expect(examples).toHaveLength(1);
+    expect(prompt).toContain('CHANNEL FORMAT EXAMPLES');
+    expect(prompt).toContain('INJ шорт 24.1');
+  });
+});
+
+describe('SignalRecognitionService correction examples', () => {
+  const svc = new SignalRecognitionService();
+  const correction = (messageText, changedFields, original, corrected) => ({
+    messageText,
+    changedFields,
+    originalExtraction: { signalType: 'entry', ...original },
+    correctedExtraction: { signalType: 'entry', ...corrected }
+  });
+
+  const corrections = [
+    correction('Бан дня: пицца и кофе', ['coin'], { coin: 'PIZZA' }, { coin: 'BNB' }),
+    correction('Монета: SAND SHORT Х25 Цена входа: 0.3 Стоп: 0.31', ['stopLoss'], { stopLoss: 0.3 }, { stopLoss: 0.31 }),
+    correction('Монета: ETH LONG Х10 Цена входа: 3100 Стоп: 3000', ['coin'], { coin: 'ETHUSDT' }, { coin: 'ETH' })
+  ];
+
+  test('picks the most similar corrections of the channel', () => {
+    const examples = svc.selectCorrectionExamples('Монета: AVAX SHORT Х20 Цена входа: 35 Стоп: 36', corrections, 2);
+
+    expect(examples).toHaveLength(2);
+    expect(examples.map(e => e.message)).not.toContain('Бан дня: пицца и кофе');
+    expect(examples[0].output).toEqual({ isSignal: true, signalType: 'entry', extractedData: { stopLoss: 0.31 } });
+    expect(examples[0].note).toBe('stopLoss: 0.3 -> 0.31');
+  });
+
+  test('corrections are rendered into the prompt with the fixed fields', () => {
+    const examples = svc.selectCorrectionExamples('Монета: ETH LONG', corrections, 1);
+    const prompt = svc.buildSOTPrompt('Монета: ETH LONG', 'Chan', examples);
+
+    expect(prompt).toContain('HUMAN CORRECTION (was extracted wrongly before): coin: "ETHUSDT" -> "ETH"');
+  });
+
+  test('no corrections means no examples', () => {
+    expect(svc.selectCorrectionExamples('text', [])).toEqual([]);
+  });
+});
+
+describe('Messages with several signals', () => {
+  const MULTI = `🔥 Сетапы на сегодня
+
+BTC LONG x10
+Вход: 60000
+Тейк: 62000
+Стоп: 59000
+
+ETH SHORT x20
+Вход: 3000
+Тейк: 2900
+Стоп: 3100`;
+
+  test('the rule parser returns one entry per block', () => {
+    const result = new RuleBasedSignalParser().parse(MULTI);
+
+    expect(result.signals.map(s => [s.extractedData.coin, s.extractedData.direction]))
+      .toEqual([['BTC', 'LONG'], ['ETH', 'SHORT']]);
+    expect(result.extractedData.coin).toBe('BTC');
+    expect(result.signals[1].extractedData.stopLoss).toBe(3100);
+  });
+
+  test('single-signal messages are not split', () => {
+    const result = new RuleBasedSignalParser().parse(EXAMPLE_SIGNALS.VALID_ENTRY);
+    expect(result.signals).toBeUndefined();
+  });
+
+  test('LLM signals arrays are normalized item by item', () => {
+    const svc = new SignalRecognitionService();
+    svc.bingxService = { supportedSymbols: [] };
+    const result = svc.validateAndNormalizeResult({
+      isSignal: true,
+      signalType: 'entry',
+      confidence: 0.9,
+      signals: [
+        { signalType: 'entry', confidence: 0.9, extractedData: { coin: 'BTC', direction: 'LONG', entryPrice: 60000 } },
+        { signalType: 'entry', confidence: 0.85, extractedData: { coin: 'ETH', direction: 'SHORT', entryPrice: 3000 } },
+        { isSignal: false, signalType: 'general' }
+      ]
+    }, MULTI);
+
+    expect(result.signals).toHaveLength(2);
+    expect(result.confidence).toBe(0.85);
+    expect(result.signals.map(s => s.extractedData.coin)).toEqual(['BTC', 'ETH']);
+  });
+});
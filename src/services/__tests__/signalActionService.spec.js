@@ -0,0 +1,160 @@
+const ExecutionService = require('../executionService');
+const SignalActionService = require('../signalActionService');
+
+describe('SignalActionService.buildActionPlan', () => {
+  const svc = new SignalActionService(new ExecutionService());
+
+  test('close signal without percentage closes the whole position', () => {
+    const plan = svc.buildActionPlan({ signalType: 'close', parsedData: { extractedData: {} } });
+    expect(plan).toEqual([{ type: 'close', percentage: 100 }]);
+  });
+
+  test('close signal with percentage becomes a partial close', () => {
+    const plan = svc.buildActionPlan({
+      signalType: 'close',
+      parsedData: { extractedData: { closePercentage: 50 } }
+    });
+    expect(plan).toEqual([{ type: 'partial_close', percentage: 50 }]);
+  });
+
+  test('update signal moves SL, replaces TPs and closes part', () => {
+    const plan = svc.buildActionPlan({
+      signalType: 'update',
+      stopLoss: '0.95',
+      takeProfitLevels: ['1.2', '1.3', 'bad'],
+      parsedData: { extractedData: { closePercentage: 30 } }
+    });
+    expect(plan).toEqual([
+      { type: 'move_stop_loss', stopLoss: 0.95 },
+      { type: 'replace_take_profits', levels: [1.2, 1.3] },
+      { type: 'partial_close', percentage: 30 }
+    ]);
+  });
+
+  test('breakeven instruction wins over an explicit stop price', () => {
+    const plan = svc.buildActionPlan({
+      signalType: 'update',
+      stopLoss: '0.95',
+      parsedData: { extractedData: { moveStopToBreakeven: true } }
+    });
+    expect(plan).toEqual([{ type: 'move_stop_loss', breakeven: true }]);
+  });
+
+  test('update without instructions yields an empty plan', () => {
+    expect(svc.buildActionPlan({ signalType: 'update', parsedData: {} })).toEqual([]);
+  });
+});
+
+describe('SignalActionService.moveStopLoss', () => {
+  const ref = { signalId: '3f2b8c1e-5d4a-4e6f-9a7b-1c2d3e4f5a6b' };
+  const lookupClientOrderId = (orders = {}) => jest.fn(async (symbol, clientOrderId) => ({
+    order: orders[clientOrderId] || null, nextClientOrderId: clientOrderId
+  }));
+
+  test('skips a stop that is already beyond the current price', async () => {
+    const execution = new ExecutionService();
+    execution.bingx = {
+      getSymbolPrice: jest.fn().mockResolvedValue({ price: 1.0 }),
+      getOpenOrders: jest.fn(),
+      lookupClientOrderId: lookupClientOrderId(),
+      placeOrder: jest.fn()
+    };
+    const svc = new SignalActionService(execution);
+    const position = {
+      id: 'pos_1', symbol: 'SAND-USDT', side: 'BUY', quantity: 10, entryPrice: 0.9, stopLoss: 0.8, update: jest.fn()
+    };
+
+    const result = await svc.moveStopLoss(position, { type: 'move_stop_loss', stopLoss: 1.05 }, {
+      pricePrecision: 4, stepSize: 1, minQty: 1
+    }, ref);
+
+    expect(result.status).toBe('skipped');
+    expect(execution.bingx.placeOrder).not.toHaveBeenCalled();
+    expect(position.update).not.toHaveBeenCalled();
+  });
+
+  test('cancels the old stop and places a new one at entry for breakeven', async () => {
+    const execution = new ExecutionService();
+    execution.bingx = {
+      getSymbolPrice: jest.fn().mockResolvedValue({ price: 1.0 }),
+      getOpenOrders: jest.fn().mockResolvedValue([
+        { orderId: 'sl_old', type: 'STOP_MARKET', positionSide: 'LONG' },
+        { orderId: 'tp_1', type: 'TAKE_PROFIT_MARKET', positionSide: 'LONG' }
+      ]),
+      cancelOrder: jest.fn().mockResolvedValue({}),
+      lookupClientOrderId: lookupClientOrderId(),
+      placeOrder: jest.fn().mockResolvedValue({ orderId: 'sl_new' })
+    };
+    const svc = new SignalActionService(execution);
+    const position = {
+      id: 'pos_1', symbol: 'SAND-USDT', side: 'BUY', quantity: 10, entryPrice: 0.9, stopLoss: 0.8, update: jest.fn()
+    };
+
+    const result = await svc.moveStopLoss(position, { type: 'move_stop_loss', breakeven: true }, {
+      pricePrecision: 4, stepSize: 1, minQty: 1
+    }, ref);
+
+    expect(result.status).toBe('executed');
+    expect(execution.bingx.cancelOrder).toHaveBeenCalledTimes(1);
+    expect(execution.bingx.cancelOrder).toHaveBeenCalledWith('sl_old', 'SAND-USDT', null);
+    expect(execution.bingx.placeOrder.mock.calls[0][0]).toMatchObject({
+      type: 'STOP_MARKET', stopPrice: '0.9000', quantity: 10, reduceOnly: true,
+      clientOrderId: '3f2b8c1e5d4a4e6f9a7b1c2d3e4f5a6b_slupd'
+    });
+    expect(position.update).toHaveBeenCalledWith({ stopLoss: 0.9 });
+  });
+
+  test('a retried action keeps the stop it already placed', async () => {
+    const execution = new ExecutionService();
+    execution.bingx = {
+      getSymbolPrice: jest.fn().mockResolvedValue({ price: 1.0 }),
+      getOpenOrders: jest.fn().mockResolvedValue([{ orderId: 'sl_upd', type: 'STOP_MARKET', positionSide: 'LONG' }]),
+      cancelOrder: jest.fn(),
+      lookupClientOrderId: lookupClientOrderId({
+        '3f2b8c1e5d4a4e6f9a7b1c2d3e4f5a6b_slupd2': { orderId: 'sl_upd', status: 'NEW', origQty: 10 }
+      }),
+      placeOrder: jest.fn()
+    };
+    const svc = new SignalActionService(execution);
+    const position = {
+      id: 'pos_1', symbol: 'SAND-USDT', side: 'BUY', quantity: 10, entryPrice: 0.9, stopLoss: 0.8, update: jest.fn()
+    };
+
+    const result = await svc.moveStopLoss(position, { type: 'move_stop_loss', stopLoss: 0.85 }, {
+      pricePrecision: 4, stepSize: 1, minQty: 1
+    }, { ...ref, edit: 2 });
+
+    expect(result).toMatchObject({ status: 'executed', details: { orderId: 'sl_upd', cancelledOrderIds: [] } });
+    expect(execution.bingx.cancelOrder).not.toHaveBeenCalled();
+    expect(execution.bingx.placeOrder).not.toHaveBeenCalled();
+    expect(position.update).toHaveBeenCalledWith({ stopLoss: 0.85 });
+  });
+});
+
+describe('SignalActionService.replaceTakeProfits', () => {
+  test('places only the take-profits a failed attempt left out, under ids of the signal', async () => {
+    const execution = new ExecutionService();
+    const ref = { signalId: '3f2b8c1e-5d4a-4e6f-9a7b-1c2d3e4f5a6b' };
+    execution.bingx = {
+      getOpenOrders: jest.fn().mockResolvedValue([]),
+      cancelOrder: jest.fn(),
+      lookupClientOrderId: jest.fn(async (symbol, clientOrderId) => ({
+        order: clientOrderId.endsWith('_tp1upd') ? { orderId: 'tp_1', status: 'NEW', origQty: 5 } : null,
+        nextClientOrderId: clientOrderId
+      })),
+      placeOrder: jest.fn(async order => ({ orderId: `new_${order.clientOrderId}` }))
+    };
+    const svc = new SignalActionService(execution);
+    const position = { id: 'pos_1', symbol: 'SAND-USDT', side: 'BUY', quantity: 10, update: jest.fn() };
+
+    const result = await svc.replaceTakeProfits(position, { type: 'replace_take_profits', levels: [1.2, 1.1] },
+      { tpPercentages: [50, 50] }, { pricePrecision: 4, stepSize: 1, minQty: 1 }, ref);
+
+    expect(execution.bingx.getOpenOrders).not.toHaveBeenCalled();
+    expect(execution.bingx.placeOrder).toHaveBeenCalledTimes(1);
+    expect(execution.bingx.placeOrder.mock.calls[0][0]).toMatchObject({
+      stopPrice: '1.2000', quantity: 5, clientOrderId: '3f2b8c1e5d4a4e6f9a7b1c2d3e4f5a6b_tp2upd'
+    });
+    expect(result.details.placed.map(p => p.orderId)).toEqual(['tp_1', 'new_3f2b8c1e5d4a4e6f9a7b1c2d3e4f5a6b_tp2upd']);
+  });
+});
@@ -0,0 +1,125 @@
+const db = require('../../database/connection');
+const ExecutionService = require('../executionService');
+const SignalActionService = require('../signalActionService');
+const SignalFeedService = require('../signalFeedService');
+const Signal = require('../../models/Signal');
+const Channel = require('../../models/Channel');
+const Position = require('../../models/Position');
+const { redisUtils } = require('../../config/redis');
+
+// Entry post 10, "TP1 hit, SL to entry" replying to it (11), "close the rest" replying to the reply (12)
+const row = (data) => ({ channel_id: 'ch_1', signal_type: 'update', status: 'executed', ...data });
+const ENTRY = row({ id: 'sig_entry', coin: 'SOL', direction: 'LONG', signal_type: 'entry', telegram_message_id: 10 });
+const REPLY = row({ id: 'sig_reply', coin: 'SOL', direction: 'LONG', telegram_message_id: 11, parent_signal_id: 'sig_entry' });
+const NESTED = row({ id: 'sig_nested', coin: 'SOL', signal_type: 'close', telegram_message_id: 12, parent_signal_id: 'sig_reply' });
+
+describe('Reply threads', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('Signal thread queries', () => {
+    test('getRootSignal returns the topmost ancestor of a reply to a reply', async () => {
+      const query = jest.spyOn(db, 'query').mockResolvedValue({
+        rows: [{ ...ENTRY, depth: 2 }]
+      });
+
+      const root = await new Signal(NESTED).getRootSignal();
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('WITH RECURSIVE ancestors'), ['sig_nested']);
+      expect(root).toBeInstanceOf(Signal);
+      expect(root.id).toBe('sig_entry');
+    });
+
+    test('getRootSignal falls back to the signal itself when nothing is found', async () => {
+      jest.spyOn(db, 'query').mockResolvedValue({ rows: [] });
+      const signal = new Signal(ENTRY);
+
+      expect(await signal.getRootSignal()).toBe(signal);
+    });
+
+    test('getThread lists the whole thread from its root with depths', async () => {
+      const query = jest.spyOn(db, 'query')
+        .mockResolvedValueOnce({ rows: [{ ...ENTRY, depth: 2 }] })
+        .mockResolvedValueOnce({
+          rows: [{ ...ENTRY, depth: 0 }, { ...REPLY, depth: 1 }, { ...NESTED, depth: 2 }]
+        });
+
+      const thread = await new Signal(NESTED).getThread();
+
+      expect(query).toHaveBeenLastCalledWith(expect.stringContaining('WITH RECURSIVE thread'), ['sig_entry']);
+      expect(thread.map(s => [s.id, s.depth])).toEqual([['sig_entry', 0], ['sig_reply', 1], ['sig_nested', 2]]);
+    });
+  });
+
+  describe('replies without a coin', () => {
+    let feed;
+    const channel = new Channel({ id: 'ch_1', name: 'Signals', auto_execute: false });
+
+    const reply = (parent, messageId) => feed.createSignal({
+      isSignal: true,
+      signalType: 'update',
+      confidence: 0.9,
+      extractedData: { moveStopToBreakeven: true }
+    }, {
+      channel,
+      messageData: { messageId, replyToMessageId: parent.telegramMessageId, text: 'SL to entry', date: new Date() },
+      parentCandidates: [parent]
+    });
+
+    beforeEach(() => {
+      feed = new SignalFeedService();
+      jest.spyOn(Signal, 'create').mockImplementation(async (data) => Object.assign(new Signal({ id: 'sig_new' }), data));
+      jest.spyOn(redisUtils, 'set').mockResolvedValue(true);
+      jest.spyOn(redisUtils, 'lPush').mockResolvedValue(1);
+      jest.spyOn(redisUtils, 'lLen').mockResolvedValue(1);
+      jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+    });
+
+    test('take coin and direction from the replied-to entry', async () => {
+      const entry = new Signal(ENTRY);
+      jest.spyOn(entry, 'getRootSignal').mockResolvedValue(entry);
+
+      const signal = await reply(entry, 11);
+
+      expect(signal).toMatchObject({ coin: 'SOL', direction: 'LONG', parentSignalId: 'sig_entry', replyToMessageId: 10 });
+    });
+
+    test('take them from the thread root when replying to a reply', async () => {
+      const parent = new Signal({ ...REPLY, coin: null, direction: null });
+      jest.spyOn(parent, 'getRootSignal').mockResolvedValue(new Signal(ENTRY));
+
+      const signal = await reply(parent, 12);
+
+      expect(signal).toMatchObject({ coin: 'SOL', direction: 'LONG', parentSignalId: 'sig_reply' });
+    });
+  });
+
+  describe('SignalActionService.resolvePosition', () => {
+    const svc = new SignalActionService(new ExecutionService());
+
+    test('a reply to a reply acts on the position opened by the thread root', async () => {
+      const signal = new Signal(NESTED);
+      jest.spyOn(signal, 'getRootSignal').mockResolvedValue(new Signal(ENTRY));
+      const findBySignalId = jest.spyOn(Position, 'findBySignalId').mockResolvedValue([
+        { id: 'pos_closed', status: 'closed' },
+        { id: 'pos_open', status: 'open' }
+      ]);
+      const findAll = jest.spyOn(Position, 'findAll');
+
+      const position = await svc.resolvePosition(signal);
+
+      expect(findBySignalId).toHaveBeenCalledWith('sig_entry');
+      expect(position.id).toBe('pos_open');
+      expect(findAll).not.toHaveBeenCalled();
+    });
+
+    test('does not fall back to another position of the symbol once the root position is closed', async () => {
+      const signal = new Signal(REPLY);
+      jest.spyOn(signal, 'getRootSignal').mockResolvedValue(new Signal(ENTRY));
+      jest.spyOn(Position, 'findBySignalId').mockResolvedValue([{ id: 'pos_closed', status: 'closed' }]);
+      const findAll = jest.spyOn(Position, 'findAll').mockResolvedValue([{ id: 'pos_other', status: 'open', side: 'BUY' }]);
+
+      expect(await svc.resolvePosition(signal)).toBeNull();
+      expect(findAll).not.toHaveBeenCalled();
+    });
+  });
+});
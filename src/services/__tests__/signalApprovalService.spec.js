@@ -0,0 +1,264 @@
+const SignalApprovalService = require('../signalApprovalService');
+const SignalFeedService = require('../signalFeedService');
+const Signal = require('../../models/Signal');
+const Channel = require('../../models/Channel');
+const SignalApproval = require('../../models/SignalApproval');
+const ChannelService = require('../channelService');
+const { authenticate } = require('../../middleware/auth');
+const config = require('../../config/app');
+const { redisUtils, CHANNELS } = require('../../config/redis');
+
+const MINUTE = 60 * 1000;
+
+describe('SignalApprovalService', () => {
+  let history;
+  let publish;
+  let signal;
+
+  const useChannel = (data = {}) => jest.spyOn(Channel, 'findById')
+    .mockResolvedValue(new Channel({ id: 'ch_1', name: 'Signals', ...data }));
+
+  beforeEach(() => {
+    config.approvals.tokens = ['alice:a11ce', 'bob:b0b', 'carol:car0l'];
+    history = [];
+    signal = new Signal({
+      id: 'sig_1',
+      channel_id: 'ch_1',
+      coin: 'SOL',
+      direction: 'LONG',
+      signal_type: 'entry',
+      status: 'pending',
+      message_timestamp: new Date(Date.now() - 5 * MINUTE)
+    });
+    signal.approveIfPending = jest.fn(async () => Object.assign(signal, { status: 'approved' }) && true);
+    signal.ignore = jest.fn(async () => Object.assign(signal, { status: 'ignored' }));
+    signal.expire = jest.fn(async (expiry) => Object.assign(signal, { status: 'expired', expiry }));
+
+    jest.spyOn(SignalApproval, 'findBySignalId').mockImplementation(async () => [...history]);
+    jest.spyOn(SignalApproval, 'create').mockImplementation(async (data) => {
+      const entry = new SignalApproval({ id: `apr_${history.length}`, approver: data.approver, decision: data.decision });
+      history.push(entry);
+      return entry;
+    });
+    publish = jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    config.approvals.tokens = [];
+    jest.restoreAllMocks();
+  });
+
+  describe('approving through the signal feed', () => {
+    let feed;
+
+    beforeEach(() => {
+      feed = new SignalFeedService();
+      jest.spyOn(Signal, 'findById').mockResolvedValue(signal);
+      jest.spyOn(redisUtils, 'set').mockResolvedValue(true);
+      jest.spyOn(redisUtils, 'lPush').mockResolvedValue(1);
+      jest.spyOn(redisUtils, 'lLen').mockResolvedValue(1);
+    });
+
+    test('queues the signal only once the required approvers agreed', async () => {
+      useChannel({ required_approvals: 2, approvers: ['alice', 'bob', 'carol'] });
+
+      await feed.approveSignal('sig_1', 'alice');
+      expect(signal.status).toBe('pending');
+      expect(signal.approveIfPending).not.toHaveBeenCalled();
+      expect(publish).toHaveBeenCalledWith(CHANNELS.SIGNAL_APPROVAL, expect.objectContaining({
+        type: 'approval_recorded', approver: 'alice', approvedBy: ['alice'], requiredApprovals: 2
+      }));
+      expect(publish).not.toHaveBeenCalledWith(CHANNELS.SIGNAL_EXECUTED, expect.anything());
+
+      await feed.approveSignal('sig_1', 'bob');
+      expect(signal.status).toBe('approved');
+      expect(publish).toHaveBeenCalledWith(CHANNELS.SIGNAL_APPROVAL, expect.objectContaining({
+        type: 'signal_approved', approvedBy: ['alice', 'bob']
+      }));
+      expect(publish).toHaveBeenCalledWith(CHANNELS.SIGNAL_EXECUTED, expect.objectContaining({
+        type: 'signal_approved', signalId: 'sig_1', userId: 'bob'
+      }));
+    });
+
+    test('rejects approvals from outside the list and repeated ones', async () => {
+      useChannel({ required_approvals: 2, approvers: ['alice', 'bob'] });
+
+      await expect(feed.approveSignal('sig_1', 'mallory')).rejects.toMatchObject({ status: 403 });
+      await feed.approveSignal('sig_1', 'alice');
+      await expect(feed.approveSignal('sig_1', 'alice')).rejects.toMatchObject({ status: 409 });
+      expect(history.map(h => h.approver)).toEqual(['alice']);
+    });
+
+    test('auto-executing channels keep signals pending while the policy needs approvers', async () => {
+      jest.spyOn(Signal, 'create').mockImplementation(async (data) => Object.assign(new Signal({ id: 'sig_new' }), data));
+      jest.spyOn(Signal, 'findDuplicateCandidates').mockResolvedValue([]);
+      const create = (channel) => feed.createSignal({
+        isSignal: true,
+        signalType: 'entry',
+        confidence: 0.95,
+        extractedData: { coin: 'SOL', direction: 'LONG', entryPrice: 100, stopLoss: 96, takeProfitLevels: [104] }
+      }, {
+        channel: new Channel({ id: 'ch_1', name: 'Signals', auto_execute: true, ...channel }),
+        messageData: { messageId: 90, text: '#SOL LONG', date: new Date() }
+      });
+
+      expect((await create({ required_approvals: 2 })).status).toBe('pending');
+      expect((await create({ approvers: ['alice'] })).status).toBe('pending');
+      expect(publish).not.toHaveBeenCalledWith('signal:auto_execute', expect.anything());
+
+      expect((await create({})).status).toBe('approved');
+      expect(publish).toHaveBeenCalledWith('signal:auto_execute', expect.objectContaining({ signalId: 'sig_new' }));
+    });
+
+    test('a single rejection ignores the signal and is kept in the history', async () => {
+      useChannel({ required_approvals: 2 });
+      jest.spyOn(signal, 'update').mockResolvedValue(signal);
+
+      await feed.ignoreSignal('sig_1', 'Late entry', 'alice');
+
+      expect(signal.ignore).toHaveBeenCalled();
+      expect(history).toEqual([expect.objectContaining({ approver: 'alice', decision: 'rejected' })]);
+      expect(publish).toHaveBeenCalledWith(CHANNELS.SIGNAL_APPROVAL, expect.objectContaining({
+        type: 'signal_rejected', status: 'ignored', reason: 'Late entry'
+      }));
+    });
+  });
+
+  describe('direct execution', () => {
+    let approvals;
+
+    beforeEach(() => {
+      approvals = new SignalApprovalService({ ...config.approvals, requiredApprovals: 1, timeoutMinutes: 60 });
+    });
+
+    test('approves a pending single-approval signal and records the execution as its approval', async () => {
+      useChannel();
+
+      await approvals.approveForExecution(signal, 'alice');
+
+      expect(signal.status).toBe('approved');
+      expect(history).toEqual([expect.objectContaining({ approver: 'alice', decision: 'approved' })]);
+      expect(SignalApproval.create).toHaveBeenCalledWith(expect.objectContaining({ comment: 'Executed directly' }));
+      expect(publish).toHaveBeenCalledWith(CHANNELS.SIGNAL_APPROVAL, expect.objectContaining({
+        type: 'signal_approved', approvedBy: ['alice'], executed: true
+      }));
+      // the route queues the execution itself
+      expect(publish).not.toHaveBeenCalledWith(CHANNELS.SIGNAL_EXECUTED, expect.anything());
+    });
+
+    test('records nothing when the signal was decided or expired concurrently', async () => {
+      useChannel();
+      signal.approveIfPending.mockResolvedValue(false);
+
+      await expect(approvals.approveForExecution(signal, 'alice')).rejects.toMatchObject({ status: 409 });
+      expect(SignalApproval.create).not.toHaveBeenCalled();
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    test('lets approved signals through without another approval', async () => {
+      signal.status = 'approved';
+
+      await expect(approvals.approveForExecution(signal, 'alice')).resolves.toBe(signal);
+      expect(SignalApproval.create).not.toHaveBeenCalled();
+    });
+
+    test('refuses signals that need more approvals and any other status', async () => {
+      useChannel({ required_approvals: 2 });
+      await expect(approvals.approveForExecution(signal, 'alice')).rejects.toMatchObject({ status: 409 });
+
+      for (const status of ['ignored', 'expired', 'duplicate', 'failed', 'executed', 'closed']) {
+        signal.status = status;
+        // eslint-disable-next-line no-await-in-loop
+        await expect(approvals.approveForExecution(signal, 'alice')).rejects.toMatchObject({ status: 409 });
+      }
+      expect(history).toEqual([]);
+    });
+  });
+
+  describe('without approver tokens', () => {
+    let approvals;
+
+    beforeEach(() => {
+      config.approvals.tokens = [];
+      approvals = new SignalApprovalService();
+    });
+
+    test('refuses decisions on channels that need several approvals or listed approvers', async () => {
+      for (const policy of [{ required_approvals: 2 }, { approvers: ['operator'] }]) {
+        useChannel(policy);
+        // eslint-disable-next-line no-await-in-loop
+        await expect(approvals.approve(signal, 'operator')).rejects.toMatchObject({ status: 403 });
+        // eslint-disable-next-line no-await-in-loop
+        await expect(approvals.reject(signal, 'operator')).rejects.toMatchObject({ status: 403 });
+        // eslint-disable-next-line no-await-in-loop
+        await expect(approvals.approveForExecution(signal, 'operator')).rejects.toMatchObject({ status: 403 });
+      }
+      expect(history).toEqual([]);
+      expect(signal.status).toBe('pending');
+    });
+
+    test('still lets the default approver satisfy a single-approval policy', async () => {
+      useChannel({ required_approvals: 1 });
+
+      const { approved } = await approvals.approve(signal, 'operator');
+
+      expect(approved).toBe(true);
+      expect(history).toEqual([expect.objectContaining({ approver: 'operator', decision: 'approved' })]);
+    });
+
+    test('channels cannot be given reviewer policies', async () => {
+      const channel = new Channel({ id: 'ch_1', name: 'Signals' });
+      jest.spyOn(Channel, 'findById').mockResolvedValue(channel);
+      const update = jest.spyOn(channel, 'update').mockResolvedValue(channel);
+      const channels = new ChannelService();
+
+      await expect(channels.updateChannelSettings('ch_1', { requiredApprovals: 2 })).rejects.toMatchObject({ status: 400 });
+      await expect(channels.updateChannelSettings('ch_1', { approvers: ['alice'] })).rejects.toMatchObject({ status: 400 });
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  test('expires pending signals not approved within the timeout', async () => {
+    const approvals = new SignalApprovalService({ ...config.approvals, requiredApprovals: 2, timeoutMinutes: 60 });
+    const fresh = new Signal({ id: 'sig_2', channel_id: 'ch_1', status: 'pending', message_timestamp: new Date() });
+    fresh.expire = jest.fn();
+    jest.spyOn(Signal, 'findAwaitingApproval').mockResolvedValue([signal, fresh]);
+    useChannel();
+    history.push(new SignalApproval({ approver: 'alice', decision: 'approved' }));
+
+    const timedOut = await approvals.sweep(Date.now() + 56 * MINUTE);
+
+    expect(timedOut).toEqual([signal]);
+    expect(signal.expire).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'approval_timeout', approvedBy: ['alice']
+    }));
+    expect(fresh.expire).not.toHaveBeenCalled();
+    expect(SignalApproval.create).toHaveBeenCalledWith(expect.objectContaining({
+      approver: 'system', decision: 'timed_out', source: 'system'
+    }));
+    expect(publish).toHaveBeenCalledWith(CHANNELS.SIGNAL_APPROVAL, expect.objectContaining({ type: 'approval_timed_out' }));
+  });
+
+  describe('authenticate', () => {
+    const run = (headers = {}) => {
+      const req = { headers };
+      const next = jest.fn();
+      authenticate(req, {}, next);
+      return { req, error: next.mock.calls[0][0] };
+    };
+
+    test('identifies approvers by their bearer token', () => {
+      config.approvals.tokens = ['alice:s3cret', 'bob:t0ken'];
+
+      expect(run({ authorization: 'Bearer t0ken' }).req.user).toEqual({ id: 'bob', source: 'api' });
+      expect(run({ authorization: 'Bearer wrong' }).error).toMatchObject({ status: 401 });
+      expect(run().error).toMatchObject({ status: 401 });
+    });
+
+    test('acts as the default approver while no tokens are configured', () => {
+      config.approvals.tokens = [];
+
+      expect(run().req.user).toEqual({ id: config.approvals.defaultApprover, source: 'api' });
+    });
+  });
+});
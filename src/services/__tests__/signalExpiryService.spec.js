@@ -0,0 +1,150 @@
+const SignalExpiryService = require('../signalExpiryService');
+const ExecutionService = require('../executionService');
+const Signal = require('../../models/Signal');
+const Channel = require('../../models/Channel');
+const Position = require('../../models/Position');
+const Account = require('../../models/Account');
+
+const MINUTE = 60 * 1000;
+
+const buildSignal = (overrides = {}) => Object.assign(new Signal({
+  id: 'sig_1',
+  channel_id: 'ch_1',
+  coin: 'SOL',
+  direction: 'LONG',
+  entry_price: '100',
+  take_profit_levels: ['104', '108'],
+  stop_loss: '96',
+  signal_type: 'entry',
+  status: 'approved',
+  message_timestamp: new Date(Date.now() - 10 * MINUTE)
+}), { expire: jest.fn().mockResolvedValue({}) }, overrides);
+
+describe('SignalExpiryService', () => {
+  let bingx;
+  let expiry;
+
+  const channel = (data = {}) => new Channel({ id: 'ch_1', name: 'Signals', ...data });
+
+  beforeEach(() => {
+    bingx = {
+      getSymbolPrice: jest.fn().mockResolvedValue({ price: 100.5 }),
+      getKlines: jest.fn().mockResolvedValue([])
+    };
+    expiry = new SignalExpiryService(bingx);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('passes a fresh signal near its entry', async () => {
+    expect(await expiry.check(buildSignal(), channel())).toBeNull();
+    expect(bingx.getKlines).toHaveBeenCalledWith('SOL', '1m', expect.any(Number));
+  });
+
+  test('expires signals past the channel TTL without asking for the price', async () => {
+    const stale = await expiry.check(buildSignal(), channel({ signal_ttl_minutes: 5 }));
+
+    expect(stale).toMatchObject({ code: 'ttl', ageMinutes: 10 });
+    expect(bingx.getSymbolPrice).not.toHaveBeenCalled();
+  });
+
+  test('invalidates signals whose TP1 or stop-loss was reached after the post', async () => {
+    const posted = Date.now() - 10 * MINUTE;
+    bingx.getKlines.mockResolvedValue([
+      { time: posted - MINUTE, high: 95, low: 90 },
+      { time: posted + MINUTE, high: 104.2, low: 100 }
+    ]);
+    expect(await expiry.check(buildSignal(), channel())).toMatchObject({ code: 'tp_hit', level: 104 });
+
+    bingx.getKlines.mockResolvedValue([]);
+    bingx.getSymbolPrice.mockResolvedValue({ price: 104.5 });
+    expect(await expiry.check(buildSignal({ direction: 'SHORT', takeProfitLevels: [92], stopLoss: 104 }), channel()))
+      .toMatchObject({ code: 'sl_hit', level: 104 });
+  });
+
+  test('limits the distance from the entry in percent or in R', async () => {
+    bingx.getSymbolPrice.mockResolvedValue({ price: 102.5 });
+
+    expect(await expiry.check(buildSignal(), channel())).toMatchObject({ code: 'entry_deviation', deviation: 2.5, unit: 'percent' });
+    expect(await expiry.check(buildSignal(), channel({ max_entry_deviation: '0.5', entry_deviation_unit: 'r' })))
+      .toMatchObject({ code: 'entry_deviation', deviation: 0.625, unit: 'r' });
+    expect(await expiry.check(buildSignal({ entryPrice: null, entryPriceRange: [101, 103] }), channel())).toBeNull();
+    expect(await expiry.check(buildSignal(), channel({ max_entry_deviation: '0' }))).toBeNull();
+  });
+
+  test('sweeps pending and approved signals past their TTL', async () => {
+    const old = buildSignal({ id: 'sig_old', messageTimestamp: new Date(Date.now() - 90 * MINUTE) });
+    const fresh = buildSignal({ id: 'sig_fresh' });
+    jest.spyOn(Signal, 'findAwaitingExecution').mockResolvedValue([old, fresh]);
+    jest.spyOn(Channel, 'findById').mockResolvedValue(channel({ signal_ttl_minutes: 60 }));
+
+    const expired = await expiry.sweep();
+
+    expect(expired).toEqual([old]);
+    expect(old.expire).toHaveBeenCalledWith(expect.objectContaining({ code: 'ttl' }));
+    expect(fresh.expire).not.toHaveBeenCalled();
+    expect(Channel.findById).toHaveBeenCalledTimes(1);
+  });
+
+  test('the sweep leaves approved signals whose entry orders are working', async () => {
+    const entering = buildSignal({ id: 'sig_entering', messageTimestamp: new Date(Date.now() - 90 * MINUTE) });
+    const pending = buildSignal({ id: 'sig_pending', status: 'pending', messageTimestamp: new Date(Date.now() - 90 * MINUTE) });
+    jest.spyOn(Signal, 'findAwaitingExecution').mockResolvedValue([entering, pending]);
+    jest.spyOn(Channel, 'findById').mockResolvedValue(channel({ signal_ttl_minutes: 60 }));
+    const isEntering = jest.fn(async (signal) => signal.id === 'sig_entering');
+    expiry = new SignalExpiryService(bingx, { isEntering });
+
+    expect(await expiry.sweep()).toEqual([pending]);
+    expect(entering.expire).not.toHaveBeenCalled();
+    expect(isEntering).toHaveBeenCalledTimes(1);
+  });
+
+  test('executeSignal expires a stale signal instead of trading it', async () => {
+    const svc = new ExecutionService();
+    svc.signalExpiry = expiry;
+    bingx.getSymbolPrice.mockResolvedValue({ price: 95 });
+    const signal = buildSignal();
+    jest.spyOn(Signal, 'findById').mockResolvedValue(signal);
+    jest.spyOn(Position, 'findBySignalId').mockResolvedValue([]);
+    jest.spyOn(Channel, 'findById').mockResolvedValue(channel());
+    jest.spyOn(Account, 'findByChannelId').mockResolvedValue({ bingxSubAccountId: null });
+    svc.bingx = {
+      lookupClientOrderId: jest.fn(async (symbol, clientOrderId) => ({ order: null, nextClientOrderId: clientOrderId })),
+      getAccountInfo: jest.fn(),
+      placeOrder: jest.fn()
+    };
+
+    const result = await svc.executeSignal('sig_1', 'job_1');
+
+    expect(result).toMatchObject({ success: false, skipped: true, expired: true });
+    expect(signal.expire).toHaveBeenCalledWith(expect.objectContaining({ code: 'sl_hit', price: 95 }));
+    expect(svc.bingx.getAccountInfo).not.toHaveBeenCalled();
+    expect(svc.bingx.placeOrder).not.toHaveBeenCalled();
+  });
+
+  test('executeSignal does not expire a signal whose entry order is already on the exchange', async () => {
+    const svc = new ExecutionService();
+    svc.signalExpiry = expiry;
+    const check = jest.spyOn(expiry, 'check');
+    const signal = buildSignal({ markAsFailed: jest.fn() });
+    jest.spyOn(Signal, 'findById').mockResolvedValue(signal);
+    jest.spyOn(Position, 'findBySignalId').mockResolvedValue([]);
+    jest.spyOn(Channel, 'findById').mockResolvedValue(channel({ signal_ttl_minutes: 1 }));
+    jest.spyOn(Account, 'findByChannelId').mockResolvedValue({ bingxSubAccountId: null });
+    svc.bingx = {
+      lookupClientOrderId: jest.fn(async (symbol, clientOrderId) => ({
+        order: { orderId: 'entry_1', clientOrderId, status: 'NEW', origQty: 5, executedQty: 0 },
+        nextClientOrderId: clientOrderId
+      }))
+    };
+    svc.circuitBreaker = { checkBeforeExecution: jest.fn().mockResolvedValue({ passed: false, reason: 'paused' }) };
+
+    const result = await svc.executeSignal('sig_1', 'job_1');
+
+    expect(check).not.toHaveBeenCalled();
+    expect(signal.expire).not.toHaveBeenCalled();
+    // the checks after the expiry still apply
+    expect(result).toMatchObject({ success: false, error: 'Circuit breaker: paused' });
+    expect(signal.markAsFailed).toHaveBeenCalledWith('Circuit breaker: paused');
+  });
+});
@@ -0,0 +1,114 @@
+const SignalFeedService = require('../signalFeedService');
+const Channel = require('../../models/Channel');
+const ParsingTemplate = require('../../models/ParsingTemplate');
+const Signal = require('../../models/Signal');
+const SignalCorrection = require('../../models/SignalCorrection');
+const SignalEdit = require('../../models/SignalEdit');
+const { redisUtils } = require('../../config/redis');
+
+const ORIGINAL = '#SOL LONG x10\nEntry: 100\nTP1: 104\nTP2: 107\nSL: 96';
+const EDITED = '#SOL LONG x10\nEntry: 100\nTP1: 104\nTP2: 109\nSL: 97';
+
+describe('SignalFeedService edited posts', () => {
+  let feed;
+  let signal;
+  let edits;
+
+  const setup = ({ status, editHandling }) => {
+    feed = new SignalFeedService();
+    feed.signalRecognition.bingxService = { supportedSymbols: [] };
+    feed.signalRecognition.initialized = true;
+
+    signal = new Signal({
+      id: 'sig_1',
+      channel_id: 'ch_1',
+      coin: 'SOL',
+      direction: 'LONG',
+      leverage: 10,
+      entry_price: '100',
+      take_profit_levels: ['104', '107'],
+      stop_loss: '96',
+      raw_message: ORIGINAL,
+      parsed_data: { extractedData: { coin: 'SOL', direction: 'LONG', leverage: 10, entryPrice: 100, takeProfitLevels: [104, 107], stopLoss: 96 } },
+      signal_type: 'entry',
+      status,
+      telegram_message_id: 77
+    });
+    signal.update = jest.fn(async (updates) => Object.assign(signal, updates));
+    edits = [];
+
+    jest.spyOn(Channel, 'findById').mockResolvedValue(new Channel({ id: 'ch_1', name: 'Signals', edit_handling: editHandling }));
+    jest.spyOn(ParsingTemplate, 'findByChannelId').mockResolvedValue([]);
+    jest.spyOn(SignalCorrection, 'findRecentByChannelId').mockResolvedValue([]);
+    jest.spyOn(Signal, 'findAllByTelegramMessage').mockResolvedValue([signal]);
+    jest.spyOn(Signal, 'create').mockResolvedValue(null);
+    jest.spyOn(SignalEdit, 'create').mockImplementation(async (data) => {
+      const edit = { id: `edit_${edits.length + 1}`, ...data };
+      edits.push(edit);
+      return edit;
+    });
+    jest.spyOn(redisUtils, 'set').mockResolvedValue(true);
+    jest.spyOn(redisUtils, 'lPush').mockResolvedValue(1);
+    jest.spyOn(redisUtils, 'lLen').mockResolvedValue(1);
+    return jest.spyOn(redisUtils, 'publish').mockResolvedValue(1);
+  };
+
+  const edit = () => feed.processMessage({ channelId: 'ch_1', messageId: 77, text: EDITED, isEdit: true });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('updates a pending signal and records the field diff instead of creating a new signal', async () => {
+    setup({ status: 'pending', editHandling: 'update_pending' });
+
+    const result = await edit();
+
+    expect(result).toEqual([signal]);
+    expect(Signal.create).not.toHaveBeenCalled();
+    expect(edits).toHaveLength(1);
+    expect(edits[0]).toMatchObject({
+      signalId: 'sig_1',
+      outcome: 'updated',
+      changes: { stopLoss: { from: 96, to: 97 }, takeProfitLevels: { from: [104, 107], to: [104, 109] } },
+      previousMessage: ORIGINAL,
+      newMessage: EDITED
+    });
+    expect(signal).toMatchObject({ stopLoss: 97, takeProfitLevels: [104, 109], rawMessage: EDITED });
+  });
+
+  test('only records the diff of an executed signal unless positions are synced', async () => {
+    const publish = setup({ status: 'executed', editHandling: 'update_pending' });
+
+    await edit();
+
+    expect(edits[0].outcome).toBe('recorded');
+    expect(signal.update).not.toHaveBeenCalled();
+    expect(publish).not.toHaveBeenCalledWith('signal:edit_sync', expect.anything());
+  });
+
+  test('queues the SL/TP change of an executed signal for its position', async () => {
+    const publish = setup({ status: 'executed', editHandling: 'sync_position' });
+
+    await edit();
+
+    expect(edits[0].outcome).toBe('sync_queued');
+    expect(publish).toHaveBeenCalledWith('signal:edit_sync', { signalEditId: 'edit_1', signalId: 'sig_1' });
+  });
+
+  test('keeps coin, direction, entry and leverage of an executed signal when the post changes them', async () => {
+    setup({ status: 'executed', editHandling: 'sync_position' });
+
+    await feed.processMessage({
+      channelId: 'ch_1', messageId: 77, text: '#SOL LONG x20\nEntry: 101\nTP1: 104\nTP2: 107\nSL: 97', isEdit: true
+    });
+
+    expect(edits[0]).toMatchObject({
+      outcome: 'sync_queued',
+      changes: expect.objectContaining({ leverage: { from: 10, to: 20 }, entryPrice: { from: 100, to: 101 } })
+    });
+    expect(signal.update).toHaveBeenCalledWith({
+      stopLoss: 97,
+      parsedData: expect.objectContaining({ extractedData: expect.objectContaining({ leverage: 10, entryPrice: 100, stopLoss: 97 }) })
+    });
+    expect(signal).toMatchObject({ leverage: 10, entryPrice: '100', stopLoss: 97, rawMessage: ORIGINAL });
+  });
+});
@@ -0,0 +1,44 @@
+const TradeExecutionService = require('../tradeExecutionService');
+
+describe('TradeExecutionService', () => {
+  const POSITION_ID = '7a1c9e2b-4d3f-4b6a-8c5d-9e0f1a2b3c4d';
+
+  const build = (placed = {}) => {
+    const svc = new TradeExecutionService();
+    svc.bingx = {
+      getSymbolInfo: jest.fn().mockResolvedValue({ stepSize: 1, pricePrecision: 4 }),
+      lookupClientOrderId: jest.fn(async (symbol, clientOrderId) => ({
+        order: placed[clientOrderId] || null, nextClientOrderId: clientOrderId
+      })),
+      placeOrder: jest.fn(async order => ({ orderId: 'o_new', clientOrderId: order.clientOrderId }))
+    };
+    return svc;
+  };
+
+  const stop = { symbol: 'SAND-USDT', side: 'SELL', positionSide: 'LONG', stopPrice: 0.9, quantity: 10 };
+
+  test('names protection orders after the position and leg', async () => {
+    const svc = build();
+
+    await svc.placeStopLossOrder({ ...stop, positionId: POSITION_ID });
+    await svc.placeTakeProfitOrder({ ...stop, stopPrice: 1.2, positionId: POSITION_ID, tpIndex: 2 });
+
+    expect(svc.bingx.placeOrder.mock.calls.map(([order]) => order.clientOrderId)).toEqual([
+      '7a1c9e2b4d3f4b6a8c5d9e0f1a2b3c4d_sl',
+      '7a1c9e2b4d3f4b6a8c5d9e0f1a2b3c4d_tp2'
+    ]);
+  });
+
+  test('a repeated request reuses the order already on the exchange', async () => {
+    const svc = build({ '7a1c9e2b4d3f4b6a8c5d9e0f1a2b3c4d_sl': { orderId: 'o_sl', status: 'NEW' } });
+
+    const result = await svc.placeStopLossOrder({ ...stop, positionId: POSITION_ID });
+
+    expect(result).toMatchObject({ orderId: 'o_sl', reused: true });
+    expect(svc.bingx.placeOrder).not.toHaveBeenCalled();
+  });
+
+  test('refuses to place an order without an id to name it after', async () => {
+    await expect(build().placeStopLossOrder(stop)).rejects.toThrow('position id is required');
+  });
+});
@@ -0,0 +1,486 @@
+const fs = require('fs');
+const path = require('path');
+const Decimal = require('decimal.js');
+const config = require('../config/app');
+const Channel = require('../models/Channel');
+const Signal = require('../models/Signal');
+const ExecutionService = require('./executionService');
+const BingXService = require('./bingxService');
+const RuleBasedSignalParser = require('./ruleBasedSignalParser');
+const HistoryImportService = require('./historyImportService');
+
+// Same fallback ExecutionService uses when BingX has no symbol info
+const DEFAULT_SYMBOL_INFO = { minQty: 0.001, stepSize: 0.001, minOrderValue: 5, pricePrecision: 6 };
+// TP orders worth less are folded into the next level (ExecutionService.placeRiskManagementOrders)
+const MIN_TP_ORDER_VALUE = 3.72;
+
+/**
+ * Replays channel signals over historical OHLCV candles with the live execution rules:
+ * channel sizing, market or limit-zone entry, the TP ladder split by tpPercentages, the
+ * stop-loss and the channel's stop management (breakeven / step / trailing / time exit).
+ * Every channel trades its own account starting at initialBalance.
+ *
+ * Candles are only known by their range, so when a candle reaches both the stop and a
+ * TP the stop is assumed to fill first. Stop moves apply from the next candle, as the
+ * live watcher moves the stop after the fact.
+ */
+class BacktestService {
+  constructor(options = {}) {
+    // Sizing, entry zone, TP split and stop moves are ExecutionService's own methods, without its queues
+    this.rules = options.rules || Object.assign(Object.create(ExecutionService.prototype), { bingx: new BingXService() });
+    this.parser = new RuleBasedSignalParser();
+    this.dataDir = options.dataDir || config.backtest.dataDir;
+  }
+
+  /* ------------------------------- Inputs ---------------------------------- */
+
+  // API requests may only read files under the backtest data directory
+  resolveDataFile(file) {
+    const root = path.resolve(this.dataDir);
+    const resolved = path.resolve(root, file);
+    if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`${file} is outside the backtest data directory`);
+    }
+    if (!fs.existsSync(resolved)) throw new Error(`${file} not found in the backtest data directory`);
+    return resolved;
+  }
+
+  /**
+   * Candles from a JSON or CSV file, or a directory with one file per symbol (BTC-USDT.csv).
+   * JSON: { "BTC-USDT": [...] } or a bare array for a single-symbol file; a candle is
+   * [time, open, high, low, close, volume] or { time, open, high, low, close, volume }.
+   * CSV: time,open,high,low,close[,volume] with an optional symbol column.
+   */
+  loadCandles(source) {
+    const candles = new Map();
+    const files = fs.statSync(source).isDirectory()
+      ? fs.readdirSync(source).filter(f => /\.(json|csv)$/i.test(f)).map(f => path.join(source, f))
+      : [source];
+
+    for (const file of files) {
+      const fileSymbol = path.basename(file).replace(/\.(json|csv)$/i, '');
+      const content = fs.readFileSync(file, 'utf8');
+      const rows = /\.csv$/i.test(file) ? this.parseCsv(content) : JSON.parse(content);
+      const bySymbol = Array.isArray(rows)
+        ? rows.reduce((acc, row) => {
+          const symbol = (!Array.isArray(row) && row.symbol) || fileSymbol;
+          (acc[symbol] = acc[symbol] || []).push(row);
+          return acc;
+        }, {})
+        : rows;
+
+      Object.entries(bySymbol).forEach(([symbol, list]) => {
+        const key = this.rules.formatSymbol(symbol);
+        candles.set(key, [...(candles.get(key) || []), ...list.map(c => this.normalizeCandle(c))]);
+      });
+    }
+
+    candles.forEach((list, symbol) => {
+      const valid = list.filter(c => Number.isFinite(c.time) && [c.open, c.high, c.low, c.close].every(Number.isFinite));
+      candles.set(symbol, valid.sort((a, b) => a.time - b.time));
+    });
+    return candles;
+  }
+
+  parseCsv(content) {
+    const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(c => c.trim().toLowerCase());
+    return lines.map(line => line.split(',').reduce((row, value, i) => {
+      row[columns[i]] = value.trim();
+      return row;
+    }, {}));
+  }
+
+  normalizeCandle(candle) {
+    const [time, open, high, low, close, volume] = Array.isArray(candle)
+      ? candle
+      : [candle.time ?? candle.openTime ?? candle.timestamp, candle.open, candle.high, candle.low, candle.close, candle.volume];
+    return {
+      time: this.toTimestamp(time),
+      open: parseFloat(open),
+      high: parseFloat(high),
+      low: parseFloat(low),
+      close: parseFloat(close),
+      volume: parseFloat(volume || 0)
+    };
+  }
+
+  // epoch seconds, epoch milliseconds or a date string
+  toTimestamp(value) {
+    if (value instanceof Date) return value.getTime();
+    const number = Number(value);
+    if (Number.isFinite(number)) return number < 1e12 ? number * 1000 : number;
+    return new Date(value).getTime();
+  }
+
+  // Entry signals stored for the channels, optionally limited to a period
+  async loadSignals({ channelIds, from = null, to = null }) {
+    const signals = await Signal.findForBacktest({ channelIds, from, to });
+    const channels = new Map();
+    for (const id of new Set(signals.map(s => s.channelId))) {
+      // eslint-disable-next-line no-await-in-loop
+      const channel = await Channel.findById(id);
+      if (channel) channels.set(id, channel);
+    }
+    return { signals, channels };
+  }
+
+  /**
+   * Entry signals from a Telegram Desktop chat export (result.json), read with the
+   * rule-based parser. They are traded with the settings of `channel` when given.
+   */
+  signalsFromExport(exportData, channel = null) {
+    const channelId = channel?.id || `export_${exportData.id || 'chat'}`;
+    const signals = [];
+
+    for (const message of HistoryImportService.readExportMessages(exportData)) {
+      const result = this.parser.parse(message.text);
+      const entries = result.signals || [result];
+      entries.filter(r => r.isSignal && r.signalType === 'entry').forEach((entry, i) => {
+        const data = entry.extractedData;
+        if (!data.coin || !data.direction) return;
+        signals.push(new Signal({
+          id: `${channelId}_${message.messageId}${entries.length > 1 ? `_${i + 1}` : ''}`,
+          channel_id: channelId,
+          coin: data.coin,
+          direction: data.direction,
+          leverage: data.leverage || 1,
+          entry_price: data.entryPrice,
+          entry_price_range: data.entryPriceRange,
+          take_profit_levels: data.takeProfitLevels || [],
+          stop_loss: data.stopLoss,
+          confidence_score: entry.confidence,
+          raw_message: message.text,
+          message_timestamp: message.date,
+          signal_type: 'entry',
+          telegram_message_id: message.messageId
+        }));
+      });
+    }
+
+    const channels = new Map([[channelId, channel || new Channel({ id: channelId, name: exportData.name || channelId })]]);
+    return { signals, channels };
+  }
+
+  /**
+   * Loads the candles and the signals (stored ones of channelIds, or a chat export traded
+   * with the settings of channelIds[0]) and runs the backtest. Paths must already be resolved.
+   */
+  async runFromFiles({ candlesPath, exportPath = null, channelIds = [], from = null, to = null, initialBalance, feeRate }) {
+    const candles = this.loadCandles(candlesPath);
+
+    let source;
+    if (exportPath) {
+      const channel = channelIds.length > 0 ? await Channel.findById(channelIds[0]) : null;
+      if (channelIds.length > 0 && !channel) throw new Error(`Channel ${channelIds[0]} not found`);
+      source = this.signalsFromExport(JSON.parse(fs.readFileSync(exportPath, 'utf8')), channel);
+      source.signals = source.signals.filter((signal) => {
+        const at = this.signalTime(signal);
+        return (!from || at >= new Date(from).getTime()) && (!to || at <= new Date(to).getTime());
+      });
+    } else {
+      source = await this.loadSignals({ channelIds, from, to });
+    }
+
+    return this.run({ ...source, candles, initialBalance, feeRate });
+  }
+
+  /* ------------------------------ Simulation ------------------------------- */
+
+  /**
+   * @param {Object} input
+   * @param {Object[]} input.signals entry signals
+   * @param {Map<string, Object>} input.channels channel settings by id
+   * @param {Map<string, Object[]>} input.candles candles by symbol, oldest first
+   */
+  run({ signals, channels, candles, initialBalance = config.backtest.initialBalance, feeRate = config.paperTrading.feeRate }) {
+    const byChannel = new Map();
+    signals.forEach((signal) => {
+      if (!byChannel.has(signal.channelId)) byChannel.set(signal.channelId, []);
+      byChannel.get(signal.channelId).push(signal);
+    });
+
+    const results = [...byChannel.entries()].map(([channelId, channelSignals]) => {
+      const channel = channels.get(channelId) || new Channel({ id: channelId });
+      return this.runChannel(channel, channelSignals, candles, { initialBalance, feeRate });
+    });
+
+    return {
+      initialBalance,
+      feeRate,
+      channels: results,
+      totals: {
+        signals: results.reduce((sum, r) => sum + r.signals, 0),
+        trades: results.reduce((sum, r) => sum + r.tradeCount, 0),
+        wins: results.reduce((sum, r) => sum + r.wins, 0),
+        totalPnl: results.reduce((sum, r) => sum + r.totalPnl, 0)
+      }
+    };
+  }
+
+  runChannel(channel, signals, candles, { initialBalance, feeRate }) {
+    const sorted = [...signals].sort((a, b) => this.signalTime(a) - this.signalTime(b));
+    const trades = [];
+    const skipped = [];
+
+    for (const signal of sorted) {
+      const at = this.signalTime(signal);
+      // the balance the execution would see: closed PnL in, margin of still open trades out
+      const closed = trades.filter(t => t.exitTime <= at).reduce((sum, t) => sum + t.pnl, 0);
+      const locked = trades.filter(t => t.exitTime > at).reduce((sum, t) => sum + t.margin, 0);
+      const available = initialBalance + closed - locked;
+
+      const trade = available > 0
+        ? this.simulateTrade(signal, channel, candles.get(this.rules.formatSymbol(signal.coin)) || [], available, feeRate)
+        : { skipped: 'insufficient_balance' };
+      if (trade.skipped) {
+        skipped.push({ signalId: signal.id, coin: signal.coin, reason: trade.skipped });
+      } else {
+        trades.push(trade);
+      }
+    }
+
+    return {
+      channelId: channel.id,
+      channelName: channel.name || null,
+      signals: signals.length,
+      skipped,
+      ...this.summarize(trades, initialBalance),
+      trades
+    };
+  }
+
+  signalTime(signal) {
+    return this.toTimestamp(signal.messageTimestamp || signal.processedAt);
+  }
+
+  simulateTrade(signal, channel, candles, availableBalance, feeRate) {
+    const at = this.signalTime(signal);
+    const start = candles.findIndex(c => c.time >= at);
+    if (start === -1) return { skipped: 'no_candles' };
+    if (!['LONG', 'SHORT'].includes(signal.direction)) return { skipped: 'no_direction' };
+
+    const isLong = signal.direction === 'LONG';
+    const sim = { ...signal.toJSON(), id: signal.id };
+    const entryZone = this.rules.getEntryZone(sim, channel);
+    if (!sim.entryPrice) sim.entryPrice = entryZone ? (entryZone.low + entryZone.high) / 2 : candles[start].open;
+
+    const market = channel.sizingStrategy === 'volatility'
+      ? { atr: this.rules.calculateAtr(candles.slice(Math.max(0, start - config.trading.sizing.atrPeriod - 1), start), config.trading.sizing.atrPeriod) }
+      : {};
+    let quantity;
+    try {
+      ({ quantity } = this.rules.calculatePositionSize(sim, channel, availableBalance, DEFAULT_SYMBOL_INFO, market));
+    } catch (error) {
+      return { skipped: error.message };
+    }
+    quantity = this.rules.roundToStepSize(quantity, DEFAULT_SYMBOL_INFO.stepSize);
+    if (quantity <= 0) return { skipped: 'zero_size' };
+
+    const entry = entryZone
+      ? this.fillEntryZone(sim, entryZone, quantity, candles, start)
+      : { quantity, price: candles[start].open, time: candles[start].time, index: start, nextIndex: start };
+    if (!entry) return { skipped: 'entry_not_filled' };
+
+    const leverage = sim.leverage || 1;
+    const trade = {
+      signalId: signal.id,
+      symbol: this.rules.formatSymbol(signal.coin),
+      direction: signal.direction,
+      signalTime: at,
+      entryTime: entry.time,
+      entryPrice: entry.price,
+      quantity: entry.quantity,
+      leverage,
+      margin: (entry.quantity * entry.price) / leverage,
+      stopLoss: sim.stopLoss ? parseFloat(sim.stopLoss) : null,
+      fills: [],
+      fees: entry.quantity * entry.price * feeRate
+    };
+
+    const state = this.buildStopState(sim, channel, entry, candles);
+    let remaining = entry.quantity;
+    const exit = (type, price, qty, time) => {
+      const pnl = new Decimal(price).minus(entry.price).times(qty).times(isLong ? 1 : -1).toNumber();
+      trade.fills.push({ type, price, quantity: qty, time, pnl });
+      trade.fees += qty * price * feeRate;
+      remaining = new Decimal(remaining).minus(qty).toNumber();
+    };
+    // a gap through the level fills at the open
+    const fillPrice = (level, open, adverse) => ((isLong === adverse) ? Math.min(open, level) : Math.max(open, level));
+
+    let i = entry.nextIndex;
+    for (; i < candles.length && remaining > state.stepSize / 2; i += 1) {
+      const candle = candles[i];
+
+      if (state.closeAt && candle.time >= state.closeAt) {
+        exit('time_exit', candle.open, remaining, candle.time);
+        break;
+      }
+
+      if (state.stopPrice != null && (isLong ? candle.low <= state.stopPrice : candle.high >= state.stopPrice)) {
+        exit(state.moves > 0 ? 'moved_stop' : 'stop_loss', fillPrice(state.stopPrice, candle.open, true), remaining, candle.time);
+        break;
+      }
+
+      state.tpLevels.forEach((level, n) => {
+        if (n >= state.tpQtys.length || state.tpFilled[n] || remaining <= 0) return;
+        if (isLong ? candle.high >= level : candle.low <= level) {
+          state.tpFilled[n] = true;
+          const qty = Math.min(state.tpQtys[n], remaining);
+          if (qty > 0) exit(`take_profit_${n + 1}`, fillPrice(level, candle.open, false), qty, candle.time);
+        }
+      });
+      if (remaining <= state.stepSize / 2) break;
+
+      // what the stop watcher does on its next check
+      state.currSize = remaining;
+      state.tpsFilled = Math.max(state.tpsFilled, this.rules.countFilledTps(state, remaining));
+      state.highWaterMark = this.rules.nextHighWaterMark(state, isLong ? candle.high : candle.low);
+      const move = this.rules.getStopMove(state, candle.close);
+      if (move) {
+        state.history.push({ from: state.stopPrice, to: move.stopPrice, reason: move.reason, time: candle.time });
+        state.stopPrice = move.stopPrice;
+        state.moves += 1;
+      }
+    }
+
+    if (remaining > state.stepSize / 2) {
+      const last = candles[candles.length - 1];
+      exit('end_of_data', last.close, remaining, last.time);
+    }
+
+    const grossPnl = trade.fills.reduce((sum, f) => sum + f.pnl, 0);
+    trade.pnl = grossPnl - trade.fees;
+    trade.pnlPercent = trade.margin > 0 ? (trade.pnl / trade.margin) * 100 : 0;
+    trade.rMultiple = trade.stopLoss ? trade.pnl / (Math.abs(entry.price - trade.stopLoss) * entry.quantity) : null;
+    trade.exitTime = trade.fills[trade.fills.length - 1].time;
+    trade.exitReason = trade.fills[trade.fills.length - 1].type;
+    trade.stopMoves = state.history;
+    return trade;
+  }
+
+  // LIMIT orders across the zone until they fill or the channel's entry timeout runs out
+  fillEntryZone(signal, zone, quantity, candles, start) {
+    const isLong = signal.direction === 'LONG';
+    const orders = this.rules.buildEntryZoneOrders(signal.direction, zone, quantity, DEFAULT_SYMBOL_INFO)
+      .map(order => ({ ...order, filled: false }));
+    const deadline = this.signalTime(signal) + zone.timeoutMs;
+
+    let i = start;
+    let lastFill = null;
+    for (; i < candles.length && candles[i].time < deadline && orders.some(o => !o.filled); i += 1) {
+      const candle = candles[i];
+      orders.filter(o => !o.filled && (isLong ? candle.low <= o.price : candle.high >= o.price)).forEach((order) => {
+        order.filled = true;
+        order.fillPrice = isLong ? Math.min(candle.open, order.price) : Math.max(candle.open, order.price);
+        lastFill = candle;
+      });
+    }
+
+    const filled = orders.filter(o => o.filled);
+    if (filled.length === 0) return null;
+    const filledQty = filled.reduce((sum, o) => sum.plus(o.quantity), new Decimal(0));
+    const price = filled.reduce((sum, o) => sum.plus(new Decimal(o.fillPrice).times(o.quantity)), new Decimal(0)).div(filledQty);
+
+    // TP/SL go in once the entry wait is over
+    return { quantity: filledQty.toNumber(), price: price.toNumber(), time: lastFill.time, nextIndex: i };
+  }
+
+  // TP ladder as placeRiskManagementOrders splits it, stop state as startStopWatcher builds it
+  buildStopState(signal, channel, entry, candles) {
+    const settings = this.rules.getStopSettings(channel);
+    const { stepSize, pricePrecision } = DEFAULT_SYMBOL_INFO;
+    const tpPercentages = channel.tpPercentages || [25.0, 25.0, 50.0];
+    const tpLevels = (Array.isArray(signal.takeProfitLevels) ? signal.takeProfitLevels : [])
+      .map(x => (typeof x === 'object' ? parseFloat(x.price) : parseFloat(x)))
+      .filter(v => Number.isFinite(v))
+      .sort((a, b) => (signal.direction === 'LONG' ? a - b : b - a));
+
+    const initialQty = this.rules.roundToStepSize(entry.quantity, stepSize);
+    let remainingQty = initialQty;
+    const tpQtys = [];
+    for (let i = 0; i < tpLevels.length && i < tpPercentages.length; i += 1) {
+      let tpQty = this.rules.calculateTPQuantity(initialQty, i, tpPercentages);
+      if (tpQty * tpLevels[i] < MIN_TP_ORDER_VALUE) {
+        const minQtyForValue = MIN_TP_ORDER_VALUE / tpLevels[i];
+        if (minQtyForValue <= remainingQty) tpQty = minQtyForValue;
+        else if (remainingQty * tpLevels[i] >= MIN_TP_ORDER_VALUE) tpQty = remainingQty;
+        else tpQty = 0;
+      }
+      tpQty = this.rules.roundToStepSize(Math.min(tpQty, remainingQty), stepSize);
+      tpQtys.push(tpQty);
+      remainingQty = this.rules.roundToStepSize(remainingQty - tpQty, stepSize);
+    }
+
+    let atr = null;
+    if (settings.mode === 'trailing_atr') {
+      const index = candles.findIndex(c => c.time >= entry.time);
+      atr = this.rules.calculateAtr(candles.slice(Math.max(0, index - config.trading.sizing.atrPeriod - 1), index + 1), config.trading.sizing.atrPeriod);
+    }
+
+    return {
+      side: signal.direction === 'LONG' ? 'BUY' : 'SELL',
+      pricePrecision,
+      stepSize,
+      initialQty,
+      entryPrice: entry.price,
+      stopPrice: signal.stopLoss ? parseFloat(signal.stopLoss) : null,
+      ...settings,
+      atr,
+      tpLevels,
+      tpQtys,
+      tpFilled: tpLevels.map(() => false),
+      closeAt: settings.maxPositionMinutes ? entry.time + settings.maxPositionMinutes * 60 * 1000 : null,
+      tpsFilled: 0,
+      highWaterMark: null,
+      moves: 0,
+      history: []
+    };
+  }
+
+  /* ------------------------------- Metrics --------------------------------- */
+
+  summarize(trades, initialBalance) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossWin = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+    const totalPnl = grossWin - grossLoss;
+    const withR = trades.filter(t => t.rMultiple !== null);
+
+    let equity = initialBalance;
+    let peak = initialBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    const equityCurve = [{ time: trades.length > 0 ? Math.min(...trades.map(t => t.signalTime)) : null, equity, signalId: null }];
+    [...trades].sort((a, b) => a.exitTime - b.exitTime).forEach((trade) => {
+      equity += trade.pnl;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+      maxDrawdownPercent = Math.max(maxDrawdownPercent, peak > 0 ? ((peak - equity) / peak) * 100 : 0);
+      equityCurve.push({ time: trade.exitTime, equity, signalId: trade.signalId });
+    });
+
+    return {
+      tradeCount: trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: trades.length > 0 ? wins.length / trades.length : null,
+      averageWin: wins.length > 0 ? grossWin / wins.length : null,
+      averageLoss: losses.length > 0 ? grossLoss / losses.length : null,
+      // average result per trade, in USDT and in units of the initial stop distance
+      expectancy: trades.length > 0 ? totalPnl / trades.length : null,
+      expectancyR: withR.length > 0 ? withR.reduce((sum, t) => sum + t.rMultiple, 0) / withR.length : null,
+      profitFactor: grossLoss > 0 ? grossWin / grossLoss : null,
+      totalPnl,
+      finalBalance: equity,
+      returnPercent: (totalPnl / initialBalance) * 100,
+      maxDrawdown,
+      maxDrawdownPercent,
+      equityCurve
+    };
+  }
+}
+
+module.exports = BacktestService;
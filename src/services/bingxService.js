@@ -2,6 +2,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../config/app');
 const { logger, trade: tradeLog } = require('../utils/logger');
+const { getPaperExchange, isPaperAccount } = require('./paperExchangeService');
 
 // --- RFC3986-safe urlencode (BingX чувствителен к строке подписи) ---
 const encodeRFC3986 = (str) =>
@@ -19,6 +20,13 @@ function buildQueryString(params = {}) {
   return keys.map((k) => `${encodeRFC3986(k)}=${encodeRFC3986(String(compact[k]))}`).join('&');
 }
 
+// Orders that stand for their clientOrderId; cancelled, expired or rejected ones are placed again
+const LIVE_ORDER_STATUSES = ['NEW', 'PENDING', 'PARTIALLY_FILLED', 'FILLED'];
+const MAX_CLIENT_ORDER_ATTEMPTS = 9;
+const MAX_CLIENT_ORDER_ID_LENGTH = 40;
+const ORDER_NOT_FOUND = /\[80016\]|order not exist|does not exist/i;
+const isLiveOrder = (o) => LIVE_ORDER_STATUSES.includes(String(o.status).toUpperCase());
+
 class BingXService {
   constructor() {
     this.apiKey = config.bingx.apiKey;
@@ -32,6 +40,11 @@ class BingXService {
     this.lastSymbolCacheUpdate = 0;
   }
 
+  // paper_<channelId> sub-accounts trade on the simulated exchange, market data stays live
+  get paper() {
+    return getPaperExchange(this);
+  }
+
   /* -------------------------------- Helpers -------------------------------- */
 
   // HMAC-SHA256 signature
@@ -185,6 +198,8 @@ class BingXService {
   /* ------------------------------ Account / Spot --------------------------- */
 
   async getAccountInfo(subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.getAccountInfo(subAccountId);
+
     try {
       const endpoint = config.bingx.endpoints.account;
       const params = {};
@@ -256,6 +271,8 @@ class BingXService {
   }
 
   async getPositions(subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.getPositions(subAccountId);
+
     try {
       const endpoint = config.bingx.endpoints.positions;
       const params = {};
@@ -383,6 +400,8 @@ class BingXService {
   /* ------------------------------ Trading ---------------------------------- */
 
   async placeOrder(orderData, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.placeOrder(orderData, subAccountId);
+
     try {
       const formattedSymbol = this.formatSymbol(orderData.symbol);
       const endpoint = '/openApi/swap/v2/trade/order';
@@ -412,6 +431,7 @@ class BingXService {
         type: orderData.type,
         ...(orderData.quantity && { quantity: orderData.quantity.toString() }),
         ...(orderData.price && { price: orderData.price.toString() }),
+        ...(orderData.timeInForce && { timeInForce: orderData.timeInForce }),
         ...(positionSide && { positionSide }),
         // DO NOT send leverage here (set via setLeverage before placing order)
         ...(orderData.recvWindow && { recvWindow: orderData.recvWindow.toString() }),
@@ -471,6 +491,8 @@ class BingXService {
   }
 
   async cancelOrder(orderId, symbol, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.cancelOrder(orderId, symbol, subAccountId);
+
     try {
       const formattedSymbol = this.formatSymbol(symbol);
       const endpoint = '/openApi/swap/v2/trade/order';
@@ -498,7 +520,135 @@ class BingXService {
     }
   }
 
+  async getOrder(orderId, symbol, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.getOrder(orderId, symbol, subAccountId);
+
+    try {
+      const endpoint = '/openApi/swap/v2/trade/order';
+      const params = {
+        orderId: String(orderId),
+        symbol: this.formatSymbol(symbol),
+        ...(subAccountId && { subAccountId }),
+      };
+
+      const result = await this.makeRequest('GET', endpoint, params);
+      const o = result.order || result;
+
+      return {
+        orderId: o.orderId,
+        clientOrderId: o.clientOrderId,
+        symbol: o.symbol,
+        side: o.side,
+        type: o.type,
+        status: o.status,
+        price: parseFloat(o.price || 0),
+        origQty: parseFloat(o.origQty || 0),
+        executedQty: parseFloat(o.executedQty || 0),
+        avgPrice: parseFloat(o.avgPrice || 0),
+        updateTime: o.updateTime,
+      };
+    } catch (error) {
+      logger.error('Error getting order:', error);
+      throw error;
+    }
+  }
+
+  // The order placed under clientOrderId, or null when the exchange does not know the id
+  async getOrderByClientId(symbol, clientOrderId, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.getOrderByClientId(symbol, clientOrderId, subAccountId);
+
+    try {
+      const endpoint = '/openApi/swap/v2/trade/order';
+      const params = {
+        clientOrderId,
+        symbol: this.formatSymbol(symbol),
+        ...(subAccountId && { subAccountId }),
+      };
+
+      const result = await this.makeRequest('GET', endpoint, params);
+      const o = result && (result.order || result);
+      if (!o || !o.orderId) return null;
+
+      return {
+        orderId: o.orderId,
+        clientOrderId: o.clientOrderId,
+        symbol: o.symbol,
+        side: o.side,
+        positionSide: o.positionSide,
+        type: o.type,
+        status: o.status,
+        price: parseFloat(o.price || 0),
+        origQty: parseFloat(o.origQty || 0),
+        executedQty: parseFloat(o.executedQty || 0),
+        avgPrice: parseFloat(o.avgPrice || 0),
+        updateTime: o.updateTime,
+      };
+    } catch (error) {
+      if (ORDER_NOT_FOUND.test(error.message)) return null;
+      logger.error('Error getting order by clientOrderId:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Looks up a live order by clientOrderId (or one of its re-placements, see lookupClientOrderId).
+   * Returns it in the placeOrder() shape, or null when the exchange has no new, partially filled or filled one.
+   */
+  async findOrderByClientId(symbol, clientOrderId, subAccountId = null) {
+    const { order } = await this.lookupClientOrderId(symbol, clientOrderId, subAccountId);
+    return order;
+  }
+
+  /**
+   * Orders of a clientOrderId, queried by id so that old orders of busy symbols are found too.
+   * A cancelled, expired or rejected order keeps its id taken, so the order is placed again under
+   * attempt 2, 3... of the id. Returns { order, nextClientOrderId }: the live order, or null and
+   * the first id not used yet.
+   */
+  async lookupClientOrderId(symbol, clientOrderId, subAccountId = null) {
+    for (let attempt = 1; attempt <= MAX_CLIENT_ORDER_ATTEMPTS; attempt += 1) {
+      const id = BingXService.attemptClientOrderId(clientOrderId, attempt);
+      // attempts are used in order: the first unknown id ends the search
+      // eslint-disable-next-line no-await-in-loop
+      const order = await this.getOrderByClientId(symbol, id, subAccountId);
+      if (!order) return { order: null, nextClientOrderId: id };
+      if (isLiveOrder(order)) {
+        return {
+          order: {
+            orderId: order.orderId,
+            clientOrderId: order.clientOrderId || id,
+            symbol: order.symbol || this.formatSymbol(symbol),
+            side: order.side,
+            positionSide: order.positionSide,
+            status: order.status,
+            price: order.price,
+            origQty: order.origQty,
+            executedQty: order.executedQty,
+            executedPrice: order.avgPrice || 0,
+          },
+          nextClientOrderId: null
+        };
+      }
+    }
+    throw new Error(`No clientOrderId left for ${clientOrderId} after ${MAX_CLIENT_ORDER_ATTEMPTS} attempts`);
+  }
+
+  /**
+   * Attempt n > 1 of a clientOrderId: `<id>_r<n>`. When that is longer than BingX allows,
+   * the part before the first `_` (the signal id) is shortened instead of the leg or the suffix.
+   */
+  static attemptClientOrderId(clientOrderId, attempt) {
+    if (attempt <= 1) return clientOrderId;
+    const id = `${clientOrderId}_r${attempt}`;
+    const overflow = id.length - MAX_CLIENT_ORDER_ID_LENGTH;
+    if (overflow <= 0) return id;
+    const sep = clientOrderId.includes('_') ? clientOrderId.indexOf('_') : clientOrderId.length;
+    return `${id.slice(0, sep - overflow)}${id.slice(sep)}`;
+  }
+
   async getOrderHistory(symbol = null, limit = 100, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.getOrderHistory(symbol, limit, subAccountId);
+
     try {
       const endpoint = '/openApi/swap/v2/trade/allOrders';
       const params = {
@@ -513,6 +663,7 @@ class BingXService {
 
       return result.map((o) => ({
         orderId: o.orderId,
+        clientOrderId: o.clientOrderId,
         symbol: o.symbol,
         side: o.side,
         type: o.type,
@@ -532,6 +683,8 @@ class BingXService {
   }
 
   async getOpenOrders(symbol = null, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.getOpenOrders(symbol, subAccountId);
+
     try {
       const endpoint = '/openApi/swap/v2/trade/openOrders';
       const params = {
@@ -568,6 +721,8 @@ class BingXService {
   /* --------------------------- Position / Leverage ------------------------- */
 
   async setLeverage(symbol, leverage, side, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.setLeverage(symbol, leverage, side, subAccountId);
+
     try {
       const formattedSymbol = this.formatSymbol(symbol);
       const endpoint = '/openApi/swap/v2/trade/leverage';
@@ -598,6 +753,8 @@ class BingXService {
   }
 
   async closePosition(symbol, quantity = null, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.closePosition(symbol, quantity, subAccountId);
+
     try {
       const formattedSymbol = this.formatSymbol(symbol);
 
@@ -704,6 +861,30 @@ class BingXService {
     }
   }
 
+  async getKlines(symbol, interval = '1h', limit = 100) {
+    try {
+      const formattedSymbol = this.formatSymbol(symbol);
+      const endpoint = '/openApi/swap/v3/quote/klines';
+      const result = await this.makeRequest('GET', endpoint, { symbol: formattedSymbol, interval, limit }, false);
+
+      if (!Array.isArray(result)) return [];
+
+      return result
+        .map((k) => ({
+          time: k.time,
+          open: parseFloat(k.open),
+          high: parseFloat(k.high),
+          low: parseFloat(k.low),
+          close: parseFloat(k.close),
+          volume: parseFloat(k.volume || 0),
+        }))
+        .sort((a, b) => a.time - b.time);
+    } catch (error) {
+      logger.error('Error getting klines:', error);
+      throw error;
+    }
+  }
+
   async getSymbolInfo(symbol) {
     try {
       const formattedSymbol = this.formatSymbol(symbol);
@@ -750,6 +931,8 @@ class BingXService {
   }
 
   async getIncomeHistory(options = {}, subAccountId = null) {
+    if (isPaperAccount(subAccountId)) return this.paper.getIncomeHistory(options, subAccountId);
+
     try {
       const endpoint = '/openApi/swap/v2/user/income';
       const params = {
@@ -805,16 +988,14 @@ class BingXService {
 
   /* ---------------------------- Risk / Validation -------------------------- */
 
-  calculatePositionSize(accountBalance, riskPercentage, entryPrice, stopLoss, leverage = 1) {
+  // Quantity that loses riskPercentage of the balance when the stop-loss is hit; leverage only changes the margin
+  calculatePositionSize(accountBalance, riskPercentage, entryPrice, stopLoss) {
     try {
       const riskAmount = accountBalance * (riskPercentage / 100);
       const priceRisk = Math.abs(entryPrice - stopLoss);
       if (priceRisk === 0) return 0;
 
-      const positionValue = riskAmount * leverage;
-      const quantity = positionValue / entryPrice;
-
-      return quantity;
+      return riskAmount / priceRisk;
     } catch (error) {
       logger.error('Error calculating position size:', error);
       return 0;
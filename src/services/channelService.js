@@ -4,6 +4,10 @@ const Channel = require('../models/Channel');
 const Account = require('../models/Account');
 const TelegramService = require('./telegramService');
 const BingXService = require('./bingxService');
+const SignalApprovalService = require('./signalApprovalService');
+const config = require('../config/app');
+const { parseTokens } = require('../middleware/auth');
+const { ValidationError } = require('../middleware/errorHandler');
 
 class ChannelService {
   constructor() {
@@ -40,7 +44,8 @@ class ChannelService {
         autoExecute = false,
         riskPercentage = 2.0,
         initialBalance = 0,
-        tpPercentages = [25.0, 25.0, 50.0]
+        tpPercentages = [25.0, 25.0, 50.0],
+        ingestionBackend = 'bot'
       } = channelData;
 
       // Validate required fields
@@ -110,7 +115,8 @@ class ChannelService {
         maxPositionPercentage,
         autoExecute,
         riskPercentage,
-        tpPercentages
+        tpPercentages,
+        ingestionBackend
       };
 
       const channel = await Channel.create(newChannelData);
@@ -339,7 +345,27 @@ class ChannelService {
         'maxPositionPercentage',
         'autoExecute',
         'riskPercentage',
-        'tpPercentages'
+        'tpPercentages',
+        'llmProviders',
+        'entryMode',
+        'entryOrdersCount',
+        'entryOrderTimeoutMinutes',
+        'sizingStrategy',
+        'sizingValue',
+        'stopMode',
+        'breakevenAfterTp',
+        'trailingValue',
+        'maxPositionMinutes',
+        'tradingMode',
+        'ingestionBackend',
+        'editHandling',
+        'duplicatePolicy',
+        'signalTtlMinutes',
+        'maxEntryDeviation',
+        'entryDeviationUnit',
+        'requiredApprovals',
+        'approvers',
+        'approvalTimeoutMinutes'
       ];
 
       const filteredUpdates = {};
@@ -390,6 +416,14 @@ class ChannelService {
         }
       }
 
+      // Reviewer policies cannot be enforced while every API caller is the default approver
+      if (filteredUpdates.requiredApprovals !== undefined || filteredUpdates.approvers !== undefined) {
+        const policy = new SignalApprovalService().policyFor({ ...channel, ...filteredUpdates });
+        if (SignalApprovalService.needsReviewers(policy) && parseTokens(config.approvals.tokens).length === 0) {
+          throw new ValidationError('Multiple approvals or an approver list require APPROVER_TOKENS to be configured');
+        }
+      }
+
       // Update channel
       const updatedChannel = await channel.update(filteredUpdates);
 
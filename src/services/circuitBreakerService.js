@@ -0,0 +1,277 @@
+const config = require('../config/app');
+const { redisUtils, CACHE_KEYS, CHANNELS } = require('../config/redis');
+const { logger, trade: tradeLog } = require('../utils/logger');
+const Account = require('../models/Account');
+const Channel = require('../models/Channel');
+const Position = require('../models/Position');
+const CircuitBreakerTrip = require('../models/CircuitBreakerTrip');
+const { isPaperAccount } = require('./paperExchangeService');
+
+const EQUITY_PEAK_KEY = `${CACHE_KEYS.CIRCUIT_BREAKER}equity_peak`;
+const GLOBAL_BREAKERS = ['daily_loss', 'drawdown', 'trades_per_hour'];
+
+/**
+ * Portfolio-level circuit breakers (config.trading.circuitBreakers):
+ *  daily_loss — realized loss since 00:00 UTC reached maxDailyLoss USDT;
+ *  drawdown — equity of the main account and all real sub-accounts fell maxDrawdownPercent % below its peak;
+ *  trades_per_hour — maxTradesPerHour positions opened within the last hour;
+ *  consecutive_losses — the last maxConsecutiveLosses positions of a channel closed at a loss.
+ * A global trip halts auto-execution and pauses every auto-executing channel, a per-channel
+ * trip pauses that channel. Trips stay active until reset() — losses and trades before
+ * the last reset no longer count.
+ */
+class CircuitBreakerService {
+  constructor(bingxService) {
+    this.bingx = bingxService;
+  }
+
+  get limits() {
+    return config.trading.circuitBreakers;
+  }
+
+  async initialize() {
+    await redisUtils.subscribe(CHANNELS.POSITION_CLOSED, async (data) => {
+      try {
+        const position = data.positionId ? await Position.findById(data.positionId) : null;
+        await this.evaluate(position ? position.channelId : null);
+      } catch (error) {
+        logger.error('Error evaluating circuit breakers:', error);
+      }
+    });
+  }
+
+  // Gate in front of every automatic execution
+  async checkBeforeExecution(channel) {
+    const active = await CircuitBreakerTrip.findActive();
+    const blocking = active.find(t => !t.channelId || t.channelId === channel.id);
+    if (blocking) return { passed: false, reason: blocking.reason, tripId: blocking.id };
+
+    const tripped = (await this.evaluate(channel.id, active)) || (await this.checkTradesPerHour(active));
+    if (tripped) return { passed: false, reason: tripped.reason, tripId: tripped.id };
+
+    return { passed: true };
+  }
+
+  // Runs the loss breakers; returns the trip that blocks the channel, if any
+  async evaluate(channelId = null, active = null) {
+    const activeTrips = active || await CircuitBreakerTrip.findActive();
+    return (await this.checkDailyLoss(activeTrips))
+      || (await this.checkDrawdown(activeTrips))
+      || (channelId ? await this.checkConsecutiveLosses(channelId, activeTrips) : null);
+  }
+
+  async checkDailyLoss(active) {
+    const { maxDailyLoss } = this.limits;
+    if (!maxDailyLoss) return null;
+
+    const startOfDay = new Date();
+    startOfDay.setUTCHours(0, 0, 0, 0);
+    const since = await this.countingSince('daily_loss', null, startOfDay);
+    const pnl = await Position.getRealizedPnlSince(since);
+    if (pnl > -maxDailyLoss) return null;
+
+    return this.trip('daily_loss', {
+      active,
+      reason: `Daily realized loss ${Math.abs(pnl).toFixed(2)} USDT reached the ${maxDailyLoss} USDT limit`,
+      details: { realizedPnl: pnl, limit: maxDailyLoss, since }
+    });
+  }
+
+  async checkDrawdown(active) {
+    const { maxDrawdownPercent } = this.limits;
+    if (!maxDrawdownPercent) return null;
+
+    const equity = await this.getTotalEquity();
+    if (!equity) return null;
+    const peak = Math.max((await redisUtils.get(EQUITY_PEAK_KEY)) || 0, equity);
+    await redisUtils.set(EQUITY_PEAK_KEY, peak, null);
+
+    const drawdown = ((peak - equity) / peak) * 100;
+    if (drawdown < maxDrawdownPercent) return null;
+
+    return this.trip('drawdown', {
+      active,
+      reason: `Equity ${equity.toFixed(2)} USDT is ${drawdown.toFixed(2)}% below its peak ${peak.toFixed(2)} USDT (limit ${maxDrawdownPercent}%)`,
+      details: { equity, peak, drawdownPercent: drawdown, limit: maxDrawdownPercent }
+    });
+  }
+
+  // Main account plus every sub-account the kill switch walks; paper accounts are left out
+  async getTotalEquity() {
+    const subAccounts = new Set();
+    const add = (subAccountId) => {
+      if (subAccountId && subAccountId !== 'main_account' && subAccountId !== 'main'
+        && !String(subAccountId).startsWith('placeholder_') && !isPaperAccount(subAccountId)) {
+        subAccounts.add(subAccountId);
+      }
+    };
+
+    (await Account.findAll()).forEach(a => add(a.bingxSubAccountId));
+    try {
+      (await this.bingx.getSubAccounts()).forEach(a => add(a.subAccountId));
+    } catch (error) {
+      logger.warn('Circuit breaker: could not list exchange sub-accounts', { error: error.message });
+    }
+
+    // a missing account would read as a drawdown, so the check is skipped instead
+    try {
+      const infos = await Promise.all([null, ...subAccounts].map(id => this.bingx.getAccountInfo(id)));
+      return infos.reduce((sum, info) => sum + (parseFloat(info?.equity) || 0), 0);
+    } catch (error) {
+      logger.warn('Circuit breaker: could not read account equity, drawdown not checked', { error: error.message });
+      return null;
+    }
+  }
+
+  async checkConsecutiveLosses(channelId, active) {
+    const { maxConsecutiveLosses } = this.limits;
+    if (!maxConsecutiveLosses) return null;
+
+    const since = await this.countingSince('consecutive_losses', channelId, new Date(0));
+    const closed = await Position.getLastClosed(channelId, maxConsecutiveLosses, since);
+    const losses = closed.filter(p => parseFloat(p.realizedPnl || 0) < 0);
+    if (closed.length < maxConsecutiveLosses || losses.length < closed.length) return null;
+
+    return this.trip('consecutive_losses', {
+      active,
+      channelId,
+      reason: `${losses.length} losing trades in a row (limit ${maxConsecutiveLosses})`,
+      details: { positionIds: closed.map(p => p.id), limit: maxConsecutiveLosses }
+    });
+  }
+
+  async checkTradesPerHour(active) {
+    const { maxTradesPerHour } = this.limits;
+    if (!maxTradesPerHour) return null;
+
+    const since = await this.countingSince('trades_per_hour', null, new Date(Date.now() - 60 * 60 * 1000));
+    const trades = await Position.countOpenedSince(since);
+    if (trades < maxTradesPerHour) return null;
+
+    return this.trip('trades_per_hour', {
+      active,
+      reason: `${trades} trades opened within the last hour (limit ${maxTradesPerHour})`,
+      details: { trades, limit: maxTradesPerHour, since }
+    });
+  }
+
+  async countingSince(breaker, channelId, from) {
+    const resetAt = await CircuitBreakerTrip.getLastResetAt(breaker, channelId);
+    return resetAt && new Date(resetAt) > from ? new Date(resetAt) : from;
+  }
+
+  async trip(breaker, { active, channelId = null, reason, details }) {
+    const existing = active.find(t => t.breaker === breaker && (t.channelId || null) === channelId);
+    if (existing) return existing;
+
+    const channels = channelId
+      ? [await Channel.findById(channelId)].filter(Boolean)
+      : (await Channel.findAll({ isActive: true })).filter(c => c.autoExecute);
+    const toPause = channels.filter(c => !c.isPaused);
+    const pauseReason = `Circuit breaker: ${reason}`;
+
+    for (const channel of toPause) {
+      // eslint-disable-next-line no-await-in-loop
+      await channel.pause(pauseReason);
+      // eslint-disable-next-line no-await-in-loop
+      await this.notifyChannelUpdate('paused', channel);
+    }
+
+    const trip = await CircuitBreakerTrip.create({
+      breaker, channelId, reason, details, pausedChannelIds: toPause.map(c => c.id)
+    });
+    active.push(trip);
+
+    logger.error(`Circuit breaker tripped: ${reason}`, { breaker, channelId, pausedChannels: trip.pausedChannelIds.length });
+    tradeLog('circuit_breaker_tripped', { tripId: trip.id, breaker, channelId, reason, details });
+    await this.publishAlert({
+      type: 'circuit_breaker_tripped',
+      severity: 'critical',
+      message: reason,
+      trip: trip.toJSON()
+    });
+    return trip;
+  }
+
+  /**
+   * Resets active trips (all of them, or those matching breaker / channelId) and resumes
+   * the channels they paused, unless a channel was re-paused for another reason since.
+   */
+  async reset({ breaker = null, channelId = null } = {}, resetBy = null) {
+    const active = await CircuitBreakerTrip.findActive();
+    const toReset = active.filter(t => (!breaker || t.breaker === breaker) && (!channelId || t.channelId === channelId));
+    const remaining = active.filter(t => !toReset.includes(t));
+    const heldByRemaining = new Set(remaining.flatMap(t => t.pausedChannelIds));
+    const resumed = [];
+
+    for (const trip of toReset) {
+      // eslint-disable-next-line no-await-in-loop
+      await trip.reset(resetBy);
+
+      for (const id of trip.pausedChannelIds.filter(cid => !heldByRemaining.has(cid))) {
+        // eslint-disable-next-line no-await-in-loop
+        const channel = await Channel.findById(id);
+        if (channel && channel.isPaused && channel.pauseReason === `Circuit breaker: ${trip.reason}`) {
+          // eslint-disable-next-line no-await-in-loop
+          await channel.resume();
+          // eslint-disable-next-line no-await-in-loop
+          await this.notifyChannelUpdate('resumed', channel);
+          resumed.push(channel.id);
+        }
+      }
+    }
+
+    // the drawdown is measured from the equity at reset from now on, over the same accounts as checkDrawdown
+    if (toReset.some(t => t.breaker === 'drawdown')) {
+      try {
+        const equity = await this.getTotalEquity();
+        if (equity) await redisUtils.set(EQUITY_PEAK_KEY, equity, null);
+      } catch (error) {
+        logger.warn('Could not reset equity peak', { error: error.message });
+      }
+    }
+
+    if (toReset.length > 0) {
+      tradeLog('circuit_breaker_reset', { tripIds: toReset.map(t => t.id), resetBy, resumedChannels: resumed });
+      await this.publishAlert({
+        type: 'circuit_breaker_reset',
+        severity: 'info',
+        message: `Circuit breakers reset: ${toReset.map(t => t.breaker).join(', ')}`,
+        tripIds: toReset.map(t => t.id),
+        resumedChannelIds: resumed
+      });
+    }
+
+    return { reset: toReset.map(t => t.toJSON()), resumedChannelIds: resumed };
+  }
+
+  async getStatus() {
+    const [active, recent] = await Promise.all([CircuitBreakerTrip.findActive(), CircuitBreakerTrip.findRecent()]);
+    return {
+      halted: active.some(t => GLOBAL_BREAKERS.includes(t.breaker)),
+      limits: this.limits,
+      equityPeak: await redisUtils.get(EQUITY_PEAK_KEY),
+      activeTrips: active.map(t => t.toJSON()),
+      recentTrips: recent.map(t => t.toJSON())
+    };
+  }
+
+  async notifyChannelUpdate(action, channel) {
+    await redisUtils.publish(CHANNELS.CHANNEL_UPDATE, {
+      type: 'channel_update',
+      action,
+      channel: channel.toJSON(),
+      timestamp: new Date()
+    });
+  }
+
+  async publishAlert(alert) {
+    try {
+      await redisUtils.publish(CHANNELS.SYSTEM_ALERT, { source: 'circuit_breaker', ...alert, timestamp: new Date().toISOString() });
+    } catch (error) {
+      logger.error('Error publishing circuit breaker alert:', error);
+    }
+  }
+}
+
+module.exports = CircuitBreakerService;
@@ -0,0 +1,205 @@
+const config = require('../config/app');
+const db = require('../database/connection');
+const { signal: signalLog } = require('../utils/logger');
+const Signal = require('../models/Signal');
+
+const TIME_RANGES = {
+  '1h': '1 hour',
+  '24h': '24 hours',
+  '7d': '7 days',
+  '30d': '30 days'
+};
+
+const isEmpty = value => value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Finds entry signals that repeat another channel's call: same coin and direction,
+ * posted within the time window after it, with matching entry / stop-loss / take-profit levels.
+ * The first signal stays the original; what happens to the repost follows the
+ * duplicatePolicy of its channel (see SignalFeedService.createSignal).
+ */
+class DuplicateDetectionService {
+  constructor(options = config.duplicateDetection) {
+    this.windowMinutes = options.windowMinutes;
+    this.priceTolerancePercent = options.priceTolerancePercent;
+    this.minScore = options.minScore;
+  }
+
+  // Middle of the zone when the post gives an entry range
+  static entryOf(signal) {
+    if (!isEmpty(signal.entryPrice)) return parseFloat(signal.entryPrice);
+    if (Array.isArray(signal.entryPriceRange) && signal.entryPriceRange.length === 2) {
+      return (parseFloat(signal.entryPriceRange[0]) + parseFloat(signal.entryPriceRange[1])) / 2;
+    }
+    return null;
+  }
+
+  samePrice(a, b) {
+    return (Math.abs(a - b) / Math.max(a, b)) * 100 <= this.priceTolerancePercent;
+  }
+
+  /**
+   * Average over entry, stop-loss and take-profits of how well the levels match, counting only
+   * the parts both signals state (take-profits by the share of matching levels).
+   * Null when the signals have no level in common to compare.
+   */
+  score(signal, candidate) {
+    const parts = [];
+
+    const entry = DuplicateDetectionService.entryOf(signal);
+    const candidateEntry = DuplicateDetectionService.entryOf(candidate);
+    if (entry && candidateEntry) {
+      parts.push(this.samePrice(entry, candidateEntry) ? 1 : 0);
+    }
+
+    const stopLoss = parseFloat(signal.stopLoss);
+    const candidateStopLoss = parseFloat(candidate.stopLoss);
+    if (stopLoss > 0 && candidateStopLoss > 0) {
+      parts.push(this.samePrice(stopLoss, candidateStopLoss) ? 1 : 0);
+    }
+
+    const levels = (signal.takeProfitLevels || []).map(parseFloat).filter(tp => tp > 0);
+    const candidateLevels = (candidate.takeProfitLevels || []).map(parseFloat).filter(tp => tp > 0);
+    if (levels.length > 0 && candidateLevels.length > 0) {
+      const matched = levels.filter(tp => candidateLevels.some(level => this.samePrice(tp, level))).length;
+      parts.push(matched / levels.length);
+    }
+
+    if (parts.length === 0) return null;
+    return parts.reduce((sum, part) => sum + part, 0) / parts.length;
+  }
+
+  /**
+   * Earliest matching signal of another channel for a new entry signal, as { signal, score },
+   * or null. A repost of a repost points at the signal the first repost was copied from.
+   */
+  async findOriginal(signalData) {
+    if (signalData.signalType !== 'entry' || !signalData.coin || !signalData.direction) {
+      return null;
+    }
+
+    const postedAt = new Date(signalData.messageTimestamp || Date.now());
+    const candidates = await Signal.findDuplicateCandidates({
+      coin: signalData.coin,
+      direction: signalData.direction,
+      channelId: signalData.channelId,
+      since: new Date(postedAt.getTime() - this.windowMinutes * 60 * 1000),
+      until: postedAt
+    });
+
+    for (const candidate of candidates) {
+      const score = this.score(signalData, candidate);
+      if (score === null || score < this.minScore) continue;
+
+      const original = candidate.duplicateOf ? await Signal.findById(candidate.duplicateOf) : null;
+      if (original && original.channelId !== signalData.channelId) {
+        return { signal: original, score };
+      }
+      return { signal: candidate, score };
+    }
+
+    return null;
+  }
+
+  /**
+   * 'merge' policy: levels the original did not state are taken from the repost,
+   * as long as the original has not been executed yet. Returns the applied updates.
+   */
+  async mergeInto(original, duplicate) {
+    if (!['pending', 'approved'].includes(original.status)) {
+      return {};
+    }
+
+    const updates = {};
+    if (isEmpty(original.entryPrice) && isEmpty(original.entryPriceRange)) {
+      if (!isEmpty(duplicate.entryPrice)) updates.entryPrice = duplicate.entryPrice;
+      if (!isEmpty(duplicate.entryPriceRange)) updates.entryPriceRange = duplicate.entryPriceRange;
+    }
+    ['leverage', 'takeProfitLevels', 'stopLoss'].forEach((field) => {
+      if (isEmpty(original[field]) && !isEmpty(duplicate[field])) {
+        updates[field] = duplicate[field];
+      }
+    });
+
+    if (Object.keys(updates).length > 0) {
+      await original.update(updates);
+      signalLog('duplicate_merged', {
+        signalId: original.id,
+        duplicateId: duplicate.id,
+        fields: Object.keys(updates)
+      });
+    }
+
+    return updates;
+  }
+
+  /**
+   * Which channels post calls first and which repeat them: per channel, how many of its entry
+   * signals were reposts and how many were reposted by others, plus every copier → source pair
+   * with the average delay.
+   */
+  async getStats(timeRange = '7d') {
+    const interval = TIME_RANGES[timeRange] || TIME_RANGES['7d'];
+
+    const channelsResult = await db.query(`
+      SELECT s.channel_id, c.name as channel_name,
+        COUNT(*) as entry_signals,
+        COUNT(s.duplicate_of) as copies,
+        COUNT(*) FILTER (WHERE EXISTS (SELECT 1 FROM signals d WHERE d.duplicate_of = s.id)) as copied
+      FROM signals s
+      LEFT JOIN channels c ON s.channel_id = c.id
+      WHERE s.signal_type = 'entry' AND s.status <> 'imported'
+        AND s.message_timestamp >= NOW() - INTERVAL '${interval}'
+      GROUP BY s.channel_id, c.name
+      ORDER BY c.name
+    `);
+
+    const pairsResult = await db.query(`
+      SELECT d.channel_id as copier_id, dc.name as copier_name,
+        o.channel_id as source_id, oc.name as source_name,
+        COUNT(*) as copies,
+        AVG(EXTRACT(EPOCH FROM (d.message_timestamp - o.message_timestamp))) as avg_delay_seconds
+      FROM signals d
+      JOIN signals o ON d.duplicate_of = o.id
+      LEFT JOIN channels dc ON d.channel_id = dc.id
+      LEFT JOIN channels oc ON o.channel_id = oc.id
+      WHERE d.message_timestamp >= NOW() - INTERVAL '${interval}'
+      GROUP BY d.channel_id, dc.name, o.channel_id, oc.name
+      ORDER BY copies DESC
+    `);
+
+    const channels = channelsResult.rows.map((row) => {
+      const entrySignals = parseInt(row.entry_signals);
+      const copies = parseInt(row.copies);
+      const copied = parseInt(row.copied);
+
+      let role = 'independent';
+      if (copies > 0 && copied > 0) role = 'mixed';
+      else if (copies > 0) role = 'copier';
+      else if (copied > 0) role = 'source';
+
+      return {
+        channelId: row.channel_id,
+        channelName: row.channel_name,
+        entrySignals,
+        copies,
+        copied,
+        copyRate: entrySignals > 0 ? parseFloat((copies / entrySignals).toFixed(3)) : 0,
+        role
+      };
+    });
+
+    const pairs = pairsResult.rows.map(row => ({
+      copierChannelId: row.copier_id,
+      copierChannelName: row.copier_name,
+      sourceChannelId: row.source_id,
+      sourceChannelName: row.source_name,
+      copies: parseInt(row.copies),
+      avgDelayMinutes: parseFloat((parseFloat(row.avg_delay_seconds || 0) / 60).toFixed(1))
+    }));
+
+    return { timeRange, windowMinutes: this.windowMinutes, channels, pairs, generatedAt: new Date() };
+  }
+}
+
+module.exports = DuplicateDetectionService;
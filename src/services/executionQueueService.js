@@ -0,0 +1,332 @@
+const Bull = require('bull');
+const config = require('../config/app');
+const { logger, trade: tradeLog } = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const QUEUE_NAMES = {
+  execution: 'signal-execution',
+  riskManagement: 'risk-management',
+  breakeven: 'breakeven',
+  entryFill: 'entry-fill',
+  deadLetter: 'dead-letter'
+};
+
+const PROCESSED_QUEUES = ['execution', 'riskManagement', 'breakeven', 'entryFill'];
+const JOB_STATUSES = ['waiting', 'active', 'delayed', 'completed', 'failed', 'paused'];
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const TRANSIENT_ERROR_PATTERNS = [
+  /socket hang up/i,
+  /timeout of \d+ms exceeded/i,
+  /network error/i,
+  /too many requests/i,
+  /rate limit/i,
+  /frequency limit/i,
+  /system busy/i,
+  /service unavailable/i,
+  ...TRANSIENT_ERROR_CODES.map(code => new RegExp(code))
+];
+
+// Network failures, rate limits and 5xx from BingX are worth retrying; rejected orders and risk checks are not
+const isTransientError = (error) => {
+  if (!error) return false;
+  const status = error.status || (error.response && error.response.status);
+  if (status === 429 || status >= 500) return true;
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) return true;
+  return TRANSIENT_ERROR_PATTERNS.some(pattern => pattern.test(String(error.message || '')));
+};
+
+/**
+ * Bull queues for signal execution, TP/SL placement, breakeven moves and entry zone fill checks.
+ * Jobs survive restarts in Redis, transient errors are retried with exponential
+ * backoff, and jobs that run out of attempts are copied to the dead-letter queue.
+ */
+class ExecutionQueueService {
+  constructor(options = {}) {
+    this.options = { ...config.executionQueue, ...options };
+    this.createQueue = options.createQueue || ((name) => this.createBullQueue(name));
+    this.onDeadLetter = options.onDeadLetter || null;
+    this.queues = {};
+  }
+
+  createBullQueue(name) {
+    const { url, host, port, password, db } = config.redis;
+    const queueOptions = { prefix: this.options.prefix };
+
+    return url
+      ? new Bull(name, url, queueOptions)
+      : new Bull(name, { ...queueOptions, redis: { host, port, password: password || undefined, db } });
+  }
+
+  /**
+   * handlers: { execution, riskManagement, breakeven, entryFill } - async (job) => result
+   */
+  initialize(handlers) {
+    for (const [key, name] of Object.entries(QUEUE_NAMES)) {
+      this.queues[key] = this.createQueue(name);
+      this.queues[key].on('error', (error) => logger.error(`Queue ${name} error:`, error));
+    }
+
+    PROCESSED_QUEUES.forEach(key => {
+      const concurrency = key === 'execution' ? this.options.concurrency : 1;
+      this.queues[key].process(concurrency, this.wrapHandler(handlers[key]));
+      this.queues[key].on('failed', (job, error) => {
+        this.handleFailed(key, job, error).catch(e => logger.error('Error handling failed job:', e));
+      });
+    });
+
+    logger.info('Execution queues initialized', { queues: Object.values(QUEUE_NAMES) });
+  }
+
+  // Only transient errors use the remaining attempts
+  wrapHandler(handler) {
+    return async (job) => {
+      try {
+        return await handler(job);
+      } catch (error) {
+        if (!isTransientError(error)) {
+          error.unrecoverable = true;
+          job.discard();
+        }
+        throw error;
+      }
+    };
+  }
+
+  async handleFailed(key, job, error) {
+    const attempts = job.opts.attempts || 1;
+    if (!error.unrecoverable && job.attemptsMade < attempts) {
+      tradeLog('job_retry', {
+        queue: key, jobId: job.id, attemptsMade: job.attemptsMade, attempts, error: error.message
+      });
+      return;
+    }
+
+    await this.queues.deadLetter.add('dead', {
+      queue: key,
+      jobId: job.id,
+      name: job.name,
+      data: job.data,
+      failedReason: error.message,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString()
+    }, { removeOnComplete: false, removeOnFail: false });
+
+    tradeLog('job_dead_lettered', { queue: key, jobId: job.id, attemptsMade: job.attemptsMade, error: error.message });
+
+    if (this.onDeadLetter) {
+      await this.onDeadLetter(key, job, error);
+    }
+  }
+
+  jobOptions(overrides = {}) {
+    return {
+      attempts: this.options.attempts,
+      backoff: { type: 'exponential', delay: this.options.backoffDelay },
+      removeOnComplete: this.options.removeOnComplete,
+      removeOnFail: false,
+      ...overrides
+    };
+  }
+
+  // Bull runs priority 1 first: manual executions, then signals by confidence
+  getPriority({ manual, priority }) {
+    if (manual) return 1;
+    const confidence = parseFloat(priority);
+    if (!Number.isFinite(confidence)) return 100;
+    return 2 + Math.round((1 - Math.min(Math.max(confidence, 0), 1)) * 98);
+  }
+
+  async addExecution(data) {
+    const job = await this.getQueue('execution').add('execute', data, this.jobOptions({
+      priority: this.getPriority(data)
+    }));
+    tradeLog('queued', { signalId: data.signalId, jobId: job.id, priority: job.opts.priority, manual: data.manual || false });
+    return job;
+  }
+
+  // One TP/SL job per position; Bull keeps finished jobs and would ignore the new one, so a re-run replaces them
+  async addRiskManagement(data) {
+    const queue = this.getQueue('riskManagement');
+    const jobId = `rm-${data.positionId}`;
+    const previous = await queue.getJob(jobId);
+    if (previous && ['completed', 'failed'].includes(await previous.getState())) {
+      await previous.remove();
+    }
+    return queue.add('place', data, this.jobOptions({ jobId }));
+  }
+
+  // Checks are chained as delayed jobs; the job id keeps one chain per position (restarts start a new one)
+  async addBreakevenCheck(data, delay = 0) {
+    const check = data.checks || 0;
+    return this.getQueue('breakeven').add('check', data, this.jobOptions({
+      jobId: `breakeven-${data.positionId}-${data.restarts || 0}-${check}`,
+      delay,
+      removeOnComplete: true
+    }));
+  }
+
+  async removeBreakevenChecks(positionId) {
+    if (!this.queues.breakeven) return 0;
+    const jobs = await this.queues.breakeven.getJobs(['delayed', 'waiting']);
+    const pending = jobs.filter(job => job && job.data.positionId === positionId);
+    await Promise.all(pending.map(job => job.remove()));
+    return pending.length;
+  }
+
+  // Fill checks of an entry zone, chained like the breakeven checks: one chain per signal
+  async addEntryFillCheck(data, delay = 0) {
+    return this.getQueue('entryFill').add('check', data, this.jobOptions({
+      jobId: `entry-fill-${data.signalId}-${data.checks || 0}`,
+      delay,
+      removeOnComplete: true
+    }));
+  }
+
+  async isPending(key, jobId) {
+    const job = await this.getQueue(key).getJob(jobId);
+    if (!job) return false;
+    return ['waiting', 'active', 'delayed', 'paused'].includes(await job.getState());
+  }
+
+  async hasBreakevenCheck(positionId) {
+    const jobs = await this.getQueue('breakeven').getJobs(['delayed', 'waiting', 'active']);
+    return jobs.some(job => job && job.data.positionId === positionId);
+  }
+
+  async hasEntryFillCheck(signalId) {
+    const jobs = await this.getQueue('entryFill').getJobs(['delayed', 'waiting', 'active']);
+    return jobs.some(job => job && job.data.signalId === signalId);
+  }
+
+  getQueue(key) {
+    const queue = this.queues[key];
+    if (!queue) {
+      throw new Error(`Queue not found: ${key}`);
+    }
+    return queue;
+  }
+
+  async getStats() {
+    const stats = {};
+    for (const key of Object.keys(QUEUE_NAMES)) {
+      const queue = this.getQueue(key);
+      stats[key] = {
+        name: QUEUE_NAMES[key],
+        counts: await queue.getJobCounts(),
+        isPaused: await queue.isPaused()
+      };
+    }
+    return stats;
+  }
+
+  async getJobs(key, status = 'failed', offset = 0, limit = 50) {
+    const jobs = await this.getQueue(key).getJobs([status], offset, offset + limit - 1);
+    return jobs.filter(Boolean).map(job => this.serializeJob(key, job, status));
+  }
+
+  async getJob(key, jobId) {
+    const job = await this.getQueue(key).getJob(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    return this.serializeJob(key, job, await job.getState());
+  }
+
+  // Dead-lettered jobs are re-added to their original queue with fresh attempts
+  async retryJob(key, jobId) {
+    const job = await this.getQueue(key).getJob(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (key === 'deadLetter') {
+      const { queue, name, data } = job.data;
+      const retried = await this.getQueue(queue).add(name, data, this.jobOptions(
+        queue === 'execution' ? { priority: this.getPriority(data) } : {}
+      ));
+      await job.remove();
+      tradeLog('job_requeued', { queue, deadLetterJobId: jobId, jobId: retried.id });
+      return this.serializeJob(queue, retried, 'waiting');
+    }
+
+    const state = await job.getState();
+    if (state !== 'failed') {
+      throw new ValidationError(`Only failed jobs can be retried (current state: ${state})`);
+    }
+    await job.retry();
+    return this.serializeJob(key, job, 'waiting');
+  }
+
+  async removeJob(key, jobId) {
+    const job = await this.getQueue(key).getJob(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    await job.remove();
+    return true;
+  }
+
+  // Bull calls the waiting list "wait"
+  async purge(key, status, grace = 0) {
+    const removed = await this.getQueue(key).clean(grace, status === 'waiting' ? 'wait' : status);
+    tradeLog('queue_purged', { queue: key, status, removed: removed.length });
+    return removed.length;
+  }
+
+  serializeJob(key, job, state) {
+    return {
+      id: job.id,
+      queue: key,
+      name: job.name,
+      state,
+      data: job.data,
+      priority: job.opts.priority || null,
+      attemptsMade: job.attemptsMade,
+      attempts: job.opts.attempts || 1,
+      failedReason: job.failedReason || null,
+      returnValue: job.returnvalue ?? null,
+      createdAt: job.timestamp ? new Date(job.timestamp) : null,
+      processedAt: job.processedOn ? new Date(job.processedOn) : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+    };
+  }
+
+  // Global pause: stored in Redis, so workers of every process stop picking up jobs; active jobs finish
+  async pause(keys = PROCESSED_QUEUES) {
+    await Promise.all(keys.map(key => this.getQueue(key).pause()));
+    tradeLog('queues_paused', { queues: keys });
+    return keys;
+  }
+
+  async resume(keys = PROCESSED_QUEUES) {
+    await Promise.all(keys.map(key => this.getQueue(key).resume()));
+    tradeLog('queues_resumed', { queues: keys });
+    return keys;
+  }
+
+  // Jobs not started yet (paused queues keep them in "paused"), removed so that a resume does not run them
+  async removePending(keys = ['execution', 'entryFill', 'breakeven']) {
+    const removed = [];
+    for (const key of keys) {
+      // eslint-disable-next-line no-await-in-loop
+      const jobs = (await this.getQueue(key).getJobs(['waiting', 'delayed', 'paused'])).filter(Boolean);
+      // eslint-disable-next-line no-await-in-loop
+      await Promise.all(jobs.map(job => job.remove()));
+      removed.push(...jobs.map(job => ({ queue: key, jobId: job.id, data: job.data })));
+    }
+    tradeLog('queue_jobs_removed', { queues: keys, removed: removed.length });
+    return removed;
+  }
+
+  async close() {
+    await Promise.all(Object.values(this.queues).map(queue => queue.close()));
+  }
+}
+
+module.exports = {
+  ExecutionQueueService,
+  QUEUE_NAMES,
+  JOB_STATUSES,
+  isTransientError
+};
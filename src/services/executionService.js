@@ -6,28 +6,44 @@ const Channel = require('../models/Channel');
 const Account = require('../models/Account');
 const Position = require('../models/Position');
 const BingXService = require('./bingxService');
+const { ExecutionQueueService, isTransientError } = require('./executionQueueService');
+const CircuitBreakerService = require('./circuitBreakerService');
+const SignalExpiryService = require('./signalExpiryService');
+const { paperAccountId, isPaperAccount } = require('./paperExchangeService');
 const Decimal = require('decimal.js');
 const { getRiskManagementStatus } = require('../routes/settings');
 const config = require('../config/app');
 
+const isOpenOrder = (o) => !['FILLED', 'CANCELED', 'CANCELLED', 'EXPIRED', 'REJECTED'].includes(o.status);
+
 class ExecutionService {
   constructor() {
     this.bingx = new BingXService();
     this.activeExecutions = new Map();
-    this.executionQueue = [];
-    this.isProcessing = false;
-    this.maxConcurrentExecutions = 3;
-    this.processingInterval = null;
+    this.maxConcurrentExecutions = config.executionQueue.concurrency;
 
-    // watchers for breakeven
-    this.breakevenWatchers = new Map(); // key: positionId, value: timer
+    // execution, TP/SL placement and breakeven moves run as Bull jobs
+    this.queue = new ExecutionQueueService({
+      onDeadLetter: (queue, job, error) => this.handleDeadLetter(queue, job, error)
+    });
+    this.circuitBreaker = new CircuitBreakerService(this.bingx);
+    this.signalExpiry = new SignalExpiryService(this.bingx, {
+      isEntering: (signal) => this.queue.hasEntryFillCheck(signal.id)
+    });
   }
 
   async initialize() {
     try {
       await this.bingx.initialize();
-      await this.startExecutionProcessor();
+      this.queue.initialize({
+        execution: (job) => this.processExecutionJob(job),
+        riskManagement: (job) => this.processRiskManagementJob(job),
+        breakeven: (job) => this.processStopJob(job),
+        entryFill: (job) => this.processEntryFillJob(job)
+      });
       await this.subscribeToExecutionSignals();
+      await this.circuitBreaker.initialize();
+      this.signalExpiry.start();
       logger.info('Execution service initialized successfully');
       return true;
     } catch (error) {
@@ -62,58 +78,64 @@ class ExecutionService {
     }
   }
 
-  async startExecutionProcessor() {
-    this.processingInterval = setInterval(async () => {
-      if (!this.isProcessing && this.activeExecutions.size < this.maxConcurrentExecutions) {
-        await this.processExecutionQueue();
-      }
-    }, 2000);
-    logger.info('Execution processor started');
-  }
-
   async queueExecution(executionData) {
     try {
-      await redisUtils.lPush('execution_queue', executionData);
-      this.executionQueue.push(executionData);
-      tradeLog('queued', {
-        signalId: executionData.signalId,
-        priority: executionData.priority,
-        manual: executionData.manual || false
-      });
+      return await this.queue.addExecution(executionData);
     } catch (error) {
       logger.error('Error queueing execution:', error);
+      return null;
     }
   }
 
-  async processExecutionQueue() {
-    if (this.isProcessing) return;
-    this.isProcessing = true;
-    try {
-      const available = this.maxConcurrentExecutions - this.activeExecutions.size;
-      for (let i = 0; i < available; i += 1) {
-        const executionData = await redisUtils.rPop('execution_queue');
-        if (!executionData) break;
-        this.executeSignal(
-          executionData.signalId,
-          `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        ).catch((error) => {
-          logger.error(`Execution error for signal ${executionData.signalId}:`, error);
-        });
-      }
-    } catch (error) {
-      logger.error('Error processing execution queue:', error);
-    } finally {
-      this.isProcessing = false;
+  async processExecutionJob(job) {
+    const { signalId, customParams, manual } = job.data;
+    return this.executeSignal(signalId, `job_${job.id}`, { customParams, manual });
+  }
+
+  // Jobs that ran out of attempts: the signal is failed, a position without TP/SL needs a human
+  async handleDeadLetter(queue, job, error) {
+    if (queue === 'execution' || queue === 'entryFill') {
+      const signal = await Signal.findById(job.data.signalId);
+      if (signal) await signal.markAsFailed(`${error.message} (after ${job.attemptsMade} attempts)`);
+      tradeLog('execution_failed', { signalId: job.data.signalId, error: error.message, jobId: job.id });
+    } else if (queue === 'riskManagement') {
+      logger.error('TP/SL placement failed permanently, position may be unprotected', {
+        positionId: job.data.positionId, placed: job.data.placed || [], error: error.message
+      });
+    }
+    if (queue === 'entryFill') {
+      logger.error('Entry zone fill check failed permanently, entry orders may still be open', {
+        signalId: job.data.signalId, orders: job.data.orders.map((o) => o.orderId), error: error.message
+      });
     }
   }
 
-  async executeSignal(signalId, executionId) {
+  async executeSignal(signalId, executionId, options = {}) {
+    const running = Array.from(this.activeExecutions.values()).find((e) => e.signalId === signalId);
+    if (running) {
+      logger.warn('Signal is already being executed, skipping', { signalId, executionId });
+      return { success: false, skipped: true, reason: 'Signal is already being executed' };
+    }
+
     let signal; let channel; let account; let subAccountId;
+    this.activeExecutions.set(executionId, { signalId, status: 'running', startTime: new Date() });
     try {
       logger.info('Executing signal', { signalId, executionId });
 
       signal = await Signal.findById(signalId);
       if (!signal) throw new Error('Signal not found');
+      if (signal.status === 'imported') {
+        logger.warn('Imported signals are never executed, skipping', { signalId, executionId });
+        return { success: false, skipped: true, reason: 'Imported signals are never executed' };
+      }
+
+      // Повторный запуск: позиция по сигналу уже открыта — только убеждаемся, что TP/SL поставлены
+      const [existingPosition] = await Position.findBySignalId(signal.id);
+      if (existingPosition) return await this.resumeExecutedSignal(signal, existingPosition);
+
+      const customParams = options.customParams || {};
+      if (customParams.positionSize) signal.customQuantity = customParams.positionSize;
+      if (customParams.leverage) signal.leverage = customParams.leverage;
 
       channel = await Channel.findById(signal.channelId);
       if (!channel) throw new Error('Channel not found');
@@ -121,7 +143,33 @@ class ExecutionService {
       account = await Account.findByChannelId(signal.channelId);
       if (!account) throw new Error('Account not found');
 
-      subAccountId = account.bingxSubAccountId || null;
+      subAccountId = this.getSubAccountId(channel, account);
+      const symbol = this.formatSymbol(signal.coin);
+      const entryZone = this.getEntryZone(signal, channel);
+      const effectiveSubAccountId = subAccountId && subAccountId !== 'main_account' ? subAccountId : null;
+
+      // Повторный запуск после падения между входом и записью позиции: ордера входа уже на бирже,
+      // проверки перед входом не повторяются
+      const entryOrders = await this.findEntryOrders(signal, symbol, entryZone, effectiveSubAccountId);
+      const resumed = await this.resumeEntry(signal, entryOrders, {
+        account, channel, subAccountId, symbol, entryZone
+      });
+      if (resumed) return resumed;
+
+      // Past the channel's TTL, TP1 / stop-loss already reached, or price too far from the entry.
+      // An entry order placed by an earlier attempt (not filled yet) is reused instead
+      const stale = entryOrders.length === 0 && await this.signalExpiry.check(signal, channel);
+      if (stale) {
+        await this.signalExpiry.expire(signal, stale);
+        logger.warn(`Signal expired before execution: ${stale.reason}`, { signalId, executionId });
+        return { success: false, skipped: true, expired: true, reason: stale.reason };
+      }
+
+      // Circuit breakers hold back automatic executions, even with risk management disabled
+      if (!options.manual) {
+        const breaker = await this.circuitBreaker.checkBeforeExecution(channel);
+        if (!breaker.passed) throw new Error(`Circuit breaker: ${breaker.reason}`);
+      }
 
       // Risk checks
       const riskChecks = await this.performRiskChecks(signal, channel, account);
@@ -130,7 +178,11 @@ class ExecutionService {
       // Balance & symbol info
       const accountInfo = await this.bingx.getAccountInfo(subAccountId);
       const availableBalance = accountInfo.availableBalance;
-      const symbol = this.formatSymbol(signal.coin);
+
+      // Zone-only signals are sized at the middle of the zone
+      if (!signal.entryPrice && entryZone) {
+        signal.entryPrice = (entryZone.low + entryZone.high) / 2;
+      }
 
       let symbolInfo;
       try {
@@ -148,11 +200,19 @@ class ExecutionService {
         };
       }
 
-      // Position size = 10% депозита * плечо
+      // размер по стратегии канала; ручной размер из customParams имеет приоритет
       const riskManagementDisabled = await getRiskManagementStatus();
-      let positionSize = signal.customQuantity || this.calculatePositionSize(
-        signal, channel, availableBalance, symbolInfo
-      );
+      let positionSize;
+      let sizing;
+      if (signal.customQuantity) {
+        positionSize = signal.customQuantity;
+        sizing = { strategy: 'manual', quantity: positionSize };
+      } else {
+        const market = channel.sizingStrategy === 'volatility' ? { atr: await this.getAtr(symbol) } : {};
+        ({ quantity: positionSize, sizing } = this.calculatePositionSize(
+          signal, channel, availableBalance, symbolInfo, market
+        ));
+      }
 
       // округление к stepSize
       if (symbolInfo.stepSize) {
@@ -182,18 +242,25 @@ class ExecutionService {
       await this.setLeverageSafely(symbol, signal.leverage, signal.direction, subAccountId);
 
       // основной ордер
-      const effectiveSubAccountId = subAccountId && subAccountId !== 'main_account' ? subAccountId : null;
+      if (entryZone) {
+        // LIMIT orders across the zone; a delayed job waits for the fills and sizes the position by them
+        const zoneOrders = await this.placeEntryZone(signal, entryZone, positionSize, symbol, effectiveSubAccountId, symbolInfo);
+        return await this.scheduleEntryFills(signal, zoneOrders, { subAccountId, symbol, entryZone, sizing, symbolInfo });
+      }
+
       const orderResult = await this.placeOrder(signal, positionSize, symbol, effectiveSubAccountId);
+      // an entry left by a previous attempt keeps its own size
+      if (orderResult.reused && orderResult.executedQty > 0) positionSize = orderResult.executedQty;
 
       // Wait for the position to be actually opened on the exchange before creating a local one
       const appeared = await this.waitForExchangePosition(symbol, effectiveSubAccountId, 15000);
-      
+
       // If position didn't appear but order is FILLED, continue anyway
       if (!appeared) {
         if (orderResult.status === 'FILLED') {
-          logger.warn('Position not found but order is FILLED, continuing execution', { 
-            symbol, 
-            orderId: orderResult.orderId, 
+          logger.warn('Position not found but order is FILLED, continuing execution', {
+            symbol,
+            orderId: orderResult.orderId,
             status: orderResult.status,
             executedQty: orderResult.executedQty
           });
@@ -204,36 +271,17 @@ class ExecutionService {
         }
       }
 
-      // fetch fresh exchange position details to capture entryPrice/side accurately
-      try {
-        const exPositions = await this.bingx.getPositions(effectiveSubAccountId);
-        const exPos = Array.isArray(exPositions)
-          ? exPositions.find((p) => p.symbol === symbol && p.size && Math.abs(p.size) > 0)
-          : null;
-        if (exPos) {
-          orderResult.executedPrice = exPos.entryPrice || orderResult.executedPrice;
-          orderResult.side = exPos.side || orderResult.side;
-        }
-      } catch (e) {
-        logger.warn('Failed to fetch exchange position after order placement', { symbol, error: e.message });
-      }
-
-      // запись позиции (только после подтверждения с биржи)
-      const position = await this.createPosition(signal, orderResult, account, positionSize, channel, subAccountId);
-
-      // стоп и все ТП (TP1/TP2/TP3) ставим только при наличии позиции на бирже
-      const rmOrders = await this.placeRiskManagementOrders(position, signal, subAccountId, channel, symbolInfo);
-
-      await signal.execute();
-      await this.notifyExecution(signal, position, orderResult);
-
-      tradeLog('executed', {
-        signalId: signal.id, positionId: position.id, symbol, side: orderResult.side || this.getOrderSide(signal.direction),
-        quantity: positionSize, executedPrice: orderResult.executedPrice, orderId: orderResult.orderId
+      return await this.openPosition(signal, orderResult, {
+        account, channel, subAccountId, symbol, quantity: positionSize, sizing, symbolInfo
       });
-
-      return { success: true, position, order: orderResult, rmOrders };
     } catch (error) {
+      // Rethrown for the queue to retry with backoff; the signal stays approved meanwhile.
+      // Orders carry deterministic clientOrderIds, so a retry reuses whatever this attempt already placed
+      if (isTransientError(error)) {
+        logger.warn(`Transient error executing signal ${signalId}, will retry: ${error.message}`);
+        throw error;
+      }
+
       logger.error(`Signal execution failed for ${signalId}:`, error);
       try {
         const s = await Signal.findById(signalId);
@@ -248,6 +296,150 @@ class ExecutionService {
     }
   }
 
+  // Entry orders a previous attempt left on the exchange: the zone's LIMIT orders, or the market entry
+  async findEntryOrders(signal, symbol, entryZone, subAccountId) {
+    const legs = entryZone
+      ? Array.from({ length: entryZone.orders }, (_, i) => `entry${i + 1}`)
+      : ['entry'];
+    const orders = [];
+    for (const leg of legs) {
+      // eslint-disable-next-line no-await-in-loop
+      const { existing } = await this.findExistingOrder(symbol, this.buildClientOrderId(signal.id, leg), subAccountId);
+      if (existing) {
+        orders.push({
+          price: existing.price,
+          quantity: existing.origQty,
+          orderId: existing.orderId,
+          status: existing.status,
+          executedQty: existing.executedQty,
+          avgPrice: existing.executedPrice
+        });
+      }
+    }
+    return orders;
+  }
+
+  /**
+   * Continues from entry orders already on the exchange, without sizing or checking the signal again:
+   * zone orders go back to the fill checks, a filled market entry opens the position.
+   * Returns null when there is nothing to continue from.
+   */
+  async resumeEntry(signal, entryOrders, { account, channel, subAccountId, symbol, entryZone }) {
+    if (entryOrders.length === 0) return null;
+
+    if (entryZone) {
+      // the fill checks of the interrupted attempt are still running
+      if (await this.queue.hasEntryFillCheck(signal.id)) {
+        return { success: true, pending: true, entryOrders, alreadyPlaced: true };
+      }
+      const symbolInfo = await this.bingx.getSymbolInfo(symbol).catch(() => null);
+      tradeLog('execution_resumed', { signalId: signal.id, entryOrders: entryOrders.map((o) => o.orderId) });
+      return this.scheduleEntryFills(signal, entryOrders, { subAccountId, symbol, entryZone, sizing: null, symbolInfo });
+    }
+
+    const [entry] = entryOrders;
+    if (!(entry.executedQty > 0)) return null;
+    const symbolInfo = await this.bingx.getSymbolInfo(symbol).catch(() => null);
+    tradeLog('execution_resumed', { signalId: signal.id, orderId: entry.orderId, executedQty: entry.executedQty });
+    return this.openPosition(signal, {
+      orderId: entry.orderId,
+      symbol,
+      side: this.getOrderSide(signal.direction),
+      status: entry.status,
+      executedQty: entry.executedQty,
+      executedPrice: entry.avgPrice,
+      reused: true
+    }, {
+      account, channel, subAccountId, symbol, quantity: entry.executedQty, sizing: null, symbolInfo
+    });
+  }
+
+  async scheduleEntryFills(signal, orders, { subAccountId, symbol, entryZone, sizing, symbolInfo }) {
+    const fillJob = await this.queue.addEntryFillCheck({
+      signalId: signal.id,
+      symbol,
+      subAccountId,
+      leverage: signal.leverage,
+      orders,
+      timeoutMs: entryZone.timeoutMs,
+      deadline: Date.now() + entryZone.timeoutMs,
+      sizing,
+      symbolInfo,
+      checks: 0
+    }, Math.min(config.trading.entryZone.pollInterval, entryZone.timeoutMs));
+    return { success: true, pending: true, entryOrders: orders, fillJobId: fillJob.id };
+  }
+
+  // The entry has filled: local position, TP/SL placement job and the signal marked executed
+  async openPosition(signal, orderResult, { account, channel, subAccountId, symbol, quantity, sizing, symbolInfo }) {
+    const effectiveSubAccountId = subAccountId && subAccountId !== 'main_account' ? subAccountId : null;
+
+    // fetch fresh exchange position details to capture entryPrice/side accurately
+    try {
+      const exPositions = await this.bingx.getPositions(effectiveSubAccountId);
+      const exPos = Array.isArray(exPositions)
+        ? exPositions.find((p) => p.symbol === symbol && p.size && Math.abs(p.size) > 0)
+        : null;
+      if (exPos) {
+        orderResult.executedPrice = exPos.entryPrice || orderResult.executedPrice;
+        orderResult.side = exPos.side || orderResult.side;
+      }
+    } catch (e) {
+      logger.warn('Failed to fetch exchange position after order placement', { symbol, error: e.message });
+    }
+
+    // запись позиции (только после подтверждения с биржи)
+    const position = await this.createPosition(signal, orderResult, account, quantity, channel, subAccountId, sizing);
+
+    // стоп и все ТП (TP1/TP2/TP3) ставим только при наличии позиции на бирже — отдельной задачей с ретраями
+    let rmJobId = null;
+    try {
+      const rmJob = await this.queue.addRiskManagement({
+        positionId: position.id, signalId: signal.id, subAccountId, symbolInfo
+      });
+      rmJobId = rmJob.id;
+    } catch (queueError) {
+      logger.error('Could not queue TP/SL placement, placing directly:', queueError);
+      await this.placeRiskManagementOrders(position, signal, subAccountId, channel, symbolInfo);
+    }
+
+    await signal.execute();
+    await this.notifyExecution(signal, position, orderResult);
+
+    tradeLog('executed', {
+      signalId: signal.id, positionId: position.id, symbol, side: orderResult.side || this.getOrderSide(signal.direction),
+      quantity, executedPrice: orderResult.executedPrice, orderId: orderResult.orderId
+    });
+
+    return { success: true, positionId: position.id, order: orderResult, rmJobId };
+  }
+
+  async resumeExecutedSignal(signal, position) {
+    let rmJobId = null;
+    if (position.status === 'open') {
+      const account = await Account.findByChannelId(signal.channelId);
+      const symbolInfo = await this.bingx.getSymbolInfo(position.symbol).catch(() => null);
+      // a pending rm-<positionId> job is kept, a finished or failed one runs again; placement skips orders that already exist
+      const rmJob = await this.queue.addRiskManagement({
+        positionId: position.id,
+        signalId: signal.id,
+        subAccountId: isPaperAccount(position.subAccountId) ? position.subAccountId : account?.bingxSubAccountId || null,
+        symbolInfo
+      });
+      rmJobId = rmJob.id;
+    }
+    if (signal.status !== 'executed') await signal.execute();
+
+    tradeLog('execution_resumed', { signalId: signal.id, positionId: position.id, rmJobId });
+    return { success: true, positionId: position.id, rmJobId, alreadyExecuted: true };
+  }
+
+  // Paper channels trade on their simulated account, everything else on the channel's BingX sub-account
+  getSubAccountId(channel, account) {
+    if (channel.tradingMode === 'paper') return paperAccountId(channel.id);
+    return account.bingxSubAccountId || null;
+  }
+
   async performRiskChecks(signal, channel, account) {
     try {
       const riskManagementDisabled = await getRiskManagementStatus();
@@ -258,7 +450,7 @@ class ExecutionService {
         return { passed: true, checks: ['Risk management disabled - all checks bypassed'], warning: 'Risk management is disabled' };
       }
 
-      const accountInfo = await this.bingx.getAccountInfo(account.bingxSubAccountId || null);
+      const accountInfo = await this.bingx.getAccountInfo(this.getSubAccountId(channel, account));
 
       if (signal.confidenceScore < config.trading.minSignalConfidence) {
         return { passed: false, reason: `Signal confidence ${signal.confidenceScore} below minimum ${config.trading.minSignalConfidence}` };
@@ -291,64 +483,123 @@ class ExecutionService {
     }
   }
 
-  calculatePositionSize(signal, _channel, availableBalance, symbolInfo = null) {
-    try {
-      if (!signal.entryPrice) return 0;
-      const depositPercentage = 10;
-      const leverage = signal.leverage || 1;
-      const riskAmount = new Decimal(availableBalance).times(depositPercentage).div(100);
-      const positionValue = riskAmount.times(leverage);
-
-      const entryPrice = new Decimal(signal.entryPrice);
-      let finalQty = positionValue.div(entryPrice);
-
-      logger.info('Position size calculation (new logic)', {
-        availableBalance, depositPercentage, leverage, riskAmount: riskAmount.toFixed(2),
-        positionValue: positionValue.toFixed(2), entryPrice: entryPrice.toFixed(6),
-        calculatedQuantity: finalQty.toFixed(6), symbol: signal.coin
+  /**
+   * Размер позиции по стратегии канала (channel.sizingStrategy):
+   *  fixed_percent — sizingValue % баланса как маржа × плечо;
+   *  fixed_margin  — sizingValue USDT маржи × плечо;
+   *  risk_percent  — при срабатывании стопа теряется riskPercentage % баланса;
+   *  volatility    — то же, но дистанция до стопа = ATR × множитель (market.atr).
+   * Маржа ограничена maxPositionPercentage % баланса.
+   * Возвращает { quantity, sizing } — sizing сохраняется на позиции.
+   */
+  calculatePositionSize(signal, channel, availableBalance, symbolInfo = null, market = {}) {
+    if (!signal.entryPrice) return { quantity: 0, sizing: null };
+
+    const defaults = config.trading.sizing;
+    const strategy = channel?.sizingStrategy || 'fixed_percent';
+    const leverage = signal.leverage || 1;
+    const balance = new Decimal(availableBalance);
+    const entryPrice = new Decimal(signal.entryPrice);
+    const riskPercentage = parseFloat(channel?.riskPercentage) || config.trading.defaultRiskPercentage;
+    const sizing = { strategy, balance: availableBalance, entryPrice: entryPrice.toNumber(), leverage };
+    let finalQty;
+
+    if (strategy === 'fixed_margin') {
+      sizing.margin = channel.sizingValue || defaults.fixedMargin;
+      finalQty = new Decimal(sizing.margin).times(leverage).div(entryPrice);
+    } else if (strategy === 'risk_percent') {
+      if (!signal.stopLoss) throw new Error('risk_percent sizing requires a stop-loss');
+      Object.assign(sizing, {
+        riskPercentage,
+        stopLoss: parseFloat(signal.stopLoss),
+        stopDistance: entryPrice.minus(signal.stopLoss).abs().toNumber()
+      });
+      finalQty = new Decimal(this.bingx.calculatePositionSize(
+        balance.toNumber(), riskPercentage, entryPrice.toNumber(), sizing.stopLoss
+      ));
+    } else if (strategy === 'volatility') {
+      if (!market.atr) throw new Error('volatility sizing requires ATR');
+      const stopDistance = new Decimal(market.atr).times(defaults.atrMultiplier);
+      Object.assign(sizing, {
+        riskPercentage,
+        atr: market.atr,
+        atrInterval: defaults.atrInterval,
+        atrPeriod: defaults.atrPeriod,
+        atrMultiplier: defaults.atrMultiplier,
+        stopDistance: stopDistance.toNumber()
       });
+      finalQty = balance.times(riskPercentage).div(100).div(stopDistance);
+    } else {
+      sizing.balancePercentage = channel?.sizingValue || defaults.balancePercentage;
+      finalQty = balance.times(sizing.balancePercentage).div(100).times(leverage).div(entryPrice);
+    }
 
-      if (symbolInfo) {
-        const exchangeMinQty = new Decimal(symbolInfo.minQty || 0.0001);
-        const stepSize = new Decimal(symbolInfo.stepSize || 0.0001);
-        if (finalQty.lessThan(exchangeMinQty)) {
-          finalQty = exchangeMinQty;
-        }
-        finalQty = finalQty.div(stepSize).floor().times(stepSize);
-        if (finalQty.lessThan(exchangeMinQty)) finalQty = exchangeMinQty;
+    // cap: margin <= maxPositionPercentage % of balance
+    sizing.maxPositionPercentage = parseFloat(channel?.maxPositionPercentage) || config.trading.maxPositionPercentage;
+    const maxQty = balance.times(sizing.maxPositionPercentage).div(100).times(leverage).div(entryPrice);
+    if (finalQty.greaterThan(maxQty)) {
+      sizing.cappedFrom = finalQty.toNumber();
+      finalQty = maxQty;
+    }
 
-        logger.info('Applied exchange requirements', {
-          minQty: exchangeMinQty.toFixed(8), stepSize: stepSize.toFixed(8),
-          finalQuantity: finalQty.toFixed(8), finalValue: finalQty.times(entryPrice).toFixed(2)
-        });
+    logger.info('Position size calculation', {
+      ...sizing, calculatedQuantity: finalQty.toFixed(6), symbol: signal.coin
+    });
 
-        // Enforce minimal notional (min USDT value) if provided by exchange
-        if (symbolInfo.minOrderValue) {
-          const minNotional = new Decimal(symbolInfo.minOrderValue);
-          const minQtyByVal = minNotional.div(entryPrice);
-          if (finalQty.lessThan(minQtyByVal)) {
-            finalQty = minQtyByVal.div(stepSize).floor().times(stepSize);
-            if (finalQty.lessThan(exchangeMinQty)) finalQty = exchangeMinQty;
-            logger.info('Adjusted to meet min notional', {
-              minNotional: minNotional.toFixed(2), adjustedQty: finalQty.toFixed(8)
-            });
-          }
-        }
-      } else {
-        const minOrderValue = new Decimal(5);
-        const minQtyByVal = minOrderValue.div(entryPrice);
-        if (finalQty.lessThan(minQtyByVal)) finalQty = minQtyByVal;
+    if (symbolInfo) {
+      const exchangeMinQty = new Decimal(symbolInfo.minQty || 0.0001);
+      const stepSize = new Decimal(symbolInfo.stepSize || 0.0001);
+      if (finalQty.lessThan(exchangeMinQty)) {
+        finalQty = exchangeMinQty;
       }
+      finalQty = finalQty.div(stepSize).floor().times(stepSize);
+      if (finalQty.lessThan(exchangeMinQty)) finalQty = exchangeMinQty;
 
-      const result = finalQty.toNumber();
-      logger.info('Final position size calculated', {
-        quantity: result, estimatedValue: (result * signal.entryPrice).toFixed(2), leverage: signal.leverage || 1, symbol: signal.coin
+      logger.info('Applied exchange requirements', {
+        minQty: exchangeMinQty.toFixed(8), stepSize: stepSize.toFixed(8),
+        finalQuantity: finalQty.toFixed(8), finalValue: finalQty.times(entryPrice).toFixed(2)
       });
-      return result;
-    } catch (error) {
-      logger.error('Error calculating position size:', error);
-      return 0;
+
+      // Enforce minimal notional (min USDT value) if provided by exchange
+      if (symbolInfo.minOrderValue) {
+        const minNotional = new Decimal(symbolInfo.minOrderValue);
+        const minQtyByVal = minNotional.div(entryPrice);
+        if (finalQty.lessThan(minQtyByVal)) {
+          finalQty = minQtyByVal.div(stepSize).floor().times(stepSize);
+          if (finalQty.lessThan(exchangeMinQty)) finalQty = exchangeMinQty;
+          logger.info('Adjusted to meet min notional', {
+            minNotional: minNotional.toFixed(2), adjustedQty: finalQty.toFixed(8)
+          });
+        }
+      }
+    } else {
+      const minOrderValue = new Decimal(5);
+      const minQtyByVal = minOrderValue.div(entryPrice);
+      if (finalQty.lessThan(minQtyByVal)) finalQty = minQtyByVal;
     }
+
+    const result = finalQty.toNumber();
+    sizing.quantity = result;
+    logger.info('Final position size calculated', {
+      quantity: result, estimatedValue: (result * signal.entryPrice).toFixed(2), leverage: signal.leverage || 1, symbol: signal.coin
+    });
+    return { quantity: result, sizing };
+  }
+
+  // Average true range over the last atrPeriod candles
+  async getAtr(symbol) {
+    const { atrInterval, atrPeriod } = config.trading.sizing;
+    const candles = await this.bingx.getKlines(symbol, atrInterval, atrPeriod + 1);
+    return this.calculateAtr(candles, atrPeriod);
+  }
+
+  calculateAtr(candles, period) {
+    if (!Array.isArray(candles) || candles.length < 2) return null;
+    const ranges = candles.slice(1).map((c, i) => {
+      const prevClose = candles[i].close;
+      return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+    }).slice(-period);
+    return ranges.reduce((sum, r) => new Decimal(sum).plus(r).toNumber(), 0) / ranges.length;
   }
 
   validateOrderParameters(signal, quantity, symbolInfo, accountInfo) {
@@ -423,7 +674,7 @@ class ExecutionService {
         type: 'MARKET',
         quantity: this.roundToStepSize(quantity, stepSize),
         recvWindow: 5000,
-        clientOrderId: `sig_${Date.now()}`
+        clientOrderId: this.buildClientOrderId(signal.id, 'entry')
       };
 
       // Temporarily disable TP/SL in main order to test basic functionality
@@ -447,7 +698,7 @@ class ExecutionService {
       //   };
       // }
 
-      const result = await this.bingx.placeOrder(orderData, subAccountId);
+      const result = await this.placeOrderIdempotent(orderData, subAccountId);
       return result;
     } catch (error) {
       logger.error('Error placing order:', error);
@@ -455,7 +706,249 @@ class ExecutionService {
     }
   }
 
-  async createPosition(signal, orderResult, account, quantity, channel, subAccountId = null) {
+  /**
+   * clientOrderId из id сигнала и ноги (entry, entry1..n, sl, tp1..n, besl; slupd, tp1..nupd с номером правки).
+   * UUID без дефисов — 32 символа, BingX допускает до 40.
+   * Отменённый или истёкший ордер ставится заново под следующей попыткой id `<id>_r<n>` (BingXService.attemptClientOrderId).
+   */
+  buildClientOrderId(signalId, leg) {
+    return `${String(signalId).replace(/-/g, '')}_${leg}`;
+  }
+
+  // { existing, clientOrderId }: the live order to reuse, or the id to place it under when it was cancelled or expired
+  async findExistingOrder(symbol, clientOrderId, subAccountId) {
+    const { order: existing, nextClientOrderId } = await this.bingx.lookupClientOrderId(symbol, clientOrderId, subAccountId);
+    if (existing) {
+      tradeLog('order_reused', { symbol, clientOrderId: existing.clientOrderId, orderId: existing.orderId, status: existing.status });
+    } else if (nextClientOrderId !== clientOrderId) {
+      tradeLog('order_replaced', { symbol, clientOrderId, nextClientOrderId });
+    }
+    return { existing, clientOrderId: nextClientOrderId };
+  }
+
+  // Lookup errors are thrown: placing without knowing could duplicate the order
+  async placeOrderIdempotent(orderData, subAccountId) {
+    const { existing, clientOrderId } = await this.findExistingOrder(orderData.symbol, orderData.clientOrderId, subAccountId);
+    if (existing) return { ...existing, reused: true };
+    return this.bingx.placeOrder({ ...orderData, clientOrderId }, subAccountId);
+  }
+
+  /**
+   * Entry zone of a signal for channels in 'limit_zone' mode: { low, high, orders, timeoutMs }.
+   * A signal with a single entry price gets one LIMIT order at that price;
+   * null means the signal is entered at market.
+   */
+  getEntryZone(signal, channel) {
+    if (!channel || channel.entryMode !== 'limit_zone') return null;
+
+    const range = Array.isArray(signal.entryPriceRange) && signal.entryPriceRange.length === 2
+      ? signal.entryPriceRange.map(Number)
+      : [Number(signal.entryPrice), Number(signal.entryPrice)];
+    if (!range.every((price) => Number.isFinite(price) && price > 0)) return null;
+
+    const low = Math.min(...range);
+    const high = Math.max(...range);
+    const timeoutMinutes = channel.entryOrderTimeoutMinutes || config.trading.entryZone.timeoutMinutes;
+
+    return {
+      low,
+      high,
+      orders: low === high ? 1 : (channel.entryOrdersCount || config.trading.entryZone.orders),
+      timeoutMs: timeoutMinutes * 60 * 1000
+    };
+  }
+
+  /**
+   * Делит объём на LIMIT ордера равномерно по зоне входа.
+   * LONG заполняется сверху вниз, SHORT — снизу вверх; последний ордер забирает остаток округления.
+   * Если доля ниже биржевого минимума, ордеров становится меньше.
+   */
+  buildEntryZoneOrders(direction, zone, quantity, symbolInfo = {}) {
+    const stepSize = new Decimal(symbolInfo.stepSize || 0.001);
+    const minQty = symbolInfo.minQty || stepSize.toNumber();
+    const minOrderValue = symbolInfo.minOrderValue || 0;
+    const pricePrecision = symbolInfo.pricePrecision || 6;
+    const floorToStep = (qty) => qty.div(stepSize).floor().times(stepSize);
+
+    let count = Math.max(1, Math.floor(zone.orders || 1));
+    while (count > 1) {
+      const sliceQty = floorToStep(new Decimal(quantity).div(count)).toNumber();
+      if (sliceQty >= minQty && sliceQty * zone.low >= minOrderValue) break;
+      count -= 1;
+    }
+
+    const prices = count === 1
+      ? [(zone.low + zone.high) / 2]
+      : Array.from({ length: count }, (_, i) => zone.low + ((zone.high - zone.low) * i) / (count - 1));
+    if (direction === 'LONG') prices.reverse();
+
+    const sliceQty = floorToStep(new Decimal(quantity).div(count));
+    const lastQty = floorToStep(new Decimal(quantity).minus(sliceQty.times(count - 1)));
+
+    return prices.map((price, i) => ({
+      price: parseFloat(price.toFixed(pricePrecision)),
+      quantity: (i === count - 1 ? lastQty : sliceQty).toNumber()
+    }));
+  }
+
+  // LIMIT orders across the zone, reusing those a previous attempt placed; processEntryFillJob waits for the fills
+  async placeEntryZone(signal, zone, quantity, symbol, subAccountId, symbolInfo) {
+    const side = this.getOrderSide(signal.direction);
+    const slices = this.buildEntryZoneOrders(signal.direction, zone, quantity, symbolInfo);
+    const orders = [];
+
+    for (const [i, slice] of slices.entries()) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const res = await this.placeOrderIdempotent({
+          symbol,
+          side,
+          type: 'LIMIT',
+          price: slice.price,
+          quantity: slice.quantity,
+          timeInForce: 'GTC',
+          recvWindow: 5000,
+          clientOrderId: this.buildClientOrderId(signal.id, `entry${i + 1}`)
+        }, subAccountId);
+        orders.push(res.reused
+          ? {
+            price: res.price || slice.price,
+            quantity: res.origQty || slice.quantity,
+            orderId: res.orderId,
+            status: res.status,
+            executedQty: res.executedQty,
+            avgPrice: res.executedPrice
+          }
+          : { ...slice, orderId: res.orderId, status: res.status, executedQty: 0, avgPrice: 0 });
+      } catch (error) {
+        logger.error(`Error placing entry zone order ${i + 1}:`, { symbol, price: slice.price, qty: slice.quantity, message: error.message });
+      }
+    }
+
+    if (orders.length === 0) throw new Error('No entry zone orders could be placed');
+
+    tradeLog('entry_zone_placed', {
+      signalId: signal.id, symbol, side, zone: [zone.low, zone.high],
+      orders: orders.map((o) => ({ orderId: o.orderId, price: o.price, qty: o.quantity }))
+    });
+
+    return orders;
+  }
+
+  /**
+   * Одна проверка LIMIT ордеров зоны входа: следующая ставится отложенной задачей, пока ордера открыты
+   * и не вышел таймаут. Затем неисполненные отменяются, позиция открывается на исполненный объём.
+   */
+  async processEntryFillJob(job) {
+    const state = job.data;
+    const effectiveSubAccountId = state.subAccountId && state.subAccountId !== 'main_account' ? state.subAccountId : null;
+    const expired = Date.now() >= state.deadline;
+    const orders = await this.checkEntryFills(state.orders, state.symbol, effectiveSubAccountId, expired);
+
+    if (!expired && orders.some(isOpenOrder)) {
+      const delay = Math.min(config.trading.entryZone.pollInterval, Math.max(state.deadline - Date.now(), 0));
+      await this.queue.addEntryFillCheck({ ...state, orders, checks: state.checks + 1 }, delay);
+      return { status: 'waiting' };
+    }
+
+    const signal = await Signal.findById(state.signalId);
+    if (!signal) throw new Error('Signal not found');
+    const [existingPosition] = await Position.findBySignalId(signal.id);
+    if (existingPosition) return this.resumeExecutedSignal(signal, existingPosition);
+
+    const orderResult = this.summarizeEntryFills(signal, orders, state.symbol);
+    if (!orderResult) {
+      const reason = `Entry zone orders not filled within ${Math.round(state.timeoutMs / 60000)} min`;
+      await signal.markAsFailed(reason);
+      tradeLog('execution_failed', { signalId: signal.id, error: reason, jobId: job.id });
+      return { status: 'not_filled' };
+    }
+
+    // leverage may have come from the execute request
+    if (state.leverage) signal.leverage = state.leverage;
+    const channel = await Channel.findById(signal.channelId);
+    const account = await Account.findByChannelId(signal.channelId);
+    if (!channel || !account) throw new Error('Channel or account not found');
+
+    return this.openPosition(signal, orderResult, {
+      account,
+      channel,
+      subAccountId: state.subAccountId,
+      symbol: state.symbol,
+      quantity: orderResult.executedQty,
+      sizing: state.sizing,
+      symbolInfo: state.symbolInfo
+    });
+  }
+
+  // Entry order of the filled zone orders at their average price; null when nothing filled
+  summarizeEntryFills(signal, orders, symbol) {
+    const filled = orders.filter((o) => o.executedQty > 0);
+    const executedQty = filled.reduce((sum, o) => new Decimal(sum).plus(o.executedQty).toNumber(), 0);
+    if (executedQty <= 0) return null;
+    const executedPrice = filled
+      .reduce((sum, o) => sum.plus(new Decimal(o.avgPrice || o.price).times(o.executedQty)), new Decimal(0))
+      .div(executedQty)
+      .toNumber();
+
+    tradeLog('entry_zone_filled', {
+      signalId: signal.id, symbol, executedQty, executedPrice, filledOrders: filled.length, totalOrders: orders.length
+    });
+
+    return {
+      orderId: filled[0].orderId,
+      symbol,
+      side: this.getOrderSide(signal.direction),
+      status: 'FILLED',
+      executedQty,
+      executedPrice,
+      entryOrders: orders
+    };
+  }
+
+  /**
+   * Обновляет статусы открытых LIMIT ордеров; после таймаута (expired) неисполненные отменяются,
+   * частично исполненные учитываются по executedQty.
+   */
+  async checkEntryFills(orders, symbol, subAccountId, expired = false) {
+    // In mock mode orders are treated as filled at their limit price
+    if (this.bingx && this.bingx.mode === 'mock') {
+      orders.forEach((o) => Object.assign(o, { status: 'FILLED', executedQty: o.quantity, avgPrice: o.price }));
+      return orders;
+    }
+
+    const refresh = async (o) => {
+      const info = await this.bingx.getOrder(o.orderId, symbol, subAccountId);
+      Object.assign(o, { status: info.status, executedQty: info.executedQty, avgPrice: info.avgPrice || o.price });
+    };
+
+    for (const o of orders.filter(isOpenOrder)) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await refresh(o);
+      } catch (e) {
+        logger.warn('Error checking entry order', { symbol, orderId: o.orderId, error: e.message });
+      }
+    }
+    if (!expired) return orders;
+
+    for (const o of orders.filter(isOpenOrder)) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this.bingx.cancelOrder(o.orderId, symbol, subAccountId);
+        // the order may have (partially) filled right before the cancel
+        // eslint-disable-next-line no-await-in-loop
+        await refresh(o);
+        tradeLog('entry_order_expired', { symbol, orderId: o.orderId, price: o.price, executedQty: o.executedQty });
+      } catch (e) {
+        logger.error('Error cancelling expired entry order', { symbol, orderId: o.orderId, error: e.message });
+      }
+    }
+
+    return orders;
+  }
+
+  async createPosition(signal, orderResult, account, quantity, channel, subAccountId = null, sizing = null) {
     try {
       const positionData = {
         signalId: signal.id,
@@ -469,7 +962,8 @@ class ExecutionService {
         takeProfitLevels: signal.takeProfitLevels,
         stopLoss: signal.stopLoss,
         bingxOrderId: orderResult.orderId,
-        tpPercentages: channel.tpPercentages || [25.0, 25.0, 50.0]
+        tpPercentages: channel.tpPercentages || [25.0, 25.0, 50.0],
+        sizing
       };
       const position = await Position.create(positionData);
       return position;
@@ -483,9 +977,15 @@ class ExecutionService {
    * Создаём отдельный STOP_MARKET и TAKE_PROFIT_MARKET ордера (reduceOnly)
    * Все TP уровни выставляются как отдельные conditional ордера
    * + включаем watcher для переноса стопа в BE после первого частичного тейка
+   *
+   * options.placed — ордера, выставленные прошлой попыткой ({ type, qty, orderId }), они пропускаются;
+   * options.failures — сюда складываются ошибки по каждому ордеру ({ type, error })
    */
-  async placeRiskManagementOrders(position, signal, subAccountId, channel, symbolInfo) {
+  async placeRiskManagementOrders(position, signal, subAccountId, channel, symbolInfo, options = {}) {
     const orders = [];
+    const placed = options.placed || [];
+    const failures = options.failures || [];
+    const alreadyPlaced = (type) => placed.find((p) => p.type === type);
     try {
       const effectiveSubAccountId = subAccountId && subAccountId !== 'main_account' ? subAccountId : null;
       const pricePrecision = symbolInfo?.pricePrecision || 6;
@@ -493,8 +993,9 @@ class ExecutionService {
       const minQty = symbolInfo?.minQty || 0.0001;
 
       // ---- STOP LOSS ----
-      let slOrderId = null;
-      if (signal.stopLoss) {
+      let slOrderId = alreadyPlaced('stop_loss') ? alreadyPlaced('stop_loss').orderId : null;
+      let slReused = false;
+      if (signal.stopLoss && !alreadyPlaced('stop_loss')) {
         try {
           const stopLossPrice = parseFloat(signal.stopLoss);
           const baseOrder = {
@@ -507,17 +1008,23 @@ class ExecutionService {
             quantity: this.roundToStepSize(position.quantity, stepSize),
             reduceOnly: true,
             recvWindow: 5000,
-            clientOrderId: `sl_${Date.now()}`
+            clientOrderId: this.buildClientOrderId(signal.id, 'sl')
           };
 
-          const { result: slRes, usedQty: slQty } = await this.placeReduceOnlyConditionalWithRetry(
-            baseOrder,
-            effectiveSubAccountId,
-            { stepSize, pricePrecision, minQty },
-            3,
-            this.roundToStepSize(position.quantity, stepSize),
-            'SL'
+          const { existing: existingSl, clientOrderId: slClientOrderId } = await this.findExistingOrder(
+            position.symbol, baseOrder.clientOrderId, effectiveSubAccountId
           );
+          slReused = !!existingSl;
+          const { result: slRes, usedQty: slQty } = existingSl
+            ? { result: existingSl, usedQty: existingSl.origQty }
+            : await this.placeReduceOnlyConditionalWithRetry(
+              { ...baseOrder, clientOrderId: slClientOrderId },
+              effectiveSubAccountId,
+              { stepSize, pricePrecision, minQty },
+              3,
+              this.roundToStepSize(position.quantity, stepSize),
+              'SL'
+            );
 
           slOrderId = slRes?.orderId || null;
           orders.push({ type: 'stop_loss', order: slRes, qty: slQty });
@@ -528,6 +1035,7 @@ class ExecutionService {
             orderId: slRes?.orderId
           });
         } catch (error) {
+          failures.push({ type: 'stop_loss', error });
           logger.error('Error placing STOP_MARKET stop-loss order:', {
             message: error.message,
             symbol: position.symbol,
@@ -554,6 +1062,11 @@ class ExecutionService {
 
       for (let i = 0; i < tpLevelsToPlace.length && i < tpPercentages.length; i += 1) { // с TP1
         const tpPrice = tpLevelsToPlace[i];
+        const done = alreadyPlaced(`take_profit_${i + 1}`);
+        if (done) {
+          remainingQty = this.roundToStepSize(remainingQty - done.qty, stepSize);
+          continue;
+        }
         let tpQty = this.calculateTPQuantity(originalQty, i, tpPercentages);
 
         // min order value защитно (BingX ~3.72 USDT)
@@ -581,24 +1094,30 @@ class ExecutionService {
           quantity: tpQty,
           reduceOnly: true,
           recvWindow: 5000,
-          clientOrderId: `tp${i + 1}_${Date.now()}`
+          clientOrderId: this.buildClientOrderId(signal.id, `tp${i + 1}`)
         };
 
         try {
-          const { result: tpRes, usedQty } = await this.placeReduceOnlyConditionalWithRetry(
-            baseTP,
-            effectiveSubAccountId,
-            { stepSize, pricePrecision, minQty },
-            3,
-            remainingQty,
-            `TP${i + 1}`
+          const { existing: existingTp, clientOrderId: tpClientOrderId } = await this.findExistingOrder(
+            position.symbol, baseTP.clientOrderId, effectiveSubAccountId
           );
+          const { result: tpRes, usedQty } = existingTp
+            ? { result: existingTp, usedQty: existingTp.origQty }
+            : await this.placeReduceOnlyConditionalWithRetry(
+              { ...baseTP, clientOrderId: tpClientOrderId },
+              effectiveSubAccountId,
+              { stepSize, pricePrecision, minQty },
+              3,
+              remainingQty,
+              `TP${i + 1}`
+            );
           orders.push({ type: `take_profit_${i + 1}`, order: tpRes, qty: usedQty });
           remainingQty = this.roundToStepSize(remainingQty - usedQty, stepSize);
           logger.info(`Placed TP${i + 1} TAKE_PROFIT_MARKET`, {
             price: baseTP.stopPrice, qty: usedQty, orderId: tpRes?.orderId
           });
         } catch (e) {
+          failures.push({ type: `take_profit_${i + 1}`, error: e });
           logger.error(`Error placing TP${i + 1} TAKE_PROFIT_MARKET:`, {
             message: e.message,
             symbol: position.symbol,
@@ -608,12 +1127,19 @@ class ExecutionService {
         }
       }
 
-      // watcher для переустановки SL в BE после первого частичного тейка
-      if (signal.stopLoss && slOrderId) {
-        this.startBreakevenWatcher(position, slOrderId, effectiveSubAccountId, pricePrecision, stepSize);
+      // watcher ведения стопа (один раз — при постановке SL; без стопа — при первой попытке).
+      // SL от прерванной попытки: watcher мог успеть стартовать, оставляем одну цепочку проверок
+      const newStop = signal.stopLoss && slOrderId && !alreadyPlaced('stop_loss');
+      if (newStop || (!signal.stopLoss && placed.length === 0)) {
+        if (slReused) await this.queue.removeBreakevenChecks(position.id);
+        const tpQtys = [...placed, ...orders]
+          .filter((o) => o.type.startsWith('take_profit_'))
+          .sort((x, y) => parseInt(x.type.slice(12), 10) - parseInt(y.type.slice(12), 10))
+          .map((o) => o.qty);
+        await this.startStopWatcher(position, channel, slOrderId, effectiveSubAccountId, symbolInfo, tpQtys);
       }
 
-      if (orders.length === 0) {
+      if (orders.length === 0 && placed.length === 0) {
         logger.warn('No risk-management orders were placed (check TP/SL levels and min order value)');
       }
       return orders;
@@ -708,74 +1234,386 @@ class ExecutionService {
     throw lastError || new Error(`Failed to place ${context} order`);
   }
 
-  startBreakevenWatcher(position, slOrderId, subAccountId, pricePrecision, stepSize) {
-    const key = position.id || `${position.symbol}:${Date.now()}`;
-    if (this.breakevenWatchers.has(key)) return;
+  async processRiskManagementJob(job) {
+    const { positionId, signalId, subAccountId, symbolInfo, placed = [] } = job.data;
+
+    const position = await Position.findById(positionId);
+    if (!position) throw new Error(`Position not found: ${positionId}`);
+    if (position.status !== 'open') return { skipped: true, reason: `Position is ${position.status}` };
+
+    const signal = await Signal.findById(signalId);
+    if (!signal) throw new Error('Signal not found');
+    const channel = await Channel.findById(position.channelId);
+
+    const failures = [];
+    const orders = await this.placeRiskManagementOrders(position, signal, subAccountId, channel, symbolInfo, {
+      placed, failures
+    });
+
+    // A retry only places the orders that are still missing
+    const progress = [
+      ...placed,
+      ...orders.map((o) => ({ type: o.type, qty: o.qty, orderId: o.order?.orderId || null }))
+    ];
+    await job.update({ ...job.data, placed: progress });
+
+    const transient = failures.find((f) => isTransientError(f.error));
+    if (transient) throw transient.error;
+
+    return {
+      placed: progress.map((p) => p.type),
+      failed: failures.map((f) => ({ type: f.type, error: f.error.message }))
+    };
+  }
+
+  /**
+   * Ведение стопа по настройкам канала (channels.stop_mode):
+   *  breakeven — стоп в безубыток после TP{breakevenAfterTp};
+   *  step — после каждого TP стоп на предыдущий уровень (TP1 → вход, TP2 → TP1, ...);
+   *  trailing_percent / trailing_atr — стоп тянется за лучшей ценой на trailingValue % / trailingValue × ATR;
+   *  none — стоп не двигается.
+   * maxPositionMinutes закрывает позицию по рынку в любом режиме.
+   */
+  getStopSettings(channel) {
+    const defaults = config.trading.stopManagement;
+    const mode = channel?.stopMode || defaults.mode;
+    let trailingValue = null;
+    if (mode === 'trailing_percent') trailingValue = channel?.trailingValue || defaults.trailingPercent;
+    if (mode === 'trailing_atr') trailingValue = channel?.trailingValue || defaults.trailingAtrMultiplier;
+
+    return {
+      mode,
+      breakevenAfterTp: channel?.breakevenAfterTp || defaults.breakevenAfterTp,
+      trailingValue,
+      maxPositionMinutes: channel?.maxPositionMinutes || null
+    };
+  }
+
+  // tpQtys — объёмы выставленных TP, по ним считается, сколько тейков исполнилось
+  async startStopWatcher(position, channel, slOrderId, subAccountId, symbolInfo, tpQtys = []) {
+    try {
+      const settings = this.getStopSettings(channel);
+      if (settings.mode === 'none' && !settings.maxPositionMinutes) return null;
+
+      const stepSize = symbolInfo?.stepSize || 0.001;
+      const initialQty = this.roundToStepSize(Number(position.quantity), stepSize);
+      const tpLevels = (Array.isArray(position.takeProfitLevels) ? position.takeProfitLevels : [])
+        .map(x => (typeof x === 'object' ? parseFloat(x.price) : parseFloat(x)))
+        .filter((v) => Number.isFinite(v))
+        .sort((a, b) => (position.side === 'BUY' ? a - b : b - a));
+      const tpPercentages = position.tpPercentages || channel?.tpPercentages || [25.0, 25.0, 50.0];
+
+      let atr = null;
+      if (settings.mode === 'trailing_atr') {
+        atr = await this.getAtr(position.symbol).catch((e) => {
+          logger.warn('Could not get ATR for trailing stop, the stop will not trail', { symbol: position.symbol, error: e.message });
+          return null;
+        });
+      }
+
+      const openedAt = position.openedAt ? new Date(position.openedAt).getTime() : Date.now();
+      const state = {
+        positionId: position.id,
+        signalId: position.signalId,
+        symbol: position.symbol,
+        side: position.side,
+        slOrderId,
+        subAccountId,
+        pricePrecision: symbolInfo?.pricePrecision || 6,
+        stepSize,
+        initialQty,
+        entryPrice: Number(position.entryPrice),
+        stopPrice: position.stopLoss ? Number(position.stopLoss) : null,
+        ...settings,
+        atr,
+        tpLevels,
+        tpQtys: tpQtys.length > 0
+          ? tpQtys
+          : tpLevels.map((_, i) => this.calculateTPQuantity(initialQty, i, tpPercentages)),
+        closeAt: settings.maxPositionMinutes ? openedAt + settings.maxPositionMinutes * 60 * 1000 : null,
+        tpsFilled: 0,
+        highWaterMark: null,
+        moves: 0,
+        history: [],
+        active: true,
+        startedAt: Date.now(),
+        checks: 0
+      };
+
+      await this.saveStopState(state, position);
+      await this.queue.addBreakevenCheck(state, config.executionQueue.breakevenPollInterval);
+      return state;
+    } catch (error) {
+      logger.error('Error scheduling stop watcher:', error);
+      return null;
+    }
+  }
+
+  // After a restart: continue from the state persisted on the position
+  async resumeStopWatcher(state, overrides = {}) {
+    const next = { ...state, ...overrides, pendingMove: null, restarts: (state.restarts || 0) + 1, checks: 0 };
+    await this.queue.addBreakevenCheck(next, config.executionQueue.breakevenPollInterval);
+    return next;
+  }
+
+  // The stop is taken over by an update signal or the position is closed
+  async cancelStopWatcher(position) {
+    try {
+      const removed = await this.queue.removeBreakevenChecks(position.id);
+      if (position.stopManagement?.active) {
+        await position.update({ stopManagement: { ...position.stopManagement, active: false } });
+      }
+      return removed;
+    } catch (error) {
+      logger.warn('Could not cancel stop watcher', { positionId: position.id, error: error.message });
+      return 0;
+    }
+  }
+
+  // Best effort: while the watcher runs its job data is the source of truth
+  async saveStopState(state, position = null) {
+    try {
+      const target = position || await Position.findById(state.positionId);
+      if (!target) return;
+      const { checks, ...stopManagement } = state;
+      await target.update({ stopManagement, ...(state.stopPrice != null && { stopLoss: state.stopPrice }) });
+    } catch (error) {
+      logger.warn('Could not persist stop watcher state', { positionId: state.positionId, error: error.message });
+    }
+  }
+
+  /**
+   * Одна проверка stop watcher: следующая ставится отложенной задачей до закрытия позиции.
+   * Перенос стопа идёт в два шага (отмена старого, постановка нового), каждый сохраняется в задаче —
+   * ретрай не оставит позицию без стопа и не поставит второй.
+   */
+  async processStopJob(job) {
+    // checks queued before stop modes existed only knew the breakeven move
+    let state = { mode: 'breakeven', breakevenAfterTp: 1, moves: 0, ...job.data };
+    const { breakevenPollInterval } = config.executionQueue;
+
+    if (state.pendingMove) state = await this.applyStopMove(job, state);
+
+    let exchangePos;
+    try {
+      const positions = await this.bingx.getPositions(state.subAccountId);
+      exchangePos = Array.isArray(positions) ? positions.find((p) => p.symbol === state.symbol) : null;
+    } catch (e) {
+      logger.error('Stop watcher error:', e);
+      await this.queue.addBreakevenCheck({ ...state, checks: state.checks + 1 }, breakevenPollInterval);
+      return { status: 'waiting' };
+    }
+
+    const currSize = exchangePos
+      ? this.roundToStepSize(Math.abs(parseFloat(exchangePos.size || 0)), state.stepSize)
+      : 0;
+
+    // позиция закрыта — стоп уже не нужен
+    if (currSize <= 0) {
+      await this.saveStopState({ ...state, active: false });
+      return { status: 'position_closed' };
+    }
+
+    if (state.closeAt && Date.now() >= state.closeAt) {
+      return this.closePositionByTime(state);
+    }
+
+    const markPrice = parseFloat(exchangePos.markPrice) || null;
+    const tpsFilled = Math.max(state.tpsFilled || 0, this.countFilledTps(state, currSize));
+    let next = {
+      ...state,
+      currSize,
+      tpsFilled,
+      highWaterMark: this.nextHighWaterMark(state, markPrice)
+    };
+
+    const move = this.getStopMove(next, markPrice);
+    if (move) {
+      next = { ...next, pendingMove: move };
+      await job.update(next);
+      next = await this.applyStopMove(job, next);
+    } else if (tpsFilled !== (state.tpsFilled || 0)) {
+      await this.saveStopState(next);
+    }
+
+    // breakeven сделан, дальше двигать нечего
+    const finished = !next.closeAt && (next.mode === 'none' || (next.mode === 'breakeven' && next.moves > 0));
+    if (finished) {
+      await this.saveStopState({ ...next, active: false });
+      return { status: 'done', stopPrice: next.stopPrice };
+    }
+
+    await this.queue.addBreakevenCheck({ ...next, checks: next.checks + 1 }, breakevenPollInterval);
+    return { status: move ? 'moved' : 'waiting', stopPrice: next.stopPrice };
+  }
+
+  // Number of TPs that have (at least partly) filled, judged by how much the position shrank
+  countFilledTps(state, currSize) {
+    const reduced = new Decimal(state.initialQty).minus(currSize);
+    const tolerance = state.stepSize / 2;
+    if (!state.tpQtys || state.tpQtys.length === 0) return reduced.greaterThan(tolerance) ? 1 : 0;
+    let cumulative = new Decimal(0);
+    let filled = 0;
+    for (const qty of state.tpQtys || []) {
+      if (reduced.lessThanOrEqualTo(cumulative.plus(tolerance))) break;
+      filled += 1;
+      cumulative = cumulative.plus(qty);
+    }
+    return filled;
+  }
+
+  nextHighWaterMark(state, markPrice) {
+    const previous = state.highWaterMark ?? state.entryPrice;
+    if (!markPrice) return previous;
+    return state.side === 'BUY' ? Math.max(previous, markPrice) : Math.min(previous, markPrice);
+  }
+
+  // Returns { stopPrice, leg, reason } when the stop should move; stops only ever tighten
+  getStopMove(state, markPrice) {
+    const isLong = state.side === 'BUY';
+    const trailing = state.mode === 'trailing_percent' || state.mode === 'trailing_atr';
+    let target = null;
+    let reason = null;
+
+    if (state.mode === 'breakeven' && state.tpsFilled >= state.breakevenAfterTp) {
+      target = state.entryPrice;
+      reason = `breakeven after TP${state.breakevenAfterTp}`;
+    } else if (state.mode === 'step' && state.tpsFilled > 0) {
+      target = state.tpsFilled === 1 ? state.entryPrice : state.tpLevels[state.tpsFilled - 2];
+      reason = `TP${state.tpsFilled} filled`;
+    } else if (trailing && state.highWaterMark) {
+      const distance = state.mode === 'trailing_percent'
+        ? state.highWaterMark * (state.trailingValue / 100)
+        : (state.atr || 0) * state.trailingValue;
+      if (distance > 0) {
+        target = isLong ? state.highWaterMark - distance : state.highWaterMark + distance;
+        reason = `trailing from ${state.highWaterMark}`;
+      }
+    }
+
+    if (target === null || !Number.isFinite(target)) return null;
+    target = Number(target.toFixed(state.pricePrecision));
 
-    const pollMs = 4000;
-    const maxMs = 30 * 60 * 1000;
-    const startAt = Date.now();
-    const initialQty = this.roundToStepSize(position.quantity, stepSize);
-    const entryPrice = Number(position.entryPrice);
+    const current = state.stopPrice;
+    if (current != null && (isLong ? target <= current : target >= current)) return null;
+    if (trailing && current != null && markPrice
+      && Math.abs(target - current) < markPrice * (config.trading.stopManagement.trailingMinStepPercent / 100)) {
+      return null;
+    }
+    // стоп по другую сторону от цены сработал бы сразу — ждём
+    if (markPrice && (isLong ? target >= markPrice : target <= markPrice)) return null;
+
+    return { stopPrice: target, leg: `sl${(state.moves || 0) + 1}`, reason, cancelled: false };
+  }
 
-    const timer = setInterval(async () => {
+  async applyStopMove(job, state) {
+    let current = state;
+    const move = current.pendingMove;
+
+    if (!move.cancelled && current.slOrderId) {
       try {
-        if ((Date.now() - startAt) > maxMs) {
-          clearInterval(timer);
-          this.breakevenWatchers.delete(key);
-          return;
-        }
-        const positions = await this.bingx.getPositions(subAccountId);
-        const exchangePos = Array.isArray(positions)
-          ? positions.find((p) => p.symbol === position.symbol)
-          : null;
-
-        if (!exchangePos) return;
-
-        const currSize = this.roundToStepSize(Math.abs(parseFloat(exchangePos.size || 0)), stepSize);
-        if (currSize <= 0) {
-          // позиция закрыта — стоп уже не нужен
-          clearInterval(timer);
-          this.breakevenWatchers.delete(key);
-          return;
-        }
+        await this.bingx.cancelOrder(current.slOrderId, current.symbol, current.subAccountId);
+      } catch (error) {
+        if (isTransientError(error)) throw error;
+        // already triggered or cancelled by hand; the new stop still has to go in
+        logger.warn('Could not cancel previous stop', { symbol: current.symbol, orderId: current.slOrderId, error: error.message });
+      }
+      current = { ...current, pendingMove: { ...move, cancelled: true } };
+      await job.update(current);
+    }
 
-        // если размер уменьшился — сработал минимум один TP
-        if (currSize < initialQty) {
-          try {
-            // отменяем старый SL и создаём новый в BE
-            if (slOrderId) {
-              await this.bingx.cancelOrder(slOrderId, position.symbol, subAccountId);
-            }
-            const beStop = {
-              symbol: position.symbol,
-              side: position.side === 'BUY' ? 'SELL' : 'BUY',
-              positionSide: position.side === 'BUY' ? 'LONG' : 'SHORT',
-              type: 'STOP_MARKET',
-              stopPrice: entryPrice.toFixed(pricePrecision),
-              workingType: 'MARK_PRICE',
-              quantity: currSize,
-              reduceOnly: true,
-              recvWindow: 5000,
-              clientOrderId: `sl_be_${Date.now()}`
-            };
-            const res = await this.bingx.placeOrder(beStop, subAccountId);
-            logger.info('Moved SL to breakeven after first TP', {
-              symbol: position.symbol, bePrice: beStop.stopPrice, newOrderId: res?.orderId
-            });
-          } catch (e) {
-            logger.error('Error moving SL to breakeven:', e);
-          } finally {
-            clearInterval(timer);
-            this.breakevenWatchers.delete(key);
-          }
-        }
+    const stop = {
+      symbol: current.symbol,
+      side: current.side === 'BUY' ? 'SELL' : 'BUY',
+      positionSide: current.side === 'BUY' ? 'LONG' : 'SHORT',
+      type: 'STOP_MARKET',
+      stopPrice: move.stopPrice.toFixed(current.pricePrecision),
+      workingType: 'MARK_PRICE',
+      quantity: current.currSize,
+      reduceOnly: true,
+      recvWindow: 5000,
+      // jobs queued before signalId was stored fall back to the position id
+      clientOrderId: this.buildClientOrderId(current.signalId || current.positionId, move.leg)
+    };
+    const res = await this.placeOrderIdempotent(stop, current.subAccountId);
+
+    const next = {
+      ...current,
+      pendingMove: null,
+      slOrderId: res?.orderId || null,
+      stopPrice: move.stopPrice,
+      moves: (current.moves || 0) + 1,
+      history: [
+        ...(current.history || []),
+        { from: current.stopPrice, to: move.stopPrice, reason: move.reason, tpsFilled: current.tpsFilled, at: new Date().toISOString() }
+      ]
+    };
+    await job.update(next);
+    await this.saveStopState(next);
+
+    logger.info('Moved stop-loss', {
+      symbol: current.symbol, mode: current.mode, from: current.stopPrice, to: move.stopPrice, newOrderId: res?.orderId
+    });
+    tradeLog('stop_moved', {
+      positionId: current.positionId, symbol: current.symbol, mode: current.mode, from: current.stopPrice, to: move.stopPrice, reason: move.reason
+    });
+    return next;
+  }
+
+  async closePositionByTime(state) {
+    const orderResult = await this.bingx.closePosition(state.symbol, null, state.subAccountId);
+    const position = await Position.findById(state.positionId);
+
+    let closePrice = parseFloat(orderResult?.executedPrice);
+    if (!Number.isFinite(closePrice) || closePrice <= 0) {
+      const { price } = await this.bingx.getSymbolPrice(state.symbol);
+      closePrice = parseFloat(price);
+    }
+
+    if (position) {
+      await this.cancelConditionalOrders(position, ['STOP_MARKET', 'STOP', 'TAKE_PROFIT_MARKET', 'TAKE_PROFIT'], state.subAccountId);
+      const pnl = position.calculateUnrealizedPnl(closePrice);
+      await this.saveStopState({ ...state, active: false, closedBy: 'time_exit' }, position);
+      if (position.status !== 'closed') {
+        await position.close(closePrice, parseFloat(position.realizedPnl || 0) + pnl);
+      }
+    }
+
+    await redisUtils.publish(CHANNELS.POSITION_CLOSED, {
+      type: 'position_closed',
+      positionId: state.positionId,
+      symbol: state.symbol,
+      closePrice,
+      reason: 'time_exit',
+      timestamp: new Date()
+    });
+    tradeLog('time_exit', { positionId: state.positionId, symbol: state.symbol, closePrice, closeAt: new Date(state.closeAt) });
+    return { status: 'time_exit', closePrice };
+  }
+
+  async cancelConditionalOrders(position, types, subAccountId) {
+    const cancelled = [];
+    const positionSide = position.side === 'BUY' ? 'LONG' : 'SHORT';
+
+    const openOrders = await this.bingx.getOpenOrders(position.symbol, subAccountId);
+    const targets = (Array.isArray(openOrders) ? openOrders : []).filter(o => (
+      types.includes(o.type)
+      && (!o.positionSide || o.positionSide === positionSide || o.positionSide === 'BOTH')
+    ));
+
+    for (const order of targets) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this.bingx.cancelOrder(order.orderId, position.symbol, subAccountId);
+        cancelled.push(order.orderId);
       } catch (e) {
-        logger.error('Breakeven watcher error:', e);
+        logger.warn('Failed to cancel conditional order', {
+          orderId: order.orderId, symbol: position.symbol, error: e.message
+        });
       }
-    }, pollMs);
+    }
 
-    this.breakevenWatchers.set(key, timer);
+    return cancelled;
   }
 
   calculateTPQuantity(totalQuantity, tpIndex, tpPercentages) {
@@ -884,12 +1722,13 @@ class ExecutionService {
 
   async getExecutionStats() {
     try {
-      const queueSize = await redisUtils.lLen('execution_queue');
+      const queues = await this.queue.getStats();
       return {
         activeExecutions: this.activeExecutions.size,
-        queueSize,
+        queueSize: queues.execution.counts.waiting + queues.execution.counts.delayed,
+        deadLetterSize: queues.deadLetter.counts.waiting,
         maxConcurrentExecutions: this.maxConcurrentExecutions,
-        isProcessing: this.isProcessing,
+        queues,
         activeExecutionDetails: Array.from(this.activeExecutions.entries()).map(([id, data]) => ({
           executionId: id, signalId: data.signalId, status: data.status, duration: Date.now() - data.startTime.getTime()
         }))
@@ -903,7 +1742,7 @@ class ExecutionService {
   async shutdown() {
     try {
       logger.info('Shutting down execution service...');
-      if (this.processingInterval) clearInterval(this.processingInterval);
+      this.signalExpiry.stop();
       const timeout = 30000;
       const startTime = Date.now();
       while (this.activeExecutions.size > 0 && (Date.now() - startTime) < timeout) {
@@ -913,7 +1752,8 @@ class ExecutionService {
       if (this.activeExecutions.size > 0) {
         logger.warn(`${this.activeExecutions.size} executions still active during shutdown`);
       }
-      this.isProcessing = false;
+      // unfinished jobs stay in Redis and are picked up after restart
+      await this.queue.close();
       logger.info('Execution service shutdown complete');
     } catch (error) {
       logger.error('Error during execution service shutdown:', error);
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const config = require('../config/app');
+const { logger } = require('../utils/logger');
+
+const TELEGRAM_API = 'https://api.telegram.org';
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const NO_SETUP = 'NO SETUP';
+
+const VISION_PROMPT = `You read cryptocurrency trading setups from chart screenshots (TradingView and similar).
+Write down only the levels drawn or written on the image, one per line, in this format:
+#COIN LONG|SHORT x<leverage>
+Entry: <price> (or Entry: <low> - <high>)
+TP1: <price>
+TP2: <price>
+SL: <price>
+Leave out lines you cannot read from the image; do not guess and do not copy the caption.
+If the image does not show a trade setup, answer exactly "${NO_SETUP}".`;
+
+/**
+ * Reads trade levels from chart images posted in channels. The image of the post is
+ * downloaded through the bot API and read by a vision-capable LLM provider or a local
+ * OCR engine; the text is merged with the caption and parsed like any other message.
+ */
+class ImageRecognitionService {
+  constructor(llm, options = config.imageRecognition) {
+    this.llm = llm;
+    this.engine = options.engine;
+    this.chain = options.chain;
+    this.ocrCommand = options.ocrCommand;
+    this.ocrTimeout = options.ocrTimeout;
+    this.downloadTimeout = options.downloadTimeout;
+    this.maxFileSize = options.maxFileSize;
+    this.dir = options.dir;
+    this.botToken = options.botToken || config.telegram.botToken;
+  }
+
+  // Largest size of a photo, or an image sent as a file; MTProto posts only describe their media
+  static selectImage(messageData) {
+    const photos = (messageData.photos || []).filter(photo => photo.file_id);
+    if (photos.length > 0) {
+      const photo = photos.reduce((best, size) => (size.width * size.height > best.width * best.height ? size : best));
+      return {
+        fileId: photo.file_id,
+        fileUniqueId: photo.file_unique_id,
+        mimeType: 'image/jpeg',
+        width: photo.width,
+        height: photo.height,
+        fileSize: photo.file_size || null
+      };
+    }
+
+    const document = messageData.document;
+    if (document && document.file_id && IMAGE_MIME_TYPES.includes(document.mime_type)) {
+      return {
+        fileId: document.file_id,
+        fileUniqueId: document.file_unique_id,
+        mimeType: document.mime_type,
+        width: null,
+        height: null,
+        fileSize: document.file_size || null
+      };
+    }
+
+    return null;
+  }
+
+  // Caption first: where both state a level, the written one wins
+  static mergeText(caption, imageText) {
+    if (!imageText) return caption || '';
+    if (!caption || caption.trim().length === 0) return imageText;
+    return `${caption}\n\n[Chart]\n${imageText}`;
+  }
+
+  resolveEngine() {
+    const visionAvailable = this.llm.hasAvailableProvider(this.chain);
+    switch (this.engine) {
+      case 'vision':
+        return visionAvailable ? 'vision' : null;
+      case 'ocr':
+        return 'ocr';
+      case 'auto':
+        return visionAvailable ? 'vision' : 'ocr';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Downloads and reads the image of a post. Returns the reference stored on the signal,
+   * with `text` empty when nothing could be read, or null when the post has no image.
+   * Failures are logged and never stop the caption from being parsed.
+   */
+  async recognize(messageData) {
+    if (this.engine === 'off') return null;
+
+    const image = ImageRecognitionService.selectImage(messageData);
+    if (!image) return null;
+
+    const { fileSize, ...reference } = image;
+    const result = { ...reference, path: null, engine: null, provider: null, text: '' };
+
+    try {
+      if (fileSize && fileSize > this.maxFileSize) {
+        throw new Error(`Image is too large (${fileSize} bytes)`);
+      }
+
+      const file = await this.download(image, messageData);
+      result.path = file.path;
+
+      const engine = this.resolveEngine();
+      if (!engine) {
+        logger.warn('No vision provider available, chart image kept without recognition');
+        return result;
+      }
+
+      const extracted = engine === 'vision'
+        ? await this.readWithVision(file.buffer, image.mimeType, messageData.text)
+        : await this.readWithOcr(this.resolvePath(file.path));
+
+      Object.assign(result, { engine, provider: extracted.provider, text: extracted.text });
+      logger.info(`Chart image of message ${messageData.messageId} read with ${extracted.provider}`, {
+        channelId: messageData.channelId,
+        textLength: extracted.text.length
+      });
+
+    } catch (error) {
+      logger.warn(`Could not read chart image of message ${messageData.messageId}: ${error.message}`);
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  async download(image, messageData) {
+    if (!this.botToken) {
+      throw new Error('TELEGRAM_BOT_TOKEN is not set');
+    }
+
+    const { data } = await axios.get(`${TELEGRAM_API}/bot${this.botToken}/getFile`, {
+      params: { file_id: image.fileId },
+      timeout: this.downloadTimeout
+    });
+    if (!data.ok) {
+      throw new Error(`getFile failed: ${data.description}`);
+    }
+
+    const response = await axios.get(`${TELEGRAM_API}/file/bot${this.botToken}/${data.result.file_path}`, {
+      responseType: 'arraybuffer',
+      timeout: this.downloadTimeout,
+      maxContentLength: this.maxFileSize
+    });
+    const buffer = Buffer.from(response.data);
+
+    const extension = path.extname(data.result.file_path) || '.jpg';
+    const relativePath = path.join(
+      'signal-images',
+      String(messageData.channelId),
+      `${messageData.messageId}-${image.fileUniqueId}${extension}`
+    );
+    const absolutePath = this.resolvePath(relativePath);
+    fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+    fs.writeFileSync(absolutePath, buffer);
+
+    return { path: relativePath, buffer };
+  }
+
+  async readWithVision(buffer, mimeType, caption) {
+    const response = await this.llm.complete([
+      { role: 'system', content: VISION_PROMPT },
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: caption ? `Caption of the post:\n"""\n${caption}\n"""` : 'The post has no caption.'
+          },
+          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` } }
+        ]
+      }
+    ], { chain: this.chain, jsonResponse: false });
+
+    const text = (response.content || '').trim();
+    return {
+      provider: response.provider,
+      text: text.toUpperCase().startsWith(NO_SETUP) ? '' : text
+    };
+  }
+
+  readWithOcr(file) {
+    return new Promise((resolve, reject) => {
+      execFile(this.ocrCommand, [file, 'stdout'], { timeout: this.ocrTimeout }, (error, stdout) => {
+        if (error) {
+          reject(error.code === 'ENOENT' ? new Error(`OCR engine "${this.ocrCommand}" is not installed`) : error);
+          return;
+        }
+        resolve({ provider: path.basename(this.ocrCommand), text: stdout.trim() });
+      });
+    });
+  }
+
+  // Stored paths are relative to the uploads directory and must stay inside it
+  resolvePath(relativePath) {
+    const root = path.resolve(this.dir);
+    const absolutePath = path.resolve(root, relativePath);
+    if (!absolutePath.startsWith(root + path.sep)) {
+      throw new Error('Image path is outside the uploads directory');
+    }
+    return absolutePath;
+  }
+}
+
+module.exports = ImageRecognitionService;
@@ -0,0 +1,346 @@
+const { redisUtils, CHANNELS } = require('../config/redis');
+const { logger, trade: tradeLog } = require('../utils/logger');
+const Account = require('../models/Account');
+const AuditLog = require('../models/AuditLog');
+const Channel = require('../models/Channel');
+const Position = require('../models/Position');
+const Signal = require('../models/Signal');
+const { isPaperAccount } = require('./paperExchangeService');
+
+const ACTIVE_EXECUTION_WAIT_MS = 10000;
+const KILL_SWITCH_ACTIONS = ['kill_switch_engaged', 'kill_switch_released'];
+const FINISHED_SIGNAL_STATUSES = ['executed', 'closed', 'failed'];
+
+/**
+ * Emergency stop: pauses the Bull queues and every channel, cancels all open orders
+ * and market-closes all positions on the main account and every sub-account.
+ * Queued executions, entry fill checks and stop checks are removed, their signals fail.
+ * Each run is written to audit_log with a per-position result; release() resumes
+ * the queues and the channels the kill switch paused.
+ */
+class KillSwitchService {
+  constructor(executionService) {
+    this.execution = executionService;
+    this.running = null;
+  }
+
+  get bingx() {
+    return this.execution.bingx;
+  }
+
+  get queue() {
+    return this.execution.queue;
+  }
+
+  // A second trigger while flattening gets the same run
+  async engage(options = {}) {
+    if (!this.running) {
+      this.running = this.run(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run({ actor = null, source = 'api', reason = 'Emergency stop' } = {}) {
+    const report = {
+      reason,
+      startedAt: new Date(),
+      queuesPaused: [],
+      jobsRemoved: [],
+      channelsPaused: [],
+      accounts: [],
+      positions: [],
+      errors: []
+    };
+    logger.error(`Kill switch engaged: ${reason}`, { actor, source });
+
+    try {
+      report.queuesPaused = await this.queue.pause();
+    } catch (error) {
+      report.errors.push(`Could not pause queues: ${error.message}`);
+    }
+    await this.waitForActiveExecutions();
+
+    report.channelsPaused = await this.pauseChannels(`Kill switch: ${reason}`, report);
+
+    const openPositions = await Position.getOpenPositions();
+    const accounts = await this.getAccounts(openPositions);
+    for (const account of accounts.values()) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.flattenAccount(account, report);
+    }
+
+    // Records of positions the exchange no longer has are left for recovery to report
+    const handled = new Set(report.positions.map(p => p.positionId).filter(Boolean));
+    for (const position of openPositions.filter(p => !handled.has(p.id))) {
+      report.positions.push({
+        positionId: position.id, symbol: position.symbol, status: 'not_on_exchange'
+      });
+    }
+
+    // Last, so that checks re-queued by jobs still active during the flatten go as well
+    report.jobsRemoved = await this.removeQueuedJobs(`Kill switch: ${reason}`, report);
+
+    report.finishedAt = new Date();
+    report.success = report.errors.length === 0 && report.positions.every(p => p.status !== 'failed')
+      && report.accounts.every(a => !a.error && a.ordersFailed === 0);
+
+    await this.audit('kill_switch_engaged', actor, source, report);
+    tradeLog('kill_switch_engaged', {
+      actor, source, reason, positions: report.positions.length, success: report.success
+    });
+    await this.publishAlert({
+      type: 'kill_switch_engaged',
+      severity: 'critical',
+      message: `Kill switch engaged by ${actor || source}: ${reason}`,
+      success: report.success,
+      positions: report.positions
+    });
+    return report;
+  }
+
+  async release({ actor = null, source = 'api' } = {}) {
+    const [last] = await AuditLog.findByActions(KILL_SWITCH_ACTIONS, 1);
+    if (!last || last.action !== 'kill_switch_engaged') {
+      return { released: false, reason: 'Kill switch is not engaged' };
+    }
+
+    await this.queue.resume();
+
+    const pauseReason = `Kill switch: ${last.details?.reason}`;
+    const resumed = [];
+    for (const id of last.details?.channelsPaused || []) {
+      // eslint-disable-next-line no-await-in-loop
+      const channel = await Channel.findById(id);
+      if (channel && channel.isPaused && channel.pauseReason === pauseReason) {
+        // eslint-disable-next-line no-await-in-loop
+        await channel.resume();
+        // eslint-disable-next-line no-await-in-loop
+        await this.notifyChannelUpdate('resumed', channel);
+        resumed.push(channel.id);
+      }
+    }
+
+    const result = { released: true, engagedAt: last.createdAt, channelsResumed: resumed };
+    await this.audit('kill_switch_released', actor, source, result);
+    tradeLog('kill_switch_released', { actor, source, channelsResumed: resumed.length });
+    await this.publishAlert({
+      type: 'kill_switch_released',
+      severity: 'info',
+      message: `Kill switch released by ${actor || source}`
+    });
+    return result;
+  }
+
+  async getStatus() {
+    const history = await AuditLog.findByActions(KILL_SWITCH_ACTIONS);
+    const last = history[0];
+    return {
+      engaged: !!last && last.action === 'kill_switch_engaged',
+      running: !!this.running,
+      history: history.map(entry => entry.toJSON())
+    };
+  }
+
+  // An execution already past the queue could still open a position after the flatten
+  async waitForActiveExecutions() {
+    const deadline = Date.now() + ACTIVE_EXECUTION_WAIT_MS;
+    while (this.execution.activeExecutions.size > 0 && Date.now() < deadline) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+
+  // After release() a queued execution would open a new trade and a fill check would protect a closed position
+  async removeQueuedJobs(failReason, report) {
+    let jobs;
+    try {
+      jobs = await this.queue.removePending();
+    } catch (error) {
+      report.errors.push(`Could not remove queued jobs: ${error.message}`);
+      return [];
+    }
+
+    const signalIds = new Set(jobs.filter(job => job.queue !== 'breakeven').map(job => job.data.signalId).filter(Boolean));
+    for (const signalId of signalIds) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const signal = await Signal.findById(signalId);
+        // eslint-disable-next-line no-await-in-loop
+        if (signal && !FINISHED_SIGNAL_STATUSES.includes(signal.status)) await signal.markAsFailed(failReason);
+      } catch (error) {
+        report.errors.push(`Could not fail signal ${signalId}: ${error.message}`);
+      }
+    }
+
+    return jobs.map(({ queue, jobId, data }) => ({
+      queue, jobId, signalId: data.signalId || null, positionId: data.positionId || null
+    }));
+  }
+
+  async pauseChannels(pauseReason, report) {
+    const paused = [];
+    const channels = (await Channel.findAll()).filter(c => !c.isPaused);
+    for (const channel of channels) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await channel.pause(pauseReason);
+        // eslint-disable-next-line no-await-in-loop
+        await this.notifyChannelUpdate('paused', channel);
+        paused.push(channel.id);
+      } catch (error) {
+        report.errors.push(`Could not pause channel ${channel.name}: ${error.message}`);
+      }
+    }
+    return paused;
+  }
+
+  // Main account plus every sub-account we know of, with the open position records on each
+  async getAccounts(openPositions) {
+    const accounts = new Map([['main', { subAccountId: null, positions: [] }]]);
+    const add = (subAccountId) => {
+      const key = this.effectiveSubAccountId(subAccountId) || 'main';
+      if (!accounts.has(key)) accounts.set(key, { subAccountId: key === 'main' ? null : key, positions: [] });
+      return accounts.get(key);
+    };
+
+    const channelAccounts = new Map((await Account.findAll()).map(a => [a.channelId, a.bingxSubAccountId]));
+    channelAccounts.forEach(add);
+    try {
+      (await this.bingx.getSubAccounts()).forEach(a => add(a.subAccountId));
+    } catch (error) {
+      logger.warn('Kill switch: could not list exchange sub-accounts', { error: error.message });
+    }
+
+    for (const position of openPositions) {
+      const subAccountId = isPaperAccount(position.subAccountId) ? position.subAccountId : channelAccounts.get(position.channelId);
+      add(subAccountId || null).positions.push(position);
+    }
+    return accounts;
+  }
+
+  async flattenAccount(account, report) {
+    const { subAccountId } = account;
+    const summary = { subAccountId: subAccountId || 'main', ordersCancelled: 0, ordersFailed: 0 };
+    report.accounts.push(summary);
+
+    // Orders first, so TP/SL and entry orders cannot fire while positions are closed
+    try {
+      const orders = await this.bingx.getOpenOrders(null, subAccountId);
+      for (const order of orders) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await this.bingx.cancelOrder(order.orderId, order.symbol, subAccountId);
+          summary.ordersCancelled += 1;
+        } catch (error) {
+          summary.ordersFailed += 1;
+          logger.error('Kill switch: could not cancel order', { orderId: order.orderId, symbol: order.symbol, error: error.message });
+        }
+      }
+    } catch (error) {
+      summary.error = `Could not list open orders: ${error.message}`;
+    }
+
+    let exchangePositions;
+    try {
+      exchangePositions = (await this.bingx.getPositions(subAccountId)).filter(p => p.size && Math.abs(p.size) > 0);
+    } catch (error) {
+      summary.error = `Could not list positions: ${error.message}`;
+      account.positions.forEach(position => report.positions.push({
+        positionId: position.id, symbol: position.symbol, subAccountId: summary.subAccountId, status: 'failed', error: summary.error
+      }));
+      return;
+    }
+
+    for (const exchangePosition of exchangePositions) {
+      const records = account.positions.filter(p => p.symbol === exchangePosition.symbol);
+      // eslint-disable-next-line no-await-in-loop
+      const results = await this.closeExchangePosition(exchangePosition, records, subAccountId);
+      results.forEach(result => report.positions.push({ ...result, subAccountId: summary.subAccountId }));
+    }
+  }
+
+  async closeExchangePosition(exchangePosition, records, subAccountId) {
+    const { symbol } = exchangePosition;
+    let order;
+    try {
+      order = await this.bingx.closePosition(symbol, null, subAccountId);
+    } catch (error) {
+      logger.error('Kill switch: could not close position', { symbol, subAccountId, error: error.message });
+      const failed = { symbol, status: 'failed', error: error.message };
+      return records.length > 0 ? records.map(p => ({ ...failed, positionId: p.id })) : [{ ...failed, positionId: null }];
+    }
+
+    let closePrice = parseFloat(order?.executedPrice);
+    if (!Number.isFinite(closePrice) || closePrice <= 0) {
+      closePrice = parseFloat(exchangePosition.markPrice) || null;
+    }
+    const status = order?.status === 'already_closed' ? 'already_closed' : 'closed';
+
+    if (records.length === 0) {
+      return [{ positionId: null, symbol, status, orderId: order?.orderId || null, closePrice, untracked: true }];
+    }
+
+    const results = [];
+    for (const position of records) {
+      const result = { positionId: position.id, symbol, status, orderId: order?.orderId || null, closePrice };
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this.execution.cancelStopWatcher(position);
+        if (closePrice) {
+          const realizedPnl = parseFloat(position.realizedPnl || 0) + position.calculateUnrealizedPnl(closePrice);
+          // eslint-disable-next-line no-await-in-loop
+          await position.close(closePrice, realizedPnl);
+          result.realizedPnl = realizedPnl;
+          // eslint-disable-next-line no-await-in-loop
+          await redisUtils.publish(CHANNELS.POSITION_CLOSED, {
+            type: 'position_closed',
+            positionId: position.id,
+            symbol,
+            closePrice,
+            reason: 'kill_switch',
+            timestamp: new Date()
+          });
+        }
+      } catch (error) {
+        // closed on the exchange, only the record lags behind
+        result.error = `Position record not updated: ${error.message}`;
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  effectiveSubAccountId(subAccountId) {
+    return subAccountId && subAccountId !== 'main_account' && subAccountId !== 'main'
+      && !String(subAccountId).startsWith('placeholder_') ? subAccountId : null;
+  }
+
+  async audit(action, actor, source, details) {
+    try {
+      await AuditLog.create({ action, actor, source, details });
+    } catch (error) {
+      logger.error(`Could not write ${action} audit entry:`, error);
+    }
+  }
+
+  async notifyChannelUpdate(action, channel) {
+    await redisUtils.publish(CHANNELS.CHANNEL_UPDATE, {
+      type: 'channel_update',
+      action,
+      channel: channel.toJSON(),
+      timestamp: new Date()
+    });
+  }
+
+  async publishAlert(alert) {
+    try {
+      await redisUtils.publish(CHANNELS.SYSTEM_ALERT, { source: 'kill_switch', ...alert, timestamp: new Date().toISOString() });
+    } catch (error) {
+      logger.error('Error publishing kill switch alert:', error);
+    }
+  }
+}
+
+module.exports = KillSwitchService;
@@ -0,0 +1,153 @@
+const { logger } = require('../../utils/logger');
+
+/**
+ * Base class for LLM providers used by signal recognition.
+ * Adapters implement request(); timeouts, retries and cost accounting live here
+ * so every provider behaves the same inside the fallback chain.
+ */
+class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = options.type || name;
+    this.model = options.model || null;
+    this.maxTokens = options.maxTokens || 1000;
+    this.temperature = options.temperature !== undefined ? options.temperature : 0.1;
+    this.timeout = options.timeout || 30000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.retryDelay = options.retryDelay || 1000;
+    // USD per 1K tokens
+    this.pricing = {
+      prompt: (options.pricing && options.pricing.prompt) || 0,
+      completion: (options.pricing && options.pricing.completion) || 0
+    };
+
+    this.stats = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      retries: 0,
+      timeouts: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+      lastError: null,
+      lastUsedAt: null
+    };
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Single attempt against the backend.
+   * @returns {Promise<{content: string, usage: {promptTokens: number, completionTokens: number}}>}
+   */
+  async request() {
+    throw new Error(`Provider ${this.name} does not implement request()`);
+  }
+
+  async complete(messages, options = {}) {
+    const startedAt = Date.now();
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        this.stats.retries++;
+        await this.sleep(this.retryDelay * Math.pow(2, attempt - 1));
+      }
+
+      this.stats.requests++;
+      this.stats.lastUsedAt = new Date().toISOString();
+
+      try {
+        const response = await this.withTimeout(this.request(messages, {
+          maxTokens: options.maxTokens || this.maxTokens,
+          temperature: options.temperature !== undefined ? options.temperature : this.temperature,
+          jsonResponse: options.jsonResponse !== false
+        }));
+
+        const usage = {
+          promptTokens: (response.usage && response.usage.promptTokens) || 0,
+          completionTokens: (response.usage && response.usage.completionTokens) || 0
+        };
+        const cost = this.calculateCost(usage);
+
+        this.stats.successes++;
+        this.stats.promptTokens += usage.promptTokens;
+        this.stats.completionTokens += usage.completionTokens;
+        this.stats.cost += cost;
+
+        return {
+          content: response.content,
+          provider: this.name,
+          model: this.model,
+          usage,
+          cost,
+          attempts: attempt + 1,
+          latencyMs: Date.now() - startedAt
+        };
+
+      } catch (error) {
+        lastError = error;
+        this.stats.failures++;
+        this.stats.lastError = error.message;
+
+        if (!this.isRetryable(error) || attempt === this.maxRetries) {
+          break;
+        }
+
+        logger.warn(`LLM provider ${this.name} attempt ${attempt + 1} failed, retrying: ${error.message}`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        this.stats.timeouts++;
+        const error = new Error(`LLM provider ${this.name} timed out after ${this.timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, this.timeout);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Client errors (bad request, auth) will not succeed on retry; rate limits and timeouts may
+  isRetryable(error) {
+    const status = error.status || (error.response && error.response.status);
+    if (!status) {
+      return true;
+    }
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+
+  calculateCost(usage) {
+    return (usage.promptTokens / 1000) * this.pricing.prompt
+      + (usage.completionTokens / 1000) * this.pricing.completion;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      type: this.type,
+      model: this.model,
+      available: this.isAvailable(),
+      timeout: this.timeout,
+      maxRetries: this.maxRetries,
+      ...this.stats,
+      cost: parseFloat(this.stats.cost.toFixed(6))
+    };
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,22 @@
+const OpenAIProvider = require('./openAIProvider');
+
+/**
+ * Any server exposing the OpenAI chat completions API: llama.cpp server, Ollama, vLLM, LM Studio.
+ * Local servers usually ignore the API key and some of them do not support JSON mode,
+ * so it can be switched off and the JSON is then extracted from plain text.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(name, options = {}) {
+    super(name, {
+      type: 'openai-compatible',
+      ...options,
+      apiKey: options.apiKey || 'not-needed'
+    });
+  }
+
+  isAvailable() {
+    return !!this.baseURL && !!this.model;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
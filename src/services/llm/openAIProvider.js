@@ -0,0 +1,50 @@
+const OpenAI = require('openai');
+const LLMProvider = require('./llmProvider');
+
+class OpenAIProvider extends LLMProvider {
+  constructor(name, options = {}) {
+    super(name, { type: 'openai', ...options });
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL || null;
+    this.jsonMode = options.jsonMode !== false;
+    this.client = null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        ...(this.baseURL && { baseURL: this.baseURL }),
+        // Retries and timeouts are handled by LLMProvider.complete()
+        maxRetries: 0,
+        timeout: this.timeout
+      });
+    }
+    return this.client;
+  }
+
+  async request(messages, options) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      ...(options.jsonResponse && this.jsonMode && { response_format: { type: 'json_object' } })
+    });
+
+    const usage = response.usage || {};
+    return {
+      content: response.choices[0].message.content,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,100 @@
+const config = require('../../config/app');
+const { logger } = require('../../utils/logger');
+const OpenAIProvider = require('./openAIProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const StubProvider = require('./stubProvider');
+const RecordedProvider = require('./recordedProvider');
+
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  stub: StubProvider,
+  recorded: RecordedProvider
+};
+
+const createProvider = (name, options = {}) => {
+  const Provider = PROVIDER_TYPES[options.type || name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider type: ${options.type || name}`);
+  }
+  return new Provider(name, options);
+};
+
+/**
+ * Configured LLM providers and the fallback chain between them.
+ * A chain is an ordered list of provider names; unavailable providers
+ * (no API key, no base URL) are skipped, failing ones fall through to the next.
+ */
+class LLMProviderRegistry {
+  constructor(llmConfig = config.llm) {
+    this.providers = new Map();
+    this.defaultChain = llmConfig.chain || [];
+
+    for (const [name, options] of Object.entries(llmConfig.providers || {})) {
+      this.register(createProvider(name, options));
+    }
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  getProviderNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  // Channel chain overrides the default one; unknown and unavailable providers are dropped
+  resolveChain(chain) {
+    const names = Array.isArray(chain) && chain.length > 0 ? chain : this.defaultChain;
+    return names
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.isAvailable());
+  }
+
+  hasAvailableProvider(chain) {
+    return this.resolveChain(chain).length > 0;
+  }
+
+  async complete(messages, options = {}) {
+    const providers = this.resolveChain(options.chain);
+    if (providers.length === 0) {
+      throw new Error('No LLM provider available');
+    }
+
+    const failures = [];
+    for (const provider of providers) {
+      try {
+        const result = await provider.complete(messages, options);
+        return { ...result, fallbacks: failures };
+      } catch (error) {
+        logger.warn(`LLM provider ${provider.name} failed: ${error.message}`);
+        failures.push({ provider: provider.name, error: error.message });
+      }
+    }
+
+    const error = new Error(`All LLM providers failed: ${failures.map(f => `${f.provider}: ${f.error}`).join('; ')}`);
+    error.failures = failures;
+    throw error;
+  }
+
+  getStats() {
+    const providers = Array.from(this.providers.values()).map(provider => provider.getStats());
+    return {
+      defaultChain: this.defaultChain,
+      providers,
+      totalCost: parseFloat(providers.reduce((sum, p) => sum + p.cost, 0).toFixed(6)),
+      totalTokens: providers.reduce((sum, p) => sum + p.promptTokens + p.completionTokens, 0)
+    };
+  }
+}
+
+module.exports = {
+  LLMProviderRegistry,
+  createProvider,
+  PROVIDER_TYPES
+};
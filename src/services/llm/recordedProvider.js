@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const LLMProvider = require('./llmProvider');
+
+/**
+ * Replays LLM responses recorded earlier, keyed by a hash of the prompt messages.
+ * With `recordFrom` set, prompts missing from the file are sent to that provider
+ * and the answers are saved, so a live run can be replayed offline later.
+ */
+class RecordedProvider extends LLMProvider {
+  constructor(name = 'recorded', options = {}) {
+    super(name, {
+      type: 'recorded',
+      model: 'recorded',
+      maxRetries: 0,
+      ...options
+    });
+    this.file = options.file;
+    this.recordFrom = options.recordFrom || null;
+    this.recordings = this.load();
+  }
+
+  isAvailable() {
+    return !!this.file && (!!this.recordFrom || Object.keys(this.recordings).length > 0);
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.recordings, null, 2));
+  }
+
+  key(messages) {
+    return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+  }
+
+  async request(messages, options) {
+    const key = this.key(messages);
+    const recorded = this.recordings[key];
+
+    if (recorded) {
+      return { content: recorded.content, usage: recorded.usage };
+    }
+
+    if (!this.recordFrom) {
+      const error = new Error(`No recorded response for prompt ${key.slice(0, 12)}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const response = await this.recordFrom.complete(messages, options);
+    this.recordings[key] = {
+      provider: response.provider,
+      model: response.model,
+      content: response.content,
+      usage: response.usage,
+      recordedAt: new Date().toISOString()
+    };
+    this.save();
+
+    return { content: response.content, usage: response.usage };
+  }
+}
+
+module.exports = RecordedProvider;
@@ -0,0 +1,59 @@
+const LLMProvider = require('./llmProvider');
+
+const DEFAULT_RESPONSE = {
+  isSignal: false,
+  signalType: 'general',
+  confidence: 0,
+  reasoning: 'Stub provider response',
+  extractedData: {}
+};
+
+/**
+ * Offline provider for tests and local runs without a model.
+ * Answers with `handler(messages)` if given, otherwise with queued `responses`
+ * (the last one repeats), otherwise with a non-signal result.
+ * Errors in the queue are thrown to exercise retries and the fallback chain.
+ */
+class StubProvider extends LLMProvider {
+  constructor(name = 'stub', options = {}) {
+    super(name, {
+      type: 'stub',
+      model: 'stub',
+      maxRetries: 0,
+      retryDelay: 0,
+      ...options
+    });
+    this.handler = options.handler || null;
+    this.responses = Array.isArray(options.responses) ? [...options.responses] : [];
+    this.calls = [];
+  }
+
+  async request(messages) {
+    this.calls.push(messages);
+
+    let response = DEFAULT_RESPONSE;
+    if (this.handler) {
+      response = await this.handler(messages);
+    } else if (this.responses.length > 0) {
+      response = this.responses.length > 1 ? this.responses.shift() : this.responses[0];
+    }
+
+    if (response instanceof Error) {
+      throw response;
+    }
+
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+    const prompt = messages.map(m => m.content).join('\n');
+
+    return {
+      content,
+      // Rough 4 characters per token estimate, enough for cost accounting tests
+      usage: {
+        promptTokens: Math.ceil(prompt.length / 4),
+        completionTokens: Math.ceil(content.length / 4)
+      }
+    };
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const { TelegramClient, Api } = require('telegram');
+const { StringSession } = require('telegram/sessions');
+const { NewMessage } = require('telegram/events');
+const { EditedMessage } = require('telegram/events/EditedMessage');
+const { Logger } = require('telegram/extensions');
+const { getPeerId } = require('telegram/Utils');
+const config = require('../config/app');
+const { logger } = require('../utils/logger');
+const { redisUtils, CHANNELS } = require('../config/redis');
+const Channel = require('../models/Channel');
+
+/**
+ * Reads channels with ingestionBackend 'mtproto' through a logged-in Telegram user account,
+ * for channels where the bot cannot be an admin. New posts are queued into `message_queue`
+ * in the same shape TelegramService produces, so the signal feed does not know the difference.
+ */
+class MtprotoIngestionService {
+  constructor(telegramService) {
+    this.telegramService = telegramService;
+    this.client = null;
+    this.isConnected = false;
+    this.starting = null;
+    // Bot API style chat id (-100...) → channel
+    this.monitoredChannels = new Map();
+  }
+
+  static sessionFile() {
+    return path.join(config.telegram.sessionDir, `${config.telegram.sessionName}.session`);
+  }
+
+  static loadSession() {
+    if (config.telegram.session) return config.telegram.session;
+    const file = MtprotoIngestionService.sessionFile();
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim() : '';
+  }
+
+  static saveSession(session) {
+    fs.mkdirSync(config.telegram.sessionDir, { recursive: true });
+    fs.writeFileSync(MtprotoIngestionService.sessionFile(), session, { mode: 0o600 });
+  }
+
+  static createClient(session = '') {
+    const { apiId, apiHash } = config.telegram;
+    return new TelegramClient(new StringSession(session), parseInt(apiId, 10), apiHash, {
+      connectionRetries: config.telegram.maxRetries,
+      baseLogger: new Logger('error')
+    });
+  }
+
+  async initialize() {
+    // Channels switched to or from MTProto are picked up without a restart, also when none used it at startup
+    try {
+      await redisUtils.subscribe(CHANNELS.CHANNEL_UPDATE, async (data) => {
+        if (data.type === 'channel_update') {
+          await this.handleChannelUpdate(data);
+        }
+      });
+    } catch (error) {
+      logger.error('Could not subscribe to channel updates for MTProto ingestion:', error);
+    }
+    return this.start();
+  }
+
+  // One connection attempt at a time: startup and channel updates may overlap
+  start() {
+    if (!this.starting) {
+      this.starting = this.connect().finally(() => {
+        this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  async connect() {
+    try {
+      const channels = await this.findChannels();
+      if (channels.length === 0) {
+        logger.info('No channels use MTProto ingestion, user session not started');
+        return true;
+      }
+
+      if (!config.telegram.apiId || !config.telegram.apiHash) {
+        logger.warn(`${channels.length} channels use MTProto ingestion but TELEGRAM_API_ID / TELEGRAM_API_HASH are not set`);
+        return true;
+      }
+
+      const session = MtprotoIngestionService.loadSession();
+      if (!session) {
+        logger.warn('No Telegram user session found, run `npm run telegram-login` to read MTProto channels');
+        return true;
+      }
+
+      this.client = MtprotoIngestionService.createClient(session);
+      await this.client.connect();
+      if (!await this.client.checkAuthorization()) {
+        logger.warn('Telegram user session is not authorized anymore, run `npm run telegram-login` again');
+        await this.client.destroy();
+        this.client = null;
+        return true;
+      }
+
+      this.isConnected = true;
+      this.client.addEventHandler(event => this.handleNewMessage(event.message), new NewMessage({}));
+      this.client.addEventHandler(event => this.handleNewMessage(event.message, { isEdit: true }), new EditedMessage({}));
+      await this.loadMonitoredChannels(channels);
+
+      logger.info(`MTProto ingestion started for ${this.monitoredChannels.size} channels`);
+      return true;
+
+    } catch (error) {
+      // The bot keeps working without the user session
+      logger.error('Failed to initialize MTProto ingestion:', error);
+      this.isConnected = false;
+      return true;
+    }
+  }
+
+  async findChannels() {
+    const channels = await Channel.findAll({ isActive: true });
+    return channels.filter(channel => channel.ingestionBackend === 'mtproto');
+  }
+
+  async loadMonitoredChannels(channels) {
+    const monitored = new Map();
+
+    for (const channel of channels) {
+      // eslint-disable-next-line no-await-in-loop
+      const chatId = await this.resolveChannel(channel);
+      if (chatId) monitored.set(chatId, channel);
+    }
+
+    this.monitoredChannels = monitored;
+  }
+
+  async addChannel(channel) {
+    const chatId = await this.resolveChannel(channel);
+    if (chatId) this.monitoredChannels.set(chatId, channel);
+  }
+
+  // Bot API style chat id of the channel, joined with the user session; null when it cannot be resolved
+  async resolveChannel(channel) {
+    try {
+      const entity = await this.client.getEntity(channel.telegramChannelId);
+      await this.joinChannel(entity, channel);
+      return getPeerId(entity);
+    } catch (error) {
+      logger.warn(`Could not resolve MTProto channel ${channel.name} (${channel.telegramChannelId}):`, error.message);
+      return null;
+    }
+  }
+
+  // Public channels are joined on the fly; private ones must be joined by hand with an invite link
+  async joinChannel(entity, channel) {
+    if (!(entity instanceof Api.Channel) || !entity.left) return;
+    await this.client.invoke(new Api.channels.JoinChannel({ channel: entity }));
+    logger.info(`Joined Telegram channel ${channel.name} with the user session`);
+  }
+
+  /**
+   * Only the channel of the update is touched: resolving and joining every channel again on
+   * each settings change runs into FLOOD_WAIT on sessions with many channels.
+   */
+  async handleChannelUpdate({ action, channel }) {
+    if (!channel) return;
+    const [chatId, monitored] = Array.from(this.monitoredChannels.entries()).find(([, c]) => c.id === channel.id) || [];
+    const wanted = action !== 'removed' && channel.isActive !== false && channel.ingestionBackend === 'mtproto';
+
+    if (monitored && wanted) {
+      monitored.isPaused = channel.isPaused;
+      monitored.name = channel.name;
+      return;
+    }
+    if (monitored) {
+      this.monitoredChannels.delete(chatId);
+      logger.info(`Channel ${channel.name} is no longer read with the user session`);
+      return;
+    }
+    if (!wanted) return;
+
+    // the first channel switched to MTProto starts the user session
+    if (!this.isConnected) {
+      await this.start();
+      return;
+    }
+    try {
+      const added = await Channel.findById(channel.id);
+      if (added) await this.addChannel(added);
+    } catch (error) {
+      logger.error(`Error adding MTProto channel ${channel.name}:`, error);
+    }
+  }
+
+  async handleNewMessage(message, { isEdit = false } = {}) {
+    try {
+      if (!message || !message.peerId) return;
+
+      const chatId = getPeerId(message.peerId);
+      const channel = this.monitoredChannels.get(chatId);
+      if (!channel) return;
+
+      if (channel.isPaused) {
+        logger.debug(`Message from paused channel: ${channel.name}`);
+        return;
+      }
+
+      const messageData = this.toMessageData(message, channel, chatId, isEdit);
+      await this.telegramService.queueMessageForProcessing(messageData);
+
+      logger.info(`Message queued from channel ${channel.name} (MTProto)`, {
+        messageId: messageData.messageId,
+        textLength: messageData.text.length,
+        hasPhotos: messageData.photos.length > 0,
+        hasDocument: !!messageData.document
+      });
+
+    } catch (error) {
+      logger.error('Error handling MTProto message:', error);
+    }
+  }
+
+  // Same fields as TelegramService.handleChannelMessage; media are described, not downloaded
+  toMessageData(message, channel, chatId, isEdit = false) {
+    return {
+      messageId: message.id,
+      replyToMessageId: message.replyTo?.replyToMsgId || null,
+      channelId: channel.id,
+      channelName: channel.name,
+      telegramChannelId: chatId,
+      text: message.message || '',
+      date: new Date(message.date * 1000),
+      userId: message.fromId?.userId ? message.fromId.userId.toString() : null,
+      username: message.postAuthor || null,
+      isForwarded: !!message.fwdFrom,
+      forwardedFrom: message.fwdFrom?.fromName || null,
+      photos: message.photo ? [{ id: message.photo.id.toString() }] : [],
+      document: message.document
+        ? { id: message.document.id.toString(), mimeType: message.document.mimeType, size: Number(message.document.size) }
+        : null,
+      entities: (message.entities || []).map(entity => ({
+        type: entity.className, offset: entity.offset, length: entity.length
+      })),
+      isEdit,
+      editDate: message.editDate ? new Date(message.editDate * 1000) : null,
+      // gramjs messages hold a reference to the client and do not serialize
+      rawMessage: null
+    };
+  }
+
+  getStatus() {
+    return {
+      isConnected: this.isConnected,
+      monitoredChannels: this.monitoredChannels.size,
+      channelList: Array.from(this.monitoredChannels.values()).map(channel => ({
+        id: channel.id,
+        name: channel.name,
+        isPaused: channel.isPaused
+      }))
+    };
+  }
+
+  async shutdown() {
+    try {
+      if (this.client) {
+        await this.client.destroy();
+      }
+      this.isConnected = false;
+      this.monitoredChannels.clear();
+      logger.info('MTProto ingestion shutdown complete');
+    } catch (error) {
+      logger.error('Error during MTProto ingestion shutdown:', error);
+    }
+  }
+}
+
+module.exports = MtprotoIngestionService;
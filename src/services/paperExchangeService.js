@@ -0,0 +1,504 @@
+const Decimal = require('decimal.js');
+const config = require('../config/app');
+const { redisUtils, CACHE_KEYS } = require('../config/redis');
+const { logger, trade: tradeLog } = require('../utils/logger');
+
+const PAPER_ACCOUNT_PREFIX = 'paper_';
+const ACCOUNTS_KEY = `${CACHE_KEYS.PAPER}accounts`;
+const PRICES_KEY = `${CACHE_KEYS.PAPER}prices`;
+const accountKey = (accountId) => `${CACHE_KEYS.PAPER}account:${accountId}`;
+
+const STOP_TYPES = ['STOP_MARKET', 'STOP'];
+const TAKE_PROFIT_TYPES = ['TAKE_PROFIT_MARKET', 'TAKE_PROFIT'];
+const HISTORY_LIMIT = 500;
+
+// Paper channels trade on their own simulated sub-account
+const paperAccountId = (channelId) => `${PAPER_ACCOUNT_PREFIX}${channelId}`;
+const isPaperAccount = (subAccountId) => typeof subAccountId === 'string' && subAccountId.startsWith(PAPER_ACCOUNT_PREFIX);
+
+// Redis keeps the simulated accounts across restarts
+const redisStore = {
+  get: key => redisUtils.get(key),
+  set: (key, value) => redisUtils.set(key, value, null)
+};
+
+/**
+ * Simulated BingX futures exchange for channels in paper mode.
+ * Mirrors the account-scoped BingXService methods (orders, positions, balance) for
+ * paper_<channelId> sub-accounts: MARKET orders fill at the current price, LIMIT and
+ * STOP_MARKET / TAKE_PROFIT_MARKET orders are filled by a price tick. Prices are the
+ * ones supplied via setPrice(), otherwise live quotes from marketData.
+ */
+class PaperExchangeService {
+  constructor(marketData, options = {}) {
+    this.marketData = marketData;
+    this.store = options.store || redisStore;
+    this.settings = { ...config.paperTrading, ...options.settings };
+    this.accounts = new Map();
+    this.locks = new Map();
+    this.quotes = new Map();
+    this.suppliedPrices = null;
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  /* ------------------------------- State ----------------------------------- */
+
+  newAccount(accountId, balance = this.settings.initialBalance) {
+    return {
+      accountId,
+      balance,
+      initialBalance: balance,
+      leverage: {},
+      positions: {},
+      openOrders: [],
+      orderHistory: [],
+      income: [],
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async loadAccount(accountId) {
+    if (!this.accounts.has(accountId)) {
+      const stored = await this.store.get(accountKey(accountId));
+      if (stored) {
+        this.accounts.set(accountId, stored);
+      } else {
+        this.accounts.set(accountId, this.newAccount(accountId));
+        const ids = (await this.store.get(ACCOUNTS_KEY)) || [];
+        if (!ids.includes(accountId)) await this.store.set(ACCOUNTS_KEY, [...ids, accountId]);
+      }
+    }
+    return this.accounts.get(accountId);
+  }
+
+  // Mutations of one account run one at a time and are saved afterwards
+  async withAccount(accountId, fn) {
+    const previous = this.locks.get(accountId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+      const account = await this.loadAccount(accountId);
+      const result = await fn(account);
+      await this.store.set(accountKey(accountId), account);
+      return result;
+    });
+    this.locks.set(accountId, run);
+    return run;
+  }
+
+  async listAccountIds() {
+    return (await this.store.get(ACCOUNTS_KEY)) || [];
+  }
+
+  async getAccountSummary(accountId) {
+    const [info, positions, openOrders, orderHistory] = await Promise.all([
+      this.getAccountInfo(accountId),
+      this.getPositions(accountId),
+      this.getOpenOrders(null, accountId),
+      this.getOrderHistory(null, 50, accountId)
+    ]);
+    const account = await this.loadAccount(accountId);
+    const realizedPnl = account.income
+      .filter(i => i.incomeType === 'REALIZED_PNL')
+      .reduce((sum, i) => sum + i.income, 0);
+
+    return {
+      accountId,
+      channelId: accountId.slice(PAPER_ACCOUNT_PREFIX.length),
+      initialBalance: account.initialBalance,
+      ...info,
+      realizedPnl,
+      positions,
+      openOrders,
+      orderHistory
+    };
+  }
+
+  async resetAccount(accountId, balance = this.settings.initialBalance) {
+    return this.withAccount(accountId, (account) => {
+      Object.assign(account, this.newAccount(accountId, balance));
+      tradeLog('paper_account_reset', { accountId, balance });
+      return account;
+    });
+  }
+
+  /* ------------------------------- Prices ---------------------------------- */
+
+  async getSuppliedPrices() {
+    if (!this.suppliedPrices) this.suppliedPrices = (await this.store.get(PRICES_KEY)) || {};
+    return this.suppliedPrices;
+  }
+
+  // A supplied price overrides live quotes until it is cleared, and is acted on right away
+  async setPrice(symbol, price) {
+    const prices = await this.getSuppliedPrices();
+    const formatted = this.formatSymbol(symbol);
+    if (price == null) {
+      delete prices[formatted];
+    } else {
+      prices[formatted] = Number(price);
+    }
+    await this.store.set(PRICES_KEY, prices);
+    this.quotes.delete(formatted);
+    if (price != null) await this.processPrice(formatted, Number(price));
+    return prices;
+  }
+
+  async getPrice(symbol) {
+    const formatted = this.formatSymbol(symbol);
+    const supplied = (await this.getSuppliedPrices())[formatted];
+    if (supplied) return supplied;
+
+    const cached = this.quotes.get(formatted);
+    if (cached && Date.now() - cached.time < this.settings.quoteTtlMs) return cached.price;
+
+    const { price } = await this.marketData.getSymbolPrice(formatted);
+    if (!Number.isFinite(price) || price <= 0) throw new Error(`No price for ${formatted}`);
+    this.quotes.set(formatted, { price, time: Date.now() });
+    return price;
+  }
+
+  /* ---------------------------- Account API -------------------------------- */
+
+  async getAccountInfo(subAccountId) {
+    const account = await this.loadAccount(subAccountId);
+    const positions = Object.values(account.positions);
+    const unrealizedPnl = positions.reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0);
+    const marginUsed = positions.reduce((sum, p) => sum + p.isolatedMargin, 0);
+    const equity = account.balance + unrealizedPnl;
+
+    return {
+      balance: account.balance,
+      availableBalance: Math.max(equity - marginUsed, 0),
+      equity,
+      unrealizedPnl,
+      marginUsed,
+      marginRatio: equity > 0 ? (marginUsed / equity) * 100 : 0
+    };
+  }
+
+  async getPositions(subAccountId) {
+    const account = await this.loadAccount(subAccountId);
+    const positions = Object.values(account.positions);
+    for (const position of positions) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        this.markToMarket(position, await this.getPrice(position.symbol));
+      } catch (error) {
+        logger.warn('Paper exchange: no price to mark position', { symbol: position.symbol, error: error.message });
+      }
+    }
+    return positions.map(p => ({ ...p }));
+  }
+
+  async setLeverage(symbol, leverage, side, subAccountId) {
+    const formatted = this.formatSymbol(symbol);
+    await this.withAccount(subAccountId, (account) => {
+      account.leverage[formatted] = Number(leverage);
+    });
+    return { symbol: formatted, leverage: Number(leverage) };
+  }
+
+  async getOpenOrders(symbol = null, subAccountId) {
+    const account = await this.loadAccount(subAccountId);
+    const formatted = symbol ? this.formatSymbol(symbol) : null;
+    return account.openOrders.filter(o => !formatted || o.symbol === formatted).map(o => ({ ...o }));
+  }
+
+  async getOrderHistory(symbol = null, limit = 100, subAccountId) {
+    const account = await this.loadAccount(subAccountId);
+    const formatted = symbol ? this.formatSymbol(symbol) : null;
+    return account.orderHistory
+      .filter(o => !formatted || o.symbol === formatted)
+      .slice(-limit)
+      .reverse()
+      .map(o => ({ ...o, quantity: o.origQty }));
+  }
+
+  async getOrder(orderId, symbol, subAccountId) {
+    const account = await this.loadAccount(subAccountId);
+    const order = [...account.openOrders, ...account.orderHistory].find(o => String(o.orderId) === String(orderId));
+    if (!order) throw new Error(`Order ${orderId} does not exist`);
+    return { ...order };
+  }
+
+  async getOrderByClientId(symbol, clientOrderId, subAccountId) {
+    const account = await this.loadAccount(subAccountId);
+    const order = [...account.openOrders, ...account.orderHistory].find(o => o.clientOrderId === clientOrderId);
+    return order ? { ...order } : null;
+  }
+
+  async getIncomeHistory(options = {}, subAccountId) {
+    const account = await this.loadAccount(subAccountId);
+    return account.income
+      .filter(i => !options.symbol || i.symbol === this.formatSymbol(options.symbol))
+      .slice(-(options.limit || 50))
+      .reverse();
+  }
+
+  /* ----------------------------- Trading API ------------------------------- */
+
+  async placeOrder(orderData, subAccountId) {
+    const symbol = this.formatSymbol(orderData.symbol);
+    const type = String(orderData.type);
+    const positionSide = orderData.positionSide || (orderData.side === 'BUY' ? 'LONG' : 'SHORT');
+    const isConditional = type.includes('STOP') || type.includes('TAKE_PROFIT');
+    if (isConditional && (orderData.stopPrice == null || Number(orderData.stopPrice) <= 0)) {
+      throw new Error(`Conditional order ${type} requires a valid stopPrice`);
+    }
+    const quantity = Number(orderData.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) throw new Error('Order quantity must be positive');
+
+    const marketPrice = await this.getPrice(symbol);
+
+    const order = await this.withAccount(subAccountId, (account) => {
+      if (orderData.clientOrderId && [...account.openOrders, ...account.orderHistory]
+        .some(o => o.clientOrderId === orderData.clientOrderId)) {
+        throw new Error(`Duplicate clientOrderId ${orderData.clientOrderId}`);
+      }
+
+      const newOrder = {
+        orderId: `P${Date.now()}${String((this.sequence += 1)).padStart(4, '0')}`,
+        clientOrderId: orderData.clientOrderId || null,
+        symbol,
+        side: orderData.side,
+        positionSide,
+        type,
+        origQty: quantity,
+        price: orderData.price ? Number(orderData.price) : 0,
+        stopPrice: isConditional ? Number(orderData.stopPrice) : 0,
+        executedQty: 0,
+        avgPrice: 0,
+        status: 'NEW',
+        workingType: orderData.workingType || 'MARK_PRICE',
+        time: Date.now(),
+        updateTime: Date.now()
+      };
+
+      if (!this.isReducing(newOrder)) this.checkMargin(account, newOrder, newOrder.price || marketPrice);
+
+      if (type === 'MARKET') {
+        this.fill(account, newOrder, marketPrice);
+      } else if (type === 'LIMIT' && this.limitReached(newOrder, marketPrice)) {
+        // marketable limit orders fill at the market like on the exchange
+        this.fill(account, newOrder, marketPrice);
+      } else {
+        account.openOrders.push(newOrder);
+      }
+      return newOrder;
+    });
+
+    this.start();
+    tradeLog('paper_order_placed', {
+      orderId: order.orderId, symbol, side: order.side, type, quantity, status: order.status, subAccountId
+    });
+
+    return {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      symbol,
+      side: order.side,
+      positionSide,
+      status: order.status,
+      executedQty: order.executedQty,
+      executedPrice: order.avgPrice
+    };
+  }
+
+  async cancelOrder(orderId, symbol, subAccountId) {
+    return this.withAccount(subAccountId, (account) => {
+      const order = account.openOrders.find(o => String(o.orderId) === String(orderId));
+      if (!order) throw new Error(`Order ${orderId} does not exist or is already closed`);
+      this.finishOrder(account, order, 'CANCELED');
+      return { orderId: order.orderId, status: order.status };
+    });
+  }
+
+  async closePosition(symbol, quantity = null, subAccountId) {
+    const formatted = this.formatSymbol(symbol);
+    const account = await this.loadAccount(subAccountId);
+    const position = Object.values(account.positions).find(p => p.symbol === formatted);
+    if (!position) {
+      return { orderId: null, symbol: formatted, status: 'already_closed', message: `Position for ${formatted} not found on exchange` };
+    }
+
+    return this.placeOrder({
+      symbol: formatted,
+      side: position.side === 'BUY' ? 'SELL' : 'BUY',
+      positionSide: position.positionSide,
+      type: 'MARKET',
+      quantity: quantity || position.size,
+      reduceOnly: true
+    }, subAccountId);
+  }
+
+  /* ------------------------------ Matching --------------------------------- */
+
+  isReducing(order) {
+    return (order.positionSide === 'LONG' && order.side === 'SELL') || (order.positionSide === 'SHORT' && order.side === 'BUY');
+  }
+
+  limitReached(order, price) {
+    return order.side === 'BUY' ? price <= order.price : price >= order.price;
+  }
+
+  // STOP_MARKET fires when the price moves against the position, TAKE_PROFIT_MARKET when it moves in favour
+  isTriggered(order, price) {
+    if (order.type === 'LIMIT') return this.limitReached(order, price);
+    if (STOP_TYPES.includes(order.type)) return order.side === 'SELL' ? price <= order.stopPrice : price >= order.stopPrice;
+    if (TAKE_PROFIT_TYPES.includes(order.type)) return order.side === 'SELL' ? price >= order.stopPrice : price <= order.stopPrice;
+    return false;
+  }
+
+  checkMargin(account, order, price) {
+    const leverage = account.leverage[order.symbol] || 1;
+    const required = (order.origQty * price) / leverage;
+    const positions = Object.values(account.positions);
+    const unrealized = positions.reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0);
+    const used = positions.reduce((sum, p) => sum + p.isolatedMargin, 0)
+      + account.openOrders.filter(o => !this.isReducing(o))
+        .reduce((sum, o) => sum + (o.origQty * (o.price || o.stopPrice)) / (account.leverage[o.symbol] || 1), 0);
+    const available = account.balance + unrealized - used;
+    if (required > available) {
+      throw new Error(`Insufficient margin: ${required.toFixed(2)} USDT required, ${available.toFixed(2)} USDT available`);
+    }
+  }
+
+  fill(account, order, fillPrice) {
+    const key = `${order.symbol}_${order.positionSide}`;
+    const position = account.positions[key];
+    let qty = new Decimal(order.origQty);
+    let realizedPnl = new Decimal(0);
+
+    if (this.isReducing(order)) {
+      if (!position) {
+        this.finishOrder(account, order, 'CANCELED');
+        return order;
+      }
+      qty = Decimal.min(qty, position.size);
+      const direction = order.positionSide === 'LONG' ? 1 : -1;
+      realizedPnl = new Decimal(fillPrice).minus(position.entryPrice).times(qty).times(direction);
+      const size = new Decimal(position.size).minus(qty);
+      if (size.lessThanOrEqualTo(0)) {
+        delete account.positions[key];
+      } else {
+        position.size = size.toNumber();
+        position.isolatedMargin = (position.size * position.entryPrice) / position.leverage;
+        this.markToMarket(position, fillPrice);
+      }
+    } else {
+      const leverage = account.leverage[order.symbol] || 1;
+      const current = position || {
+        symbol: order.symbol,
+        side: order.positionSide === 'LONG' ? 'BUY' : 'SELL',
+        positionSide: order.positionSide,
+        size: 0,
+        entryPrice: 0,
+        leverage,
+        marginType: 'ISOLATED',
+        positionId: `${account.accountId}_${key}`
+      };
+      const size = new Decimal(current.size).plus(qty);
+      current.entryPrice = new Decimal(current.size).times(current.entryPrice).plus(qty.times(fillPrice)).div(size).toNumber();
+      current.size = size.toNumber();
+      current.isolatedMargin = (current.size * current.entryPrice) / current.leverage;
+      this.markToMarket(current, fillPrice);
+      account.positions[key] = current;
+    }
+
+    const fee = qty.times(fillPrice).times(this.settings.feeRate);
+    account.balance = new Decimal(account.balance).plus(realizedPnl).minus(fee).toNumber();
+    if (!realizedPnl.isZero()) {
+      account.income.push({ symbol: order.symbol, incomeType: 'REALIZED_PNL', income: realizedPnl.toNumber(), asset: 'USDT', time: Date.now() });
+    }
+    account.income.push({ symbol: order.symbol, incomeType: 'TRADING_FEE', income: fee.negated().toNumber(), asset: 'USDT', time: Date.now() });
+    account.income = account.income.slice(-HISTORY_LIMIT);
+
+    order.executedQty = qty.toNumber();
+    order.avgPrice = fillPrice;
+    order.realizedPnl = realizedPnl.toNumber();
+    this.finishOrder(account, order, 'FILLED');
+    return order;
+  }
+
+  finishOrder(account, order, status) {
+    Object.assign(order, { status, updateTime: Date.now() });
+    account.openOrders = account.openOrders.filter(o => o.orderId !== order.orderId);
+    account.orderHistory = [...account.orderHistory, order].slice(-HISTORY_LIMIT);
+  }
+
+  markToMarket(position, price) {
+    const direction = position.positionSide === 'LONG' ? 1 : -1;
+    position.markPrice = price;
+    position.unrealizedPnl = (price - position.entryPrice) * position.size * direction;
+    position.percentage = position.isolatedMargin ? (position.unrealizedPnl / position.isolatedMargin) * 100 : 0;
+  }
+
+  // Fills every open order of every paper account that the price has reached
+  async processPrice(symbol, price) {
+    const fills = [];
+    for (const accountId of await this.listAccountIds()) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.withAccount(accountId, (account) => {
+        for (const order of account.openOrders.filter(o => o.symbol === symbol)) {
+          if (this.isTriggered(order, price)) {
+            // resting limit orders fill at their own price
+            this.fill(account, order, order.type === 'LIMIT' ? order.price : price);
+            fills.push({ accountId, orderId: order.orderId, type: order.type, status: order.status, price: order.avgPrice });
+          }
+        }
+        Object.values(account.positions).filter(p => p.symbol === symbol).forEach(p => this.markToMarket(p, price));
+      });
+    }
+    fills.forEach(fill => tradeLog('paper_order_filled', { symbol, ...fill }));
+    return fills;
+  }
+
+  async tick() {
+    const symbols = new Set();
+    for (const accountId of await this.listAccountIds()) {
+      // eslint-disable-next-line no-await-in-loop
+      const account = await this.loadAccount(accountId);
+      account.openOrders.forEach(o => symbols.add(o.symbol));
+    }
+    for (const symbol of symbols) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this.processPrice(symbol, await this.getPrice(symbol));
+      } catch (error) {
+        logger.warn('Paper exchange tick failed', { symbol, error: error.message });
+      }
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Paper exchange tick error:', error));
+    }, this.settings.tickIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  formatSymbol(symbol) {
+    return this.marketData.formatSymbol ? this.marketData.formatSymbol(symbol) : symbol;
+  }
+}
+
+let sharedExchange = null;
+
+// One simulated exchange per process, shared by every BingXService instance
+const getPaperExchange = (marketData) => {
+  if (!sharedExchange) sharedExchange = new PaperExchangeService(marketData);
+  return sharedExchange;
+};
+
+module.exports = {
+  PaperExchangeService,
+  getPaperExchange,
+  paperAccountId,
+  isPaperAccount
+};
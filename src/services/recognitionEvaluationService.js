@@ -0,0 +1,238 @@
+const path = require('path');
+const config = require('../config/app');
+const { SignalRecognitionService } = require('./signalRecognitionService');
+const { LLMProviderRegistry, createProvider } = require('./llm/providerRegistry');
+const RecordedProvider = require('./llm/recordedProvider');
+const defaultCorpus = require('../evaluation/corpus.json');
+
+const SIGNAL_TYPES = ['entry', 'update', 'close', 'general'];
+const EVALUATED_FIELDS = ['coin', 'direction', 'entryPrice', 'takeProfitLevels', 'stopLoss'];
+const DEFAULT_RECORDINGS_FILE = path.join(__dirname, '../evaluation/recordings.json');
+
+// 'none' evaluates the rule-based parser alone
+const OFFLINE_PROVIDERS = ['none', 'stub', 'recorded'];
+
+/**
+ * Runs a labeled corpus through SignalRecognitionService and scores the result:
+ * signal type accuracy and confusion matrix, per-field precision/recall.
+ * Works offline with the stub or recorded provider; a live provider can be
+ * recorded once (record: true) and replayed later.
+ */
+class RecognitionEvaluationService {
+  constructor(options = {}) {
+    this.provider = options.provider || 'stub';
+    this.record = !!options.record;
+    this.recordingsFile = options.recordingsFile || DEFAULT_RECORDINGS_FILE;
+    this.llmOnly = !!options.llmOnly;
+    this.recognition = options.recognition || this.createRecognitionService();
+  }
+
+  static getProviderNames() {
+    return [...OFFLINE_PROVIDERS, ...Object.keys(config.llm.providers).filter(name => !OFFLINE_PROVIDERS.includes(name))];
+  }
+
+  // No BingX symbol list and a single-provider chain: results depend only on the corpus and the provider
+  createRecognitionService() {
+    const recognition = new SignalRecognitionService();
+    recognition.bingxService = { supportedSymbols: [] };
+    recognition.llm = this.createRegistry();
+    recognition.initialized = true;
+
+    // Prompt and model comparisons need every message to reach the LLM
+    if (this.llmOnly) {
+      recognition.ruleParserConfidence = Infinity;
+    }
+
+    return recognition;
+  }
+
+  createRegistry() {
+    const registry = new LLMProviderRegistry({ chain: [], providers: {} });
+    if (this.provider === 'none') {
+      return registry;
+    }
+
+    let provider;
+    if (this.provider === 'stub') {
+      provider = createProvider('stub', { type: 'stub' });
+    } else if (this.provider === 'recorded') {
+      provider = new RecordedProvider('recorded', { file: this.recordingsFile });
+    } else {
+      const options = config.llm.providers[this.provider];
+      if (!options) {
+        throw new Error(`Unknown LLM provider: ${this.provider}`);
+      }
+      provider = createProvider(this.provider, options);
+      if (this.record) {
+        provider = new RecordedProvider('recorded', { file: this.recordingsFile, recordFrom: provider });
+      }
+    }
+
+    registry.register(provider);
+    registry.defaultChain = [provider.name];
+    return registry;
+  }
+
+  async run(corpus = defaultCorpus, options = {}) {
+    const cases = [];
+
+    for (const item of corpus) {
+      let result;
+      let error = null;
+      try {
+        result = await this.recognition.analyzeMessage({
+          text: item.text,
+          channelName: item.channelName || 'Evaluation',
+          date: new Date()
+        });
+      } catch (err) {
+        error = err.message;
+        result = { isSignal: false, signalType: 'general', extractedData: {} };
+      }
+
+      const predicted = this.toPrediction(result);
+      const expected = { signalType: 'general', ...item.expected };
+
+      cases.push({
+        id: item.id,
+        expected,
+        predicted,
+        source: result.llm ? result.llm.provider : (result.source || null),
+        mismatches: ['signalType', ...EVALUATED_FIELDS]
+          .filter(field => !this.fieldsEqual(field, expected[field], predicted[field])),
+        error
+      });
+    }
+
+    const report = this.buildReport(cases);
+    report.provider = this.provider;
+    report.llmOnly = this.llmOnly;
+    report.llm = this.recognition.llm.getStats();
+
+    if (options.includeCases) {
+      report.cases = cases;
+    }
+
+    return report;
+  }
+
+  // Fields of messages the pipeline would not act on are not predictions
+  toPrediction(result) {
+    const signalType = result.isSignal ? result.signalType : 'general';
+    const extracted = result.isSignal ? (result.extractedData || {}) : {};
+
+    return EVALUATED_FIELDS.reduce((prediction, field) => {
+      prediction[field] = extracted[field] ?? null;
+      return prediction;
+    }, { signalType });
+  }
+
+  buildReport(cases) {
+    const confusionMatrix = {};
+    SIGNAL_TYPES.forEach(expected => {
+      confusionMatrix[expected] = {};
+      SIGNAL_TYPES.forEach(predicted => {
+        confusionMatrix[expected][predicted] = 0;
+      });
+    });
+
+    cases.forEach(({ expected, predicted }) => {
+      if (confusionMatrix[expected.signalType] && confusionMatrix[expected.signalType][predicted.signalType] !== undefined) {
+        confusionMatrix[expected.signalType][predicted.signalType]++;
+      }
+    });
+
+    const signalTypes = {};
+    SIGNAL_TYPES.forEach(type => {
+      const tp = confusionMatrix[type][type];
+      const predictedCount = SIGNAL_TYPES.reduce((sum, expected) => sum + confusionMatrix[expected][type], 0);
+      const support = SIGNAL_TYPES.reduce((sum, predicted) => sum + confusionMatrix[type][predicted], 0);
+      signalTypes[type] = {
+        precision: this.ratio(tp, predictedCount),
+        recall: this.ratio(tp, support),
+        support
+      };
+    });
+
+    const fields = {};
+    EVALUATED_FIELDS.forEach(field => {
+      const counts = { tp: 0, fp: 0, fn: 0 };
+      cases.forEach(({ expected, predicted }) => {
+        const hasExpected = this.isPresent(expected[field]);
+        const hasPredicted = this.isPresent(predicted[field]);
+        const correct = hasExpected && hasPredicted && this.fieldsEqual(field, expected[field], predicted[field]);
+
+        if (correct) {
+          counts.tp++;
+          return;
+        }
+        if (hasPredicted) counts.fp++;
+        if (hasExpected) counts.fn++;
+      });
+
+      fields[field] = {
+        precision: this.ratio(counts.tp, counts.tp + counts.fp),
+        recall: this.ratio(counts.tp, counts.tp + counts.fn),
+        ...counts,
+        support: counts.tp + counts.fn
+      };
+    });
+
+    const correctTypes = cases.filter(c => c.expected.signalType === c.predicted.signalType).length;
+
+    return {
+      total: cases.length,
+      signalTypeAccuracy: this.ratio(correctTypes, cases.length),
+      exactMatches: cases.filter(c => c.mismatches.length === 0).length,
+      errors: cases.filter(c => c.error).length,
+      confusionMatrix,
+      signalTypes,
+      fields
+    };
+  }
+
+  isPresent(value) {
+    return value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0);
+  }
+
+  fieldsEqual(field, expected, predicted) {
+    if (!this.isPresent(expected) || !this.isPresent(predicted)) {
+      return !this.isPresent(expected) && !this.isPresent(predicted);
+    }
+
+    switch (field) {
+      case 'coin':
+        return this.normalizeCoin(expected) === this.normalizeCoin(predicted);
+      case 'signalType':
+      case 'direction':
+        return String(expected).toUpperCase() === String(predicted).toUpperCase();
+      case 'takeProfitLevels':
+        return Array.isArray(predicted)
+          && expected.length === predicted.length
+          && expected.every((level, i) => this.numbersEqual(level, predicted[i]));
+      default:
+        return this.numbersEqual(expected, predicted);
+    }
+  }
+
+  // BingX symbols and pairs ("SAND-USDT", "SANDUSDT") count as the bare coin
+  normalizeCoin(coin) {
+    return String(coin).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/(USDT|USDC|USD)$/, '');
+  }
+
+  numbersEqual(a, b) {
+    const x = parseFloat(a);
+    const y = parseFloat(b);
+    return Number.isFinite(x) && Number.isFinite(y) && Math.abs(x - y) <= 1e-6 * Math.max(1, Math.abs(x));
+  }
+
+  ratio(numerator, denominator) {
+    return denominator > 0 ? parseFloat((numerator / denominator).toFixed(4)) : null;
+  }
+}
+
+module.exports = {
+  RecognitionEvaluationService,
+  SIGNAL_TYPES,
+  EVALUATED_FIELDS
+};
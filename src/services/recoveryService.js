@@ -0,0 +1,242 @@
+const { redisUtils, CHANNELS } = require('../config/redis');
+const { logger, trade: tradeLog } = require('../utils/logger');
+const Account = require('../models/Account');
+const Channel = require('../models/Channel');
+const Position = require('../models/Position');
+const { isPaperAccount } = require('./paperExchangeService');
+
+const STOP_ORDER_TYPES = ['STOP_MARKET', 'STOP'];
+const TAKE_PROFIT_ORDER_TYPES = ['TAKE_PROFIT_MARKET', 'TAKE_PROFIT'];
+
+/**
+ * Startup pass over open positions: re-places missing stop-loss / take-profit
+ * orders, restarts stop watchers (breakeven / trailing / time exit) that were
+ * lost with the process, and raises a system alert for anything it cannot repair.
+ */
+class RecoveryService {
+  constructor(executionService) {
+    this.execution = executionService;
+    this.lastReport = null;
+  }
+
+  get bingx() {
+    return this.execution.bingx;
+  }
+
+  get queue() {
+    return this.execution.queue;
+  }
+
+  async run() {
+    const report = { startedAt: new Date(), positions: 0, repaired: [], watchersRestored: [], alerts: [] };
+
+    if (this.bingx.mode === 'mock') {
+      logger.info('Recovery skipped - BingX is in mock mode');
+      this.lastReport = { ...report, skipped: true };
+      return this.lastReport;
+    }
+
+    const positions = await Position.getOpenPositions();
+    report.positions = positions.length;
+
+    // Exchange positions are fetched once per (sub)account
+    const accounts = new Map();
+    for (const position of positions) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const subAccountId = await this.getSubAccountId(position);
+        const key = this.effectiveSubAccountId(subAccountId) || 'main';
+        if (!accounts.has(key)) {
+          // eslint-disable-next-line no-await-in-loop
+          const exchangePositions = await this.bingx.getPositions(this.effectiveSubAccountId(subAccountId));
+          accounts.set(key, { exchangePositions, symbols: new Set() });
+        }
+        const account = accounts.get(key);
+        account.symbols.add(position.symbol);
+
+        // eslint-disable-next-line no-await-in-loop
+        await this.recoverPosition(position, subAccountId, account.exchangePositions, report);
+      } catch (error) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.raiseAlert(report, {
+          type: 'recovery_failed', positionId: position.id, symbol: position.symbol, message: error.message
+        });
+      }
+    }
+
+    // Filled entries the process never recorded: nobody manages their TP/SL
+    for (const [key, account] of accounts) {
+      const untracked = account.exchangePositions.filter(p => p.size && !account.symbols.has(p.symbol));
+      for (const p of untracked) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.raiseAlert(report, {
+          type: 'untracked_exchange_position',
+          symbol: p.symbol,
+          subAccountId: key,
+          message: `Exchange position ${p.symbol} (${p.size}) has no open position record`
+        });
+      }
+    }
+
+    report.finishedAt = new Date();
+    this.lastReport = report;
+    tradeLog('recovery_completed', {
+      positions: report.positions,
+      repaired: report.repaired.length,
+      watchersRestored: report.watchersRestored.length,
+      alerts: report.alerts.length
+    });
+    return report;
+  }
+
+  async recoverPosition(position, subAccountId, exchangePositions, report) {
+    const effectiveSubAccountId = this.effectiveSubAccountId(subAccountId);
+    const exchangePosition = exchangePositions.find(p => p.symbol === position.symbol && p.size && Math.abs(p.size) > 0);
+    if (!exchangePosition) {
+      await this.raiseAlert(report, {
+        type: 'position_missing_on_exchange',
+        positionId: position.id,
+        symbol: position.symbol,
+        message: `Open position ${position.symbol} was not found on the exchange`
+      });
+      return;
+    }
+
+    // A queued TP/SL job will finish the placement itself
+    if (await this.queue.isPending('riskManagement', `rm-${position.id}`)) return;
+
+    const protection = await this.getProtectiveOrders(position, effectiveSubAccountId);
+    const levels = Array.isArray(position.takeProfitLevels) ? position.takeProfitLevels : [];
+    const missingStop = position.stopLoss && !protection.stop;
+    const missingTakeProfits = levels.length > 0 && protection.takeProfits.length === 0;
+
+    let symbolInfo = null;
+    try {
+      symbolInfo = await this.bingx.getSymbolInfo(position.symbol);
+    } catch (e) {
+      logger.warn(`Could not get symbol info for ${position.symbol}, using defaults`, { error: e.message });
+    }
+
+    if (missingStop || missingTakeProfits) {
+      if (!position.signalId) {
+        await this.raiseAlert(report, {
+          type: 'unprotected_position',
+          positionId: position.id,
+          symbol: position.symbol,
+          message: `Position ${position.symbol} has no ${missingStop ? 'stop-loss' : 'take-profit'} and no signal to rebuild it from`
+        });
+        return;
+      }
+      await this.replaceRiskOrders(position, subAccountId, symbolInfo, protection, report);
+      // a newly placed stop starts its own watcher
+      if (!protection.stop) return;
+    }
+
+    if (await this.queue.hasBreakevenCheck(position.id)) return;
+
+    // Stop watcher state is saved on the position; older positions only get a fresh
+    // watcher while their original stop is untouched
+    const state = position.stopManagement;
+    const originalStop = protection.stop && position.signalId
+      && protection.stop.clientOrderId === this.execution.buildClientOrderId(position.signalId, 'sl');
+    if (state?.active) {
+      await this.execution.resumeStopWatcher(state, { slOrderId: protection.stop ? protection.stop.orderId : state.slOrderId });
+    } else if (!state && originalStop) {
+      const channel = await Channel.findById(position.channelId);
+      await this.execution.startStopWatcher(position, channel, protection.stop.orderId, effectiveSubAccountId, symbolInfo);
+    } else {
+      return;
+    }
+    report.watchersRestored.push({ positionId: position.id, symbol: position.symbol });
+    tradeLog('stop_watcher_restored', { positionId: position.id, symbol: position.symbol });
+  }
+
+  // Legs that are still on the exchange are passed as already placed, so only the missing ones are sent
+  async replaceRiskOrders(position, subAccountId, symbolInfo, protection, report) {
+    const placed = [];
+    if (protection.stop) {
+      placed.push({ type: 'stop_loss', qty: protection.stop.origQty, orderId: protection.stop.orderId });
+    }
+    if (protection.takeProfits.length > 0) {
+      position.takeProfitLevels.forEach((_, i) => placed.push({ type: `take_profit_${i + 1}`, qty: 0, orderId: null }));
+    }
+
+    // Levels from the position include stop/take-profit moves made after entry
+    const signal = { id: position.signalId, stopLoss: position.stopLoss, takeProfitLevels: position.takeProfitLevels };
+    const channel = await Channel.findById(position.channelId);
+    const failures = [];
+    const orders = await this.execution.placeRiskManagementOrders(
+      position, signal, subAccountId, channel || {}, symbolInfo, { placed, failures }
+    );
+
+    if (orders.length > 0) {
+      report.repaired.push({ positionId: position.id, symbol: position.symbol, orders: orders.map(o => o.type) });
+      tradeLog('position_recovered', {
+        positionId: position.id, symbol: position.symbol, orders: orders.map(o => ({ type: o.type, orderId: o.order?.orderId }))
+      });
+    }
+
+    for (const failure of failures) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.raiseAlert(report, {
+        type: 'risk_order_failed',
+        positionId: position.id,
+        symbol: position.symbol,
+        message: `Could not restore ${failure.type} for ${position.symbol}: ${failure.error.message}`
+      });
+    }
+
+    // An order reused from history (e.g. cancelled) does not protect the position
+    if (position.stopLoss && !protection.stop) {
+      const after = await this.getProtectiveOrders(position, this.effectiveSubAccountId(subAccountId));
+      if (!after.stop) {
+        await this.raiseAlert(report, {
+          type: 'unprotected_position',
+          positionId: position.id,
+          symbol: position.symbol,
+          message: `Position ${position.symbol} is still without a stop-loss after recovery`
+        });
+      }
+    }
+  }
+
+  async getProtectiveOrders(position, subAccountId) {
+    const positionSide = position.side === 'BUY' ? 'LONG' : 'SHORT';
+    const orders = (await this.bingx.getOpenOrders(position.symbol, subAccountId))
+      .filter(o => !o.positionSide || o.positionSide === positionSide || o.positionSide === 'BOTH');
+
+    return {
+      stop: orders.find(o => STOP_ORDER_TYPES.includes(o.type)) || null,
+      takeProfits: orders.filter(o => TAKE_PROFIT_ORDER_TYPES.includes(o.type))
+    };
+  }
+
+  // Paper positions stay on their simulated account even if the channel went back to live
+  async getSubAccountId(position) {
+    if (isPaperAccount(position.subAccountId)) return position.subAccountId;
+    const account = await Account.findByChannelId(position.channelId);
+    return account?.bingxSubAccountId || null;
+  }
+
+  effectiveSubAccountId(subAccountId) {
+    return subAccountId && subAccountId !== 'main_account' ? subAccountId : null;
+  }
+
+  async raiseAlert(report, alert) {
+    const payload = { source: 'recovery', severity: 'critical', ...alert, timestamp: new Date().toISOString() };
+    report.alerts.push(payload);
+    logger.error(`Recovery alert: ${alert.message}`, payload);
+    tradeLog('recovery_alert', payload);
+    try {
+      await redisUtils.publish(CHANNELS.SYSTEM_ALERT, payload);
+    } catch (error) {
+      logger.error('Error publishing recovery alert:', error);
+    }
+  }
+
+  getStatus() {
+    return this.lastReport || { status: 'not run' };
+  }
+}
+
+module.exports = RecoveryService;
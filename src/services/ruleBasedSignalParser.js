@@ -0,0 +1,435 @@
+/**
+ * Deterministic signal parser for the fixed formats most channels use
+ * ("#SAND LONG x25 Entry: ... TP1 ... SL ...", also in Russian).
+ *
+ * Returns the same shape the LLM is asked for, so the result can go through
+ * SignalRecognitionService.validateAndNormalizeResult unchanged.
+ */
+
+// JS \b does not work with Cyrillic, so word boundaries are spelled out
+const L = '(?<![a-zа-яё0-9])';
+const R = '(?![a-zа-яё])';
+// \\w is ASCII-only as well
+const W = '[a-zа-яё]*';
+
+// "TP1", "TP 2:", "Target 3 -", "Тейк 1 взят" - the index is part of the keyword, not a price
+const TP_INDEX = `(?:\\d{1,2}(?![\\d.])|\\s?[#№]?\\s?\\d{1,2}(?=\\s*[:)\\-]?\\s*\\d|\\s+(?:взят|достигнут|hit|reached|done|закрыт)))?`;
+
+const KEYWORDS = {
+  tp: new RegExp(`${L}(?:take[\\s-]?profits?|targets?|tp|тп|т[еэ]йк[\\s-]?профит${W}|т[еэ]йк${W}|цел[ьи])${TP_INDEX}${R}`, 'gi'),
+  sl: new RegExp(`${L}(stop[\\s-]?loss|stop|sl|стоп[\\s-]?лосс?|стоп|сл)${R}`, 'gi'),
+  entry: new RegExp(`${L}(entry(?:\\s*(?:price|zone|point|range))?|enter|buy\\s*zone|цена\\s+входа|точка\\s+входа|зона\\s+входа|вход(?:а)?)${R}`, 'gi')
+};
+
+const DIRECTION_RE = new RegExp(`${L}(long|short|buy|sell|лонг|шорт)${R}`, 'i');
+const LEVERAGE_RES = [
+  new RegExp(`(?:leverage|lev|плечо|кредитное\\s+плечо)\\s*[:\\-]?\\s*(?:cross|isolated|кросс)?\\s*[xх×]?\\s*(\\d{1,3})`, 'i'),
+  new RegExp(`${L}[xх×]\\s?(\\d{1,3})(?![\\d.])`, 'i'),
+  new RegExp(`${L}(\\d{1,3})\\s?[xх×]${R}`, 'i')
+];
+const LEVERAGE_STRIP_RE = new RegExp(`${L}(?:[xх×]\\s?\\d{1,3}(?![\\d.])|\\d{1,3}\\s?[xх×]${R})`, 'gi');
+
+const COIN_LABEL_RE = /(?:coin|pair|symbol|ticker|монета|пара|тикер)\s*[:\-]?\s*[#$]?([a-z0-9]{2,15})/i;
+const COIN_TAG_RE = /[#$]([a-z0-9]{2,15})/gi;
+const COIN_PAIR_RE = /(?<![a-z0-9])([a-z0-9]{2,15}?)\s*[\/-]?\s*(?:usdt|usdc)(?![a-z])/gi;
+// last resort for short follow-ups ("Закрываем ETH"): a standalone upper-case ticker
+const COIN_BARE_RE = /(?<![A-Za-z0-9])([A-Z][A-Z0-9]{1,9})(?![A-Za-z0-9])/g;
+const COIN_NEAR_DIRECTION_RES = [
+  /(?<![A-Za-z0-9])([A-Z][A-Z0-9]{1,14})\s+(?:LONG|SHORT|ЛОНГ|ШОРТ)/,
+  /(?:LONG|SHORT|ЛОНГ|ШОРТ)\s+[#$]?([A-Z][A-Z0-9]{1,14})(?![A-Za-z0-9])/
+];
+
+const COIN_STOPWORDS = new Set([
+  'LONG', 'SHORT', 'BUY', 'SELL', 'TP', 'SL', 'USDT', 'USDC', 'ENTRY', 'STOP', 'LOSS', 'TARGET', 'TARGETS',
+  'CROSS', 'ISOLATED', 'LEVERAGE', 'SIGNAL', 'SIGNALS', 'NEW', 'FUTURES', 'SPOT', 'BINGX', 'BINANCE',
+  'BYBIT', 'PROFIT', 'TAKE', 'ZONE', 'PRICE', 'VIP', 'FREE', 'ЛОНГ', 'ШОРТ', 'BE', 'PNL', 'ROI', 'TF', 'DCA'
+]);
+
+const CLOSE_RE = new RegExp(`${L}(закры(?:ва|т|л|ем)${W}|фикс${W}|выходим|close[sd]?|closing|exit)${R}`, 'i');
+const CLOSE_ALL_RE = new RegExp(`${L}(вс[ёе]|всю|полностью|all|fully?|entire)${R}`, 'i');
+const UPDATE_RE = new RegExp(`${L}(перен[оеи]с${W}|переставл${W}|двига${W}|подтяги${W}|move[sd]?|moving|new\\s+(?:sl|stop|tp|targets?)|обнов${W}|update[sd]?|безубыт${W}|бу|break[\\s-]?even)${R}`, 'i');
+const BREAKEVEN_RE = new RegExp(
+  `(${L}безубыт${W}|${L}бу${R}|break[\\s-]?even|(?:sl|stop|стоп)${W}\\s+(?:to|на|в)\\s+(?:be|entry|вход${W}|точку\\s+входа)${R})`,
+  'i'
+);
+const PERCENT_RE = /(\d{1,3}(?:\.\d+)?)\s*%/;
+const VOLUME_RE = /(?:входим\s+на|вход\s+на|объ[её]м|volume|size|margin|маржа)\s*[:\-]?\s*(\d+(?:\.\d+)?\s*(?:\$|usdt|%)?)/i;
+
+const NUMBER_RE = /\d+(?:\.\d+)?/g;
+
+const NUMERIC_FIELDS = ['leverage', 'entryPrice', 'stopLoss', 'closePercentage'];
+const LIST_FIELDS = ['takeProfitLevels', 'entryPriceRange'];
+const TEMPLATE_FIELDS = ['coin', 'direction', 'suggestedVolume', ...NUMERIC_FIELDS, ...LIST_FIELDS];
+
+class RuleBasedSignalParser {
+  /**
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {Object[]} [options.fieldPatterns] channel template pattern maps, highest priority first
+   */
+  parse(text, options = {}) {
+    // "3 coins to watch": one result per setup, the first one doubles as the top-level result
+    if (options.split !== false) {
+      const signals = this.splitSignalBlocks(text || '')
+        .map(block => this.parse(block, { ...options, split: false }))
+        .filter(result => result.isSignal && result.signalType === 'entry');
+      const coins = new Set(signals.map(result => result.extractedData.coin));
+
+      if (signals.length > 1 && coins.size === signals.length) {
+        return {
+          ...signals[0],
+          confidence: Math.min(...signals.map(result => result.confidence)),
+          reasoning: `Rule-based: ${signals.length} entry signals in one message`,
+          signals
+        };
+      }
+    }
+
+    const source = this.normalizeText(text || '');
+    const extractedData = {
+      coin: this.extractCoin(source),
+      direction: this.extractDirection(source),
+      leverage: this.extractLeverage(source),
+      entryPrice: null,
+      entryPriceRange: null,
+      takeProfitLevels: null,
+      stopLoss: null,
+      suggestedVolume: this.extractVolume(source),
+      closePercentage: null,
+      moveStopToBreakeven: null,
+      additionalNotes: null
+    };
+
+    const segments = this.extractSegments(source);
+
+    if (segments.entry.length >= 2) {
+      const [a, b] = segments.entry;
+      extractedData.entryPriceRange = [Math.min(a, b), Math.max(a, b)];
+      extractedData.entryPrice = parseFloat(((a + b) / 2).toPrecision(12));
+    } else if (segments.entry.length === 1) {
+      [extractedData.entryPrice] = segments.entry;
+    }
+
+    if (segments.tp.length > 0) extractedData.takeProfitLevels = segments.tp;
+    if (segments.sl.length > 0) [extractedData.stopLoss] = segments.sl;
+
+    // templates are written against the message as posted, so they see the raw text
+    const templateFields = this.applyFieldPatterns(text || '', options.fieldPatterns || [], extractedData);
+
+    const matched = Object.keys(extractedData).filter(k => extractedData[k] !== null);
+    const classification = this.classify(source, extractedData);
+    if (templateFields.length > 0) {
+      classification.reasoning += ` (channel template: ${templateFields.join(', ')})`;
+    }
+
+    return {
+      sot_analysis: {
+        parser: 'rules',
+        matchedFields: matched,
+        templateFields,
+        step2_classify: classification.signalType
+      },
+      isSignal: classification.isSignal,
+      signalType: classification.signalType,
+      confidence: classification.confidence,
+      extractedData,
+      reasoning: classification.reasoning,
+      source: 'rules'
+    };
+  }
+
+  // A new setup starts at every line naming both a coin and a direction ("#ETH LONG", "2) SOL/USDT short")
+  splitSignalBlocks(text) {
+    const blocks = [];
+    for (const line of text.split('\n')) {
+      const normalized = this.normalizeText(line);
+      if (DIRECTION_RE.test(normalized) && this.extractCoin(normalized)) {
+        blocks.push([line]);
+      } else if (blocks.length > 0) {
+        blocks[blocks.length - 1].push(line);
+      }
+    }
+    return blocks.length > 1 ? blocks.map(lines => lines.join('\n')) : [];
+  }
+
+  normalizeText(text) {
+    return text
+      // thousands separators ("65,000", "3,250.5"); a leading zero means a decimal comma ("0,299")
+      .replace(/(?<![\d.,])[1-9]\d{0,2}(?:,\d{3})+(?!\d)/g, number => number.replace(/,/g, ''))
+      // decimal comma → dot ("0,29889")
+      .replace(/(\d),(\d)/g, '$1.$2')
+      // unify dashes used as range separators
+      .replace(/[–—]/g, '-')
+      // keycap emoji digits ("1️⃣") are list markers, not prices
+      .replace(/\d\uFE0F?\u20E3/g, ' ');
+  }
+
+  extractCoin(text) {
+    const label = text.match(COIN_LABEL_RE);
+    if (label) {
+      const coin = label[1].replace(/(usdt|usdc)$/i, '');
+      if (this.isCoinCandidate(coin)) return coin.toUpperCase();
+    }
+
+    for (const match of text.matchAll(COIN_TAG_RE)) {
+      const tag = match[1].replace(/(usdt|usdc)$/i, '');
+      if (this.isCoinCandidate(tag)) return tag.toUpperCase();
+    }
+
+    for (const match of text.matchAll(COIN_PAIR_RE)) {
+      if (this.isCoinCandidate(match[1])) return match[1].toUpperCase();
+    }
+
+    for (const re of COIN_NEAR_DIRECTION_RES) {
+      const near = text.match(re);
+      if (near && this.isCoinCandidate(near[1])) return near[1].toUpperCase();
+    }
+
+    for (const match of text.matchAll(COIN_BARE_RE)) {
+      if (this.isCoinCandidate(match[1])) return match[1];
+    }
+
+    return null;
+  }
+
+  isCoinCandidate(token) {
+    if (!token) return false;
+    const upper = token.toUpperCase();
+    if (COIN_STOPWORDS.has(upper)) return false;
+    if (/^\d+$/.test(upper)) return false;
+    if (/^(TP|SL)\d*$/.test(upper)) return false;
+    if (/^[XХ]\d+$/.test(upper)) return false;
+    return true;
+  }
+
+  extractDirection(text) {
+    const match = text.match(DIRECTION_RE);
+    if (!match) return null;
+    const word = match[1].toLowerCase();
+    return ['long', 'buy', 'лонг'].includes(word) ? 'LONG' : 'SHORT';
+  }
+
+  extractLeverage(text) {
+    for (const re of LEVERAGE_RES) {
+      const match = text.match(re);
+      if (match) {
+        const leverage = parseInt(match[1], 10);
+        if (leverage >= 1 && leverage <= 200) return leverage;
+      }
+    }
+    return null;
+  }
+
+  extractVolume(text) {
+    const match = text.match(VOLUME_RE);
+    return match ? match[1].replace(/\s+/g, '') : null;
+  }
+
+  /**
+   * Channel templates map extractedData fields to regexes with one capture
+   * group. They override the generic extraction; the first template that
+   * matches a field wins. Returns the list of fields set from templates.
+   */
+  applyFieldPatterns(text, patternSets, extractedData) {
+    const applied = [];
+
+    patternSets.forEach((patterns) => {
+      Object.entries(patterns || {}).forEach(([field, pattern]) => {
+        if (!TEMPLATE_FIELDS.includes(field) || applied.includes(field)) return;
+
+        const re = this.compilePattern(pattern);
+        if (!re) return;
+
+        const value = this.extractPatternValue(text, re, field);
+        if (value === null) return;
+
+        extractedData[field] = value;
+        applied.push(field);
+      });
+    });
+
+    if (applied.includes('entryPriceRange') && !applied.includes('entryPrice')) {
+      const [a, b] = extractedData.entryPriceRange;
+      extractedData.entryPrice = parseFloat(((a + b) / 2).toPrecision(12));
+    }
+
+    return applied;
+  }
+
+  compilePattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length === 0) return null;
+    try {
+      return new RegExp(pattern, 'gi');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  extractPatternValue(text, re, field) {
+    const captures = [...text.matchAll(re)]
+      .map(m => (m[1] !== undefined ? m[1] : m[0]))
+      .map(c => c.replace(/(\d),(\d)/g, '$1.$2'));
+    if (captures.length === 0) return null;
+
+    if (LIST_FIELDS.includes(field)) {
+      const numbers = captures
+        .flatMap(c => c.match(NUMBER_RE) || [])
+        .map(parseFloat)
+        .filter(v => Number.isFinite(v) && v > 0);
+      if (field === 'entryPriceRange') {
+        return numbers.length >= 2 ? [Math.min(numbers[0], numbers[1]), Math.max(numbers[0], numbers[1])] : null;
+      }
+      return numbers.length > 0 ? numbers : null;
+    }
+
+    const capture = captures[0].trim();
+    if (NUMERIC_FIELDS.includes(field)) {
+      const number = capture.match(NUMBER_RE);
+      return number ? parseFloat(number[0]) : null;
+    }
+    if (field === 'direction') return this.extractDirection(capture);
+    if (field === 'coin') {
+      const coin = capture.replace(/^[#$]/, '').replace(/[\/-]?(usdt|usdc)$/i, '').toUpperCase();
+      return this.isCoinCandidate(coin) ? coin : null;
+    }
+    return capture || null;
+  }
+
+  /**
+   * Splits the text at every entry/TP/SL keyword; the numbers between a keyword
+   * and the next one belong to it. A segment continues onto following lines only
+   * while they contain nothing but numbers (multi-line target lists).
+   */
+  extractSegments(text) {
+    const cleaned = text
+      .replace(LEVERAGE_STRIP_RE, ' ')
+      .replace(/\d+(?:\.\d+)?\s*%/g, ' ')
+      .replace(/\d+\s*[)]/g, ' ');
+
+    const marks = [];
+    Object.entries(KEYWORDS).forEach(([type, re]) => {
+      for (const match of cleaned.matchAll(re)) {
+        marks.push({ type, start: match.index, end: match.index + match[0].length });
+      }
+    });
+    marks.sort((a, b) => a.start - b.start);
+
+    const segments = { entry: [], tp: [], sl: [] };
+    marks.forEach((mark, i) => {
+      // overlapping matches ("стоп-лосс" vs "стоп") - keep the first/longest
+      if (i > 0 && mark.start < marks[i - 1].end) return;
+      const next = marks.slice(i + 1).find(m => m.start >= mark.end);
+      const body = cleaned.slice(mark.end, next ? next.start : cleaned.length);
+      segments[mark.type].push(...this.extractSegmentNumbers(body));
+    });
+
+    return segments;
+  }
+
+  extractSegmentNumbers(body) {
+    const lines = body.split('\n');
+    const numbers = [];
+
+    for (let i = 0; i < lines.length; i += 1) {
+      if (i > 0 && /[a-zа-яё$]/i.test(lines[i])) break;
+      for (const match of lines[i].matchAll(NUMBER_RE)) {
+        const value = parseFloat(match[0]);
+        if (Number.isFinite(value) && value > 0) numbers.push(value);
+      }
+    }
+
+    return numbers;
+  }
+
+  classify(text, data) {
+    const hasLevels = data.entryPrice !== null || data.takeProfitLevels !== null || data.stopLoss !== null;
+    const isClose = CLOSE_RE.test(text);
+    const isUpdate = UPDATE_RE.test(text);
+
+    if (data.coin && data.direction && data.entryPrice !== null && (data.takeProfitLevels || data.stopLoss)) {
+      return this.classifyEntry(data);
+    }
+
+    if (isClose) {
+      const percent = text.match(PERCENT_RE);
+      data.closePercentage = percent && !CLOSE_ALL_RE.test(text)
+        ? Math.min(100, parseFloat(percent[1]))
+        : 100;
+      return {
+        isSignal: true,
+        signalType: 'close',
+        confidence: 0.85,
+        reasoning: `Close instruction (${data.closePercentage}%) matched by rule parser`
+      };
+    }
+
+    if (BREAKEVEN_RE.test(text)) {
+      data.moveStopToBreakeven = true;
+      return {
+        isSignal: true,
+        signalType: 'update',
+        confidence: 0.85,
+        reasoning: 'Move stop-loss to breakeven matched by rule parser'
+      };
+    }
+
+    if (isUpdate && (data.stopLoss !== null || data.takeProfitLevels !== null)) {
+      return {
+        isSignal: true,
+        signalType: 'update',
+        confidence: 0.85,
+        reasoning: 'Stop-loss / take-profit update matched by rule parser'
+      };
+    }
+
+    if (data.coin && data.direction) {
+      return {
+        isSignal: hasLevels,
+        signalType: hasLevels ? 'entry' : 'general',
+        confidence: hasLevels ? 0.5 : 0.3,
+        reasoning: 'Coin and direction found but price levels are incomplete'
+      };
+    }
+
+    return {
+      isSignal: false,
+      signalType: 'general',
+      confidence: hasLevels || isUpdate ? 0.3 : 0.1,
+      reasoning: 'No known signal format matched'
+    };
+  }
+
+  classifyEntry(data) {
+    let confidence = 0.95;
+    const notes = [];
+
+    if (!data.stopLoss) {
+      confidence -= 0.15;
+      notes.push('no stop-loss');
+    }
+    if (!data.takeProfitLevels) {
+      confidence -= 0.2;
+      notes.push('no take-profit');
+    }
+
+    const entry = data.entryPrice;
+    const firstTp = data.takeProfitLevels ? data.takeProfitLevels[0] : null;
+    const isLong = data.direction === 'LONG';
+
+    const slOk = data.stopLoss === null || (isLong ? data.stopLoss < entry : data.stopLoss > entry);
+    const tpOk = firstTp === null || (isLong ? firstTp > entry : firstTp < entry);
+    if (!slOk || !tpOk) {
+      confidence = Math.min(confidence, 0.4);
+      notes.push('price levels inconsistent with direction');
+    }
+
+    return {
+      isSignal: true,
+      signalType: 'entry',
+      confidence: parseFloat(confidence.toFixed(2)),
+      reasoning: `Entry signal matched by rule parser${notes.length ? ` (${notes.join(', ')})` : ''}`
+    };
+  }
+}
+
+module.exports = RuleBasedSignalParser;
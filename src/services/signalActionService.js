@@ -0,0 +1,590 @@
+const { redisUtils, CHANNELS } = require('../config/redis');
+const { logger, trade: tradeLog } = require('../utils/logger');
+const Signal = require('../models/Signal');
+const Channel = require('../models/Channel');
+const Position = require('../models/Position');
+const SignalAction = require('../models/SignalAction');
+const SignalEdit = require('../models/SignalEdit');
+
+const ACTION_SIGNAL_TYPES = ['update', 'close'];
+const ACTIVE_POSITION_STATUSES = ['open', 'partially_closed'];
+
+/**
+ * Applies update/close signals to the open position they refer to:
+ * moves the stop-loss, replaces take-profits, closes fully or partially.
+ * Every action (including skipped ones) is recorded in signal_actions.
+ */
+class SignalActionService {
+  constructor(executionService) {
+    this.execution = executionService;
+  }
+
+  get bingx() {
+    return this.execution.bingx;
+  }
+
+  async initialize() {
+    try {
+      await redisUtils.subscribe('signal:auto_action', async (data) => {
+        await this.handleSignal(data.signalId);
+      });
+
+      // SL/TP changed by editing the post of an executed signal
+      await redisUtils.subscribe('signal:edit_sync', async (data) => {
+        try {
+          await this.syncEdit(data.signalEditId);
+        } catch (error) {
+          logger.error(`Error syncing signal edit ${data.signalEditId}:`, error);
+        }
+      });
+
+      await redisUtils.subscribe(CHANNELS.SIGNAL_EXECUTED, async (data) => {
+        if (data.type === 'signal_approved') {
+          const signal = await Signal.findById(data.signalId);
+          if (signal && ACTION_SIGNAL_TYPES.includes(signal.signalType)) {
+            await this.handleSignal(signal.id);
+          }
+        }
+      });
+
+      logger.info('Signal action service initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize signal action service:', error);
+      throw error;
+    }
+  }
+
+  async handleSignal(signalId) {
+    try {
+      await this.processSignal(signalId);
+    } catch (error) {
+      logger.error(`Error processing signal actions for ${signalId}:`, error);
+    }
+  }
+
+  async processSignal(signalId) {
+    const signal = await Signal.findById(signalId);
+    if (!signal) throw new Error('Signal not found');
+    if (signal.status === 'imported') throw new Error('Imported signals have no position actions');
+
+    if (!ACTION_SIGNAL_TYPES.includes(signal.signalType)) {
+      throw new Error(`Signal type ${signal.signalType} has no position actions`);
+    }
+
+    const plan = this.buildActionPlan(signal);
+    const actions = [];
+
+    if (plan.length === 0) {
+      actions.push(await this.recordAction(signal, null, {
+        type: 'none'
+      }, 'skipped', 'No actionable instruction found in message'));
+      await signal.update({ status: 'ignored' });
+      await this.notifyActions(signal, null, actions);
+      return { signal, position: null, actions };
+    }
+
+    const position = await this.resolvePosition(signal);
+    if (!position) {
+      const symbol = this.execution.formatSymbol(signal.coin);
+      const reason = signal.coin
+        ? `No open position for ${symbol} in this channel`
+        : 'Signal does not specify a coin';
+      for (const action of plan) {
+        // eslint-disable-next-line no-await-in-loop
+        actions.push(await this.recordAction(signal, null, action, 'skipped', reason));
+      }
+      await signal.update({ status: 'ignored' });
+      await this.notifyActions(signal, null, actions);
+      return { signal, position: null, actions };
+    }
+
+    const channel = await Channel.findById(signal.channelId);
+    const symbolInfo = await this.getSymbolMeta(position.symbol);
+    const ref = { signalId: signal.id };
+
+    for (const action of plan) {
+      if (!ACTIVE_POSITION_STATUSES.includes(position.status)) {
+        // eslint-disable-next-line no-await-in-loop
+        actions.push(await this.recordAction(signal, position, action, 'skipped', 'Position already closed'));
+        continue;
+      }
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await this.executeAction(position, action, channel, symbolInfo, ref);
+        // eslint-disable-next-line no-await-in-loop
+        actions.push(await this.recordAction(
+          signal, position, action, result.status, result.reason, result.details
+        ));
+      } catch (error) {
+        logger.error(`Signal action ${action.type} failed`, {
+          signalId: signal.id, positionId: position.id, error: error.message
+        });
+        // eslint-disable-next-line no-await-in-loop
+        actions.push(await this.recordAction(signal, position, action, 'failed', error.message));
+      }
+    }
+
+    let status = 'ignored';
+    if (actions.some(a => a.status === 'executed')) status = 'executed';
+    else if (actions.some(a => a.status === 'failed')) status = 'failed';
+    await signal.update({ status });
+
+    tradeLog('signal_actions_applied', {
+      signalId: signal.id,
+      positionId: position.id,
+      symbol: position.symbol,
+      actions: actions.map(a => ({ type: a.actionType, status: a.status }))
+    });
+
+    await this.notifyActions(signal, position, actions);
+    return { signal, position, actions };
+  }
+
+  /**
+   * Pushes the stop-loss / take-profits of an edited post to the position of its signal:
+   * the one opened by an entry signal, or the one an update signal was applied to.
+   * Actions are recorded against the signal; the edit keeps the outcome and action ids.
+   */
+  async syncEdit(signalEditId) {
+    const edit = await SignalEdit.findById(signalEditId);
+    if (!edit) throw new Error('Signal edit not found');
+    const signal = await Signal.findById(edit.signalId);
+    if (!signal) throw new Error('Signal not found');
+
+    const plan = [];
+    if (edit.changes.stopLoss) {
+      plan.push({ type: 'move_stop_loss', stopLoss: edit.changes.stopLoss.to });
+    }
+    if (edit.changes.takeProfitLevels) {
+      plan.push({ type: 'replace_take_profits', levels: edit.changes.takeProfitLevels.to });
+    }
+
+    const position = signal.signalType === 'entry'
+      ? (await Position.findBySignalId(signal.id)).find(p => ACTIVE_POSITION_STATUSES.includes(p.status)) || null
+      : await this.resolvePosition(signal);
+
+    const actions = [];
+    if (!position) {
+      for (const action of plan) {
+        // eslint-disable-next-line no-await-in-loop
+        actions.push(await this.recordAction(signal, null, action, 'skipped', 'Post edited, but no open position'));
+      }
+    } else {
+      const channel = await Channel.findById(signal.channelId);
+      const symbolInfo = await this.getSymbolMeta(position.symbol);
+      // a post can be edited several times: each edit places its own orders
+      const edits = await SignalEdit.findBySignalId(signal.id);
+      const ref = { signalId: signal.id, edit: edits.findIndex(e => e.id === edit.id) + 1 };
+      for (const action of plan) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const result = await this.executeAction(position, action, channel, symbolInfo, ref);
+          // eslint-disable-next-line no-await-in-loop
+          actions.push(await this.recordAction(
+            signal, position, action, result.status, `Post edited: ${result.reason}`, result.details
+          ));
+        } catch (error) {
+          logger.error(`Signal edit action ${action.type} failed`, {
+            signalId: signal.id, positionId: position.id, error: error.message
+          });
+          // eslint-disable-next-line no-await-in-loop
+          actions.push(await this.recordAction(signal, position, action, 'failed', `Post edited: ${error.message}`));
+        }
+      }
+    }
+
+    let outcome = 'sync_skipped';
+    if (actions.some(a => a.status === 'failed')) outcome = 'sync_failed';
+    else if (actions.some(a => a.status === 'executed')) outcome = 'synced';
+    await edit.update({ outcome, details: { positionId: position ? position.id : null, actions: actions.map(a => a.id) } });
+
+    tradeLog('signal_edit_synced', {
+      signalId: signal.id,
+      signalEditId: edit.id,
+      positionId: position ? position.id : null,
+      outcome,
+      actions: actions.map(a => ({ type: a.actionType, status: a.status }))
+    });
+
+    await this.notifyActions(signal, position, actions);
+    return { edit, position, actions };
+  }
+
+  /**
+   * Translate an update/close signal into a list of position actions.
+   */
+  buildActionPlan(signal) {
+    const extracted = (signal.parsedData && signal.parsedData.extractedData) || {};
+    const actions = [];
+    const closePercentage = parseFloat(extracted.closePercentage);
+
+    if (signal.signalType === 'close') {
+      const percentage = Number.isFinite(closePercentage) && closePercentage > 0 && closePercentage < 100
+        ? closePercentage
+        : 100;
+      actions.push(percentage >= 100
+        ? { type: 'close', percentage: 100 }
+        : { type: 'partial_close', percentage });
+      return actions;
+    }
+
+    if (extracted.moveStopToBreakeven === true) {
+      actions.push({ type: 'move_stop_loss', breakeven: true });
+    } else if (signal.stopLoss && Number.isFinite(parseFloat(signal.stopLoss))) {
+      actions.push({ type: 'move_stop_loss', stopLoss: parseFloat(signal.stopLoss) });
+    }
+
+    const levels = (Array.isArray(signal.takeProfitLevels) ? signal.takeProfitLevels : [])
+      .map(x => parseFloat(x))
+      .filter(v => Number.isFinite(v) && v > 0);
+    if (levels.length > 0) {
+      actions.push({ type: 'replace_take_profits', levels });
+    }
+
+    if (Number.isFinite(closePercentage) && closePercentage > 0) {
+      actions.push(closePercentage >= 100
+        ? { type: 'close', percentage: 100 }
+        : { type: 'partial_close', percentage: closePercentage });
+    }
+
+    return actions;
+  }
+
+  /**
+   * Find the open position the signal refers to. Replies use the position
+   * opened by the root of their thread; otherwise same channel and symbol,
+   * matching direction when the signal has one, most recent first.
+   */
+  async resolvePosition(signal) {
+    if (signal.parentSignalId) {
+      const root = await signal.getRootSignal();
+      if (root && root.id !== signal.id && root.signalType === 'entry') {
+        const linked = (await Position.findBySignalId(root.id))
+          .find(p => ACTIVE_POSITION_STATUSES.includes(p.status));
+        return linked || null;
+      }
+    }
+
+    if (!signal.coin) return null;
+
+    const symbol = this.execution.formatSymbol(signal.coin);
+    const positions = (await Position.findAll({ channelId: signal.channelId, symbol }))
+      .filter(p => ACTIVE_POSITION_STATUSES.includes(p.status));
+
+    if (signal.direction) {
+      const side = this.execution.getOrderSide(signal.direction);
+      return positions.find(p => p.side === side) || null;
+    }
+
+    return positions[0] || null;
+  }
+
+  /**
+   * ref ({ signalId, edit }) names the orders an action places, see actionClientOrderId.
+   */
+  async executeAction(position, action, channel, symbolInfo, ref) {
+    switch (action.type) {
+      case 'move_stop_loss':
+        return this.moveStopLoss(position, action, symbolInfo, ref);
+      case 'replace_take_profits':
+        return this.replaceTakeProfits(position, action, channel, symbolInfo, ref);
+      case 'close':
+      case 'partial_close':
+        return this.closePosition(position, action, symbolInfo);
+      default:
+        return { status: 'skipped', reason: `Unknown action type: ${action.type}` };
+    }
+  }
+
+  async moveStopLoss(position, action, symbolInfo, ref) {
+    const subAccountId = this.getEffectiveSubAccountId(position);
+    const newStop = action.breakeven ? parseFloat(position.entryPrice) : action.stopLoss;
+    const previousStopLoss = position.stopLoss ? parseFloat(position.stopLoss) : null;
+
+    if (!Number.isFinite(newStop) || newStop <= 0) {
+      return { status: 'skipped', reason: 'Invalid stop-loss price' };
+    }
+
+    if (previousStopLoss !== null && Math.abs(previousStopLoss - newStop) < 1e-12) {
+      return { status: 'skipped', reason: 'Stop-loss already at requested price', details: { stopLoss: newStop } };
+    }
+
+    // стоп должен оставаться по «правильную» сторону от текущей цены
+    const { price } = await this.bingx.getSymbolPrice(position.symbol);
+    const currentPrice = parseFloat(price);
+    if (Number.isFinite(currentPrice) && currentPrice > 0) {
+      const invalid = position.side === 'BUY' ? newStop >= currentPrice : newStop <= currentPrice;
+      if (invalid) {
+        return {
+          status: 'skipped',
+          reason: `Stop-loss ${newStop} is on the wrong side of current price ${currentPrice}`,
+          details: { stopLoss: newStop, currentPrice }
+        };
+      }
+    }
+
+    // прежний watcher переставил бы SL поверх нового значения
+    await this.cancelStopWatcher(position);
+
+    // повтор действия находит свой стоп; старые стопы тогда уже отменены
+    const { existing, clientOrderId } = await this.execution.findExistingOrder(
+      position.symbol, this.actionClientOrderId(ref, 'slupd'), subAccountId
+    );
+    const cancelledOrderIds = existing
+      ? []
+      : await this.cancelConditionalOrders(position, ['STOP_MARKET', 'STOP'], subAccountId);
+
+    const { pricePrecision, stepSize, minQty } = symbolInfo;
+    const quantity = this.execution.roundToStepSize(position.quantity, stepSize);
+    const baseOrder = {
+      symbol: position.symbol,
+      side: position.side === 'BUY' ? 'SELL' : 'BUY',
+      positionSide: position.side === 'BUY' ? 'LONG' : 'SHORT',
+      type: 'STOP_MARKET',
+      stopPrice: newStop.toFixed(pricePrecision),
+      workingType: 'MARK_PRICE',
+      quantity,
+      reduceOnly: true,
+      recvWindow: 5000,
+      clientOrderId
+    };
+
+    const { result, usedQty } = existing
+      ? { result: existing, usedQty: existing.origQty }
+      : await this.execution.placeReduceOnlyConditionalWithRetry(
+        baseOrder, subAccountId, { stepSize, pricePrecision, minQty }, 3, quantity, 'SL update'
+      );
+
+    await position.update({ stopLoss: newStop });
+
+    return {
+      status: 'executed',
+      reason: action.breakeven ? 'Stop-loss moved to breakeven' : 'Stop-loss moved',
+      details: {
+        previousStopLoss,
+        stopLoss: newStop,
+        quantity: usedQty,
+        orderId: result?.orderId || null,
+        cancelledOrderIds
+      }
+    };
+  }
+
+  async replaceTakeProfits(position, action, channel, symbolInfo, ref) {
+    const subAccountId = this.getEffectiveSubAccountId(position);
+    const { pricePrecision, stepSize, minQty } = symbolInfo;
+
+    const levels = [...action.levels].sort((a, b) => (position.side === 'BUY' ? a - b : b - a));
+    const tpPercentages = this.getTpPercentages(channel, position, levels.length);
+
+    const legs = [];
+    for (let i = 0; i < levels.length; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      legs.push(await this.execution.findExistingOrder(
+        position.symbol, this.actionClientOrderId(ref, `tp${i + 1}upd`), subAccountId
+      ));
+    }
+
+    // a retry keeps the take-profits it placed before failing; the old ones were cancelled then
+    const cancelledOrderIds = legs.some(leg => leg.existing)
+      ? []
+      : await this.cancelConditionalOrders(position, ['TAKE_PROFIT_MARKET', 'TAKE_PROFIT'], subAccountId);
+
+    const totalQty = this.execution.roundToStepSize(position.quantity, stepSize);
+    let remainingQty = totalQty;
+    const placed = [];
+
+    for (let i = 0; i < levels.length; i += 1) {
+      const isLast = i === levels.length - 1;
+      let tpQty = isLast
+        ? remainingQty
+        : this.execution.calculateTPQuantity(totalQty, i, tpPercentages);
+      tpQty = this.execution.roundToStepSize(Math.min(tpQty, remainingQty), stepSize);
+      if (tpQty <= 0) continue;
+
+      const baseTP = {
+        symbol: position.symbol,
+        side: position.side === 'BUY' ? 'SELL' : 'BUY',
+        positionSide: position.side === 'BUY' ? 'LONG' : 'SHORT',
+        type: 'TAKE_PROFIT_MARKET',
+        stopPrice: levels[i].toFixed(pricePrecision),
+        workingType: 'MARK_PRICE',
+        quantity: tpQty,
+        reduceOnly: true,
+        recvWindow: 5000,
+        clientOrderId: legs[i].clientOrderId
+      };
+
+      try {
+        const { existing } = legs[i];
+        // eslint-disable-next-line no-await-in-loop
+        const { result, usedQty } = existing
+          ? { result: existing, usedQty: existing.origQty }
+          : await this.execution.placeReduceOnlyConditionalWithRetry(
+            baseTP, subAccountId, { stepSize, pricePrecision, minQty }, 3, remainingQty, `TP${i + 1} update`
+          );
+        placed.push({ level: i + 1, price: levels[i], quantity: usedQty, orderId: result?.orderId || null });
+        remainingQty = this.execution.roundToStepSize(remainingQty - usedQty, stepSize);
+      } catch (e) {
+        logger.error(`Error placing updated TP${i + 1}:`, { message: e.message, symbol: position.symbol });
+      }
+    }
+
+    if (placed.length === 0) {
+      throw new Error('None of the new take-profit orders could be placed');
+    }
+
+    await position.update({ takeProfitLevels: levels, tpPercentages });
+
+    return {
+      status: 'executed',
+      reason: `Take-profits replaced (${placed.length}/${levels.length} placed)`,
+      details: { levels, tpPercentages, placed, cancelledOrderIds }
+    };
+  }
+
+  async closePosition(position, action, symbolInfo) {
+    const subAccountId = this.getEffectiveSubAccountId(position);
+    const { stepSize } = symbolInfo;
+    const fullClose = action.type === 'close';
+
+    const closeQty = fullClose
+      ? parseFloat(position.quantity)
+      : this.execution.roundToStepSize(parseFloat(position.quantity) * (action.percentage / 100), stepSize);
+
+    if (!closeQty || closeQty <= 0) {
+      return { status: 'skipped', reason: `Close quantity too small for ${action.percentage}%` };
+    }
+
+    const orderResult = await this.bingx.closePosition(
+      position.symbol, fullClose ? null : closeQty, subAccountId
+    );
+
+    let closePrice = parseFloat(orderResult?.executedPrice);
+    if (!Number.isFinite(closePrice) || closePrice <= 0) {
+      const { price } = await this.bingx.getSymbolPrice(position.symbol);
+      closePrice = parseFloat(price);
+    }
+
+    const pnl = position.calculateUnrealizedPnl(closePrice, closeQty);
+    let cancelledOrderIds = [];
+
+    if (fullClose) {
+      await this.cancelStopWatcher(position);
+      cancelledOrderIds = await this.cancelConditionalOrders(
+        position, ['STOP_MARKET', 'STOP', 'TAKE_PROFIT_MARKET', 'TAKE_PROFIT'], subAccountId
+      );
+      const realizedPnl = parseFloat(position.realizedPnl || 0) + pnl;
+      await position.close(closePrice, realizedPnl);
+    } else {
+      await position.partialClose(closeQty, closePrice, pnl);
+    }
+
+    await redisUtils.publish(CHANNELS.POSITION_CLOSED, {
+      type: fullClose ? 'position_closed' : 'position_partially_closed',
+      positionId: position.id,
+      symbol: position.symbol,
+      closePrice,
+      quantity: closeQty,
+      pnl,
+      reason: 'signal',
+      timestamp: new Date()
+    });
+
+    return {
+      status: 'executed',
+      reason: fullClose ? 'Position closed' : `Closed ${action.percentage}% of position`,
+      details: {
+        percentage: action.percentage,
+        quantity: closeQty,
+        closePrice,
+        pnl,
+        orderId: orderResult?.orderId || null,
+        cancelledOrderIds
+      }
+    };
+  }
+
+  // clientOrderId of an action's order: the signal id and the leg, numbered by the edit that placed it
+  actionClientOrderId(ref, leg) {
+    return this.execution.buildClientOrderId(ref.signalId, ref.edit ? `${leg}${ref.edit}` : leg);
+  }
+
+  cancelConditionalOrders(position, types, subAccountId) {
+    return this.execution.cancelConditionalOrders(position, types, subAccountId);
+  }
+
+  cancelStopWatcher(position) {
+    return this.execution.cancelStopWatcher(position);
+  }
+
+  getTpPercentages(channel, position, count) {
+    const source = (channel && channel.tpPercentages) || position.tpPercentages || [];
+    const base = source.slice(0, count).map(p => parseFloat(p)).filter(p => Number.isFinite(p) && p > 0);
+
+    if (base.length < count) {
+      return Array(count).fill(100 / count);
+    }
+
+    const sum = base.reduce((acc, p) => acc + p, 0);
+    return base.map(p => (p / sum) * 100);
+  }
+
+  getEffectiveSubAccountId(position) {
+    const subAccountId = position.subAccountId;
+    return subAccountId && subAccountId !== 'main' && subAccountId !== 'main_account' ? subAccountId : null;
+  }
+
+  async getSymbolMeta(symbol) {
+    let symbolInfo = {};
+    try {
+      symbolInfo = await this.bingx.getSymbolInfo(symbol);
+    } catch (e) {
+      logger.warn(`Could not get symbol info for ${symbol}, using defaults`, { error: e.message });
+    }
+    return {
+      pricePrecision: symbolInfo.pricePrecision || 6,
+      stepSize: symbolInfo.stepSize || 0.001,
+      minQty: symbolInfo.minQty || 0.0001
+    };
+  }
+
+  async recordAction(signal, position, action, status, reason, details = null) {
+    const { type, ...params } = action;
+    return SignalAction.create({
+      signalId: signal.id,
+      positionId: position ? position.id : null,
+      actionType: type,
+      status,
+      reason,
+      details: details || (Object.keys(params).length > 0 ? params : null)
+    });
+  }
+
+  async notifyActions(signal, position, actions) {
+    try {
+      await redisUtils.publish(CHANNELS.POSITION_UPDATE, {
+        type: 'signal_actions',
+        signalId: signal.id,
+        positionId: position ? position.id : null,
+        actions: actions.map(a => a.toJSON()),
+        timestamp: new Date()
+      });
+    } catch (error) {
+      logger.error('Error notifying signal actions:', error);
+    }
+  }
+
+  async getSignalActions(signalId) {
+    const actions = await SignalAction.findBySignalId(signalId);
+    return actions.map(a => a.toJSON());
+  }
+
+  async shutdown() {
+    logger.info('Signal action service shutdown complete');
+  }
+}
+
+module.exports = SignalActionService;
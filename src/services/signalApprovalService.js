@@ -0,0 +1,253 @@
+const config = require('../config/app');
+const { logger, signal: signalLog } = require('../utils/logger');
+const { redisUtils, CHANNELS } = require('../config/redis');
+const Signal = require('../models/Signal');
+const Channel = require('../models/Channel');
+const SignalApproval = require('../models/SignalApproval');
+const SignalExpiryService = require('./signalExpiryService');
+const { ConflictError, ForbiddenError } = require('../middleware/errorHandler');
+const { parseTokens } = require('../middleware/auth');
+
+/**
+ * Review of pending signals (config.approvals, per channel overrides):
+ *  - a signal is approved, and so queued for execution, once requiredApprovals distinct approvers approved it;
+ *  - only the channel's approvers may decide when the channel lists any, and one rejection ignores the signal;
+ *  - signals still short of approvals timeoutMinutes after the post expire.
+ * Every decision is stored in signal_approvals and published on signal:approval for websocket clients.
+ */
+class SignalApprovalService {
+  constructor(options = config.approvals) {
+    this.options = options;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => logger.error('Error timing out signal approvals:', error));
+    }, this.options.sweepIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Channel values win; null falls back to the defaults, an empty approver list allows anyone
+  policyFor(channel) {
+    return {
+      requiredApprovals: channel?.requiredApprovals ?? this.options.requiredApprovals,
+      approvers: Array.isArray(channel?.approvers) ? channel.approvers : [],
+      timeoutMinutes: channel?.approvalTimeoutMinutes ?? this.options.timeoutMinutes
+    };
+  }
+
+  // Several approvals or a list of approvers need people; a single approval from anyone can be automatic
+  static needsReviewers(policy) {
+    return policy.requiredApprovals > 1 || policy.approvers.length > 0;
+  }
+
+  requiresReview(channel) {
+    return SignalApprovalService.needsReviewers(this.policyFor(channel));
+  }
+
+  // Without tokens every caller is the default approver, who could satisfy such a policy alone
+  assertApprover(policy, approver) {
+    if (SignalApprovalService.needsReviewers(policy) && parseTokens(this.options.tokens || []).length === 0) {
+      throw new ForbiddenError('This channel needs approver tokens (APPROVER_TOKENS) to review signals');
+    }
+    if (policy.approvers.length > 0 && !policy.approvers.includes(approver)) {
+      throw new ForbiddenError(`${approver} is not an approver of this channel`);
+    }
+  }
+
+  static expiresAt(signal, policy) {
+    if (!policy.timeoutMinutes) return null;
+    return new Date(SignalExpiryService.postedAt(signal).getTime() + policy.timeoutMinutes * 60000);
+  }
+
+  summarize(signal, policy, history) {
+    const approvedBy = [...new Set(history.filter(h => h.decision === 'approved').map(h => h.approver))];
+    return {
+      requiredApprovals: policy.requiredApprovals,
+      approvers: policy.approvers,
+      approvedBy,
+      remaining: Math.max(0, policy.requiredApprovals - approvedBy.length),
+      expiresAt: SignalApprovalService.expiresAt(signal, policy),
+      history: history.map(h => h.toJSON())
+    };
+  }
+
+  async getState(signal) {
+    const [channel, history] = await Promise.all([
+      Channel.findById(signal.channelId),
+      SignalApproval.findBySignalId(signal.id)
+    ]);
+    return this.summarize(signal, this.policyFor(channel), history);
+  }
+
+  async publish(type, signal, details = {}) {
+    await redisUtils.publish(CHANNELS.SIGNAL_APPROVAL, {
+      type,
+      signalId: signal.id,
+      channelId: signal.channelId,
+      status: signal.status,
+      ...details,
+      timestamp: new Date()
+    });
+  }
+
+  async record(signal, approver, decision, { comment = null, source = 'api' } = {}) {
+    try {
+      return await SignalApproval.create({
+        signalId: signal.id,
+        channelId: signal.channelId,
+        approver,
+        decision,
+        comment,
+        source
+      });
+    } catch (error) {
+      // unique approval per approver, hit by a concurrent duplicate request
+      if (error.code === '23505') {
+        throw new ConflictError(`${approver} has already approved this signal`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Adds an approval to a pending signal.
+   * @returns {Promise<{approved: boolean, state: Object}>} approved when this approval completed the policy
+   */
+  async approve(signal, approver, source = 'api') {
+    const name = approver || this.options.defaultApprover;
+    const channel = await Channel.findById(signal.channelId);
+    const policy = this.policyFor(channel);
+    this.assertApprover(policy, name);
+
+    const expiresAt = SignalApprovalService.expiresAt(signal, policy);
+    if (expiresAt && expiresAt.getTime() <= Date.now()) {
+      await this.timeOut(signal, policy, await SignalApproval.findBySignalId(signal.id));
+      throw new ConflictError('The approval window of this signal has expired');
+    }
+
+    const previous = await SignalApproval.findBySignalId(signal.id);
+    if (previous.some(h => h.decision === 'approved' && h.approver === name)) {
+      throw new ConflictError(`${name} has already approved this signal`);
+    }
+
+    const entry = await this.record(signal, name, 'approved', { source });
+    const state = this.summarize(signal, policy, [...previous, entry]);
+
+    // a concurrent final approval may have moved the signal on already
+    const approved = state.remaining === 0 && await signal.approveIfPending();
+    await this.publish(approved ? 'signal_approved' : 'approval_recorded', signal, {
+      approver: name,
+      approvedBy: state.approvedBy,
+      requiredApprovals: state.requiredApprovals
+    });
+
+    return { approved, state };
+  }
+
+  /**
+   * Direct execution: approved signals, and pending ones of channels that need a single approval.
+   * For a pending signal the execution is that approval and is recorded as such.
+   */
+  async approveForExecution(signal, approver, source = 'api') {
+    if (signal.status === 'approved') return signal;
+    if (signal.status !== 'pending') {
+      throw new ConflictError(`Signal cannot be executed (status: ${signal.status})`);
+    }
+
+    const name = approver || this.options.defaultApprover;
+    const policy = this.policyFor(await Channel.findById(signal.channelId));
+    this.assertApprover(policy, name);
+    if (policy.requiredApprovals > 1) {
+      throw new ConflictError(`Signal needs ${policy.requiredApprovals} approvals before it can be executed`);
+    }
+
+    const previous = await SignalApproval.findBySignalId(signal.id);
+    const expiresAt = SignalApprovalService.expiresAt(signal, policy);
+    if (expiresAt && expiresAt.getTime() <= Date.now()) {
+      await this.timeOut(signal, policy, previous);
+      throw new ConflictError('The approval window of this signal has expired');
+    }
+
+    // a concurrent approval, rejection or expiry may have moved the signal on already:
+    // the approval is only recorded once the signal is ours to approve
+    if (!await signal.approveIfPending()) {
+      throw new ConflictError('Signal is no longer pending and cannot be executed');
+    }
+    const entry = await this.record(signal, name, 'approved', { comment: 'Executed directly', source });
+
+    const { approvedBy } = this.summarize(signal, policy, [...previous, entry]);
+    await this.publish('signal_approved', signal, {
+      approver: name,
+      approvedBy,
+      requiredApprovals: policy.requiredApprovals,
+      executed: true
+    });
+    return signal;
+  }
+
+  // A single rejection by an allowed approver ignores the signal
+  async reject(signal, approver, reason = null, source = 'api') {
+    const name = approver || this.options.defaultApprover;
+    const channel = await Channel.findById(signal.channelId);
+    this.assertApprover(this.policyFor(channel), name);
+
+    await signal.ignore();
+    await this.record(signal, name, 'rejected', { comment: reason, source });
+    await this.publish('signal_rejected', signal, { approver: name, reason });
+    return signal;
+  }
+
+  async timeOut(signal, policy, history) {
+    const { approvedBy } = this.summarize(signal, policy, history);
+    await signal.expire({
+      code: 'approval_timeout',
+      reason: `Not approved within ${policy.timeoutMinutes} min (${approvedBy.length}/${policy.requiredApprovals} approvals)`,
+      approvedBy
+    });
+    await this.record(signal, 'system', 'timed_out', { source: 'system' });
+    await this.publish('approval_timed_out', signal, { approvedBy, requiredApprovals: policy.requiredApprovals });
+
+    signalLog('approval_timed_out', {
+      signalId: signal.id,
+      coin: signal.coin,
+      approvedBy
+    });
+    return signal;
+  }
+
+  // Pending signals whose approval window has closed
+  async sweep(now = Date.now()) {
+    const signals = await Signal.findAwaitingApproval();
+    const channels = new Map();
+    const timedOut = [];
+
+    for (const signal of signals) {
+      if (!channels.has(signal.channelId)) {
+        // eslint-disable-next-line no-await-in-loop
+        channels.set(signal.channelId, await Channel.findById(signal.channelId));
+      }
+      const policy = this.policyFor(channels.get(signal.channelId));
+      const expiresAt = SignalApprovalService.expiresAt(signal, policy);
+      if (expiresAt && expiresAt.getTime() <= now) {
+        // eslint-disable-next-line no-await-in-loop
+        const history = await SignalApproval.findBySignalId(signal.id);
+        // eslint-disable-next-line no-await-in-loop
+        timedOut.push(await this.timeOut(signal, policy, history));
+      }
+    }
+
+    if (timedOut.length > 0) {
+      logger.info(`Expired ${timedOut.length} signals not approved in time`);
+    }
+    return timedOut;
+  }
+}
+
+module.exports = SignalApprovalService;
@@ -0,0 +1,200 @@
+const config = require('../config/app');
+const { logger, trade: tradeLog } = require('../utils/logger');
+const Signal = require('../models/Signal');
+const Channel = require('../models/Channel');
+
+// Smallest candle interval that covers the time since the post in at most MAX_CANDLES candles
+const CANDLE_INTERVALS = [['1m', 60000], ['5m', 300000], ['15m', 900000], ['1h', 3600000], ['4h', 14400000]];
+const MAX_CANDLES = 1000;
+
+/**
+ * Keeps stale entry signals from being executed (config.trading.signalExpiry, per channel overrides):
+ *  ttl — more than signalTtlMinutes passed since the post;
+ *  tp_hit / sl_hit — price reached TP1 or the stop-loss after the post;
+ *  entry_deviation — price is further than maxEntryDeviation from the entry (zone), in % of the
+ *  entry or in R (multiples of the entry to stop-loss distance).
+ * Such signals move to status 'expired' with the reason in signals.expiry. Signals past their
+ * TTL are also expired by a periodic sweep, so they do not wait in the approval list; the sweep
+ * leaves out signals whose entry orders are already working (options.isEntering).
+ */
+class SignalExpiryService {
+  constructor(bingxService, options = {}) {
+    this.bingx = bingxService;
+    this.isEntering = options.isEntering || (async () => false);
+    this.timer = null;
+  }
+
+  get defaults() {
+    return config.trading.signalExpiry;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => logger.error('Error expiring signals:', error));
+    }, this.defaults.sweepIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Channel values win; null falls back to the defaults, 0 disables the check
+  settingsFor(channel) {
+    return {
+      ttlMinutes: channel?.signalTtlMinutes ?? this.defaults.ttlMinutes,
+      maxEntryDeviation: channel?.maxEntryDeviation ?? this.defaults.maxEntryDeviation,
+      entryDeviationUnit: channel?.entryDeviationUnit || this.defaults.entryDeviationUnit
+    };
+  }
+
+  static postedAt(signal) {
+    return new Date(signal.messageTimestamp || signal.processedAt || Date.now());
+  }
+
+  checkTtl(signal, settings, now = Date.now()) {
+    if (!settings.ttlMinutes) return null;
+    const ageMinutes = (now - SignalExpiryService.postedAt(signal).getTime()) / 60000;
+    if (ageMinutes <= settings.ttlMinutes) return null;
+    return {
+      code: 'ttl',
+      reason: `Signal is ${Math.round(ageMinutes)} min old, TTL is ${settings.ttlMinutes} min`,
+      ageMinutes: Math.round(ageMinutes)
+    };
+  }
+
+  // TP1 or the stop-loss reached after the post: by the candles since then, or by the current price
+  checkLevelsHit(signal, price, candles = []) {
+    const long = signal.direction === 'LONG';
+    const highs = [price, ...candles.map(c => c.high)];
+    const lows = [price, ...candles.map(c => c.low)];
+    const high = Math.max(...highs);
+    const low = Math.min(...lows);
+
+    const tp1 = parseFloat((signal.takeProfitLevels || [])[0]);
+    if (tp1 > 0 && (long ? high >= tp1 : low <= tp1)) {
+      return { code: 'tp_hit', reason: `TP1 ${tp1} was already reached`, price, level: tp1 };
+    }
+
+    const stopLoss = parseFloat(signal.stopLoss);
+    if (stopLoss > 0 && (long ? low <= stopLoss : high >= stopLoss)) {
+      return { code: 'sl_hit', reason: `Stop-loss ${stopLoss} was already hit`, price, level: stopLoss };
+    }
+
+    return null;
+  }
+
+  /**
+   * Distance of the price from the entry in the given unit; zero inside an entry zone.
+   * Null when it cannot be measured (no entry, or no stop-loss for R).
+   */
+  entryDeviation(signal, price, unit) {
+    const range = Array.isArray(signal.entryPriceRange) && signal.entryPriceRange.length === 2
+      ? signal.entryPriceRange.map(parseFloat)
+      : null;
+    const entry = parseFloat(signal.entryPrice) || (range ? (range[0] + range[1]) / 2 : null);
+    if (!entry) return null;
+
+    let distance = Math.abs(price - entry);
+    if (range) {
+      const [low, high] = [Math.min(...range), Math.max(...range)];
+      distance = price < low ? low - price : price > high ? price - high : 0;
+    }
+
+    if (unit === 'r') {
+      const risk = Math.abs(entry - parseFloat(signal.stopLoss));
+      return risk > 0 ? distance / risk : null;
+    }
+    return (distance / entry) * 100;
+  }
+
+  checkEntryDeviation(signal, price, settings) {
+    if (!settings.maxEntryDeviation) return null;
+    const deviation = this.entryDeviation(signal, price, settings.entryDeviationUnit);
+    if (deviation === null || deviation <= settings.maxEntryDeviation) return null;
+
+    const unit = settings.entryDeviationUnit === 'r' ? 'R' : '%';
+    return {
+      code: 'entry_deviation',
+      reason: `Price ${price} is ${deviation.toFixed(2)}${unit} from the entry, limit is ${settings.maxEntryDeviation}${unit}`,
+      price,
+      deviation: parseFloat(deviation.toFixed(4)),
+      unit: settings.entryDeviationUnit
+    };
+  }
+
+  async getCandlesSince(symbol, since) {
+    const age = Date.now() - since.getTime();
+    const [interval, intervalMs] = CANDLE_INTERVALS.find(([, ms]) => age / ms <= MAX_CANDLES)
+      || CANDLE_INTERVALS[CANDLE_INTERVALS.length - 1];
+    const limit = Math.min(MAX_CANDLES, Math.ceil(age / intervalMs) + 1);
+
+    try {
+      const candles = await this.bingx.getKlines(symbol, interval, limit);
+      // candles opened before the post also hold prices from before it
+      return candles.filter(c => c.time >= since.getTime());
+    } catch (error) {
+      logger.warn(`Could not load ${symbol} candles since the signal, checking the current price only`, {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Checks an entry signal right before execution.
+   * @returns {Promise<null|{code: string, reason: string}>} why the signal is stale, or null
+   */
+  async check(signal, channel) {
+    const settings = this.settingsFor(channel);
+
+    const ttl = this.checkTtl(signal, settings);
+    if (ttl) return ttl;
+
+    const { price } = await this.bingx.getSymbolPrice(signal.coin);
+    if (!Number.isFinite(price) || price <= 0) return null;
+
+    const candles = await this.getCandlesSince(signal.coin, SignalExpiryService.postedAt(signal));
+    return this.checkLevelsHit(signal, price, candles) || this.checkEntryDeviation(signal, price, settings);
+  }
+
+  async expire(signal, expiry) {
+    await signal.expire(expiry);
+    tradeLog('signal_expired', {
+      signalId: signal.id,
+      channelId: signal.channelId,
+      coin: signal.coin,
+      code: expiry.code,
+      reason: expiry.reason
+    });
+    return signal;
+  }
+
+  // Pending and approved entry signals past their channel's TTL
+  async sweep(now = Date.now()) {
+    const signals = await Signal.findAwaitingExecution();
+    const channels = new Map();
+    const expired = [];
+
+    for (const signal of signals) {
+      if (!channels.has(signal.channelId)) {
+        // eslint-disable-next-line no-await-in-loop
+        channels.set(signal.channelId, await Channel.findById(signal.channelId));
+      }
+      const ttl = this.checkTtl(signal, this.settingsFor(channels.get(signal.channelId)), now);
+      // eslint-disable-next-line no-await-in-loop
+      if (ttl && !(signal.status === 'approved' && await this.isEntering(signal))) {
+        // eslint-disable-next-line no-await-in-loop
+        expired.push(await this.expire(signal, ttl));
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Expired ${expired.length} signals past their TTL`);
+    }
+    return expired;
+  }
+}
+
+module.exports = SignalExpiryService;
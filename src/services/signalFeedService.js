@@ -2,13 +2,27 @@ const { redisUtils, CHANNELS, CACHE_KEYS } = require('../config/redis');
 const { logger, signal: signalLog } = require('../utils/logger');
 const Signal = require('../models/Signal');
 const Channel = require('../models/Channel');
+const ParsingTemplate = require('../models/ParsingTemplate');
+const SignalCorrection = require('../models/SignalCorrection');
+const SignalEdit = require('../models/SignalEdit');
+const { ValidationError } = require('../middleware/errorHandler');
+const { v4: uuidv4 } = require('uuid');
 const { SignalRecognitionService } = require('./signalRecognitionService');
+const ImageRecognitionService = require('./imageRecognitionService');
+const DuplicateDetectionService = require('./duplicateDetectionService');
+const SignalApprovalService = require('./signalApprovalService');
 const TelegramService = require('./telegramService');
 
+// Trade fields compared when a channel post is edited
+const EDIT_FIELDS = ['coin', 'direction', 'leverage', 'entryPrice', 'entryPriceRange', 'takeProfitLevels', 'stopLoss'];
+
 class SignalFeedService {
   constructor() {
     this.isProcessing = false;
     this.signalRecognition = new SignalRecognitionService();
+    this.imageRecognition = new ImageRecognitionService(this.signalRecognition.llm);
+    this.duplicateDetection = new DuplicateDetectionService();
+    this.approvals = new SignalApprovalService();
     this.telegramService = new TelegramService();
     this.processingQueue = [];
     this.batchSize = 10;
@@ -25,6 +39,9 @@ class SignalFeedService {
       
       // Subscribe to new message notifications
       await this.subscribeToMessages();
+
+      // Pending signals expire when their approvals do not come in time
+      this.approvals.start();
       
       logger.info('Signal feed service initialized successfully');
       return true;
@@ -102,9 +119,14 @@ class SignalFeedService {
     }
   }
 
-  async processMessage(messageData) {
+  /**
+   * Parses one channel message into signals. With `imported`, the message comes from channel
+   * history: signals are stored as 'imported' and never cached, announced or executed.
+   */
+  async processMessage(messageData, options = {}) {
+    const imported = Boolean(options.imported);
     try {
-      const { channelId, text, messageId } = messageData;
+      const { channelId, messageId } = messageData;
       
       // Get channel info
       const channel = await Channel.findById(channelId);
@@ -112,17 +134,36 @@ class SignalFeedService {
         throw new Error(`Channel not found: ${channelId}`);
       }
 
-      // Skip if channel is paused
-      if (channel.isPaused) {
+      // Skip if channel is paused (history is imported regardless)
+      if (channel.isPaused && !imported) {
         logger.debug(`Skipping message from paused channel: ${channel.name}`);
-        return;
+        return [];
+      }
+
+      // Channel-specific parsing templates
+      const templates = await ParsingTemplate.findByChannelId(channel.id, { activeOnly: true });
+
+      // Past human corrections become few-shot examples for this channel
+      const corrections = await SignalCorrection.findRecentByChannelId(channel.id);
+
+      // Chart screenshots: levels read from the image are parsed together with the caption
+      const image = imported ? null : await this.imageRecognition.recognize(messageData);
+      if (image) {
+        messageData = {
+          ...messageData,
+          text: ImageRecognitionService.mergeText(messageData.text, image.text),
+          image
+        };
       }
 
       // Analyze message with ChatGPT
       const analysis = await this.signalRecognition.analyzeMessage({
-        text,
+        text: messageData.text,
         channelName: channel.name,
-        date: messageData.date
+        date: messageData.date,
+        templates,
+        llmProviders: channel.llmProviders,
+        corrections
       });
 
       signalLog('processed', {
@@ -133,62 +174,319 @@ class SignalFeedService {
         confidence: analysis.confidence
       });
 
-      // Create signal record
-      const signalData = {
-        channelId: channel.id,
-        coin: analysis.extractedData?.coin || null,
-        direction: analysis.extractedData?.direction || null,
-        leverage: analysis.extractedData?.leverage || null,
-        entryPrice: analysis.extractedData?.entryPrice || null,
-        takeProfitLevels: analysis.extractedData?.takeProfitLevels || [],
-        stopLoss: analysis.extractedData?.stopLoss || null,
-        suggestedVolume: analysis.extractedData?.suggestedVolume || null,
-        confidenceScore: analysis.confidence,
-        rawMessage: text,
-        parsedData: {
-          analysis: analysis.sotAnalysis,
-          extractedData: analysis.extractedData,
-          reasoning: analysis.reasoning
-        },
-        messageTimestamp: messageData.date,
-        signalType: analysis.signalType,
-        status: this.determineSignalStatus(analysis, channel)
-      };
-
-      // Only create signal if it's not ignored
-      if (signalData.status !== 'ignored') {
-        // Additional validation for entry signals
-        if (signalData.signalType === 'entry' && !signalData.coin) {
-          logger.warn(`Skipping entry signal without coin from channel ${channel.name}`);
-          return null;
+      // Edited posts change the signals parsed from the original instead of creating new ones;
+      // a post that only became a signal after the edit goes the usual way
+      if (messageData.isEdit && !imported) {
+        const originals = await Signal.findAllByTelegramMessage(channel.id, messageId);
+        if (originals.length > 0) {
+          return this.applyEdit(originals, analysis, { channel, messageData });
         }
-        
-        const signal = await Signal.create(signalData);
-
-        // Cache signal for quick access
-        await this.cacheSignal(signal);
-
-        // Notify subscribers about new signal
-        await this.notifyNewSignal(signal, analysis);
+      }
 
-        // Auto-execute if enabled and signal meets criteria
-        if (analysis.isSignal && channel.autoExecute && analysis.signalType === 'entry') {
-          await this.scheduleAutoExecution(signal);
+      // One message may carry several setups; they share a group and are approved or ignored together
+      const items = analysis.signals && analysis.signals.length > 1 ? analysis.signals : [analysis];
+      const groupId = items.length > 1 ? uuidv4() : null;
+
+      // Link replies to the signal parsed from the replied-to post
+      const parentCandidates = messageData.replyToMessageId
+        ? await Signal.findAllByTelegramMessage(channel.id, messageData.replyToMessageId)
+        : [];
+
+      const signals = [];
+      for (const [index, item] of items.entries()) {
+        const signal = await this.createSignal(item, {
+          channel,
+          messageData,
+          parentCandidates,
+          groupId,
+          groupIndex: groupId ? index : null,
+          imported
+        });
+        if (signal) {
+          signals.push(signal);
         }
+      }
 
-        return signal;
-      } else {
-        // Log ignored signal for debugging
-        logger.debug(`Ignored signal from channel ${channel.name}: ${analysis.reasoning}`);
-        return null;
+      if (groupId && signals.length > 0) {
+        signalLog('grouped', {
+          groupId,
+          channelName: channel.name,
+          messageId,
+          coins: signals.map(signal => signal.coin)
+        });
       }
 
+      return signals;
+
     } catch (error) {
       logger.error('Error processing message:', error);
       throw error;
     }
   }
 
+  async createSignal(analysis, context) {
+    const { channel, messageData, parentCandidates, groupId, groupIndex, imported = false } = context;
+    const parentSignal = this.selectParentSignal(parentCandidates, analysis.extractedData?.coin);
+
+    // Create signal record
+    const signalData = {
+      channelId: channel.id,
+      coin: analysis.extractedData?.coin || null,
+      direction: analysis.extractedData?.direction || null,
+      leverage: analysis.extractedData?.leverage || null,
+      entryPrice: analysis.extractedData?.entryPrice || null,
+      entryPriceRange: this.normalizeEntryRange(analysis.extractedData?.entryPriceRange),
+      takeProfitLevels: analysis.extractedData?.takeProfitLevels || [],
+      stopLoss: analysis.extractedData?.stopLoss || null,
+      suggestedVolume: analysis.extractedData?.suggestedVolume || null,
+      confidenceScore: analysis.confidence,
+      rawMessage: messageData.text,
+      parsedData: {
+        analysis: analysis.sotAnalysis,
+        extractedData: analysis.extractedData,
+        reasoning: analysis.reasoning,
+        source: analysis.source
+      },
+      messageTimestamp: messageData.date,
+      signalType: analysis.signalType,
+      status: this.determineSignalStatus(analysis, channel),
+      telegramMessageId: messageData.messageId || null,
+      replyToMessageId: messageData.replyToMessageId || null,
+      parentSignalId: parentSignal ? parentSignal.id : null,
+      groupId,
+      groupIndex,
+      image: messageData.image || null
+    };
+
+    // Follow-ups often omit the coin ("TP1 hit, SL to entry") - take it from the thread
+    if (parentSignal && ['update', 'close'].includes(signalData.signalType)) {
+      const rootSignal = await parentSignal.getRootSignal();
+      signalData.coin = signalData.coin || rootSignal.coin;
+      signalData.direction = signalData.direction || rootSignal.direction;
+    }
+
+    // Only create signal if it's not ignored
+    if (signalData.status === 'ignored') {
+      // Log ignored signal for debugging
+      logger.debug(`Ignored signal from channel ${channel.name}: ${analysis.reasoning}`);
+      return null;
+    }
+
+    // Signals must reference a coin (entry) or the position's coin (update/close)
+    if (!signalData.coin) {
+      logger.warn(`Skipping ${signalData.signalType} signal without coin from channel ${channel.name}`);
+      return null;
+    }
+
+    if (imported) {
+      return Signal.create({ ...signalData, status: 'imported' });
+    }
+
+    // The same call reposted by another channel: linked to the first one, and unless the
+    // channel allows duplicates, kept out of approval and auto-execution
+    const duplicate = await this.duplicateDetection.findOriginal(signalData);
+    if (duplicate) {
+      signalData.duplicateOf = duplicate.signal.id;
+      signalData.duplicateScore = parseFloat(duplicate.score.toFixed(3));
+      if (channel.duplicatePolicy !== 'allow') {
+        signalData.status = 'duplicate';
+      }
+    }
+
+    const signal = await Signal.create(signalData);
+
+    if (signal.status === 'duplicate') {
+      const merged = channel.duplicatePolicy === 'merge'
+        ? await this.duplicateDetection.mergeInto(duplicate.signal, signal)
+        : {};
+      if (Object.keys(merged).length > 0) {
+        await this.cacheSignal(duplicate.signal);
+      }
+
+      await this.cacheSignal(signal);
+      signalLog('duplicate', {
+        signalId: signal.id,
+        originalId: duplicate.signal.id,
+        originalChannel: duplicate.signal.channelName,
+        channelName: channel.name,
+        coin: signal.coin,
+        score: signal.duplicateScore,
+        policy: channel.duplicatePolicy,
+        mergedFields: Object.keys(merged)
+      });
+      return signal;
+    }
+
+    // Cache signal for quick access
+    await this.cacheSignal(signal);
+
+    // Notify subscribers about new signal
+    await this.notifyNewSignal(signal, analysis);
+
+    // Auto-execute if enabled and signal meets criteria; signals waiting for approvals are executed once approved
+    if (signal.status === 'approved' && signal.signalType === 'entry') {
+      await this.scheduleAutoExecution(signal);
+    }
+
+    // Auto-apply update/close instructions to the linked open position
+    if (signal.status === 'approved' && ['update', 'close'].includes(signal.signalType)) {
+      await this.scheduleAutoAction(signal);
+    }
+
+    return signal;
+  }
+
+  // [low, high] of positive prices, or null when the message has a single entry price
+  normalizeEntryRange(range) {
+    if (!Array.isArray(range) || range.length !== 2) {
+      return null;
+    }
+    const prices = range.map(parseFloat);
+    if (!prices.every(price => Number.isFinite(price) && price > 0)) {
+      return null;
+    }
+    return [Math.min(...prices), Math.max(...prices)];
+  }
+
+  // A reply to a multi-signal post only belongs to the setup with the same coin
+  selectParentSignal(candidates, coin) {
+    if (!candidates || candidates.length === 0) {
+      return null;
+    }
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+
+    return coin ? candidates.find(candidate => this.normalizeCoin(candidate.coin) === this.normalizeCoin(coin)) || null : null;
+  }
+
+  normalizeCoin(value) {
+    return (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/USDT$/, '');
+  }
+
+  /**
+   * Re-parsed edited post → the signals created from it. Each signal whose fields changed gets
+   * a signal_edits row; what else happens depends on the channel's editHandling:
+   * record - nothing; update_pending - signals not executed yet take the new values;
+   * sync_position - additionally, changed SL/TP of executed signals are pushed to the position.
+   */
+  async applyEdit(signals, analysis, { channel, messageData }) {
+    const items = analysis.signals && analysis.signals.length > 1 ? analysis.signals : [analysis];
+    const edited = [];
+
+    for (const signal of signals) {
+      const item = signals.length === 1 && items.length === 1
+        ? items[0]
+        : items.find(i => this.normalizeCoin(i.extractedData?.coin) === this.normalizeCoin(signal.coin))
+          || items[signal.groupIndex || 0];
+      if (!item || !item.isSignal || !item.extractedData) {
+        logger.debug(`Edited message ${messageData.messageId} no longer parses as signal ${signal.id}, left as is`);
+        continue;
+      }
+
+      const changes = this.diffExtraction(this.getSignalExtraction(signal), item.extractedData);
+      if (Object.keys(changes).length === 0) continue;
+
+      // eslint-disable-next-line no-await-in-loop
+      await this.recordEdit(signal, changes, item, { channel, messageData });
+      edited.push(signal);
+    }
+
+    return edited;
+  }
+
+  // { field: { from, to } } for the trade fields the edited post states differently
+  diffExtraction(before, after) {
+    const changes = {};
+    for (const field of EDIT_FIELDS) {
+      const to = this.normalizeEditField(field, after[field]);
+      if (to === null || (Array.isArray(to) && to.length === 0)) continue;
+
+      const from = this.normalizeEditField(field, before[field]);
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+    return changes;
+  }
+
+  normalizeEditField(field, value) {
+    if (value === null || value === undefined) return null;
+    switch (field) {
+      case 'coin':
+      case 'direction':
+        return String(value).toUpperCase();
+      case 'entryPriceRange':
+        return this.normalizeEntryRange(value);
+      case 'takeProfitLevels':
+        return (Array.isArray(value) ? value : []).map(parseFloat).filter(Number.isFinite);
+      default: {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+      }
+    }
+  }
+
+  async recordEdit(signal, changes, analysis, { channel, messageData }) {
+    const handling = channel.editHandling || 'update_pending';
+    const previousMessage = signal.rawMessage;
+    const positionFields = ['stopLoss', 'takeProfitLevels'].filter(field => changes[field]);
+
+    let outcome = 'recorded';
+    if (handling !== 'record' && ['pending', 'approved'].includes(signal.status)) {
+      outcome = 'updated';
+    } else if (handling === 'sync_position' && signal.status === 'executed' && positionFields.length > 0) {
+      outcome = 'sync_queued';
+    }
+
+    if (outcome !== 'recorded') {
+      // an executed signal describes its position: only SL/TP follow the post, the full edit stays in signal_edits
+      const fields = outcome === 'sync_queued' ? positionFields : Object.keys(changes);
+      const edited = Object.fromEntries(fields.map(field => [field, changes[field].to]));
+      const parsedData = signal.parsedData || {};
+      const updates = {
+        ...edited,
+        parsedData: {
+          ...parsedData,
+          extractedData: {
+            ...(parsedData.extractedData || {}),
+            ...(outcome === 'sync_queued' ? edited : analysis.extractedData)
+          },
+          editedAt: messageData.editDate || new Date()
+        }
+      };
+      if (outcome === 'updated') updates.rawMessage = messageData.text;
+      await signal.update(updates);
+      await this.cacheSignal(signal);
+    }
+
+    const edit = await SignalEdit.create({
+      signalId: signal.id,
+      channelId: channel.id,
+      telegramMessageId: messageData.messageId,
+      changes,
+      previousMessage,
+      newMessage: messageData.text,
+      outcome,
+      editedAt: messageData.editDate || null
+    });
+
+    // The position side lives in SignalActionService, next to the other SL/TP changes
+    if (outcome === 'sync_queued') {
+      await redisUtils.publish('signal:edit_sync', { signalEditId: edit.id, signalId: signal.id });
+    }
+
+    signalLog('edited', {
+      signalId: signal.id,
+      channelName: channel.name,
+      messageId: messageData.messageId,
+      changedFields: Object.keys(changes),
+      outcome
+    });
+
+    return edit;
+  }
+
   determineSignalStatus(analysis, channel) {
     if (!analysis.isSignal) {
       return 'ignored';
@@ -198,7 +496,9 @@ class SignalFeedService {
       return 'ignored';
     }
 
-    if (channel.autoExecute && analysis.signalType === 'entry' && analysis.confidence >= 0.8) {
+    // auto-execution stands in for the approval only where nobody has to review the signal
+    if (channel.autoExecute && !this.approvals.requiresReview(channel)
+      && ['entry', 'update', 'close'].includes(analysis.signalType) && analysis.confidence >= 0.8) {
       return 'approved';
     }
 
@@ -283,6 +583,24 @@ class SignalFeedService {
     }
   }
 
+  async scheduleAutoAction(signal) {
+    try {
+      await redisUtils.publish('signal:auto_action', {
+        signalId: signal.id,
+        channelId: signal.channelId,
+        scheduledAt: new Date()
+      });
+
+      signalLog('scheduled_auto_action', {
+        signalId: signal.id,
+        coin: signal.coin,
+        signalType: signal.signalType
+      });
+    } catch (error) {
+      logger.error('Error scheduling auto action:', error);
+    }
+  }
+
   async storeFailedMessage(messageData, errorMessage) {
     try {
       const failedMessage = {
@@ -377,10 +695,22 @@ class SignalFeedService {
         throw new Error(`Signal is not pending (current status: ${signal.status})`);
       }
 
-      await signal.approve();
-      
+      // Queued for execution only once the channel's approval policy is satisfied
+      const { approved, state } = await this.approvals.approve(signal, userId);
+
       // Update cache
       await this.cacheSignal(signal);
+
+      if (!approved) {
+        signalLog('approval_recorded', {
+          signalId: signal.id,
+          coin: signal.coin,
+          userId,
+          approvedBy: state.approvedBy,
+          remaining: state.remaining
+        });
+        return signal;
+      }
       
       // Notify subscribers
       await redisUtils.publish(CHANNELS.SIGNAL_EXECUTED, {
@@ -405,6 +735,134 @@ class SignalFeedService {
     }
   }
 
+  // Signals parsed from one message are reviewed together; already handled members are left as they are
+  async approveSignalGroup(groupId, userId = null) {
+    return this.applyToSignalGroup(groupId, signal => this.approveSignal(signal.id, userId));
+  }
+
+  async ignoreSignalGroup(groupId, reason = null, userId = null) {
+    return this.applyToSignalGroup(groupId, signal => this.ignoreSignal(signal.id, reason, userId));
+  }
+
+  async applyToSignalGroup(groupId, action) {
+    try {
+      const signals = await Signal.findByGroupId(groupId);
+      if (signals.length === 0) {
+        throw new Error('Signal group not found');
+      }
+
+      const updated = [];
+      const skipped = [];
+      for (const signal of signals) {
+        if (signal.status !== 'pending') {
+          skipped.push({ signalId: signal.id, coin: signal.coin, status: signal.status });
+          continue;
+        }
+        updated.push(await action(signal));
+      }
+
+      return { groupId, signals: updated, skipped };
+
+    } catch (error) {
+      logger.error('Error updating signal group:', error);
+      throw error;
+    }
+  }
+
+  // Fields a reviewer can fix before approval; signalType and extractedData shape
+  getSignalExtraction(signal) {
+    const extracted = (signal.parsedData && signal.parsedData.extractedData) || {};
+    const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+    return {
+      signalType: signal.signalType,
+      coin: extracted.coin ?? signal.coin ?? null,
+      direction: extracted.direction ?? signal.direction ?? null,
+      leverage: extracted.leverage ?? signal.leverage ?? null,
+      entryPrice: extracted.entryPrice ?? toNumber(signal.entryPrice),
+      entryPriceRange: extracted.entryPriceRange ?? null,
+      takeProfitLevels: extracted.takeProfitLevels ?? (signal.takeProfitLevels || []).map(toNumber),
+      stopLoss: extracted.stopLoss ?? toNumber(signal.stopLoss),
+      suggestedVolume: extracted.suggestedVolume ?? signal.suggestedVolume ?? null,
+      closePercentage: extracted.closePercentage ?? null,
+      moveStopToBreakeven: extracted.moveStopToBreakeven ?? false
+    };
+  }
+
+  async correctSignal(signalId, corrections, userId = null) {
+    try {
+      const signal = await Signal.findById(signalId);
+      if (!signal) {
+        throw new Error('Signal not found');
+      }
+
+      if (signal.status !== 'pending') {
+        throw new ValidationError(`Only pending signals can be corrected (current status: ${signal.status})`);
+      }
+
+      const original = this.getSignalExtraction(signal);
+      const corrected = { ...original, ...corrections };
+      const changedFields = Object.keys(corrections)
+        .filter(field => JSON.stringify(original[field]) !== JSON.stringify(corrected[field]));
+
+      if (changedFields.length === 0) {
+        return { signal, correction: null };
+      }
+
+      const { signalType, ...extractedData } = corrected;
+      const parsedData = signal.parsedData || {};
+      const updates = {
+        signalType,
+        parsedData: {
+          ...parsedData,
+          extractedData: { ...(parsedData.extractedData || {}), ...extractedData },
+          // First recognition result is kept across repeated edits
+          originalExtraction: parsedData.originalExtraction || original,
+          correctedBy: userId,
+          correctedAt: new Date()
+        }
+      };
+
+      // Columns used by execution mirror the corrected extraction
+      ['coin', 'direction', 'leverage', 'entryPrice', 'takeProfitLevels', 'stopLoss', 'suggestedVolume']
+        .filter(field => changedFields.includes(field))
+        .forEach(field => {
+          updates[field] = corrected[field];
+        });
+      if (changedFields.includes('entryPriceRange')) {
+        updates.entryPriceRange = this.normalizeEntryRange(corrected.entryPriceRange);
+      }
+
+      await signal.update(updates);
+
+      const correction = await SignalCorrection.create({
+        signalId: signal.id,
+        channelId: signal.channelId,
+        messageText: signal.rawMessage || '',
+        originalExtraction: original,
+        correctedExtraction: corrected,
+        changedFields,
+        correctedBy: userId
+      });
+
+      // Update cache
+      await this.cacheSignal(signal);
+
+      signalLog('corrected', {
+        signalId: signal.id,
+        coin: signal.coin,
+        changedFields,
+        userId
+      });
+
+      return { signal, correction };
+
+    } catch (error) {
+      logger.error('Error correcting signal:', error);
+      throw error;
+    }
+  }
+
   async ignoreSignal(signalId, reason = null, userId = null) {
     try {
       const signal = await Signal.findById(signalId);
@@ -412,7 +870,8 @@ class SignalFeedService {
         throw new Error('Signal not found');
       }
 
-      await signal.ignore();
+      // Recorded in the approval history and published to websocket clients
+      await this.approvals.reject(signal, userId, reason);
       
       // Update parsed data with ignore reason
       if (reason) {
@@ -449,23 +908,23 @@ class SignalFeedService {
         return cachedStats;
       }
 
-      // Calculate from database
+      // Calculate from database; imported history counts at its original message time
       let timeFilter = '';
       switch (timeRange) {
         case '1h':
-          timeFilter = "processed_at >= NOW() - INTERVAL '1 hour'";
+          timeFilter = "COALESCE(message_timestamp, processed_at) >= NOW() - INTERVAL '1 hour'";
           break;
         case '24h':
-          timeFilter = "processed_at >= NOW() - INTERVAL '24 hours'";
+          timeFilter = "COALESCE(message_timestamp, processed_at) >= NOW() - INTERVAL '24 hours'";
           break;
         case '7d':
-          timeFilter = "processed_at >= NOW() - INTERVAL '7 days'";
+          timeFilter = "COALESCE(message_timestamp, processed_at) >= NOW() - INTERVAL '7 days'";
           break;
         case '30d':
-          timeFilter = "processed_at >= NOW() - INTERVAL '30 days'";
+          timeFilter = "COALESCE(message_timestamp, processed_at) >= NOW() - INTERVAL '30 days'";
           break;
         default:
-          timeFilter = "processed_at >= NOW() - INTERVAL '24 hours'";
+          timeFilter = "COALESCE(message_timestamp, processed_at) >= NOW() - INTERVAL '24 hours'";
       }
 
       let query = `
@@ -479,6 +938,8 @@ class SignalFeedService {
           COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_signals,
           COUNT(CASE WHEN status = 'executed' THEN 1 END) as executed_signals,
           COUNT(CASE WHEN status = 'ignored' THEN 1 END) as ignored_signals,
+          COUNT(CASE WHEN status = 'imported' THEN 1 END) as imported_signals,
+          COUNT(CASE WHEN status = 'duplicate' THEN 1 END) as duplicate_signals,
           AVG(confidence_score) as avg_confidence
         FROM signals 
         WHERE ${timeFilter}
@@ -504,6 +965,8 @@ class SignalFeedService {
         approvedSignals: parseInt(stats.approved_signals),
         executedSignals: parseInt(stats.executed_signals),
         ignoredSignals: parseInt(stats.ignored_signals),
+        importedSignals: parseInt(stats.imported_signals),
+        duplicateSignals: parseInt(stats.duplicate_signals),
         avgConfidence: parseFloat(stats.avg_confidence || 0),
         timeRange,
         generatedAt: new Date()
@@ -668,6 +1131,7 @@ class SignalFeedService {
       if (this.processingInterval) {
         clearInterval(this.processingInterval);
       }
+      this.approvals.stop();
       
       this.isProcessing = false;
       
@@ -1,26 +1,25 @@
-const OpenAI = require('openai');
 const config = require('../config/app');
 const { logger, signal: signalLog } = require('../utils/logger');
 const BingXService = require('./bingxService');
+const RuleBasedSignalParser = require('./ruleBasedSignalParser');
+const { LLMProviderRegistry } = require('./llm/providerRegistry');
+const recognitionCorpus = require('../evaluation/corpus.json');
 
 class SignalRecognitionService {
   constructor() {
-    this.openai = null;
+    this.llm = new LLMProviderRegistry(config.llm);
     this.initialized = false;
     this.bingxService = new BingXService();
+    this.ruleParser = new RuleBasedSignalParser();
+    this.ruleParserConfidence = config.signalProcessing.ruleParserConfidence;
   }
 
   async initialize() {
     try {
-      if (!config.openai.apiKey) {
-        throw new Error('OpenAI API key is required');
+      if (!this.llm.hasAvailableProvider()) {
+        logger.warn('No LLM provider is configured, using rule-based parser only');
       }
 
-      this.openai = new OpenAI({
-        apiKey: config.openai.apiKey,
-        timeout: config.openai.timeout,
-      });
-
       // Initialize BingX service for coin validation
       await this.bingxService.initialize();
 
@@ -40,7 +39,7 @@ class SignalRecognitionService {
         throw new Error('Service not initialized');
       }
 
-      const { text, channelName, date } = messageData;
+      const { text, channelName, date, templates = [], llmProviders = null, corrections = [] } = messageData;
       
       if (!text || text.trim().length === 0) {
         return {
@@ -52,14 +51,20 @@ class SignalRecognitionService {
       }
 
       // Use System of Thought (SOT) approach for signal analysis
-      const analysisResult = await this.performSOTAnalysis(text, channelName);
+      const analysisResult = await this.performSOTAnalysis(text, channelName, {
+        templates,
+        llmProviders,
+        corrections
+      });
       
       signalLog('analyzed', {
         channelName,
         textLength: text.length,
         isSignal: analysisResult.isSignal,
         confidence: analysisResult.confidence,
-        signalType: analysisResult.signalType
+        signalType: analysisResult.signalType,
+        provider: analysisResult.llm ? analysisResult.llm.provider : analysisResult.source,
+        cost: analysisResult.llm ? analysisResult.llm.cost : 0
       });
 
       return analysisResult;
@@ -70,43 +75,135 @@ class SignalRecognitionService {
     }
   }
 
-  async performSOTAnalysis(text, channelName) {
+  async performSOTAnalysis(text, channelName, options = {}) {
+    const { templates = [], llmProviders = null, corrections = [] } = options;
+    const { fieldPatterns, examples } = this.splitTemplates(templates);
+
+    // Deterministic parser goes first: well-formatted signals never need the LLM
+    const ruleResult = this.ruleParser.parse(text, { fieldPatterns });
+    if (ruleResult.isSignal && ruleResult.confidence >= this.ruleParserConfidence) {
+      return this.validateAndNormalizeResult(ruleResult, text);
+    }
+
+    if (!this.llm.hasAvailableProvider(llmProviders)) {
+      return this.validateAndNormalizeResult(ruleResult, text);
+    }
+
     try {
       // System of Thought: Multi-step reasoning process
-      const prompt = this.buildSOTPrompt(text, channelName);
+      const prompt = this.buildSOTPrompt(text, channelName, [
+        ...examples,
+        ...this.selectCorrectionExamples(text, corrections)
+      ]);
       
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: config.openai.maxTokens,
-        temperature: config.openai.temperature,
-        response_format: { type: 'json_object' }
-      });
+      const response = await this.llm.complete([
+        {
+          role: 'system',
+          content: this.getSystemPrompt()
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ], { chain: llmProviders });
 
-      const result = JSON.parse(response.choices[0].message.content);
+      const result = this.parseJsonResponse(response.content);
       
       // Validate and normalize the result
-      return this.validateAndNormalizeResult(result, text);
+      const normalized = this.validateAndNormalizeResult(result, text);
+      normalized.llm = {
+        provider: response.provider,
+        model: response.model,
+        usage: response.usage,
+        cost: response.cost,
+        latencyMs: response.latencyMs,
+        fallbacks: response.fallbacks
+      };
+      return normalized;
 
     } catch (error) {
-      logger.error('Error in SOT analysis:', error);
-      return {
-        isSignal: false,
-        signalType: 'general',
-        confidence: 0,
-        reason: `Analysis error: ${error.message}`,
-        rawAnalysis: null
-      };
+      logger.error('Error in SOT analysis, falling back to rule-based parser:', error);
+      const fallback = this.validateAndNormalizeResult(ruleResult, text);
+      fallback.reasoning += ` (LLM unavailable: ${error.message})`;
+      return fallback;
+    }
+  }
+
+  // Local models without JSON mode may wrap the object in prose or code fences
+  parseJsonResponse(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      const start = content ? content.indexOf('{') : -1;
+      const end = content ? content.lastIndexOf('}') : -1;
+      if (start === -1 || end <= start) {
+        throw new Error('LLM response does not contain a JSON object');
+      }
+      return JSON.parse(content.slice(start, end + 1));
+    }
+  }
+
+  // Channel parsing templates: regex field patterns feed the rule parser, examples go into the prompt
+  splitTemplates(templates) {
+    const active = (templates || []).filter(t => t && t.isActive !== false);
+    return {
+      fieldPatterns: active
+        .filter(t => t.templateType === 'field_patterns' && t.fieldPatterns)
+        .map(t => t.fieldPatterns),
+      examples: active
+        .filter(t => t.templateType === 'few_shot' && t.exampleMessage && t.exampleOutput)
+        .map(t => ({ message: t.exampleMessage, output: t.exampleOutput }))
+    };
+  }
+
+  // Human corrections from the same channel, most similar wording first (newest wins ties)
+  selectCorrectionExamples(text, corrections, limit = config.signalProcessing.correctionExamples) {
+    if (!corrections || corrections.length === 0 || limit <= 0) {
+      return [];
+    }
+
+    const messageTokens = this.tokenize(text);
+
+    return corrections
+      .map((correction, index) => ({
+        correction,
+        index,
+        score: this.similarity(messageTokens, this.tokenize(correction.messageText))
+      }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit)
+      .map(({ correction }) => {
+        const { signalType, ...extractedData } = correction.correctedExtraction || {};
+        const original = correction.originalExtraction || {};
+        return {
+          message: correction.messageText,
+          output: { isSignal: true, signalType, extractedData },
+          note: (correction.changedFields || [])
+            .map(field => `${field}: ${JSON.stringify(original[field] ?? null)} -> ${JSON.stringify(correction.correctedExtraction[field] ?? null)}`)
+            .join('; ')
+        };
+      });
+  }
+
+  // Word tokens only: prices differ between otherwise identical posts
+  tokenize(text) {
+    return new Set(
+      (text || '')
+        .toLowerCase()
+        .split(/[^a-zа-яё0-9]+/)
+        .filter(token => token.length > 1 && !/^\d/.test(token))
+    );
+  }
+
+  similarity(a, b) {
+    if (a.size === 0 || b.size === 0) {
+      return 0;
     }
+    let shared = 0;
+    a.forEach(token => {
+      if (b.has(token)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
   }
 
   getSystemPrompt() {
@@ -135,8 +232,22 @@ CONFIDENCE SCORING (0.0 - 1.0):
 You must respond with valid JSON only. No additional text or explanation outside the JSON structure.`;
   }
 
-  buildSOTPrompt(text, channelName) {
-    return `Analyze this message from channel "${channelName}" using the System of Thought approach:
+  buildSOTPrompt(text, channelName, examples = []) {
+    const examplesSection = examples.length > 0
+      ? `CHANNEL FORMAT EXAMPLES (how messages from this channel should be interpreted):
+${examples.map((ex, i) => `Example ${i + 1}:
+MESSAGE:
+"""
+${ex.message}
+"""
+EXPECTED RESULT:
+${JSON.stringify(ex.output, null, 2)}${ex.note ? `
+HUMAN CORRECTION (was extracted wrongly before): ${ex.note}` : ''}`).join('\n\n')}
+
+`
+      : '';
+
+    return `${examplesSection}Analyze this message from channel "${channelName}" using the System of Thought approach:
 
 MESSAGE TEXT:
 """
@@ -162,6 +273,7 @@ Step 3 - EXTRACT: If trading signal, extract parameters:
 - Take profit levels (multiple levels possible)
 - Stop loss level
 - Suggested position size/volume
+- For updates/closes: the coin of the position, new SL (or "move SL to entry/breakeven"), new TP levels, share of the position to close
 
 Step 4 - VALIDATE: Check completeness and coherence:
 - Are required parameters present for the signal type?
@@ -192,10 +304,18 @@ Respond with JSON in this exact format:
     "takeProfitLevels": [float array] or null,
     "stopLoss": float or null,
     "suggestedVolume": string or null,
+    "closePercentage": float between 0 and 100 or null,
+    "moveStopToBreakeven": boolean or null,
     "additionalNotes": "string or null"
   },
   "reasoning": "Brief explanation of the analysis result"
-}`;
+}
+
+If the message contains several independent trade setups for different coins (e.g. "3 coins to watch"),
+describe the first one in the fields above and add every setup, including the first, as:
+"signals": [
+  { "isSignal": true, "signalType": "entry|update|close", "confidence": float, "extractedData": { same fields as above } }
+]`;
   }
 
   // Fuzzy coin matching against supported symbols
@@ -272,6 +392,34 @@ Respond with JSON in this exact format:
 
   validateAndNormalizeResult(result, originalText) {
     try {
+      // Several independent setups in one message ("3 coins to watch"): each one is normalized on its own
+      if (Array.isArray(result.signals) && result.signals.length > 1) {
+        const signals = result.signals
+          .map(item => this.validateAndNormalizeResult({
+            sot_analysis: result.sot_analysis,
+            reasoning: result.reasoning,
+            source: result.source,
+            ...item,
+            isSignal: item.isSignal !== false,
+            signals: undefined
+          }, originalText))
+          .filter(item => item.isSignal);
+
+        if (signals.length > 1) {
+          return {
+            ...signals[0],
+            confidence: Math.min(...signals.map(item => item.confidence)),
+            reasoning: `${signals.length} signals in one message (${signals.map(item => item.extractedData.coin).join(', ')})`,
+            rawAnalysis: result,
+            signals
+          };
+        }
+
+        if (signals.length === 1) {
+          return { ...signals[0], rawAnalysis: result };
+        }
+      }
+
       // Ensure required fields exist
       const normalized = {
         isSignal: Boolean(result.isSignal),
@@ -280,6 +428,7 @@ Respond with JSON in this exact format:
         reasoning: result.reasoning || 'No reasoning provided',
         sotAnalysis: result.sot_analysis || {},
         extractedData: result.extractedData || {},
+        source: result.source || 'llm',
         rawAnalysis: result
       };
 
@@ -349,6 +498,29 @@ Respond with JSON in this exact format:
         }
       }
 
+      // Update/close signals act on an existing position: normalize the fields the action engine relies on
+      if (normalized.isSignal && ['update', 'close'].includes(normalized.signalType)) {
+        const extracted = normalized.extractedData;
+
+        if (extracted.coin) {
+          const normalizedCoin = extracted.coin.toUpperCase().replace(/[^A-Z0-9]/g, '');
+          extracted.coin = this.fuzzyCoinMatch(normalizedCoin);
+        }
+
+        if (extracted.direction && !['LONG', 'SHORT'].includes(extracted.direction.toUpperCase())) {
+          extracted.direction = null;
+        } else if (extracted.direction) {
+          extracted.direction = extracted.direction.toUpperCase();
+        }
+
+        const closePercentage = parseFloat(extracted.closePercentage);
+        extracted.closePercentage = Number.isFinite(closePercentage) && closePercentage > 0
+          ? Math.min(100, closePercentage)
+          : null;
+
+        extracted.moveStopToBreakeven = extracted.moveStopToBreakeven === true;
+      }
+
       // Apply confidence threshold for signal classification
       if (normalized.confidence < config.trading.minSignalConfidence) {
         normalized.isSignal = false;
@@ -404,12 +576,15 @@ Respond with JSON in this exact format:
     }
   }
 
-  async testSignalRecognition(testMessage) {
+  async testSignalRecognition(testMessage, options = {}) {
     try {
       const testData = {
         text: testMessage,
-        channelName: 'Test Channel',
-        date: new Date()
+        channelName: options.channelName || 'Test Channel',
+        date: new Date(),
+        templates: options.templates || [],
+        llmProviders: options.llmProviders || null,
+        corrections: options.corrections || []
       };
 
       return await this.analyzeMessage(testData);
@@ -423,43 +598,20 @@ Respond with JSON in this exact format:
   getStats() {
     return {
       initialized: this.initialized,
-      model: config.openai.model,
+      llmAvailable: this.llm.hasAvailableProvider(),
+      llm: this.llm.getStats(),
+      ruleParserConfidence: this.ruleParserConfidence,
       confidenceThreshold: config.trading.minSignalConfidence,
       supportedSignalTypes: ['entry', 'update', 'close', 'general']
     };
   }
 }
 
-// Example usage patterns for testing
-const EXAMPLE_SIGNALS = {
-  VALID_ENTRY: `
-Монета: SAND SHORT Х25 ⤴️
-
-🔵Цена входа: 0.29889
-
-✅Тэйки: 0.29618 0.29293 0.27341
-
-🛑Стоп: 0.31235
-
-Входим на 10$
-🏦Банк: 158.7$
-  `,
-  
-  POSITION_UPDATE: `
-SAND SHORT позиция:
-Убираем стоп временно, держим до первого тейка
-Текущая цена: 0.29500
-  `,
-  
-  CLOSE_SIGNAL: `
-SAND SHORT - закрываем 50% позиции по текущей цене
-Остальное держим до второго тейка
-  `,
-  
-  GENERAL_POST: `
-Сегодня рынок очень волатильный, будьте осторожны с новыми позициями.
-Биткоин тестирует важный уровень поддержки.
-  `
-};
+// Example usage patterns for testing; the labeled evaluation corpus is the source of truth
+const EXAMPLE_SIGNALS = ['VALID_ENTRY', 'POSITION_UPDATE', 'CLOSE_SIGNAL', 'GENERAL_POST']
+  .reduce((examples, id) => {
+    examples[id] = recognitionCorpus.find(item => item.id === id).text;
+    return examples;
+  }, {});
 
 module.exports = { SignalRecognitionService, EXAMPLE_SIGNALS };
\ No newline at end of file
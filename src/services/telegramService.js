@@ -11,6 +11,8 @@ class TelegramService {
     this.monitoredChannels = new Map();
     this.messageQueue = [];
     this.processingMessages = false;
+    // set by the server once the execution services exist
+    this.killSwitch = null;
   }
 
   async initialize() {
@@ -51,6 +53,13 @@ class TelegramService {
       
       // Load monitored channels from database
       await this.loadMonitoredChannels();
+
+      // Channels moved between the bot and the MTProto user session change hands without a restart
+      await redisUtils.subscribe(CHANNELS.CHANNEL_UPDATE, async (data) => {
+        if (data.type === 'channel_update') {
+          await this.handleChannelUpdate(data);
+        }
+      });
       
       // Start the bot asynchronously without blocking server startup
       logger.info('Attempting to launch Telegram bot asynchronously...');
@@ -109,6 +118,8 @@ class TelegramService {
 /help - Show this help message
 /status - Show bot status
 /channels - List monitored channels
+/killswitch CONFIRM [reason] - Close all positions and stop trading (admins)
+/killswitch_release - Resume trading after the kill switch (admins)
 
 The bot automatically monitors configured channels for trading signals.
       `;
@@ -142,6 +153,14 @@ The bot automatically monitors configured channels for trading signals.
       ctx.reply(`📺 Monitored Channels:\n${channelList}`);
     });
 
+    this.bot.command('killswitch', async (ctx) => {
+      await this.handleKillSwitchCommand(ctx);
+    });
+
+    this.bot.command('killswitch_release', async (ctx) => {
+      await this.handleKillSwitchRelease(ctx);
+    });
+
     // Handle all text messages from channels
     this.bot.on('text', async (ctx) => {
       await this.handleChannelMessage(ctx);
@@ -228,6 +247,7 @@ The bot automatically monitors configured channels for trading signals.
       // Extract message content
       const messageData = {
         messageId: message.message_id,
+        replyToMessageId: message.reply_to_message?.message_id || null,
         channelId: channel.id,
         channelName: channel.name,
         telegramChannelId: chatId,
@@ -240,6 +260,9 @@ The bot automatically monitors configured channels for trading signals.
         photos: message.photo || [],
         document: message.document || null,
         entities: message.entities || [],
+        // Edits are matched to the signals of the original post by messageId
+        isEdit: !!ctx.editedChannelPost,
+        editDate: message.edit_date ? new Date(message.edit_date * 1000) : null,
         rawMessage: message
       };
 
@@ -287,7 +310,9 @@ The bot automatically monitors configured channels for trading signals.
 
   async loadMonitoredChannels() {
     try {
-      const channels = await Channel.findAll({ isActive: true });
+      // Channels read through the MTProto user session are not the bot's
+      const channels = (await Channel.findAll({ isActive: true }))
+        .filter(channel => channel.ingestionBackend === 'bot');
       
       this.monitoredChannels.clear();
       
@@ -329,6 +354,9 @@ The bot automatically monitors configured channels for trading signals.
       if (!channel) {
         throw new Error(`Channel with Telegram ID ${channelData.telegramChannelId} not found in database`);
       }
+      if (channel.ingestionBackend !== 'bot') {
+        return channel;
+      }
 
       // Add to monitored channels
       this.monitoredChannels.set(channel.telegramChannelId, channel);
@@ -366,6 +394,76 @@ The bot automatically monitors configured channels for trading signals.
     }
   }
 
+  isAdmin(ctx) {
+    return !!ctx.from && config.telegram.adminIds.includes(String(ctx.from.id));
+  }
+
+  async handleKillSwitchCommand(ctx) {
+    if (!this.isAdmin(ctx)) {
+      await ctx.reply('⛔ This command is only available to admins.');
+      return;
+    }
+    if (!this.killSwitch) {
+      await ctx.reply('Kill switch is not available.');
+      return;
+    }
+
+    const [, confirmation, ...reasonWords] = (ctx.message?.text || '').trim().split(/\s+/);
+    if (confirmation !== 'CONFIRM') {
+      await ctx.reply('This cancels every open order and market-closes every position.\nSend /killswitch CONFIRM [reason] to proceed.');
+      return;
+    }
+
+    const actor = `telegram:${ctx.from.username || ctx.from.id}`;
+    try {
+      await ctx.reply('🛑 Kill switch engaged, closing all positions...');
+      const report = await this.killSwitch.engage({
+        actor, source: 'telegram', reason: reasonWords.join(' ') || 'Emergency stop via Telegram'
+      });
+      await ctx.reply(this.formatKillSwitchReport(report));
+    } catch (error) {
+      logger.error('Kill switch command failed:', error);
+      await ctx.reply(`❌ Kill switch failed: ${error.message}`);
+    }
+  }
+
+  async handleKillSwitchRelease(ctx) {
+    if (!this.isAdmin(ctx)) {
+      await ctx.reply('⛔ This command is only available to admins.');
+      return;
+    }
+    if (!this.killSwitch) {
+      await ctx.reply('Kill switch is not available.');
+      return;
+    }
+
+    try {
+      const result = await this.killSwitch.release({ actor: `telegram:${ctx.from.username || ctx.from.id}`, source: 'telegram' });
+      await ctx.reply(result.released
+        ? `▶️ Trading resumed, ${result.channelsResumed.length} channels resumed.`
+        : result.reason);
+    } catch (error) {
+      logger.error('Kill switch release failed:', error);
+      await ctx.reply(`❌ Release failed: ${error.message}`);
+    }
+  }
+
+  formatKillSwitchReport(report) {
+    const icons = { closed: '✅', already_closed: '☑️', not_on_exchange: '❔', failed: '❌' };
+    const lines = report.positions.map(p => (
+      `${icons[p.status] || '•'} ${p.symbol} ${p.status}${p.closePrice ? ` @ ${p.closePrice}` : ''}${p.error ? ` (${p.error})` : ''}`
+    ));
+    const orders = report.accounts.reduce((sum, a) => sum + a.ordersCancelled, 0);
+
+    return [
+      report.success ? '🛑 Kill switch finished' : '⚠️ Kill switch finished with errors',
+      `Channels paused: ${report.channelsPaused.length}, orders cancelled: ${orders}`,
+      ...(lines.length > 0 ? lines : ['No open positions']),
+      ...report.errors.map(e => `❌ ${e}`),
+      ...report.accounts.filter(a => a.error).map(a => `❌ ${a.subAccountId}: ${a.error}`)
+    ].join('\n');
+  }
+
   async pauseChannel(channelId) {
     try {
       const channel = await Channel.findById(channelId);
@@ -416,6 +514,18 @@ The bot automatically monitors configured channels for trading signals.
     }
   }
 
+  // A post must be queued by one backend only, so a changed ingestionBackend reloads the bot's channels
+  async handleChannelUpdate({ action, channel }) {
+    if (action !== 'updated' || !channel) return;
+    const monitored = Array.from(this.monitoredChannels.values()).some(c => c.id === channel.id);
+    if (monitored === (channel.ingestionBackend === 'bot')) return;
+    try {
+      await this.refreshChannels();
+    } catch (error) {
+      logger.error('Error applying channel update to Telegram monitoring:', error);
+    }
+  }
+
   async refreshChannels() {
     try {
       await this.loadMonitoredChannels();
@@ -38,11 +38,32 @@ class TradeExecutionService {
     }
   }
 
+  /**
+   * clientOrderId из id сигнала или позиции и ноги, как ExecutionService.buildClientOrderId:
+   * повтор запроса находит уже выставленный ордер.
+   */
+  buildClientOrderId(id, leg) {
+    if (!id) throw new Error(`A signal or position id is required to place the ${leg} order`);
+    return `${String(id).replace(/-/g, '')}_${leg}`;
+  }
+
+  // Lookup errors are thrown: placing without knowing could duplicate the order
+  async placeOrderIdempotent(orderData, subAccountId) {
+    const { order, nextClientOrderId } = await this.bingx.lookupClientOrderId(
+      orderData.symbol, orderData.clientOrderId, subAccountId
+    );
+    if (order) {
+      logger.info('Order already placed, reusing it', { clientOrderId: order.clientOrderId, orderId: order.orderId });
+      return { ...order, reused: true };
+    }
+    return this.bingx.placeOrder({ ...orderData, clientOrderId: nextClientOrderId }, subAccountId);
+  }
+
   /**
    * Главный ордер (MARKET). В него можно вложить TP1/SL в виде JSON (как поддерживает BingX).
    */
   async placeMainOrder({
-    coin, direction, quantity, entryPrice, takeProfitLevels = [], stopLoss, leverage, subAccountId
+    signalId, coin, direction, quantity, entryPrice, takeProfitLevels = [], stopLoss, leverage, subAccountId
   }) {
     const symbol = this.formatSymbol(coin);
     const meta = await this.getSymbolMeta(symbol);
@@ -55,7 +76,7 @@ class TradeExecutionService {
       type: 'MARKET',
       quantity: qty,
       recvWindow: 5000,
-      clientOrderId: `manual_${Date.now()}`
+      clientOrderId: this.buildClientOrderId(signalId, 'entry')
     };
 
     // первый ТП в основной ордер
@@ -94,13 +115,13 @@ class TradeExecutionService {
       logger.warn('setLeverage skipped', { error: e.message });
     }
 
-    return this.bingx.placeOrder(orderData, subAccountId);
+    return this.placeOrderIdempotent(orderData, subAccountId);
   }
 
   /**
    * Отдельный STOP_MARKET (reduceOnly) по позиции
    */
-  async placeStopLossOrder({ symbol, side, positionSide, stopPrice, quantity, subAccountId }) {
+  async placeStopLossOrder({ positionId, symbol, side, positionSide, stopPrice, quantity, subAccountId }) {
     const meta = await this.getSymbolMeta(symbol);
     const qty = this.roundToStepSize(quantity, meta.stepSize);
 
@@ -114,15 +135,15 @@ class TradeExecutionService {
       quantity: qty,
       reduceOnly: true,
       recvWindow: 5000,
-      clientOrderId: `sl_${Date.now()}`
+      clientOrderId: this.buildClientOrderId(positionId, 'sl')
     };
-    return this.bingx.placeOrder(order, subAccountId);
+    return this.placeOrderIdempotent(order, subAccountId);
   }
 
   /**
    * Отдельный TAKE_PROFIT_MARKET (reduceOnly) по позиции
    */
-  async placeTakeProfitOrder({ symbol, side, positionSide, stopPrice, quantity, subAccountId, tpIndex }) {
+  async placeTakeProfitOrder({ positionId, symbol, side, positionSide, stopPrice, quantity, subAccountId, tpIndex }) {
     const meta = await this.getSymbolMeta(symbol);
     const qty = this.roundToStepSize(quantity, meta.stepSize);
 
@@ -136,9 +157,9 @@ class TradeExecutionService {
       quantity: qty,
       reduceOnly: true,
       recvWindow: 5000,
-      clientOrderId: `tp${tpIndex || 1}_${Date.now()}`
+      clientOrderId: this.buildClientOrderId(positionId, `tp${tpIndex || 1}`)
     };
-    return this.bingx.placeOrder(order, subAccountId);
+    return this.placeOrderIdempotent(order, subAccountId);
   }
 
   /**